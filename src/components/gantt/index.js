@@ -2,4 +2,7 @@ export { default as GanttChart } from './GanttChart.vue'
 export { default as GanttTimeline } from './GanttTimeline.vue'
 export { default as GanttGrid } from './GanttGrid.vue'
 export { default as GanttTaskBar } from './GanttTaskBar.vue'
-export { default as GanttContextMenu } from './GanttContextMenu.vue'
\ No newline at end of file
+export { default as GanttContextMenu } from './GanttContextMenu.vue'
+export { default as GanttDependencyLines } from './GanttDependencyLines.vue'
+export { default as GanttSchedulePreview } from './GanttSchedulePreview.vue'
+export { default as ProjectReportDialog } from './ProjectReportDialog.vue'
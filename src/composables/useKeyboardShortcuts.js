@@ -33,6 +33,17 @@ export function useKeyboardShortcuts() {
       window.dispatchEvent(new CustomEvent('export-project'))
     },
     
+    // History shortcuts
+    'ctrl+z': () => {
+      window.dispatchEvent(new CustomEvent('history-undo'))
+    },
+    'ctrl+shift+z': () => {
+      window.dispatchEvent(new CustomEvent('history-redo'))
+    },
+    'ctrl+y': () => {
+      window.dispatchEvent(new CustomEvent('history-redo'))
+    },
+    
     // Help shortcut
     'ctrl+shift+h': () => {
       window.dispatchEvent(new CustomEvent('show-help'))
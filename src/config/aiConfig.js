@@ -13,14 +13,32 @@ export const AI_CONFIG = {
       medium: 3500,
       detailed: 4000
     },
-    responseFormat: { type: 'json_object' }
+    responseFormat: { type: 'json_object' },
+    // Models that accept a JSON Schema as response format (structured outputs)
+    structuredOutputModels: ['gpt-4o', 'gpt-4.1', 'gpt-5', 'o3', 'o4-mini']
   },
 
   // Gemini Configuration
   gemini: {
     model: 'gemini-pro',
-    // Gemini doesn't have temperature or response format options like OpenAI
-    // but we can configure other parameters here if needed
+    // Models that accept a response schema; gemini-pro only returns free text
+    structuredOutputModels: ['gemini-1.5', 'gemini-2']
+  },
+
+  // Local / self-hosted models: any OpenAI-compatible server or Ollama.
+  // Project data never leaves the configured server
+  local: {
+    apiType: 'ollama', // 'ollama' or 'openai' (OpenAI-compatible /chat/completions)
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1',
+    temperature: 0.7,
+    maxTokens: {
+      basic: 2500,
+      medium: 3500,
+      detailed: 4000
+    },
+    // Local models on modest hardware can take minutes for a full project
+    requestTimeout: 180000
   },
 
   // General Configuration
@@ -73,6 +91,11 @@ export const AI_CONFIG = {
         'QUOTA_EXCEEDED',
         'PERMISSION_DENIED',
         'INVALID_ARGUMENT'
+      ],
+      local: [
+        'unauthorized',
+        'model_not_found',
+        'invalid_request'
       ]
     },
 
@@ -91,6 +114,11 @@ export const AI_CONFIG = {
         'TIMEOUT',
         'NETWORK_ERROR',
         'SERVICE_UNAVAILABLE'
+      ],
+      local: [
+        'timeout',
+        'network_error',
+        'server_error'
       ]
     },
 
@@ -141,7 +169,7 @@ export const AI_CONFIG = {
 
 /**
  * Get configuration for a specific provider and complexity
- * @param {string} provider - Provider name ('openai' or 'gemini')
+ * @param {string} provider - Provider name ('openai', 'gemini' or 'local')
  * @param {string} complexity - Complexity level ('basic', 'medium', 'detailed')
  * @returns {Object} Configuration object
  */
@@ -158,6 +186,17 @@ export function getProviderConfig(provider, complexity = 'medium') {
   };
 }
 
+/**
+ * Check if a model can be asked for output that follows a JSON Schema
+ * @param {string} provider - Provider name ('openai' or 'gemini')
+ * @param {string} model - Model name
+ * @returns {boolean} Whether the model supports structured output
+ */
+export function supportsStructuredOutput(provider, model) {
+  const models = AI_CONFIG[provider]?.structuredOutputModels || [];
+  return typeof model === 'string' && models.some(prefix => model.startsWith(prefix));
+}
+
 /**
  * Get error handling configuration for a provider
  * @param {string} provider - Provider name
@@ -9,6 +9,7 @@ import './style.css'
 import App from './App.vue'
 import router from './router'
 import store from './store'
+import { storageService } from './services/storageService.js'
 import { useTheme } from './composables/useTheme'
 
 const app = createApp(App)
@@ -30,7 +31,9 @@ initializeTheme()
 
 // Inicializar datos de prueba en desarrollo
 if (import.meta.env.DEV) {
-  import('./utils/sampleData.js').then(({ initializeSampleData }) => {
+  import('./utils/sampleData.js').then(async ({ initializeSampleData }) => {
+    // Otherwise the data may be checked before it has moved to IndexedDB
+    await storageService.whenReady()
     initializeSampleData()
   })
 }
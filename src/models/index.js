@@ -1,5 +1,6 @@
 // Data models and interfaces for the Personal Project Manager
 import { DateCalculationService } from '../services/dateCalculationService.js';
+import { WorkCalendarService } from '../services/workCalendarService.js';
 
 /**
  * Project interface
@@ -14,6 +15,8 @@ export class Project {
     status = 'active',
     teamMembers = [],
     tasks = [],
+    calendar = null,
+    baselines = [],
     createdAt = new Date(),
     updatedAt = new Date()
   } = {}) {
@@ -25,6 +28,8 @@ export class Project {
     this.status = status;
     this.teamMembers = teamMembers;
     this.tasks = tasks;
+    this.calendar = calendar instanceof WorkCalendar ? calendar : new WorkCalendar(calendar || {});
+    this.baselines = (baselines || []).map(baseline => baseline instanceof ProjectBaseline ? baseline : new ProjectBaseline(baseline));
     this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt);
     this.updatedAt = updatedAt instanceof Date ? updatedAt : new Date(updatedAt);
   }
@@ -61,9 +66,9 @@ export class Project {
 
     try {
       if (isMovingForward) {
-        daysDifference = DateCalculationService.calculateWorkingDays(this.startDate, newStart);
+        daysDifference = DateCalculationService.calculateWorkingDays(this.startDate, newStart, this.calendar);
       } else {
-        daysDifference = DateCalculationService.calculateWorkingDays(newStart, this.startDate);
+        daysDifference = DateCalculationService.calculateWorkingDays(newStart, this.startDate, this.calendar);
       }
     } catch (error) {
       throw new Error(`Error calculating date difference: ${error.message}`);
@@ -83,10 +88,10 @@ export class Project {
 
         if (isMovingForward) {
           // Moving project forward in time
-          task.startDate = DateCalculationService.addWorkingDays(task.startDate, daysDifference);
+          task.startDate = DateCalculationService.addWorkingDays(task.startDate, daysDifference, this.calendar);
         } else {
           // Moving project backward in time
-          task.startDate = DateCalculationService.subtractWorkingDays(task.startDate, daysDifference);
+          task.startDate = DateCalculationService.subtractWorkingDays(task.startDate, daysDifference, this.calendar);
         }
 
         // Validate the new task start date
@@ -100,7 +105,7 @@ export class Project {
           task.endDate = task.calculateEndDate(task.startDate, task.duration);
         } else {
           // If task is a plain object, use DateCalculationService directly
-          task.endDate = DateCalculationService.addWorkingDays(task.startDate, task.duration);
+          task.endDate = DateCalculationService.addWorkingDays(task.startDate, task.duration, this.calendar);
         }
 
         // Validate the new task end date
@@ -168,7 +173,7 @@ export class Project {
     }
 
     // Check if new start date is a working day
-    if (!DateCalculationService.isWorkingDay(newStart)) {
+    if (!DateCalculationService.isWorkingDay(newStart, this.calendar)) {
       const dayName = DateCalculationService.getDayName(newStart);
       result.warnings.push(`New start date falls on a non-working day (${dayName})`);
     }
@@ -178,9 +183,9 @@ export class Project {
       const isMovingForward = newStart >= this.startDate;
 
       if (isMovingForward) {
-        result.daysDifference = DateCalculationService.calculateWorkingDays(this.startDate, newStart);
+        result.daysDifference = DateCalculationService.calculateWorkingDays(this.startDate, newStart, this.calendar);
       } else {
-        result.daysDifference = DateCalculationService.calculateWorkingDays(newStart, this.startDate);
+        result.daysDifference = DateCalculationService.calculateWorkingDays(newStart, this.startDate, this.calendar);
       }
     } catch (error) {
       result.errors.push(`Error calculating date difference: ${error.message}`);
@@ -195,9 +200,9 @@ export class Project {
         let newTaskStartDate;
 
         if (isMovingForward) {
-          newTaskStartDate = DateCalculationService.addWorkingDays(task.startDate, result.daysDifference);
+          newTaskStartDate = DateCalculationService.addWorkingDays(task.startDate, result.daysDifference, this.calendar);
         } else {
-          newTaskStartDate = DateCalculationService.subtractWorkingDays(task.startDate, result.daysDifference);
+          newTaskStartDate = DateCalculationService.subtractWorkingDays(task.startDate, result.daysDifference, this.calendar);
         }
 
         if (isNaN(newTaskStartDate.getTime())) {
@@ -211,7 +216,7 @@ export class Project {
           newTaskEndDate = task.calculateEndDate(newTaskStartDate, task.duration);
         } else {
           // If task is a plain object, use DateCalculationService directly
-          newTaskEndDate = DateCalculationService.addWorkingDays(newTaskStartDate, task.duration);
+          newTaskEndDate = DateCalculationService.addWorkingDays(newTaskStartDate, task.duration, this.calendar);
         }
 
         if (isNaN(newTaskEndDate.getTime())) {
@@ -244,6 +249,22 @@ export class Project {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Get a saved baseline
+   * @param {string} baselineId - Baseline id (default: the most recent baseline)
+   * @returns {ProjectBaseline|null} Baseline or null when there is none
+   */
+  getBaseline(baselineId = null) {
+    if (baselineId) {
+      return this.baselines.find(baseline => baseline.id === baselineId) || null;
+    }
+
+    return this.baselines.reduce(
+      (latest, baseline) => (!latest || baseline.createdAt >= latest.createdAt ? baseline : latest),
+      null
+    );
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -254,6 +275,8 @@ export class Project {
       status: this.status,
       teamMembers: this.teamMembers,
       tasks: this.tasks,
+      calendar: this.calendar.toJSON(),
+      baselines: this.baselines.map(baseline => baseline.toJSON()),
       createdAt: this.createdAt.toISOString(),
       updatedAt: this.updatedAt.toISOString()
     };
@@ -266,6 +289,8 @@ export class Project {
       endDate: data.endDate ? new Date(data.endDate) : null,
       tasks: data.tasks ? data.tasks.map(taskData => Task.fromJSON(taskData)) : [],
       teamMembers: data.teamMembers ? data.teamMembers.map(memberData => TeamMember.fromJSON(memberData)) : [],
+      calendar: data.calendar ? WorkCalendar.fromJSON(data.calendar) : null,
+      baselines: data.baselines ? data.baselines.map(baselineData => ProjectBaseline.fromJSON(baselineData)) : [],
       createdAt: new Date(data.createdAt),
       updatedAt: new Date(data.updatedAt)
     });
@@ -294,6 +319,12 @@ export class Task {
     level = 0,
     duration = null,
     adjustStartDate = false,
+    fixedDates = false,
+    dependencies = [],
+    timeEntries = [],
+    activeTimer = null,
+    estimatedHours = null,
+    remainingHours = null,
     createdAt = new Date(),
     updatedAt = new Date()
   } = {}) {
@@ -313,6 +344,20 @@ export class Task {
     this.subtasks = subtasks;
     this.level = level;
     this.adjustStartDate = adjustStartDate;
+    this.fixedDates = fixedDates === true;
+    this.dependencies = Array.isArray(dependencies)
+      ? dependencies.map(dep => dep instanceof TaskDependency ? dep : new TaskDependency(dep))
+      : [];
+    this.timeEntries = Array.isArray(timeEntries)
+      ? timeEntries.map(entry => entry instanceof TimeEntry ? entry : new TimeEntry(entry))
+      : [];
+    // Running timer: { memberId, startedAt }
+    this.activeTimer = activeTimer
+      ? { memberId: activeTimer.memberId || null, startedAt: new Date(activeTimer.startedAt) }
+      : null;
+    // Effort in person-hours, independent of the calendar duration (null = not estimated)
+    this.estimatedHours = Task.normalizeHours(estimatedHours);
+    this.remainingHours = Task.normalizeHours(remainingHours);
     this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt);
     this.updatedAt = updatedAt instanceof Date ? updatedAt : new Date(updatedAt);
 
@@ -365,10 +410,10 @@ export class Task {
       
       if (start > end) {
         console.warn('Start date is after end date, swapping dates');
-        return DateCalculationService.calculateWorkingDays(end, start);
+        return DateCalculationService.calculateWorkingDays(end, start, this.getCalendar());
       }
       
-      const duration = DateCalculationService.calculateWorkingDays(start, end);
+      const duration = DateCalculationService.calculateWorkingDays(start, end, this.getCalendar());
       
       // Ensure reasonable duration
       if (duration > 365) {
@@ -394,13 +439,63 @@ export class Task {
    */
   calculateEndDate(startDate, duration) {
     try {
-      return DateCalculationService.addWorkingDays(startDate, duration);
+      return DateCalculationService.addWorkingDays(startDate, duration, this.getCalendar());
     } catch (error) {
       console.warn('Error calculating end date:', error.message);
       return new Date(startDate);
     }
   }
 
+  /**
+   * Work calendar of the project this task belongs to (null for the default calendar)
+   * @returns {Object|null} Work calendar
+   */
+  getCalendar() {
+    return WorkCalendarService.getCalendar(this.projectId);
+  }
+
+  /**
+   * Hours logged directly on this task (subtasks not included)
+   * @returns {number} Logged hours
+   */
+  getLoggedHours() {
+    return this.timeEntries.reduce((sum, entry) => sum + entry.hours, 0);
+  }
+
+  /**
+   * Effort still pending on this task
+   * Uses the explicit remainingHours when set, otherwise the estimate minus logged hours
+   * @returns {number|null} Remaining hours, or null when the task has no estimate
+   */
+  getRemainingHours() {
+    if (this.status === 'completed' || this.status === 'cancelled') {
+      return 0;
+    }
+    if (this.remainingHours !== null) {
+      return this.remainingHours;
+    }
+    if (this.estimatedHours === null) {
+      return null;
+    }
+    return Math.max(0, Math.round((this.estimatedHours - this.getLoggedHours()) * 100) / 100);
+  }
+
+  /**
+   * Normalize an hours value: null when empty or invalid, rounded to 2 decimals otherwise
+   * @param {*} hours - Raw value
+   * @returns {number|null} Normalized hours
+   */
+  static normalizeHours(hours) {
+    if (hours === null || hours === undefined || hours === '') {
+      return null;
+    }
+    const value = Number(hours);
+    if (isNaN(value) || value < 0) {
+      return null;
+    }
+    return Math.round(value * 100) / 100;
+  }
+
   /**
    * Calculate start date based on end date and duration
    * @param {Date} endDate - End date
@@ -409,7 +504,7 @@ export class Task {
    */
   calculateStartDate(endDate, duration) {
     try {
-      return DateCalculationService.subtractWorkingDays(endDate, duration);
+      return DateCalculationService.subtractWorkingDays(endDate, duration, this.getCalendar());
     } catch (error) {
       console.warn('Error calculating start date:', error.message);
       return new Date(endDate);
@@ -477,6 +572,36 @@ export class Task {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Add or replace the dependency on a predecessor task
+   * @param {string} predecessorId - ID of the predecessor task
+   * @param {string} type - Dependency type (FS, SS, FF, SF)
+   * @param {number} lag - Lag in working days (negative values are leads)
+   * @returns {TaskDependency} The stored dependency
+   */
+  addDependency(predecessorId, type = 'FS', lag = 0) {
+    const dependency = new TaskDependency({ predecessorId, type, lag });
+    this.dependencies = this.dependencies.filter(dep => dep.predecessorId !== predecessorId);
+    this.dependencies.push(dependency);
+    this.updatedAt = new Date();
+    return dependency;
+  }
+
+  /**
+   * Remove the dependency on a predecessor task
+   * @param {string} predecessorId - ID of the predecessor task
+   * @returns {boolean} True if a dependency was removed
+   */
+  removeDependency(predecessorId) {
+    const originalLength = this.dependencies.length;
+    this.dependencies = this.dependencies.filter(dep => dep.predecessorId !== predecessorId);
+    if (this.dependencies.length !== originalLength) {
+      this.updatedAt = new Date();
+      return true;
+    }
+    return false;
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -496,6 +621,14 @@ export class Task {
       level: this.level,
       duration: this.duration,
       adjustStartDate: this.adjustStartDate,
+      fixedDates: this.fixedDates,
+      dependencies: this.dependencies.map(dep => dep.toJSON()),
+      timeEntries: this.timeEntries.map(entry => entry.toJSON()),
+      activeTimer: this.activeTimer
+        ? { memberId: this.activeTimer.memberId, startedAt: this.activeTimer.startedAt.toISOString() }
+        : null,
+      estimatedHours: this.estimatedHours,
+      remainingHours: this.remainingHours,
       createdAt: this.createdAt.toISOString(),
       updatedAt: this.updatedAt.toISOString()
     };
@@ -508,6 +641,9 @@ export class Task {
       endDate: new Date(data.endDate),
       duration: data.duration,
       adjustStartDate: data.adjustStartDate || false,
+      fixedDates: data.fixedDates || false,
+      dependencies: (data.dependencies || []).map(dep => TaskDependency.fromJSON(dep)),
+      timeEntries: (data.timeEntries || []).map(entry => TimeEntry.fromJSON(entry)),
       createdAt: new Date(data.createdAt),
       updatedAt: new Date(data.updatedAt)
     });
@@ -523,6 +659,8 @@ export class TeamMember {
     email = '',
     role = '',
     avatar = null,
+    hoursPerDay = DEFAULT_HOURS_PER_DAY,
+    daysOff = [],
     joinedAt = new Date()
   } = {}) {
     this.id = id || this.generateId();
@@ -530,6 +668,16 @@ export class TeamMember {
     this.email = email;
     this.role = role;
     this.avatar = avatar;
+    // Capacity: hours available per working day and personal days off ({ date: 'YYYY-MM-DD', reason })
+    this.hoursPerDay = hoursPerDay === null || hoursPerDay === undefined || hoursPerDay === ''
+      ? DEFAULT_HOURS_PER_DAY
+      : Number(hoursPerDay);
+    this.daysOff = Array.isArray(daysOff)
+      ? daysOff
+        .filter(dayOff => dayOff && dayOff.date)
+        .map(dayOff => ({ date: DateCalculationService.toDateKey(dayOff.date), reason: dayOff.reason || '' }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+      : [];
     this.joinedAt = joinedAt instanceof Date ? joinedAt : new Date(joinedAt);
   }
 
@@ -537,6 +685,16 @@ export class TeamMember {
     return 'member_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
   }
 
+  /**
+   * Check if the member is off on a given day
+   * @param {Date|string} date - Day to check
+   * @returns {boolean} True for personal days off
+   */
+  isDayOff(date) {
+    const key = DateCalculationService.toDateKey(date);
+    return this.daysOff.some(dayOff => dayOff.date === key);
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -544,6 +702,8 @@ export class TeamMember {
       email: this.email,
       role: this.role,
       avatar: this.avatar,
+      hoursPerDay: this.hoursPerDay,
+      daysOff: this.daysOff.map(dayOff => ({ ...dayOff })),
       joinedAt: this.joinedAt.toISOString()
     };
   }
@@ -592,10 +752,243 @@ export class Deliverable {
   }
 }
 
+/**
+ * TaskDependency interface
+ * Links a task to a predecessor: FS (finish-to-start), SS (start-to-start),
+ * FF (finish-to-finish) or SF (start-to-finish), with an optional lag in working days
+ */
+export class TaskDependency {
+  constructor({
+    predecessorId = '',
+    type = 'FS',
+    lag = 0
+  } = {}) {
+    this.predecessorId = predecessorId;
+    this.type = type;
+    this.lag = Number.isFinite(Number(lag)) ? Math.round(Number(lag)) : 0;
+  }
+
+  toJSON() {
+    return {
+      predecessorId: this.predecessorId,
+      type: this.type,
+      lag: this.lag
+    };
+  }
+
+  static fromJSON(data) {
+    return new TaskDependency({ ...data });
+  }
+}
+
+/**
+ * WorkCalendar interface
+ * Working weekdays (0 = Sunday ... 6 = Saturday), holidays and exceptions
+ * (dates that override the weekday mask and the holidays) of a project
+ */
+export class WorkCalendar {
+  constructor({
+    workingDays = DEFAULT_WORKING_DAYS,
+    holidays = [],
+    exceptions = []
+  } = {}) {
+    this.workingDays = [...new Set(workingDays.map(Number))]
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+    this.holidays = holidays.map(holiday => ({
+      date: DateCalculationService.toDateKey(holiday.date),
+      name: holiday.name || ''
+    }));
+    this.exceptions = exceptions.map(exception => ({
+      date: DateCalculationService.toDateKey(exception.date),
+      working: exception.working !== false,
+      name: exception.name || ''
+    }));
+  }
+
+  isWorkingDay(date) {
+    return DateCalculationService.isWorkingDay(date, this);
+  }
+
+  /**
+   * Add a holiday; an existing holiday on the same date is replaced
+   * @param {Date|string} date - Holiday date
+   * @param {string} name - Holiday name
+   */
+  addHoliday(date, name = '') {
+    const key = DateCalculationService.toDateKey(date);
+    this.holidays = this.holidays
+      .filter(holiday => holiday.date !== key)
+      .concat({ date: key, name })
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  removeHoliday(date) {
+    const key = DateCalculationService.toDateKey(date);
+    const count = this.holidays.length;
+    this.holidays = this.holidays.filter(holiday => holiday.date !== key);
+    return this.holidays.length !== count;
+  }
+
+  /**
+   * Force a date to be a working or a non-working day
+   * @param {Date|string} date - Date of the exception
+   * @param {boolean} working - Whether the date is worked
+   * @param {string} name - Reason of the exception
+   */
+  setException(date, working, name = '') {
+    const key = DateCalculationService.toDateKey(date);
+    this.exceptions = this.exceptions
+      .filter(exception => exception.date !== key)
+      .concat({ date: key, working: working !== false, name })
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  removeException(date) {
+    const key = DateCalculationService.toDateKey(date);
+    const count = this.exceptions.length;
+    this.exceptions = this.exceptions.filter(exception => exception.date !== key);
+    return this.exceptions.length !== count;
+  }
+
+  toJSON() {
+    return {
+      workingDays: [...this.workingDays],
+      holidays: this.holidays.map(holiday => ({ ...holiday })),
+      exceptions: this.exceptions.map(exception => ({ ...exception }))
+    };
+  }
+
+  static fromJSON(data) {
+    return new WorkCalendar({ ...data });
+  }
+}
+
+/**
+ * TimeEntry interface
+ * Hours worked by a team member on a task, logged by hand or by a timer
+ */
+export class TimeEntry {
+  constructor({
+    id = null,
+    memberId = null,
+    date = new Date(),
+    hours = 0,
+    note = '',
+    source = 'manual',
+    createdAt = new Date()
+  } = {}) {
+    this.id = id || this.generateId();
+    this.memberId = memberId;
+    this.date = date instanceof Date ? date : new Date(date);
+    this.hours = Math.round((Number(hours) || 0) * 100) / 100;
+    this.note = note;
+    this.source = TIME_ENTRY_SOURCES.includes(source) ? source : 'manual';
+    this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt);
+  }
+
+  generateId() {
+    return 'time_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      memberId: this.memberId,
+      date: this.date.toISOString(),
+      hours: this.hours,
+      note: this.note,
+      source: this.source,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+
+  static fromJSON(data) {
+    return new TimeEntry({ ...data });
+  }
+}
+
+/**
+ * ProjectBaseline interface
+ * Named snapshot of the planned dates of every task of a project
+ */
+export class ProjectBaseline {
+  constructor({
+    id = null,
+    name = '',
+    createdAt = new Date(),
+    tasks = []
+  } = {}) {
+    this.id = id || this.generateId();
+    this.name = name;
+    this.createdAt = createdAt instanceof Date ? createdAt : new Date(createdAt);
+    this.tasks = tasks.map(snapshot => ({
+      taskId: snapshot.taskId,
+      title: snapshot.title || '',
+      startDate: snapshot.startDate instanceof Date ? snapshot.startDate : new Date(snapshot.startDate),
+      endDate: snapshot.endDate instanceof Date ? snapshot.endDate : new Date(snapshot.endDate),
+      duration: snapshot.duration || 1
+    }));
+  }
+
+  generateId() {
+    return 'baseline_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+  }
+
+  /**
+   * Snapshot the current dates of a list of tasks
+   * @param {string} name - Baseline name
+   * @param {Task[]} tasks - Tasks of the project
+   * @returns {ProjectBaseline} New baseline
+   */
+  static fromTasks(name, tasks) {
+    return new ProjectBaseline({
+      name,
+      tasks: tasks
+        .filter(task => task.startDate && task.endDate)
+        .map(task => ({
+          taskId: task.id,
+          title: task.title,
+          startDate: new Date(task.startDate),
+          endDate: new Date(task.endDate),
+          duration: task.duration
+        }))
+    });
+  }
+
+  getTaskSnapshot(taskId) {
+    return this.tasks.find(snapshot => snapshot.taskId === taskId) || null;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      createdAt: this.createdAt.toISOString(),
+      tasks: this.tasks.map(snapshot => ({
+        ...snapshot,
+        startDate: snapshot.startDate.toISOString(),
+        endDate: snapshot.endDate.toISOString()
+      }))
+    };
+  }
+
+  static fromJSON(data) {
+    return new ProjectBaseline({ ...data });
+  }
+}
+
 // Constants for validation
 export const PROJECT_STATUSES = ['active', 'completed', 'paused'];
 export const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
 export const TASK_TYPES = ['simple', 'with_deliverable'];
 export const TASK_PRIORITIES = ['low', 'medium', 'high'];
 export const DELIVERABLE_TYPES = ['presentation', 'file', 'exposition', 'other'];
-export const DELIVERABLE_STATUSES = ['pending', 'in_review', 'completed'];
\ No newline at end of file
+export const DELIVERABLE_STATUSES = ['pending', 'in_review', 'completed'];
+export const DEPENDENCY_TYPES = ['FS', 'SS', 'FF', 'SF'];
+export const TIME_ENTRY_SOURCES = ['manual', 'timer'];
+export const MAX_TIME_ENTRY_HOURS = 24;
+export const MAX_ESTIMATED_HOURS = 10000;
+export const DEFAULT_HOURS_PER_DAY = 8;
+export const MAX_DEPENDENCY_LAG = 365;
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5, 6]; // 0 = Sunday ... 6 = Saturday
\ No newline at end of file
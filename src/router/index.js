@@ -41,6 +41,18 @@ const routes = [
     component: Gantt,
     meta: { title: 'Diagrama de Gantt' }
   },
+  {
+    path: '/timesheet',
+    name: 'Timesheet',
+    component: () => import('../views/Timesheet.vue'),
+    meta: { title: 'Hoja de Horas' }
+  },
+  {
+    path: '/workload',
+    name: 'Workload',
+    component: () => import('../views/Workload.vue'),
+    meta: { title: 'Carga de Trabajo' }
+  },
   {
     path: '/users',
     name: 'UserManagement',
@@ -0,0 +1,217 @@
+import { storageService } from './storageService.js'
+import { userService } from './userService.js'
+import { DateCalculationService } from './dateCalculationService.js'
+
+// The log is rotated (oldest entries first) beyond any of these limits
+export const MAX_LOG_ENTRIES = 2000
+export const MAX_LOG_SIZE = 512 * 1024 // characters of serialized JSON
+
+export const TRACKED_FIELDS = {
+  task: {
+    title: 'Título',
+    description: 'Descripción',
+    status: 'Estado',
+    priority: 'Prioridad',
+    type: 'Tipo',
+    startDate: 'Fecha de inicio',
+    endDate: 'Fecha de fin',
+    duration: 'Duración',
+    progress: 'Progreso',
+    assignedTo: 'Responsable',
+    parentTaskId: 'Tarea padre',
+    dependencies: 'Dependencias',
+    estimatedHours: 'Horas estimadas',
+    fixedDates: 'Fechas fijas'
+  },
+  project: {
+    name: 'Nombre',
+    description: 'Descripción',
+    status: 'Estado',
+    startDate: 'Fecha de inicio',
+    endDate: 'Fecha de fin',
+    teamMembers: 'Equipo',
+    calendar: 'Calendario laboral'
+  }
+}
+
+const DATE_FIELDS = ['startDate', 'endDate']
+
+/**
+ * Append-only activity log of project and task changes
+ */
+class ActivityLogService {
+  get logKey() {
+    return storageService.storageKeys.activityLog
+  }
+
+  /**
+   * Record the changes between two versions of an entity
+   * @param {string} entityType - 'task' or 'project'
+   * @param {Object|null} before - Entity before the change (null when created)
+   * @param {Object|null} after - Entity after the change (null when deleted)
+   * @returns {Array} Recorded entries
+   */
+  record(entityType, before, after) {
+    return this.recordMany([{ entityType, before, after }])
+  }
+
+  /**
+   * Record several changes with a single write
+   * @param {Array} changes - Objects with entityType, before and after
+   * @returns {Array} Recorded entries
+   */
+  recordMany(changes) {
+    try {
+      const actor = this.getActor()
+      const timestamp = new Date().toISOString()
+      const entries = changes.flatMap(({ entityType, before, after }) =>
+        this.buildEntries(entityType, before, after, actor, timestamp)
+      )
+
+      if (entries.length > 0) {
+        this.append(entries)
+      }
+      return entries
+    } catch (error) {
+      // The log must never make the change itself fail
+      console.warn('Error recording activity:', error.message)
+      return []
+    }
+  }
+
+  buildEntries(entityType, before, after, actor, timestamp) {
+    const entity = after || before
+    if (!entity || !TRACKED_FIELDS[entityType]) return []
+
+    const base = {
+      entityType,
+      entityId: entity.id,
+      entityName: entity.title || entity.name || '',
+      projectId: entityType === 'project' ? entity.id : entity.projectId || null,
+      actor,
+      timestamp
+    }
+
+    if (!before || !after) {
+      return [this.createEntry({ ...base, action: before ? 'delete' : 'create', field: null, oldValue: null, newValue: null })]
+    }
+
+    return Object.keys(TRACKED_FIELDS[entityType])
+      .map(field => ({
+        field,
+        oldValue: this.normalizeValue(field, before[field]),
+        newValue: this.normalizeValue(field, after[field])
+      }))
+      .filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue))
+      .map(change => this.createEntry({ ...base, action: 'update', ...change }))
+  }
+
+  createEntry(data) {
+    return {
+      id: 'activity_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11),
+      ...data
+    }
+  }
+
+  /**
+   * Comparable, storable form of a field value
+   */
+  normalizeValue(field, value) {
+    if (value === undefined || value === null || value === '') return null
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = value instanceof Date ? value : new Date(value)
+      return isNaN(date.getTime()) ? null : DateCalculationService.toDateKey(date)
+    }
+    if (field === 'dependencies') {
+      return value.map(dependency => dependency.predecessorId).sort()
+    }
+    if (field === 'teamMembers') {
+      return value.map(member => member.name).sort()
+    }
+    if (field === 'calendar') {
+      return [...(value.workingDays || [])].sort()
+    }
+    return value
+  }
+
+  append(entries) {
+    let log = [...this.getEntries(), ...entries]
+
+    if (log.length > MAX_LOG_ENTRIES) {
+      log = log.slice(log.length - MAX_LOG_ENTRIES)
+    }
+    // Drop the oldest quarter until the log fits its share of the storage
+    while (log.length > 1 && JSON.stringify(log).length > MAX_LOG_SIZE) {
+      log = log.slice(Math.ceil(log.length / 4))
+    }
+
+    try {
+      localStorage.setItem(this.logKey, JSON.stringify(log))
+    } catch (error) {
+      if (error.name !== 'QuotaExceededError') throw error
+      // Project data has priority over its history
+      localStorage.setItem(this.logKey, JSON.stringify(log.slice(Math.floor(log.length / 2))))
+    }
+  }
+
+  /**
+   * All entries, oldest first
+   * @returns {Array} Log entries
+   */
+  getEntries() {
+    try {
+      const log = localStorage.getItem(this.logKey)
+      return log ? JSON.parse(log) : []
+    } catch (error) {
+      console.error('Error loading activity log:', error)
+      return []
+    }
+  }
+
+  /**
+   * Entries of one task or project, newest first
+   * @param {string} entityType - 'task' or 'project'
+   * @param {string} entityId - Entity ID
+   * @returns {Array} Log entries
+   */
+  getEntityLog(entityType, entityId) {
+    return this.getEntries()
+      .filter(entry => entry.entityType === entityType && entry.entityId === entityId)
+      .reverse()
+  }
+
+  /**
+   * Entries of a project and its tasks, newest first
+   * @param {string} projectId - Project ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array} Log entries
+   */
+  getProjectLog(projectId, limit = 100) {
+    return this.getEntries()
+      .filter(entry => entry.projectId === projectId)
+      .reverse()
+      .slice(0, limit)
+  }
+
+  /**
+   * User the changes are attributed to (chosen in the activity feed)
+   * @returns {Object|null} Actor with id and name
+   */
+  getActor() {
+    const { activityActorId } = storageService.getUserPreferences()
+    const user = activityActorId ? userService.getUserById(activityActorId) : null
+    return user ? { id: user.id, name: user.name } : null
+  }
+
+  /**
+   * Attribute the following changes to a global user
+   * @param {string|null} userId - User ID (null for the local user)
+   */
+  setActor(userId) {
+    storageService.saveUserPreferences({ activityActorId: userId || null })
+  }
+}
+
+// Export singleton instance
+export const activityLogService = new ActivityLogService()
@@ -0,0 +1,159 @@
+/**
+ * AIGenerationHistoryService - History of AI project generations
+ * An entry keeps what is needed to run a generation again (prompt and options),
+ * the prompt analysis, the raw text answered by every provider tried and the
+ * generated project, so that two runs can be compared side by side
+ */
+
+// Options that define a run, with the labels used when comparing runs
+export const GENERATION_OPTIONS = {
+  complexity: 'Complejidad',
+  maxTasks: 'Máximo de tareas',
+  includeTeamMembers: 'Equipo sugerido',
+  provider: 'Proveedor'
+};
+
+const METRICS = {
+  taskCount: 'Tareas principales',
+  subtaskCount: 'Subtareas',
+  estimatedDuration: 'Duración estimada (días)',
+  totalDuration: 'Suma de duraciones (días)',
+  teamSize: 'Miembros del equipo',
+  time: 'Tiempo de generación (s)'
+};
+
+export class AIGenerationHistoryService {
+  /**
+   * Create the history entry of a generation run
+   * @param {Object} run - Generation run
+   * @param {string} run.prompt - Prompt sent to the AI
+   * @param {Object} run.options - Generation options (complexity, maxTasks, includeTeamMembers, provider)
+   * @param {Object|null} run.analysis - promptAnalyzer.analyzeStructure result
+   * @param {Object} run.result - Result of aiService.generateProjectWithFallback
+   * @returns {Object} Entry ready to be stored
+   */
+  static createEntry({ prompt, options = {}, analysis = null, result = {} }) {
+    const project = result.project ? JSON.parse(JSON.stringify(result.project)) : null;
+
+    return {
+      id: 'generation_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11),
+      createdAt: new Date().toISOString(),
+      prompt,
+      options: this.pickOptions(options),
+      analysis,
+      status: this.getStatus(result),
+      provider: result.provider || null,
+      rawResponse: result.rawResponse ?? null,
+      attempts: (result.attempts || []).map(attempt => ({
+        provider: attempt.provider,
+        success: attempt.success,
+        time: attempt.time || 0,
+        error: attempt.error || (attempt.errors || []).join(', ') || null,
+        rawResponse: attempt.rawResponse ?? null
+      })),
+      errors: result.errors || [],
+      project
+    };
+  }
+
+  static pickOptions(options) {
+    return Object.fromEntries(
+      Object.keys(GENERATION_OPTIONS).map(key => [key, options[key] ?? null])
+    );
+  }
+
+  static getStatus(result) {
+    if (result.success) {
+      return result.project?.incomplete ? 'incomplete' : 'success';
+    }
+    return result.cancelled ? 'cancelled' : 'failed';
+  }
+
+  /**
+   * Tasks of the generated project in display order, whether the subtasks are
+   * nested or listed after their parent
+   * @param {Object} entry - History entry
+   * @returns {Array} Tasks with title, duration and depth
+   */
+  static flattenTasks(entry) {
+    const seen = new Set();
+    const flat = [];
+
+    const visit = (tasks, depth) => {
+      (tasks || []).forEach(task => {
+        if (task.id && seen.has(task.id)) return;
+        if (task.id) seen.add(task.id);
+
+        flat.push({ title: task.title || '', duration: task.duration || 0, depth: task.level ?? depth });
+        visit(task.subtasks, depth + 1);
+      });
+    };
+    visit(entry.project?.tasks, 0);
+
+    return flat;
+  }
+
+  /**
+   * Figures of a run used to compare it with another one
+   * @param {Object} entry - History entry
+   * @returns {Object} Metric values by key (null when the run has no project)
+   */
+  static getMetrics(entry) {
+    const project = entry.project;
+    const time = entry.attempts.reduce((sum, attempt) => sum + attempt.time, 0);
+
+    if (!project) {
+      return { ...Object.fromEntries(Object.keys(METRICS).map(key => [key, null])), time: Math.round(time / 1000) };
+    }
+
+    const tasks = this.flattenTasks(entry);
+    const mainTasks = tasks.filter(task => task.depth === 0);
+
+    return {
+      taskCount: mainTasks.length,
+      subtaskCount: tasks.length - mainTasks.length,
+      estimatedDuration: project.estimatedDuration ?? null,
+      totalDuration: mainTasks.reduce((sum, task) => sum + task.duration, 0),
+      teamSize: (project.teamMembers || []).length,
+      time: Math.round(time / 1000)
+    };
+  }
+
+  /**
+   * Compare two runs side by side
+   * Tasks are matched by title, ignoring case and surrounding spaces
+   * @param {Object} left - History entry
+   * @param {Object} right - History entry
+   * @returns {Object} Rows of options and metrics ({ key, label, left, right, changed })
+   * and the tasks of each run marked as shared or not
+   */
+  static compare(left, right) {
+    const rows = (labels, leftValues, rightValues) => Object.entries(labels).map(([key, label]) => ({
+      key,
+      label,
+      left: leftValues[key],
+      right: rightValues[key],
+      changed: leftValues[key] !== rightValues[key]
+    }));
+
+    const leftTasks = this.flattenTasks(left);
+    const rightTasks = this.flattenTasks(right);
+    const titles = (tasks) => new Set(tasks.map(task => this.normalizeTitle(task.title)));
+    const leftTitles = titles(leftTasks);
+    const rightTitles = titles(rightTasks);
+
+    return {
+      promptChanged: left.prompt.trim() !== right.prompt.trim(),
+      options: rows(GENERATION_OPTIONS, left.options, right.options),
+      metrics: rows(METRICS, this.getMetrics(left), this.getMetrics(right)),
+      tasks: {
+        left: leftTasks.map(task => ({ ...task, shared: rightTitles.has(this.normalizeTitle(task.title)) })),
+        right: rightTasks.map(task => ({ ...task, shared: leftTitles.has(this.normalizeTitle(task.title)) }))
+      }
+    };
+  }
+
+  static normalizeTitle(title) {
+    return title.trim().toLowerCase();
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * AIRefinementService - AI actions on an existing project
+ * Breaks a task into subtasks, suggests missing tasks, re-estimates durations
+ * or rewrites descriptions. The answer is turned into a diff the user reviews
+ * before it is applied with tasks/applyRefinement
+ */
+
+import { aiService } from './aiService.js';
+import { DateCalculationService } from './dateCalculationService.js';
+import { WorkCalendarService } from './workCalendarService.js';
+import { hierarchyResponseParser } from '../utils/hierarchyResponseParser.js';
+import { hierarchyValidator } from '../utils/hierarchyValidator.js';
+import { aiResponseSchema } from '../utils/aiResponseSchema.js';
+
+export const REFINEMENT_ACTIONS = {
+  expand: {
+    label: 'Dividir en subtareas',
+    description: 'Descompone la tarea seleccionada en subtareas',
+    requiresTask: true
+  },
+  suggest: {
+    label: 'Sugerir tareas',
+    description: 'Propone las tareas que faltan en el plan',
+    requiresTask: false
+  },
+  reestimate: {
+    label: 'Reestimar duraciones',
+    description: 'Revisa las duraciones que parecen poco realistas',
+    requiresTask: false
+  },
+  rewrite: {
+    label: 'Reescribir descripciones',
+    description: 'Completa las descripciones vacías o poco claras',
+    requiresTask: false
+  }
+};
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const MAX_OUTLINE_DESCRIPTION = 200;
+
+export class AIRefinementService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.ai - Service used to talk to the AI providers
+   */
+  constructor({ ai = aiService } = {}) {
+    this.ai = ai;
+  }
+
+  /**
+   * Ask the AI for a refinement of the project
+   * @param {string} action - One of REFINEMENT_ACTIONS
+   * @param {Object} context - Refinement context
+   * @param {Object} context.project - Project being refined
+   * @param {Array} context.tasks - Tasks of the project
+   * @param {string} context.taskId - Selected task (required to expand)
+   * @param {string} context.instructions - Optional instructions from the user
+   * @returns {Promise<Object>} Diff with the tasks to create and the changes to existing ones
+   */
+  async refine(action, { project, tasks = [], taskId = null, instructions = '' } = {}) {
+    if (!REFINEMENT_ACTIONS[action]) {
+      throw new Error(`Unknown refinement action: ${action}`);
+    }
+    if (!project) {
+      throw new Error('A project is required to refine it');
+    }
+
+    const selectedTask = taskId ? tasks.find(task => task.id === taskId) : null;
+    if (REFINEMENT_ACTIONS[action].requiresTask && !selectedTask) {
+      throw new Error('Select the task to break into subtasks');
+    }
+
+    const context = { project, tasks, selectedTask, instructions: instructions.trim() };
+    const { content, provider } = await this.ai.complete([
+      { role: 'system', content: this.createSystemPrompt(action) },
+      { role: 'user', content: this.createContextPrompt(action, context) }
+    ], {
+      temperature: 0.4,
+      maxTokens: 3000,
+      json: true
+    });
+
+    const diff = this.buildDiff(action, aiResponseSchema.parseJSON(content), context);
+    return { ...diff, provider };
+  }
+
+  /**
+   * Create the system prompt for an action
+   * @param {string} action - Refinement action
+   * @returns {string} System prompt
+   */
+  createSystemPrompt(action) {
+    const task = `{"title": "Task title", "description": "What is done and its result", "duration": number_of_working_days, "priority": "low|medium|high", "type": "simple|with_deliverable", "subtasks": []}`;
+
+    const instructions = {
+      expand: `Break the SELECTED task into 2 to 8 subtasks that together cover its whole scope. A subtask may have its own subtasks, at most 2 more levels.
+Respond with: {"subtasks": [${task}]}`,
+      suggest: `Suggest the tasks that are missing from the plan (for example testing, documentation, reviews or deployment). Do not repeat existing tasks. A suggested task goes under an existing task when parentTaskId holds its id, or is a main task when parentTaskId is null.
+Respond with: {"tasks": [{"parentTaskId": "existing task id or null", ...${task.substring(1)}]}`,
+      reestimate: `Review the duration of the open tasks without subtasks and propose a new estimate only where the current one looks unrealistic for its scope.
+Respond with: {"updates": [{"taskId": "task id", "duration": number_of_working_days, "reason": "Short reason"}]}`,
+      rewrite: `Rewrite the descriptions that are missing, vague or too short so they state the goal and the expected result in 1 to 3 sentences. Leave good descriptions out.
+Respond with: {"updates": [{"taskId": "task id", "description": "New description"}]}`
+    };
+
+    return `You are an expert project manager reviewing an existing project plan.
+
+CRITICAL INSTRUCTIONS:
+1. You MUST respond with ONLY valid, complete JSON
+2. Do NOT include any explanations, comments, or text outside the JSON
+3. Write titles, descriptions and reasons in the language of the project
+4. Durations are whole working days, at least 1
+5. Only use task ids that appear in the plan
+
+${instructions[action]}`;
+  }
+
+  /**
+   * Describe the project and its tasks for the AI
+   * @param {string} action - Refinement action
+   * @param {Object} context - Refinement context
+   * @returns {string} User prompt
+   */
+  createContextPrompt(action, { project, tasks, selectedTask, instructions }) {
+    const lines = [
+      `Project: ${project.name}`,
+      project.description ? `Description: ${project.description}` : null,
+      project.startDate ? `Start date: ${DateCalculationService.toDateKey(toDate(project.startDate))}` : null,
+      '',
+      'Tasks (id, title, duration, status):'
+    ];
+
+    const outline = (parentId, depth) => {
+      tasks
+        .filter(task => (task.parentTaskId || null) === parentId)
+        .forEach(task => {
+          const description = (task.description || '').replace(/\s+/g, ' ').substring(0, MAX_OUTLINE_DESCRIPTION);
+          lines.push(`${'  '.repeat(depth)}- [${task.id}] ${task.title} (${task.duration || 1} days, ${task.status})${description ? `: ${description}` : ''}`);
+          outline(task.id, depth + 1);
+        });
+    };
+    outline(null, 0);
+
+    if (tasks.length === 0) {
+      lines.push('(no tasks yet)');
+    }
+    if (action === 'expand') {
+      lines.push('', `SELECTED task: [${selectedTask.id}] ${selectedTask.title}`);
+    }
+    if (instructions) {
+      lines.push('', `Additional instructions: ${instructions}`);
+    }
+
+    return lines.filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Turn the AI answer into a diff
+   * @param {string} action - Refinement action
+   * @param {Object} data - Parsed AI answer
+   * @param {Object} context - Refinement context
+   * @returns {Object} { action, creates, updates, warnings }
+   */
+  buildDiff(action, data, context) {
+    const diff = { action, creates: [], updates: [], warnings: [] };
+    const calendar = WorkCalendarService.getCalendar(context.project.id);
+
+    if (action === 'expand') {
+      const subtasks = Array.isArray(data?.subtasks) ? data.subtasks : [];
+      diff.creates = this.createTasks(subtasks, context.selectedTask, toDate(context.selectedTask.startDate), calendar, diff.warnings);
+    }
+
+    if (action === 'suggest') {
+      const suggestions = Array.isArray(data?.tasks) ? data.tasks : [];
+      const byParent = new Map();
+
+      suggestions.forEach(suggestion => {
+        const parent = suggestion?.parentTaskId ? context.tasks.find(task => task.id === suggestion.parentTaskId) : null;
+        if (suggestion?.parentTaskId && !parent) {
+          diff.warnings.push(`"${suggestion.title}" se propone como tarea principal: su tarea padre no existe`);
+        }
+        const key = parent?.id || null;
+        if (!byParent.has(key)) byParent.set(key, []);
+        byParent.get(key).push(suggestion);
+      });
+
+      byParent.forEach((group, parentId) => {
+        const parent = parentId ? context.tasks.find(task => task.id === parentId) : null;
+        const startDate = parent ? toDate(parent.startDate) : this.getPlanEnd(context);
+        diff.creates.push(...this.createTasks(group, parent, startDate, calendar, diff.warnings));
+      });
+    }
+
+    if (action === 'reestimate' || action === 'rewrite') {
+      const updates = Array.isArray(data?.updates) ? data.updates : [];
+      updates.forEach(update => {
+        const entry = action === 'reestimate'
+          ? this.createDurationUpdate(update, context, calendar, diff.warnings)
+          : this.createDescriptionUpdate(update, context, diff.warnings);
+        if (entry) diff.updates.push(entry);
+      });
+    }
+
+    return diff;
+  }
+
+  /**
+   * Build the tasks to create from the AI tasks
+   * The tree goes through the hierarchy parser and validator used for new
+   * projects, then is flattened parents first and scheduled one after another
+   * @returns {Array} Tasks to create
+   */
+  createTasks(rawTasks, parentTask, startDate, calendar, warnings) {
+    const valid = rawTasks.filter(task => task && typeof task.title === 'string' && task.title.trim());
+    if (valid.length === 0) return [];
+
+    const hierarchyData = hierarchyResponseParser.buildTaskHierarchy(valid);
+    const validation = hierarchyValidator.validateHierarchy(hierarchyData);
+    if (!validation.isValid) {
+      throw new Error(`AI suggestion validation failed: ${validation.errors.join(', ')}`);
+    }
+    warnings.push(...validation.warnings);
+
+    const creates = [];
+    const schedule = (tasks, parentTaskId, from, depth) => {
+      let cursor = from;
+
+      tasks.forEach(task => {
+        const entry = {
+          id: task.id,
+          parentTaskId,
+          title: task.title.trim(),
+          description: task.description,
+          priority: ['low', 'medium', 'high'].includes(task.priority) ? task.priority : 'medium',
+          type: task.deliverable ? 'with_deliverable' : 'simple',
+          deliverable: task.deliverable || null,
+          depth
+        };
+        creates.push(entry);
+
+        entry.startDate = new Date(cursor);
+        if (task.subtasks.length > 0) {
+          entry.endDate = schedule(task.subtasks, task.id, cursor, depth + 1);
+          entry.duration = task.aggregatedDuration;
+        } else {
+          entry.duration = task.duration;
+          entry.endDate = DateCalculationService.addWorkingDays(cursor, task.duration, calendar);
+        }
+        cursor = entry.endDate;
+      });
+
+      return cursor;
+    };
+
+    schedule(hierarchyData.tasks, parentTask?.id || null, startDate || new Date(), 0);
+    return creates;
+  }
+
+  createDurationUpdate(update, { tasks }, calendar, warnings) {
+    const task = tasks.find(item => item.id === update?.taskId);
+    if (!task) return null;
+
+    if (tasks.some(item => item.parentTaskId === task.id) || CLOSED_STATUSES.includes(task.status)) {
+      warnings.push(`"${task.title}" no se reestima: tiene subtareas o está cerrada`);
+      return null;
+    }
+
+    const duration = hierarchyResponseParser.validateDuration(Number(update.duration));
+    if (duration === task.duration) return null;
+
+    const startDate = toDate(task.startDate);
+    return {
+      taskId: task.id,
+      title: task.title,
+      changes: { duration, endDate: DateCalculationService.addWorkingDays(startDate, duration, calendar) },
+      previous: { duration: task.duration, endDate: toDate(task.endDate) },
+      reason: typeof update.reason === 'string' ? update.reason : ''
+    };
+  }
+
+  createDescriptionUpdate(update, { tasks }, warnings) {
+    const task = tasks.find(item => item.id === update?.taskId);
+    if (!task) return null;
+
+    const description = typeof update.description === 'string' ? update.description.trim() : '';
+    if (!description || description === (task.description || '').trim()) return null;
+
+    if (description.length > hierarchyValidator.validationRules.maxDescriptionLength) {
+      warnings.push(`La nueva descripción de "${task.title}" es demasiado larga y se ha omitido`);
+      return null;
+    }
+
+    return {
+      taskId: task.id,
+      title: task.title,
+      changes: { description },
+      previous: { description: task.description || '' },
+      reason: ''
+    };
+  }
+
+  /**
+   * Date after the last task of the plan, where new main tasks are placed
+   * @returns {Date} Start date for new main tasks
+   */
+  getPlanEnd({ project, tasks }) {
+    const ends = tasks.map(task => toDate(task.endDate)).filter(date => date && !isNaN(date.getTime()));
+    if (ends.length > 0) {
+      return new Date(Math.max(...ends.map(date => date.getTime())));
+    }
+    return project.startDate ? toDate(project.startDate) : new Date();
+  }
+}
+
+function toDate(value) {
+  return value instanceof Date ? value : (value ? new Date(value) : null);
+}
+
+// Export singleton instance
+export const aiRefinementService = new AIRefinementService();
@@ -1,16 +1,19 @@
 /**
  * AIService - Unified service for handling multiple AI providers
- * Supports OpenAI and Google Gemini APIs for project generation
+ * Supports OpenAI, Google Gemini and self-hosted models (Ollama or any
+ * OpenAI-compatible server) for project generation
  */
 
 import { openAIService } from './openAIService.js';
 import { geminiService } from './geminiService.js';
+import { localLLMService } from './localLLMService.js';
 
 export class AIService {
   constructor() {
     this.providers = {
       openai: openAIService,
-      gemini: geminiService
+      gemini: geminiService,
+      local: localLLMService
     };
     this.defaultProvider = 'openai';
     this.currentProvider = null;
@@ -21,10 +24,11 @@ export class AIService {
    * @param {Object} config - Configuration object with API keys
    * @param {string} config.openaiKey - OpenAI API key
    * @param {string} config.geminiKey - Gemini API key
-   * @param {string} config.defaultProvider - Default provider to use ('openai' or 'gemini')
+   * @param {Object} config.local - Local model settings (baseUrl, model, apiType, apiKey)
+   * @param {string} config.defaultProvider - Default provider to use ('openai', 'gemini' or 'local')
    */
   configure(config = {}) {
-    const { openaiKey, geminiKey, defaultProvider = 'openai' } = config;
+    const { openaiKey, geminiKey, local, defaultProvider = 'openai' } = config;
     
     // Configure OpenAI if key is provided
     if (openaiKey) {
@@ -46,6 +50,16 @@ export class AIService {
       }
     }
 
+    // Configure the local model if a server URL is provided
+    if (local?.baseUrl) {
+      try {
+        this.providers.local.configure(local);
+        console.log('Local model service configured successfully');
+      } catch (error) {
+        console.error('Failed to configure local model:', error.message);
+      }
+    }
+
     // Set default provider
     if (this.providers[defaultProvider]) {
       this.defaultProvider = defaultProvider;
@@ -55,7 +69,7 @@ export class AIService {
 
   /**
    * Set the current AI provider
-   * @param {string} provider - Provider name ('openai' or 'gemini')
+   * @param {string} provider - Provider name ('openai', 'gemini' or 'local')
    */
   setProvider(provider) {
     if (!this.providers[provider]) {
@@ -152,6 +166,9 @@ export class AIService {
 
   /**
    * Generate project with automatic fallback to other providers
+   * With options.onProgress the generation is streamed by the providers that
+   * support it, and options.signal cancels it keeping the tasks received so far.
+   * The raw text answered by each provider is returned with its attempt
    * @param {string} prompt - User description of the project
    * @param {Object} options - Generation options
    * @returns {Promise<Object>} Generation result with provider information
@@ -163,7 +180,9 @@ export class AIService {
       provider: null,
       errors: [],
       warnings: [],
-      attempts: []
+      attempts: [],
+      cancelled: false,
+      rawResponse: null
     };
 
     const configuredProviders = Object.entries(this.providers)
@@ -186,14 +205,42 @@ export class AIService {
         continue;
       }
 
+      if (options.signal?.aborted) {
+        result.cancelled = true;
+        break;
+      }
+
       const attemptStart = Date.now();
+      provider.lastResponse = null;
       
       try {
         console.log(`Attempting project generation with ${providerName}...`);
         
         // Use the safe generation method if available
         let generationResult;
-        if (provider.generateProjectSafe) {
+        if (options.onProgress && provider.generateProjectStream) {
+          // Streamed generation is not retried, the user already saw it progress
+          const project = await provider.generateProjectStream(prompt, options);
+
+          result.success = true;
+          result.project = project;
+          result.provider = providerName;
+          result.cancelled = Boolean(project.incomplete);
+          result.project.generatedBy = providerName;
+          result.project.generatedAt = new Date().toISOString();
+
+          result.attempts.push({
+            provider: providerName,
+            success: true,
+            time: Date.now() - attemptStart,
+            streamed: true,
+            rawResponse: provider.lastResponse ?? null
+          });
+          result.rawResponse = provider.lastResponse ?? null;
+
+          console.log(`Project generated successfully with ${providerName}`);
+          break;
+        } else if (provider.generateProjectSafe) {
           generationResult = await provider.generateProjectSafe(prompt, options);
           
           if (generationResult.success) {
@@ -207,8 +254,10 @@ export class AIService {
               provider: providerName,
               success: true,
               time: Date.now() - attemptStart,
-              retryCount: generationResult.retryCount || 0
+              retryCount: generationResult.retryCount || 0,
+              rawResponse: provider.lastResponse ?? null
             });
+            result.rawResponse = provider.lastResponse ?? null;
             
             console.log(`Project generated successfully with ${providerName}`);
             break;
@@ -217,7 +266,8 @@ export class AIService {
               provider: providerName,
               success: false,
               time: Date.now() - attemptStart,
-              errors: generationResult.errors || []
+              errors: generationResult.errors || [],
+              rawResponse: provider.lastResponse ?? null
             });
             result.errors.push(`${providerName}: ${generationResult.errors.join(', ')}`);
           }
@@ -234,8 +284,10 @@ export class AIService {
           result.attempts.push({
             provider: providerName,
             success: true,
-            time: Date.now() - attemptStart
+            time: Date.now() - attemptStart,
+            rawResponse: provider.lastResponse ?? null
           });
+          result.rawResponse = provider.lastResponse ?? null;
           
           console.log(`Project generated successfully with ${providerName}`);
           break;
@@ -248,24 +300,68 @@ export class AIService {
           provider: providerName,
           success: false,
           time: attemptTime,
-          error: error.message
+          error: error.message,
+          rawResponse: provider.lastResponse ?? null
         });
         
         result.errors.push(`${providerName}: ${error.message}`);
         console.error(`Project generation failed with ${providerName}:`, error.message);
+
+        // A cancelled generation does not move on to the next provider
+        if (options.signal?.aborted) {
+          result.cancelled = true;
+          break;
+        }
         
         // Continue to next provider
         continue;
       }
     }
 
-    if (!result.success) {
+    if (!result.success && !result.cancelled) {
       result.errors.unshift('All configured AI providers failed to generate the project');
     }
 
     return result;
   }
 
+  /**
+   * Send a chat to the current provider, falling back to the other configured ones
+   * Used by the AI actions on existing projects, which build their own prompts
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {Object} options - temperature, maxTokens and json
+   * @returns {Promise<Object>} { content, provider }
+   */
+  async complete(messages, options = {}) {
+    const configuredProviders = Object.keys(this.providers)
+      .filter(name => this.providers[name].isReady() && this.providers[name].complete);
+
+    if (configuredProviders.length === 0) {
+      throw new Error('No AI provider is configured and ready');
+    }
+
+    const currentProvider = this.getCurrentProvider();
+    const providersToTry = configuredProviders.includes(currentProvider)
+      ? [currentProvider, ...configuredProviders.filter(name => name !== currentProvider)]
+      : configuredProviders;
+    const errors = [];
+
+    for (const providerName of providersToTry) {
+      try {
+        const content = await this.providers[providerName].complete(messages, options);
+        if (content) {
+          return { content, provider: providerName };
+        }
+        errors.push(`${providerName}: empty response`);
+      } catch (error) {
+        console.error(`AI request failed with ${providerName}:`, error.message);
+        errors.push(`${providerName}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All configured AI providers failed: ${errors.join('; ')}`);
+  }
+
   /**
    * Test connection for all configured providers
    * @returns {Promise<Object>} Test results for all providers
@@ -327,6 +423,12 @@ export class AIService {
         models: ['gemini-pro'],
         description: 'Google Gemini Pro for project generation',
         configured: this.providers.gemini.isReady()
+      },
+      local: {
+        name: 'Modelo local',
+        models: [this.providers.local.getModel()],
+        description: 'Self-hosted model (Ollama or OpenAI-compatible server), data stays in your network',
+        configured: this.providers.local.isReady()
       }
     };
   }
@@ -0,0 +1,150 @@
+/**
+ * BaselineService - Compares the current plan of a project with a saved baseline
+ * Variances are counted in working days of the project calendar; positive values are delays
+ */
+
+import { DateCalculationService } from './dateCalculationService.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+export class BaselineService {
+  /**
+   * Working days from one date to another (negative when `to` is earlier)
+   * @param {Date} from - Reference date
+   * @param {Date} to - Compared date
+   * @param {Object} calendar - Optional work calendar
+   * @returns {number} Signed number of working days
+   */
+  static workingDayOffset(from, to, calendar = null) {
+    const start = DateCalculationService.parseDate(from);
+    const end = DateCalculationService.parseDate(to);
+    const sign = end >= start ? 1 : -1;
+    const [low, high] = sign === 1 ? [start, end] : [end, start];
+
+    let count = 0;
+    const cursor = new Date(low);
+    cursor.setDate(cursor.getDate() + 1);
+    while (cursor <= high) {
+      if (DateCalculationService.isWorkingDay(cursor, calendar)) {
+        count++;
+      }
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return sign * count;
+  }
+
+  /**
+   * Variance of a task against its baseline snapshot
+   * @param {Task} task - Current task
+   * @param {Object} snapshot - Baseline snapshot of the task
+   * @param {Object} calendar - Optional work calendar
+   * @returns {Object} Start, finish and duration variances
+   */
+  static calculateTaskVariance(task, snapshot, calendar = null) {
+    const startVariance = this.workingDayOffset(snapshot.startDate, task.startDate, calendar);
+    const finishVariance = this.workingDayOffset(snapshot.endDate, task.endDate, calendar);
+
+    let status = 'on_track';
+    if (finishVariance > 0) {
+      status = 'late';
+    } else if (finishVariance < 0) {
+      status = 'early';
+    }
+
+    return {
+      taskId: task.id,
+      title: task.title,
+      baselineStart: snapshot.startDate,
+      baselineEnd: snapshot.endDate,
+      startVariance,
+      finishVariance,
+      durationVariance: (task.duration || 1) - (snapshot.duration || 1),
+      status
+    };
+  }
+
+  /**
+   * Compare the tasks of a project with a baseline
+   * Counts and progress only use leaf tasks so summaries are not counted twice
+   * @param {ProjectBaseline} baseline - Saved baseline
+   * @param {Task[]} tasks - Current tasks of the project
+   * @param {Object} options - Options
+   * @param {Object} options.calendar - Work calendar of the project
+   * @param {Date} options.today - Status date for planned progress (default: now)
+   * @returns {Object} Variance per task and project summary
+   */
+  static calculateVariance(baseline, tasks, options = {}) {
+    const { calendar = null, today = new Date() } = options;
+    const parentIds = new Set(tasks.filter(task => task.parentTaskId).map(task => task.parentTaskId));
+    const currentIds = new Set(tasks.map(task => task.id));
+
+    const result = {
+      baselineId: baseline.id,
+      baselineName: baseline.name,
+      tasks: {},
+      addedTaskIds: [],
+      removedTaskIds: baseline.tasks.filter(snapshot => !currentIds.has(snapshot.taskId)).map(snapshot => snapshot.taskId),
+      lateTasks: 0,
+      earlyTasks: 0,
+      onTrackTasks: 0,
+      baselineFinish: null,
+      currentFinish: null,
+      finishVariance: 0,
+      plannedProgress: 0,
+      actualProgress: 0,
+      scheduleVariance: 0
+    };
+
+    let plannedWork = 0;
+    let earnedWork = 0;
+    let totalWork = 0;
+
+    tasks.forEach(task => {
+      const snapshot = baseline.getTaskSnapshot(task.id);
+      if (!snapshot || !task.startDate || !task.endDate) {
+        result.addedTaskIds.push(task.id);
+        return;
+      }
+
+      const variance = this.calculateTaskVariance(task, snapshot, calendar);
+      result.tasks[task.id] = variance;
+
+      if (!result.baselineFinish || snapshot.endDate > result.baselineFinish) {
+        result.baselineFinish = snapshot.endDate;
+      }
+      const endDate = new Date(task.endDate);
+      if (!result.currentFinish || endDate > result.currentFinish) {
+        result.currentFinish = endDate;
+      }
+
+      if (parentIds.has(task.id)) return;
+
+      if (variance.status === 'late') result.lateTasks++;
+      else if (variance.status === 'early') result.earlyTasks++;
+      else result.onTrackTasks++;
+
+      // Planned value: share of the baseline window elapsed at the status date
+      const work = snapshot.duration || 1;
+      const window = snapshot.endDate - snapshot.startDate + MS_PER_DAY;
+      const elapsed = Math.min(1, Math.max(0, (today - snapshot.startDate) / window));
+      const progress = task.status === 'completed' ? 100 : (task.progress || 0);
+
+      totalWork += work;
+      plannedWork += work * elapsed;
+      earnedWork += work * progress / 100;
+    });
+
+    if (result.baselineFinish && result.currentFinish) {
+      result.finishVariance = this.workingDayOffset(result.baselineFinish, result.currentFinish, calendar);
+    }
+
+    if (totalWork > 0) {
+      result.plannedProgress = Math.round((plannedWork / totalWork) * 100);
+      result.actualProgress = Math.round((earnedWork / totalWork) * 100);
+      result.scheduleVariance = result.actualProgress - result.plannedProgress;
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * BurndownService - Remaining effort of a project over time
+ * Works in estimated hours rather than calendar duration, so a short task
+ * spread over several days only burns the hours it was estimated at
+ */
+
+import { DateCalculationService } from './dateCalculationService.js';
+import { durationAggregator } from '../utils/durationAggregator.js';
+
+export class BurndownService {
+  /**
+   * Build the burndown series of a project
+   * Past points subtract the hours logged up to each day from the estimates;
+   * the point for the status date uses the current remaining hours of each task.
+   * @param {Task[]} tasks - Tasks of the project (flat list)
+   * @param {Object} options - Options
+   * @param {Date} options.startDate - First day of the chart (default: earliest task start)
+   * @param {Date} options.endDate - Last day of the chart (default: latest task end)
+   * @param {Object} options.calendar - Work calendar of the project
+   * @param {Date} options.today - Status date (default: now)
+   * @returns {Object} Total estimate, current remaining hours and one point per working day
+   */
+  static calculateBurndown(tasks, options = {}) {
+    const { calendar = null, today = new Date() } = options;
+    const parentIds = new Set(tasks.filter(task => task.parentTaskId).map(task => task.parentTaskId));
+
+    // Leaf tasks carry the effort; parents only add up their subtasks
+    const estimatedTasks = tasks.filter(task =>
+      !parentIds.has(task.id) && durationAggregator.toHours(task.estimatedHours) !== null
+    );
+
+    const result = {
+      totalHours: 0,
+      remainingHours: 0,
+      points: []
+    };
+
+    if (estimatedTasks.length === 0) {
+      return result;
+    }
+
+    result.totalHours = durationAggregator.roundHours(
+      estimatedTasks.reduce((sum, task) => sum + Number(task.estimatedHours), 0)
+    );
+    result.remainingHours = durationAggregator.roundHours(
+      estimatedTasks.reduce((sum, task) => sum + durationAggregator.getOwnRemainingHours(task), 0)
+    );
+
+    const start = DateCalculationService.parseDate(options.startDate || this.getEarliestStart(estimatedTasks));
+    const end = DateCalculationService.parseDate(options.endDate || this.getLatestEnd(estimatedTasks));
+    const statusDate = DateCalculationService.parseDate(today);
+
+    const days = [];
+    const cursor = new Date(start);
+    while (cursor <= end) {
+      if (DateCalculationService.isWorkingDay(cursor, calendar)) {
+        days.push(new Date(cursor));
+      }
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    if (days.length === 0) {
+      return result;
+    }
+
+    // The ideal line reaches zero at the end of the last working day
+    const burnPerDay = result.totalHours / days.length;
+
+    // Latest working day up to the status date shows the current remaining hours
+    const statusIndex = days.filter(date => date <= statusDate).length - 1;
+
+    result.points = days.map((date, index) => {
+      let remaining = null;
+      if (index === statusIndex) {
+        remaining = result.remainingHours;
+      } else if (index < statusIndex) {
+        remaining = this.remainingAt(estimatedTasks, date);
+      }
+
+      return {
+        date,
+        ideal: durationAggregator.roundHours(Math.max(0, result.totalHours - burnPerDay * (index + 1))),
+        remaining
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Remaining hours at the end of a past day, from the hours logged until then
+   * @param {Task[]} tasks - Estimated leaf tasks
+   * @param {Date} date - Day
+   * @returns {number} Remaining hours
+   */
+  static remainingAt(tasks, date) {
+    const dayEnd = new Date(date);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    const remaining = tasks.reduce((sum, task) => {
+      const logged = durationAggregator.sumTimeEntries(
+        (task.timeEntries || []).filter(entry => new Date(entry.date) < dayEnd)
+      );
+      return sum + Math.max(0, Number(task.estimatedHours) - logged);
+    }, 0);
+
+    return durationAggregator.roundHours(remaining);
+  }
+
+  static getEarliestStart(tasks) {
+    return new Date(Math.min(...tasks.map(task => new Date(task.startDate).getTime())));
+  }
+
+  static getLatestEnd(tasks) {
+    return new Date(Math.max(...tasks.map(task => new Date(task.endDate).getTime())));
+  }
+}
@@ -0,0 +1,547 @@
+/**
+ * CSVService - CSV task export and import
+ * Exports the flattened task hierarchy of a project with WBS numbers and
+ * converts spreadsheet rows into project data for ProjectImportService using
+ * a mapping from CSV columns to Task fields
+ */
+
+import { DateCalculationService } from './dateCalculationService.js';
+import { ProjectExportService } from './projectExportService.js';
+import { taskHierarchyBuilder } from '../utils/taskHierarchyBuilder.js';
+import { validateTask, validateTaskDependencies } from '../utils/validation.js';
+import { TASK_STATUSES, TASK_PRIORITIES, DEPENDENCY_TYPES } from '../models/index.js';
+
+// Task fields a CSV column can be mapped to, in export order
+export const CSV_TASK_FIELDS = [
+  { key: 'wbs', label: 'EDT', aliases: ['wbs', 'numero de esquema', 'outline number'] },
+  { key: 'level', label: 'Nivel', aliases: ['sangria', 'nivel de esquema', 'indent', 'level', 'outline level'] },
+  { key: 'title', label: 'Título', aliases: ['tarea', 'nombre', 'nombre de tarea', 'title', 'name', 'task', 'task name'] },
+  { key: 'description', label: 'Descripción', aliases: ['notas', 'description', 'notes'] },
+  { key: 'status', label: 'Estado', aliases: ['status'] },
+  { key: 'priority', label: 'Prioridad', aliases: ['priority'] },
+  { key: 'startDate', label: 'Fecha de inicio', aliases: ['inicio', 'comienzo', 'start', 'start date'] },
+  { key: 'endDate', label: 'Fecha de fin', aliases: ['fin', 'final', 'finish', 'end', 'end date'] },
+  { key: 'duration', label: 'Duración (días)', aliases: ['duracion', 'duration'] },
+  { key: 'progress', label: 'Progreso (%)', aliases: ['progreso', '% completado', 'progress', '% complete'] },
+  { key: 'assignedTo', label: 'Responsable', aliases: ['asignado a', 'recurso', 'nombres de los recursos', 'assigned to', 'owner', 'resource names'] },
+  { key: 'estimatedHours', label: 'Horas estimadas', aliases: ['trabajo', 'estimated hours', 'work'] },
+  { key: 'remainingHours', label: 'Horas restantes', aliases: ['trabajo restante', 'remaining hours', 'remaining work'] },
+  { key: 'dependencies', label: 'Predecesoras', aliases: ['predecesores', 'dependencias', 'predecessors', 'dependencies'] }
+];
+
+// Semicolons keep Excel in Spanish locales splitting columns on open
+const DEFAULT_DELIMITER = ';';
+const DELIMITERS = [';', ',', '\t'];
+
+const STATUS_LABELS = { pending: 'Pendiente', in_progress: 'En Progreso', completed: 'Completada', cancelled: 'Cancelada' };
+const PRIORITY_LABELS = { low: 'Baja', medium: 'Media', high: 'Alta' };
+
+// Link names used by the Spanish edition of Microsoft Project
+const LINK_TYPE_ALIASES = { FC: 'FS', CC: 'SS', CF: 'SF' };
+const PREDECESSOR_PATTERN = /^(\d+(?:\.\d+)*)\s*([A-Z]{2})?\s*(?:([+-])\s*(\d+)\s*(?:d|dias?|days?)?)?$/i;
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+export class CSVService {
+  /**
+   * Export the tasks of a project as CSV, one row per task in WBS order
+   * @param {Project} project - Project to export (tasks as a flat list with parentTaskId)
+   * @param {Object} options - Export options
+   * @param {string} options.delimiter - Column separator
+   * @returns {string} CSV content with a header row
+   * @throws {Error} If project is invalid
+   */
+  static exportTasks(project, { delimiter = DEFAULT_DELIMITER } = {}) {
+    if (!project || !Array.isArray(project.tasks)) {
+      throw new Error('Project with tasks is required for CSV export');
+    }
+
+    const decimalSeparator = delimiter === ',' ? '.' : ',';
+    const memberNames = new Map((project.teamMembers || []).map(member => [member.id, member.name]));
+    const hierarchy = taskHierarchyBuilder.assignWbsNumbers(taskHierarchyBuilder.rebuildHierarchyFromFlat(project.tasks));
+    const tasks = taskHierarchyBuilder.flattenHierarchy(hierarchy);
+    const wbsById = new Map(tasks.map(task => [task.id, task.wbs]));
+
+    const lines = [
+      CSV_TASK_FIELDS.map(field => field.label),
+      ...tasks.map(task => CSV_TASK_FIELDS.map(field => this.formatField(field.key, task, { memberNames, wbsById, decimalSeparator })))
+    ];
+
+    return lines.map(values => values.map(value => this.escapeValue(value, delimiter)).join(delimiter)).join('\r\n');
+  }
+
+  /**
+   * Export the tasks of a project and download them as a CSV file
+   * @param {Project} project - Project to export
+   * @param {string} filename - Optional filename (without extension)
+   * @throws {Error} If export or download fails
+   */
+  static exportAndDownload(project, filename = null) {
+    const csv = this.exportTasks(project);
+    const downloadFilename = filename || ProjectExportService.sanitizeFilename(project.name);
+
+    try {
+      // The BOM makes Excel read the file as UTF-8
+      const blob = new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${downloadFilename}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(`Failed to download CSV file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split CSV content into a header row and data rows
+   * @param {string} text - CSV content
+   * @param {string} delimiter - Column separator, detected from the header row when omitted
+   * @returns {Object} Headers, rows (arrays of cell values) and the delimiter used
+   * @throws {Error} If there is no header row
+   */
+  static parseCSV(text, delimiter = null) {
+    let content = String(text ?? '').replace(/^\uFEFF/, '');
+
+    // Excel writes a "sep=;" line to force the separator
+    const separatorLine = content.match(/^sep=(.)\r?\n/i);
+    if (separatorLine) {
+      delimiter = delimiter || separatorLine[1];
+      content = content.slice(separatorLine[0].length);
+    }
+
+    const separator = delimiter || this.detectDelimiter(content);
+    const records = [];
+    let record = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char !== '"') {
+          value += char;
+        } else if (content[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && value === '') {
+        quoted = true;
+      } else if (char === separator) {
+        record.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        record.push(value);
+        records.push(record);
+        record = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || record.length > 0) {
+      record.push(value);
+      records.push(record);
+    }
+
+    const [headers, ...rows] = records.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!headers) {
+      throw new Error('El archivo CSV está vacío');
+    }
+
+    return { headers: headers.map(header => header.trim()), rows, delimiter: separator };
+  }
+
+  /**
+   * Guess the column separator from the first line
+   * @param {string} content - CSV content
+   * @returns {string} Most frequent separator outside quotes
+   */
+  static detectDelimiter(content) {
+    const firstLine = content.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+    const best = Math.max(...counts);
+    return best > 0 ? DELIMITERS[counts.indexOf(best)] : ',';
+  }
+
+  /**
+   * Suggest a Task field for each CSV column from its header
+   * @param {Array<string>} headers - CSV headers
+   * @returns {Array<string|null>} Field key per column, null for columns that are not imported
+   */
+  static suggestMapping(headers) {
+    const used = new Set();
+
+    return headers.map(header => {
+      const name = this.normalizeText(header);
+      const field = CSV_TASK_FIELDS.find(candidate =>
+        !used.has(candidate.key) &&
+        [candidate.key, candidate.label, ...candidate.aliases].some(alias => this.normalizeText(alias) === name)
+      );
+
+      if (!field) return null;
+      used.add(field.key);
+      return field.key;
+    });
+  }
+
+  /**
+   * Convert CSV rows into project data in the JSON export format
+   * The hierarchy comes from the WBS column when mapped, otherwise from the
+   * level column. Predecessors refer to WBS numbers, or to row positions
+   * (1 for the first task) when there is no WBS column
+   * @param {Object} csv - Result of parseCSV
+   * @param {Array<string|null>} mapping - Field key per column
+   * @param {Object} options - Import options
+   * @param {string} options.name - Project name
+   * @returns {Object} Project data ready for ProjectImportService and the rows with their validation errors
+   * @throws {Error} If no column is mapped to the task title or there are no rows
+   */
+  static parseProject(csv, mapping, { name = '' } = {}) {
+    if (!mapping.includes('title')) {
+      throw new Error('Asigna una columna al título de la tarea');
+    }
+    if (csv.rows.length === 0) {
+      throw new Error('El archivo CSV no tiene filas de tareas');
+    }
+
+    const token = Date.now().toString(36);
+    const members = new Map();
+    const hierarchy = mapping.includes('wbs') ? 'wbs' : mapping.includes('level') ? 'level' : 'flat';
+
+    const rows = csv.rows.map((record, index) => {
+      const read = (field) => {
+        const column = mapping.indexOf(field);
+        return column === -1 ? '' : String(record[column] ?? '').trim();
+      };
+      const errors = [];
+      const task = this.readTask(read, { id: `task_${token}_${index + 1}`, token, members, errors });
+
+      return { number: index + 2, position: index + 1, task, errors, wbs: read('wbs'), level: read('level'), predecessors: read('dependencies') };
+    });
+
+    if (hierarchy === 'wbs') {
+      this.resolveWbsHierarchy(rows);
+    } else if (hierarchy === 'level') {
+      this.resolveLevelHierarchy(rows);
+    }
+
+    this.resolvePredecessors(rows, hierarchy === 'wbs');
+
+    const tasks = rows.map(row => row.task);
+    rows.forEach(row => {
+      [
+        () => validateTask(row.task),
+        () => validateTaskDependencies(row.task, tasks.filter(task => task.id !== row.task.id))
+      ].forEach(validate => {
+        try {
+          validate();
+        } catch (error) {
+          row.errors.push(...(error.errors || [error]).map(item => item.message));
+        }
+      });
+    });
+
+    const dates = (field) => tasks
+      .map(task => new Date(task[field]))
+      .filter(date => !isNaN(date.getTime()))
+      .sort((a, b) => a - b);
+    const startDates = dates('startDate');
+    const endDates = dates('endDate');
+
+    const project = {
+      id: `project_${token}`,
+      name: name || 'Proyecto importado de CSV',
+      description: '',
+      startDate: (startDates[0] || DateCalculationService.parseDate(new Date())).toISOString(),
+      endDate: endDates.length > 0 ? endDates[endDates.length - 1].toISOString() : null,
+      status: 'active',
+      teamMembers: [...members.values()],
+      tasks,
+      createdAt: new Date().toISOString()
+    };
+
+    return {
+      project,
+      rows: rows.map(({ number, task, errors }) => ({ number, task, errors }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  static readTask(read, { id, token, members, errors }) {
+    const startDate = this.parseDateValue(read('startDate'));
+    let endDate = this.parseDateValue(read('endDate'));
+    let duration = this.parseNumber(read('duration'));
+    const progress = this.parseNumber(read('progress').replace('%', ''));
+
+    if (typeof duration !== 'number' && duration !== null) {
+      errors.push('Duración (días) debe ser un número');
+      duration = null;
+    }
+
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    const validStart = start && !isNaN(start.getTime());
+    const validEnd = end && !isNaN(end.getTime());
+
+    try {
+      if (duration === null && validStart && validEnd && start <= end) {
+        duration = DateCalculationService.calculateWorkingDays(start, end);
+      } else if (!endDate && validStart && duration > 0) {
+        endDate = DateCalculationService.addWorkingDays(start, Math.round(duration) - 1).toISOString();
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    const status = this.lookupValue(read('status'), TASK_STATUSES, STATUS_LABELS);
+    const assignee = read('assignedTo');
+
+    return {
+      id,
+      parentTaskId: null,
+      title: this.unprotectFormula(read('title')),
+      description: this.unprotectFormula(read('description')),
+      startDate,
+      endDate,
+      status: status || (progress >= 100 ? 'completed' : progress > 0 ? 'in_progress' : 'pending'),
+      type: 'simple',
+      assignedTo: assignee ? this.findOrCreateMember(this.unprotectFormula(assignee), { token, members }).id : null,
+      priority: this.lookupValue(read('priority'), TASK_PRIORITIES, PRIORITY_LABELS) || 'medium',
+      progress: progress ?? 0,
+      level: 0,
+      duration: Math.max(1, Math.round(duration || 1)),
+      estimatedHours: this.parseNumber(read('estimatedHours')),
+      remainingHours: this.parseNumber(read('remainingHours')),
+      dependencies: [],
+      subtasks: []
+    };
+  }
+
+  static findOrCreateMember(name, { token, members }) {
+    const key = this.normalizeText(name);
+    if (!members.has(key)) {
+      members.set(key, {
+        id: `member_${token}_${members.size + 1}`,
+        name,
+        email: '',
+        role: 'Colaborador',
+        avatar: null,
+        hoursPerDay: null,
+        daysOff: [],
+        joinedAt: new Date().toISOString()
+      });
+    }
+    return members.get(key);
+  }
+
+  /**
+   * Parents come from the WBS number without its last segment
+   */
+  static resolveWbsHierarchy(rows) {
+    const byWbs = new Map();
+
+    rows.forEach(row => {
+      row.wbs = row.wbs.replace(/\.$/, '');
+      if (!row.wbs) {
+        row.errors.push('Falta el número EDT');
+      } else if (!/^\d+(\.\d+)*$/.test(row.wbs)) {
+        row.errors.push(`El número EDT "${row.wbs}" no es válido`);
+      } else if (byWbs.has(row.wbs)) {
+        row.errors.push(`El número EDT ${row.wbs} está repetido`);
+      } else {
+        byWbs.set(row.wbs, row);
+      }
+    });
+
+    const levelOf = (row) => row.parent ? levelOf(row.parent) + 1 : 0;
+
+    rows.forEach(row => {
+      if (byWbs.get(row.wbs) !== row || !row.wbs.includes('.')) return;
+
+      const parentWbs = row.wbs.slice(0, row.wbs.lastIndexOf('.'));
+      row.parent = byWbs.get(parentWbs) || null;
+      if (!row.parent) {
+        row.errors.push(`No existe la tarea padre con EDT ${parentWbs}`);
+      }
+    });
+
+    rows.forEach(row => {
+      row.task.parentTaskId = row.parent ? row.parent.task.id : null;
+      row.task.level = levelOf(row);
+    });
+  }
+
+  /**
+   * Parents come from the closest previous row one level up; levels may start at 0 or 1
+   */
+  static resolveLevelHierarchy(rows) {
+    const levels = rows.map(row => Number(row.level));
+    const validLevels = levels.filter(level => Number.isInteger(level) && level >= 0);
+    const baseLevel = validLevels.length > 0 ? Math.min(...validLevels) : 0;
+    const outline = [];
+
+    rows.forEach((row, index) => {
+      let level = levels[index] - baseLevel;
+
+      if (!row.level || !Number.isInteger(levels[index]) || levels[index] < 0) {
+        row.errors.push(`El nivel "${row.level}" debe ser un número entero`);
+        level = 0;
+      } else if (level > outline.length) {
+        row.errors.push(`El nivel salta de ${outline.length - 1 + baseLevel} a ${levels[index]} sin una tarea padre intermedia`);
+        level = outline.length;
+      }
+
+      outline.length = level;
+      const parent = outline[level - 1] || null;
+      row.task.parentTaskId = parent ? parent.id : null;
+      row.task.level = level;
+      outline[level] = row.task;
+    });
+  }
+
+  static resolvePredecessors(rows, byWbs) {
+    const references = new Map(rows.map(row => [byWbs ? row.wbs : String(row.position), row.task]));
+
+    rows.forEach(row => {
+      row.predecessors.split(/[;,]/).map(item => item.trim()).filter(Boolean).forEach(item => {
+        const match = item.match(PREDECESSOR_PATTERN);
+        const type = match && match[2] ? (LINK_TYPE_ALIASES[match[2].toUpperCase()] || match[2].toUpperCase()) : 'FS';
+
+        if (!match || !DEPENDENCY_TYPES.includes(type)) {
+          row.errors.push(`La predecesora "${item}" no es válida; usa por ejemplo 2, 1.3FS o 1.3SS+2`);
+          return;
+        }
+
+        const predecessor = references.get(match[1]);
+        if (!predecessor) {
+          row.errors.push(`No existe la predecesora "${match[1]}"`);
+          return;
+        }
+
+        const lag = match[4] ? Number(match[4]) * (match[3] === '-' ? -1 : 1) : 0;
+        row.task.dependencies.push({ predecessorId: predecessor.id, type, lag });
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writing
+  // ---------------------------------------------------------------------------
+
+  static formatField(key, task, { memberNames, wbsById, decimalSeparator }) {
+    const formatNumber = (value) => value === null || value === undefined || value === ''
+      ? ''
+      : String(value).replace('.', decimalSeparator);
+
+    switch (key) {
+      case 'wbs':
+        return task.wbs;
+      case 'level':
+        return task.wbs.split('.').length;
+      case 'title':
+      case 'description':
+        return this.protectFormula(task[key] || '');
+      case 'status':
+        return STATUS_LABELS[task.status] || task.status || '';
+      case 'priority':
+        return PRIORITY_LABELS[task.priority] || task.priority || '';
+      case 'startDate':
+      case 'endDate':
+        return task[key] ? DateCalculationService.toDateKey(task[key]) : '';
+      case 'assignedTo':
+        return this.protectFormula(memberNames.get(task.assignedTo) || '');
+      case 'dependencies':
+        return (task.dependencies || [])
+          .filter(dependency => wbsById.has(dependency.predecessorId))
+          .map(dependency => this.formatPredecessor(wbsById.get(dependency.predecessorId), dependency))
+          .join('; ');
+      default:
+        return formatNumber(task[key]);
+    }
+  }
+
+  static formatPredecessor(wbs, { type = 'FS', lag = 0 }) {
+    const lagText = lag > 0 ? `+${lag}` : lag < 0 ? String(lag) : '';
+    return `${wbs}${type !== 'FS' || lagText ? type : ''}${lagText}`;
+  }
+
+  static escapeValue(value, delimiter) {
+    const text = String(value ?? '');
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static protectFormula(text) {
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+  }
+
+  static unprotectFormula(text) {
+    return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+  }
+
+  /**
+   * Accepts YYYY-MM-DD and DD/MM/YYYY (with an optional time); anything else is
+   * kept as written so that task validation reports it
+   */
+  static parseDateValue(value) {
+    if (!value) return null;
+
+    const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+    const european = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:\s.*)?$/);
+    let date = null;
+
+    if (iso) {
+      date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    } else if (european) {
+      const year = Number(european[3]) + (european[3].length === 2 ? 2000 : 0);
+      date = new Date(year, Number(european[2]) - 1, Number(european[1]));
+    }
+
+    return date && !isNaN(date.getTime()) ? date.toISOString() : value;
+  }
+
+  /**
+   * Accepts decimal commas and unit suffixes ("7,5 h"); anything else is kept as written
+   */
+  static parseNumber(value) {
+    if (value === '') return null;
+    const number = parseFloat(value.replace(',', '.'));
+    return isNaN(number) ? value : number;
+  }
+
+  static lookupValue(value, keys, labels) {
+    if (!value) return null;
+    const name = this.normalizeText(value);
+    const key = keys.find(candidate =>
+      this.normalizeText(candidate) === name || this.normalizeText(labels[candidate]) === name
+    );
+    return key || value;
+  }
+
+  static normalizeText(text) {
+    return String(text ?? '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[_()]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
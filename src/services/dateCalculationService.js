@@ -1,15 +1,18 @@
 /**
  * DateCalculationService - Handles working day calculations and date operations
- * Working days are Monday through Saturday (excluding Sunday)
+ * Working days are Monday through Saturday (excluding Sunday) unless a work
+ * calendar (weekday mask, holidays and exceptions) is given
  */
+
 export class DateCalculationService {
   /**
    * Calculate working days between two dates (Monday-Saturday, excluding Sunday)
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {Object} calendar - Optional work calendar
    * @returns {number} Number of working days
    */
-  static calculateWorkingDays(startDate, endDate) {
+  static calculateWorkingDays(startDate, endDate, calendar = null) {
     // Enhanced validation with user-friendly error messages
     if (!startDate || !endDate) {
       throw new Error('Las fechas de inicio y fin son requeridas para el cálculo');
@@ -44,7 +47,7 @@ export class DateCalculationService {
 
     try {
       while (currentDate <= end) {
-        if (this.isWorkingDay(currentDate)) {
+        if (this.isWorkingDay(currentDate, calendar)) {
           workingDays++;
         }
         currentDate.setDate(currentDate.getDate() + 1);
@@ -60,9 +63,10 @@ export class DateCalculationService {
    * Add working days to a date
    * @param {Date} startDate - Starting date
    * @param {number} days - Number of working days to add
+   * @param {Object} calendar - Optional work calendar
    * @returns {Date} New date after adding working days
    */
-  static addWorkingDays(startDate, days) {
+  static addWorkingDays(startDate, days, calendar = null) {
     if (!startDate) {
       throw new Error('La fecha de inicio es requerida para agregar días laborales');
     }
@@ -87,7 +91,7 @@ export class DateCalculationService {
     const result = new Date(start);
     let addedDays = 0;
     let iterations = 0;
-    const maxIterations = Math.min(days * 3, 1000); // More conservative limit
+    const maxIterations = this.getMaxIterations(days, calendar);
 
     try {
       while (addedDays < days && iterations < maxIterations) {
@@ -98,7 +102,7 @@ export class DateCalculationService {
           throw new Error('Fecha calculada inválida durante el proceso');
         }
         
-        if (this.isWorkingDay(result)) {
+        if (this.isWorkingDay(result, calendar)) {
           addedDays++;
         }
         iterations++;
@@ -118,9 +122,10 @@ export class DateCalculationService {
    * Subtract working days from a date
    * @param {Date} endDate - End date
    * @param {number} days - Number of working days to subtract
+   * @param {Object} calendar - Optional work calendar
    * @returns {Date} New date after subtracting working days
    */
-  static subtractWorkingDays(endDate, days) {
+  static subtractWorkingDays(endDate, days, calendar = null) {
     if (!endDate) {
       throw new Error('La fecha de fin es requerida');
     }
@@ -145,7 +150,7 @@ export class DateCalculationService {
     const result = new Date(end);
     let subtractedDays = 0;
     let iterations = 0;
-    const maxIterations = Math.min(days * 3, 1000);
+    const maxIterations = this.getMaxIterations(days, calendar);
 
     try {
       while (subtractedDays < days && iterations < maxIterations) {
@@ -156,7 +161,7 @@ export class DateCalculationService {
           throw new Error('Fecha calculada inválida durante el proceso');
         }
         
-        if (this.isWorkingDay(result)) {
+        if (this.isWorkingDay(result, calendar)) {
           subtractedDays++;
         }
         iterations++;
@@ -175,10 +180,12 @@ export class DateCalculationService {
   /**
    * Check if a date is a working day (Monday-Saturday, excluding Sunday)
    * Uses local timezone to avoid timezone-related issues
+   * With a calendar, exceptions win over holidays and holidays over the weekday mask
    * @param {Date} date - Date to check
+   * @param {Object} calendar - Optional work calendar ({ workingDays, holidays, exceptions })
    * @returns {boolean} True if it's a working day
    */
-  static isWorkingDay(date) {
+  static isWorkingDay(date, calendar = null) {
     if (!date) {
       throw new Error('Date is required');
     }
@@ -186,11 +193,59 @@ export class DateCalculationService {
     // Create a new date in local timezone to avoid UTC/local timezone issues
     const localDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
     const dayOfWeek = localDate.getDay();
+
+    if (calendar) {
+      const key = this.toDateKey(localDate);
+
+      const exception = (calendar.exceptions || []).find(entry => entry.date === key);
+      if (exception) {
+        return exception.working !== false;
+      }
+
+      if ((calendar.holidays || []).some(holiday => holiday.date === key)) {
+        return false;
+      }
+
+      if (Array.isArray(calendar.workingDays)) {
+        return calendar.workingDays.includes(dayOfWeek);
+      }
+    }
     
     // Sunday is 0, Monday is 1, Saturday is 6
     return dayOfWeek >= 1 && dayOfWeek <= 6;
   }
 
+  /**
+   * Local calendar day key (YYYY-MM-DD) used by work calendars
+   * @param {Date|string} date - Date to convert
+   * @returns {string} Date key
+   */
+  static toDateKey(date) {
+    const localDate = date instanceof Date ? date : this.parseDate(date);
+    const month = String(localDate.getMonth() + 1).padStart(2, '0');
+    const day = String(localDate.getDate()).padStart(2, '0');
+    return `${localDate.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Iteration limit when walking working days; sparse calendars need more calendar days
+   * @param {number} days - Working days to walk
+   * @param {Object} calendar - Optional work calendar
+   * @returns {number} Maximum number of calendar days to visit
+   */
+  static getMaxIterations(days, calendar = null) {
+    if (!calendar) {
+      return Math.min(days * 3, 1000);
+    }
+
+    const workingDaysPerWeek = Array.isArray(calendar.workingDays) && calendar.workingDays.length > 0
+      ? calendar.workingDays.length
+      : 6;
+    const holidays = (calendar.holidays || []).length;
+
+    return Math.ceil(days * 7 / workingDaysPerWeek) + holidays + 31;
+  }
+
   /**
    * Create a date from string input, handling different formats consistently
    * @param {string|Date} dateInput - Date input in various formats
@@ -4,13 +4,17 @@
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { getProviderConfig, getErrorConfig } from '../config/aiConfig.js';
+import { DEFAULT_HOURS_PER_DAY } from '../models/index.js';
+import { AI_CONFIG, getProviderConfig, getErrorConfig, supportsStructuredOutput } from '../config/aiConfig.js';
+import { aiResponseSchema } from '../utils/aiResponseSchema.js';
 
 export class GeminiService {
   constructor() {
     this.client = null;
     this.model = null;
     this.isConfigured = false;
+    // Text of the last response, kept for the generation history
+    this.lastResponse = null;
   }
 
   /**
@@ -24,7 +28,7 @@ export class GeminiService {
 
     try {
       this.client = new GoogleGenerativeAI(apiKey);
-      this.model = this.client.getGenerativeModel({ model: 'gemini-pro' });
+      this.model = this.client.getGenerativeModel({ model: AI_CONFIG.gemini.model });
       this.isConfigured = true;
     } catch (error) {
       throw new Error(`Failed to configure Gemini client: ${error.message}`);
@@ -67,7 +71,16 @@ export class GeminiService {
       
       const fullPrompt = `${systemPrompt}\n\nUser Request: ${userPrompt}`;
 
-      const result = await this.model.generateContent(fullPrompt);
+      // Models with structured output get the shared project schema
+      const result = await this.model.generateContent(supportsStructuredOutput('gemini', AI_CONFIG.gemini.model)
+        ? {
+          contents: [{ role: 'user', parts: [{ text: fullPrompt }] }],
+          generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: aiResponseSchema.getStructuredOutput('gemini')
+          }
+        }
+        : fullPrompt);
       const response = await result.response;
       const text = response.text();
 
@@ -91,8 +104,37 @@ export class GeminiService {
         throw new Error(`Gemini API error: ${error.message}`);
       }
     }
-  }  /**
+  }
+
+  /**
+   * Send a chat and return the reply text
+   * Gemini Pro has no system role, so the messages are sent as one prompt
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - temperature and maxTokens
+   * @returns {Promise<string>} Reply content
+   */
+  async complete(messages, { temperature = 0.7, maxTokens = 3500 } = {}) {
+    if (!this.isReady()) {
+      throw new Error('Gemini service is not configured. Please provide an API key.');
+    }
+
+    const prompt = messages
+      .map(message => (message.role === 'system' ? message.content : `User Request: ${message.content}`))
+      .join('\n\n');
 
+    try {
+      const result = await this.model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { temperature, maxOutputTokens: maxTokens }
+      });
+      const response = await result.response;
+      return response.text();
+    } catch (error) {
+      throw new Error(`Gemini API error: ${error.message}`);
+    }
+  }
+
+  /**
    * Create system prompt for project generation
    * @param {string} complexity - Project complexity level
    * @param {boolean} includeTeamMembers - Whether to include team members
@@ -120,6 +162,7 @@ Generate a project with the following structure:
       "title": "Task title",
       "description": "Detailed task description",
       "duration": number_of_working_days,
+      "estimatedHours": number_of_effort_hours,
       "priority": "low|medium|high",
       "type": "simple|with_deliverable",
       "dependencies": ["task_title_1", "task_title_2"],
@@ -132,6 +175,7 @@ Generate a project with the following structure:
           "title": "Subtask title",
           "description": "Subtask description",
           "duration": number_of_working_days,
+          "estimatedHours": number_of_effort_hours,
           "priority": "low|medium|high",
           "type": "simple|with_deliverable"
         }
@@ -157,6 +201,7 @@ Guidelines:
 - Only include deliverable object if type is "with_deliverable"
 - Dependencies should reference exact task titles
 - Ensure all durations are positive integers
+- estimatedHours is the effort in person-hours, independent of duration (a 2-hour task may span several days)
 - Keep descriptions concise (max 100 characters each)
 - Assign appropriate priorities based on task importance and dependencies
 - ENSURE the JSON response is complete and properly formatted`;
@@ -204,42 +249,11 @@ Guidelines:
    * @returns {Object} Processed project data
    */
   processAIResponse(response) {
-    if (!response || typeof response !== 'string') {
-      throw new Error('Invalid AI response received');
-    }
-
-    // Clean and attempt to fix the JSON response
-    let cleanedResponse = this.cleanAndFixJSON(response);
-
-    let projectData;
-    try {
-      projectData = JSON.parse(cleanedResponse);
-    } catch (error) {
-      // Log debugging information
-      console.error('Gemini JSON Parse Error:', {
-        originalLength: response.length,
-        cleanedLength: cleanedResponse.length,
-        errorMessage: error.message,
-        responsePreview: response.substring(0, 200) + '...',
-        responseEnd: response.substring(Math.max(0, response.length - 200))
-      });
-
-      // If parsing fails, try to extract and fix the JSON
-      const fixedJSON = this.attemptJSONFix(cleanedResponse);
-      if (fixedJSON) {
-        try {
-          projectData = JSON.parse(fixedJSON);
-          console.log('Successfully fixed JSON response');
-        } catch (secondError) {
-          throw new Error(`Failed to parse AI response as JSON: ${error.message}. Response length: ${response.length} characters. Try using a simpler project description.`);
-        }
-      } else {
-        throw new Error(`Failed to parse AI response as JSON: ${error.message}. Response length: ${response.length} characters. Try using a simpler project description.`);
-      }
-    }
+    this.lastResponse = response;
+    const projectData = aiResponseSchema.parseJSON(response, 'Gemini');
 
     // Validate and process the generated project
-    const validation = this.validateGeneratedProject(projectData);
+    const validation = aiResponseSchema.validateProject(projectData);
     if (!validation.isValid) {
       throw new Error(`Generated project validation failed: ${validation.errors.join(', ')}`);
     }
@@ -249,237 +263,7 @@ Guidelines:
   }
 
   /**
-   * Clean and prepare JSON response
-   * @param {string} response - Raw response
-   * @returns {string} Cleaned response
-   */
-  cleanAndFixJSON(response) {
-    // Remove any markdown code blocks
-    let cleaned = response.trim();
-    
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-
-    // Find JSON object boundaries
-    const jsonStart = cleaned.indexOf('{');
-    const jsonEnd = cleaned.lastIndexOf('}');
-    
-    if (jsonStart !== -1 && jsonEnd !== -1 && jsonStart < jsonEnd) {
-      cleaned = cleaned.substring(jsonStart, jsonEnd + 1);
-    }
-
-    return cleaned;
-  }
-
-  /**
-   * Attempt to fix incomplete JSON
-   * @param {string} jsonString - Potentially incomplete JSON
-   * @returns {string|null} Fixed JSON or null if unfixable
-   */
-  attemptJSONFix(jsonString) {
-    try {
-      let fixed = jsonString.trim();
-      
-      // Handle unterminated strings first
-      const quotes = (fixed.match(/"/g) || []).length;
-      if (quotes % 2 !== 0) {
-        // Odd number of quotes means unterminated string
-        // Find the last quote and check if it needs closing
-        const lastQuoteIndex = fixed.lastIndexOf('"');
-        const beforeLastQuote = fixed.substring(0, lastQuoteIndex);
-        const afterLastQuote = fixed.substring(lastQuoteIndex + 1);
-        
-        // Count quotes before the last quote
-        const quotesBeforeLast = (beforeLastQuote.match(/"/g) || []).length;
-        
-        // If even number of quotes before, this is an opening quote that needs closing
-        if (quotesBeforeLast % 2 === 0) {
-          // Check if there's unfinished content after the quote
-          if (afterLastQuote && !afterLastQuote.match(/^\s*[,\]\}]/)) {
-            // Close the string before any structural characters
-            const nextStructuralChar = afterLastQuote.search(/[,\]\}]/);
-            if (nextStructuralChar !== -1) {
-              fixed = fixed.substring(0, lastQuoteIndex + 1) + '"' + afterLastQuote.substring(nextStructuralChar);
-            } else {
-              // Just close the string
-              fixed = fixed.substring(0, lastQuoteIndex + 1) + '"';
-            }
-          }
-        }
-      }
-      
-      // Count opening and closing braces/brackets
-      const openBraces = (fixed.match(/\{/g) || []).length;
-      const closeBraces = (fixed.match(/\}/g) || []).length;
-      const openBrackets = (fixed.match(/\[/g) || []).length;
-      const closeBrackets = (fixed.match(/\]/g) || []).length;
-      
-      // Add missing closing brackets first (inner structures)
-      for (let i = 0; i < openBrackets - closeBrackets; i++) {
-        fixed += ']';
-      }
-      
-      // Add missing closing braces (outer structures)
-      for (let i = 0; i < openBraces - closeBraces; i++) {
-        fixed += '}';
-      }
-      
-      // Test if the fixed JSON is valid
-      JSON.parse(fixed);
-      return fixed;
-      
-    } catch (error) {
-      // If we can't fix it, return null
-      return null;
-    }
-  } 
- /**
-   * Validate generated project structure
-   * @param {Object} projectData - Generated project data
-   * @returns {Object} Validation result
-   */
-  validateGeneratedProject(projectData) {
-    const result = {
-      isValid: true,
-      errors: [],
-      warnings: []
-    };
-
-    // Validate basic structure
-    if (!projectData || typeof projectData !== 'object') {
-      result.errors.push('Project data must be an object');
-      result.isValid = false;
-      return result;
-    }
-
-    // Validate required fields
-    if (!projectData.name || typeof projectData.name !== 'string' || projectData.name.trim() === '') {
-      result.errors.push('Project must have a valid name');
-      result.isValid = false;
-    }
-
-    if (!projectData.description || typeof projectData.description !== 'string') {
-      result.warnings.push('Project should have a description');
-    }
-
-    if (!projectData.estimatedDuration || typeof projectData.estimatedDuration !== 'number' || projectData.estimatedDuration <= 0) {
-      result.warnings.push('Project should have a valid estimated duration');
-    }
-
-    // Validate tasks array
-    if (!projectData.tasks || !Array.isArray(projectData.tasks)) {
-      result.errors.push('Project must have a tasks array');
-      result.isValid = false;
-    } else if (projectData.tasks.length === 0) {
-      result.errors.push('Project must have at least one task');
-      result.isValid = false;
-    } else {
-      // Validate each task
-      projectData.tasks.forEach((task, index) => {
-        const taskValidation = this.validateGeneratedTask(task, index);
-        result.errors.push(...taskValidation.errors);
-        result.warnings.push(...taskValidation.warnings);
-        if (!taskValidation.isValid) {
-          result.isValid = false;
-        }
-      });
-    }
-
-    // Validate team members if present
-    if (projectData.teamMembers) {
-      if (!Array.isArray(projectData.teamMembers)) {
-        result.warnings.push('Team members should be an array');
-      } else {
-        projectData.teamMembers.forEach((member, index) => {
-          if (!member.name || typeof member.name !== 'string') {
-            result.warnings.push(`Team member at index ${index} should have a name`);
-          }
-          if (!member.role || typeof member.role !== 'string') {
-            result.warnings.push(`Team member at index ${index} should have a role`);
-          }
-        });
-      }
-    }
-
-    return result;
-  }
-
-  /**
-   * Validate generated task structure
-   * @param {Object} task - Task data
-   * @param {number} index - Task index for error reporting
-   * @returns {Object} Validation result
-   */
-  validateGeneratedTask(task, index) {
-    const result = {
-      isValid: true,
-      errors: [],
-      warnings: []
-    };
-
-    if (!task || typeof task !== 'object') {
-      result.errors.push(`Task at index ${index} must be an object`);
-      result.isValid = false;
-      return result;
-    }
-
-    // Validate required fields
-    if (!task.title || typeof task.title !== 'string' || task.title.trim() === '') {
-      result.errors.push(`Task at index ${index} must have a valid title`);
-      result.isValid = false;
-    }
-
-    if (!task.description || typeof task.description !== 'string') {
-      result.warnings.push(`Task at index ${index} should have a description`);
-    }
-
-    if (!task.duration || typeof task.duration !== 'number' || task.duration <= 0) {
-      result.errors.push(`Task at index ${index} must have a valid duration`);
-      result.isValid = false;
-    }
-
-    // Validate optional fields
-    const validPriorities = ['low', 'medium', 'high'];
-    if (task.priority && !validPriorities.includes(task.priority)) {
-      result.warnings.push(`Task at index ${index} has invalid priority "${task.priority}"`);
-    }
-
-    const validTypes = ['simple', 'with_deliverable'];
-    if (task.type && !validTypes.includes(task.type)) {
-      result.warnings.push(`Task at index ${index} has invalid type "${task.type}"`);
-    }
-
-    // Validate deliverable if present
-    if (task.deliverable) {
-      if (task.type !== 'with_deliverable') {
-        result.warnings.push(`Task at index ${index} has deliverable but type is not "with_deliverable"`);
-      }
-      
-      const validDeliverableTypes = ['presentation', 'file', 'exposition', 'other'];
-      if (!task.deliverable.type || !validDeliverableTypes.includes(task.deliverable.type)) {
-        result.warnings.push(`Task at index ${index} deliverable has invalid type`);
-      }
-    }
-
-    // Validate subtasks recursively
-    if (task.subtasks && Array.isArray(task.subtasks)) {
-      task.subtasks.forEach((subtask, subtaskIndex) => {
-        const subtaskValidation = this.validateGeneratedTask(subtask, `${index}.${subtaskIndex}`);
-        result.errors.push(...subtaskValidation.errors);
-        result.warnings.push(...subtaskValidation.warnings);
-        if (!subtaskValidation.isValid) {
-          result.isValid = false;
-        }
-      });
-    }
-
-    return result;
-  }  /**
-  
- * Enhance project data with additional metadata and IDs
+   * Enhance project data with additional metadata and IDs
    * @param {Object} projectData - Raw project data from AI
    * @returns {Object} Enhanced project data
    */
@@ -541,6 +325,7 @@ Guidelines:
         title: task.title || '',
         description: task.description || '',
         duration: task.duration || 1,
+        estimatedHours: this.estimateTaskHours(task),
         priority: task.priority || 'medium',
         type: task.type || 'simple',
         status: 'pending',
@@ -571,6 +356,11 @@ Guidelines:
           taskId, 
           level + 1
         );
+
+        // Parent effort is the effort of its subtasks
+        if (enhancedTask.subtasks.length > 0) {
+          enhancedTask.estimatedHours = this.sumEstimatedHours(enhancedTask.subtasks);
+        }
       }
 
       enhancedTasks.push(enhancedTask);
@@ -579,6 +369,30 @@ Guidelines:
     return enhancedTasks;
   }
 
+  /**
+   * Effort estimate of a generated task in person-hours
+   * Falls back to a full working day per day of duration when the model omits it
+   * @param {Object} task - Raw task data
+   * @returns {number} Estimated hours
+   */
+  estimateTaskHours(task) {
+    const hours = Number(task.estimatedHours);
+    if (hours > 0) {
+      return Math.round(hours * 100) / 100;
+    }
+    return (task.duration || 1) * DEFAULT_HOURS_PER_DAY;
+  }
+
+  /**
+   * Sum the effort estimates of enhanced tasks
+   * @param {Array} tasks - Enhanced tasks
+   * @returns {number} Total estimated hours
+   */
+  sumEstimatedHours(tasks) {
+    const total = tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0);
+    return Math.round(total * 100) / 100;
+  }
+
   /**
    * Generate project with enhanced error handling and retries
    * @param {string} prompt - User prompt
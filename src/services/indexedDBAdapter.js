@@ -0,0 +1,299 @@
+/**
+ * IndexedDB storage backend
+ *
+ * Same synchronous interface as the localStorage backend: every value is read
+ * into memory when the database opens, reads are served from memory and writes
+ * are persisted in the background. The projects value is not kept as a single
+ * blob: projects, tasks and team members live in their own object stores, so
+ * saving a project only rewrites the records of that project
+ */
+
+const DB_NAME = 'projectez'
+const DB_VERSION = 1
+
+export const OBJECT_STORES = {
+  projects: 'projects',
+  tasks: 'tasks',
+  members: 'members',
+  keyValue: 'keyValue'
+}
+
+export class IndexedDBAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.projectsKey - Key whose value is split into the project stores
+   * @param {string} options.databaseName - Database name
+   */
+  constructor({ projectsKey = 'pm_projects', databaseName = DB_NAME } = {}) {
+    this.name = 'indexedDB'
+    this.projectsKey = projectsKey
+    this.databaseName = databaseName
+    this.db = null
+    // Called with the error when a background write fails
+    this.onError = null
+
+    this.cache = new Map()
+    // Projects as last written, so unchanged projects are not rewritten
+    this.persistedProjects = new Map()
+    this.dirtyKeys = new Set()
+    this.flushScheduled = false
+    this.writing = Promise.resolve()
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  async open() {
+    if (this.db) return this
+
+    this.db = await openDatabase(this.databaseName)
+
+    const transaction = this.db.transaction(Object.values(OBJECT_STORES), 'readonly')
+    const [projects, tasks, members, entries] = await Promise.all(
+      [OBJECT_STORES.projects, OBJECT_STORES.tasks, OBJECT_STORES.members, OBJECT_STORES.keyValue]
+        .map(storeName => requestToPromise(transaction.objectStore(storeName).getAll()))
+    )
+
+    entries.forEach(({ key, value }) => this.cache.set(key, value))
+
+    // The record under the projects key only keeps the order of the projects
+    if (this.cache.has(this.projectsKey)) {
+      const order = JSON.parse(this.cache.get(this.projectsKey))
+      const assembled = IndexedDBAdapter.assembleProjects(order, projects, tasks, members)
+      assembled.forEach(project => this.persistedProjects.set(project.id, JSON.stringify(project)))
+      this.cache.set(this.projectsKey, JSON.stringify(assembled))
+    }
+
+    return this
+  }
+
+  getItem(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.cache.set(key, String(value))
+    this.scheduleWrite(key)
+  }
+
+  removeItem(key) {
+    this.cache.delete(key)
+    this.scheduleWrite(key)
+  }
+
+  /**
+   * Persist every pending write
+   * @returns {Promise} Resolves when the writes are stored, rejects if they fail
+   */
+  flush() {
+    const keys = [...this.dirtyKeys]
+    this.dirtyKeys.clear()
+    if (keys.length === 0) return this.writing
+
+    const write = this.writing.then(() => this.writeKeys(keys))
+    this.writing = write.catch(error => {
+      // Retried with the next write; memory keeps the data meanwhile
+      keys.forEach(key => this.dirtyKeys.add(key))
+      console.error('Error writing to IndexedDB:', error)
+      if (this.onError) this.onError(error)
+    })
+    return write
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+
+  // Writes made in the same task are stored in a single transaction
+  scheduleWrite(key) {
+    this.dirtyKeys.add(key)
+    if (this.flushScheduled) return
+
+    this.flushScheduled = true
+    queueMicrotask(() => {
+      this.flushScheduled = false
+      // Failures are already reported by flush
+      this.flush().catch(() => {})
+    })
+  }
+
+  async writeKeys(keys) {
+    const transaction = this.db.transaction(Object.values(OBJECT_STORES), 'readwrite')
+    const completed = transactionToPromise(transaction)
+    const keyValue = transaction.objectStore(OBJECT_STORES.keyValue)
+    let writtenProjects = null
+
+    keys.forEach(key => {
+      const value = this.getItem(key)
+      if (key === this.projectsKey) {
+        writtenProjects = this.writeProjects(transaction, value)
+      } else if (value === null) {
+        keyValue.delete(key)
+      } else {
+        keyValue.put({ key, value })
+      }
+    })
+
+    await completed
+    if (writtenProjects) {
+      this.persistedProjects = writtenProjects
+    }
+  }
+
+  writeProjects(transaction, value) {
+    const stores = {
+      projects: transaction.objectStore(OBJECT_STORES.projects),
+      tasks: transaction.objectStore(OBJECT_STORES.tasks),
+      members: transaction.objectStore(OBJECT_STORES.members),
+      keyValue: transaction.objectStore(OBJECT_STORES.keyValue)
+    }
+    const projects = value === null ? [] : JSON.parse(value)
+    const written = new Map()
+
+    projects.forEach(project => {
+      const serialized = JSON.stringify(project)
+      written.set(project.id, serialized)
+      if (this.persistedProjects.get(project.id) === serialized) return
+
+      const records = IndexedDBAdapter.splitProject(project)
+      deleteProjectRecords(stores, project.id)
+      stores.projects.put(records.project)
+      records.tasks.forEach(record => stores.tasks.put(record))
+      records.members.forEach(record => stores.members.put(record))
+    })
+
+    this.persistedProjects.forEach((serialized, projectId) => {
+      if (!written.has(projectId)) {
+        deleteProjectRecords(stores, projectId)
+        stores.projects.delete(projectId)
+      }
+    })
+
+    if (value === null) {
+      stores.keyValue.delete(this.projectsKey)
+    } else {
+      stores.keyValue.put({ key: this.projectsKey, value: JSON.stringify(projects.map(project => project.id)) })
+    }
+
+    return written
+  }
+
+  /**
+   * Records of a serialized project: the project without its tasks and
+   * members, and one record per task and member keyed by their position
+   * @param {Object} project - Serialized project
+   * @returns {Object} Project, task and member records
+   */
+  static splitProject(project) {
+    const { tasks = [], teamMembers = [], ...data } = project
+    const toRecord = (item, sortIndex) => ({ projectId: project.id, sortIndex, data: item })
+
+    return {
+      project: data,
+      tasks: tasks.map(toRecord),
+      members: teamMembers.map(toRecord)
+    }
+  }
+
+  /**
+   * Serialized projects rebuilt from their records
+   * @param {Array} order - Project IDs in their saved order
+   * @param {Array} projects - Project records
+   * @param {Array} tasks - Task records
+   * @param {Array} members - Member records
+   * @returns {Array} Serialized projects
+   */
+  static assembleProjects(order, projects, tasks, members) {
+    const projectsById = new Map(projects.map(project => [project.id, project]))
+    const tasksByProject = groupRecords(tasks)
+    const membersByProject = groupRecords(members)
+
+    return order
+      .filter(projectId => projectsById.has(projectId))
+      .map(projectId => ({
+        ...projectsById.get(projectId),
+        tasks: tasksByProject.get(projectId) || [],
+        teamMembers: membersByProject.get(projectId) || []
+      }))
+  }
+}
+
+function openDatabase(databaseName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+
+      if (!db.objectStoreNames.contains(OBJECT_STORES.projects)) {
+        const projects = db.createObjectStore(OBJECT_STORES.projects, { keyPath: 'id' })
+        projects.createIndex('status', 'status')
+      }
+
+      if (!db.objectStoreNames.contains(OBJECT_STORES.tasks)) {
+        const tasks = db.createObjectStore(OBJECT_STORES.tasks, { keyPath: ['projectId', 'sortIndex'] })
+        tasks.createIndex('projectId', 'projectId')
+        tasks.createIndex('id', 'data.id')
+        tasks.createIndex('parentTaskId', 'data.parentTaskId')
+        tasks.createIndex('assignedTo', 'data.assignedTo')
+        tasks.createIndex('status', 'data.status')
+      }
+
+      if (!db.objectStoreNames.contains(OBJECT_STORES.members)) {
+        const members = db.createObjectStore(OBJECT_STORES.members, { keyPath: ['projectId', 'sortIndex'] })
+        members.createIndex('projectId', 'projectId')
+        members.createIndex('id', 'data.id')
+      }
+
+      if (!db.objectStoreNames.contains(OBJECT_STORES.keyValue)) {
+        db.createObjectStore(OBJECT_STORES.keyValue, { keyPath: 'key' })
+      }
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Let a newer version of the app upgrade the database from another tab
+      db.onversionchange = () => db.close()
+      resolve(db)
+    }
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Task and member keys start with the project ID
+function deleteProjectRecords(stores, projectId) {
+  const range = IDBKeyRange.bound([projectId, 0], [projectId, Infinity])
+  stores.tasks.delete(range)
+  stores.members.delete(range)
+}
+
+function groupRecords(records) {
+  const groups = new Map()
+  records
+    .slice()
+    .sort((a, b) => a.sortIndex - b.sortIndex)
+    .forEach(record => {
+      if (!groups.has(record.projectId)) groups.set(record.projectId, [])
+      groups.get(record.projectId).push(record.data)
+    })
+  return groups
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'))
+  })
+}
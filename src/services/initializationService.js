@@ -9,6 +9,7 @@ import { migrationService } from './migrationService.js'
 export class InitializationService {
   constructor() {
     this.initializationSteps = [
+      { name: 'Storage Backend', fn: this.selectStorageBackend },
       { name: 'Storage Check', fn: this.checkStorage },
       { name: 'Data Migration', fn: this.runMigrations },
       { name: 'Data Validation', fn: this.validateData },
@@ -91,6 +92,22 @@ export class InitializationService {
     }
   }
 
+  /**
+   * Move the data to IndexedDB when the browser supports it
+   */
+  async selectStorageBackend() {
+    try {
+      const result = await migrationService.migrateToIndexedDB()
+      if (result.error) {
+        console.warn(`Using ${result.backend}: ${result.error}`)
+      }
+      return result
+    } finally {
+      // Readers that started early can now rely on the chosen backend
+      storageService.markReady()
+    }
+  }
+
   /**
    * Check if localStorage is available and working
    */
@@ -116,6 +133,7 @@ export class InitializationService {
 
       return {
         available: true,
+        backend: healthCheck.backend,
         healthy: healthCheck.healthy,
         projectCount: healthCheck.projectCount,
         dataSize: healthCheck.approximateDataSize
@@ -0,0 +1,382 @@
+/**
+ * LocalLLMService - Handles AI project generation with a self-hosted model
+ * Talks to an Ollama server or any OpenAI-compatible endpoint (llama.cpp,
+ * vLLM, LM Studio...), so project descriptions never leave the company network.
+ * Prompts and response processing are shared with OpenAIService
+ */
+
+import { OpenAIService } from './openAIService.js';
+import { AI_CONFIG, getProviderConfig, getErrorConfig } from '../config/aiConfig.js';
+import { aiResponseSchema } from '../utils/aiResponseSchema.js';
+
+const API_TYPES = ['ollama', 'openai'];
+
+export class LocalLLMService extends OpenAIService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Function} options.fetch - fetch implementation (the browser one by default)
+   */
+  constructor({ fetch: fetchImpl = null } = {}) {
+    super();
+    this.fetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+    this.settings = null;
+  }
+
+  /**
+   * Configure the local server
+   * @param {Object} settings - Server settings
+   * @param {string} settings.baseUrl - Server URL (e.g. http://localhost:11434 or http://host:8000/v1)
+   * @param {string} settings.model - Model name
+   * @param {string} settings.apiType - 'ollama' or 'openai'
+   * @param {string} settings.apiKey - Optional key for OpenAI-compatible servers behind a gateway
+   */
+  configure(settings = {}) {
+    const {
+      baseUrl = AI_CONFIG.local.baseUrl,
+      model = AI_CONFIG.local.model,
+      apiType = AI_CONFIG.local.apiType,
+      apiKey = ''
+    } = settings;
+
+    if (!baseUrl || typeof baseUrl !== 'string' || !/^https?:\/\//.test(baseUrl.trim())) {
+      throw new Error('Valid local model server URL is required');
+    }
+    if (!API_TYPES.includes(apiType)) {
+      throw new Error(`Unknown local model API type: ${apiType}`);
+    }
+    if (!model || typeof model !== 'string') {
+      throw new Error('Local model name is required');
+    }
+
+    this.settings = {
+      baseUrl: baseUrl.trim().replace(/\/+$/, ''),
+      model: model.trim(),
+      apiType,
+      apiKey
+    };
+    this.isConfigured = true;
+  }
+
+  /**
+   * Check if the service is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isReady() {
+    return this.isConfigured && this.settings !== null;
+  }
+
+  /**
+   * Get the configured model name
+   * @returns {string} Model name
+   */
+  getModel() {
+    return this.settings?.model || AI_CONFIG.local.model;
+  }
+
+  /**
+   * Generate project from user prompt
+   * @param {string} prompt - User description of the project
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Generated project data
+   */
+  async generateProject(prompt, options = {}) {
+    if (!this.isReady()) {
+      throw new Error('Local model service is not configured. Please provide the server URL.');
+    }
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
+      throw new Error('Valid project prompt is required');
+    }
+
+    const {
+      complexity = 'medium',
+      includeTeamMembers = true,
+      maxTasks = 20,
+      estimatedDuration = null,
+      analysisResult = null
+    } = options;
+
+    const systemPrompt = this.createSystemPrompt(complexity, includeTeamMembers, maxTasks, analysisResult);
+    const userPrompt = this.enhanceUserPrompt(prompt, estimatedDuration, analysisResult);
+    const config = getProviderConfig('local', complexity);
+
+    const content = await this.complete([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], {
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+      json: true,
+      schema: aiResponseSchema.getStructuredOutput('ollama'),
+      timeout: config.requestTimeout
+    });
+
+    if (!content) {
+      throw new Error('No response received from the local model');
+    }
+
+    try {
+      return this.processAIResponse(content, analysisResult);
+    } catch (error) {
+      throw this.createGenerationError(error);
+    }
+  }
+
+  /**
+   * Send a chat to the server and return the reply text
+   * Ollama constrains the reply to the JSON Schema in schema; OpenAI-compatible
+   * servers differ in their structured output support and only get JSON mode
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - temperature, maxTokens, json, schema and timeout
+   * @returns {Promise<string>} Reply content
+   */
+  async complete(messages, { temperature = 0.7, maxTokens = 3500, json = false, schema = null, timeout = AI_CONFIG.local.requestTimeout } = {}) {
+    if (!this.isReady()) {
+      throw new Error('Local model service is not configured. Please provide the server URL.');
+    }
+
+    const { apiType, model } = this.settings;
+
+    if (apiType === 'ollama') {
+      const data = await this.request('POST', '/api/chat', {
+        model,
+        messages,
+        stream: false,
+        ...(json && { format: schema || 'json' }),
+        options: { temperature, num_predict: maxTokens }
+      }, timeout);
+      return data?.message?.content || '';
+    }
+
+    const data = await this.request('POST', '/chat/completions', {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && { response_format: { type: 'json_object' } })
+    }, timeout);
+    return data?.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Stream the completion text
+   * Ollama sends one JSON object per line and OpenAI-compatible servers send
+   * server-sent events ending with [DONE]
+   * @param {Array} messages - Chat messages
+   * @param {string} complexity - Project complexity level
+   * @param {AbortSignal} signal - Signal to cancel the request
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamCompletion(messages, complexity, signal = null) {
+    const { apiType, model } = this.settings;
+    const config = getProviderConfig('local', complexity);
+
+    const body = apiType === 'ollama'
+      ? { model, messages, stream: true, format: aiResponseSchema.getStructuredOutput('ollama'), options: { temperature: config.temperature, num_predict: config.maxTokens } }
+      : { model, messages, temperature: config.temperature, max_tokens: config.maxTokens, response_format: { type: 'json_object' }, stream: true };
+
+    const { response, release } = await this.send('POST', apiType === 'ollama' ? '/api/chat' : '/chat/completions', body, {
+      timeout: config.requestTimeout,
+      signal
+    });
+
+    try {
+      for await (const line of readLines(response.body)) {
+        if (apiType === 'ollama') {
+          const chunk = JSON.parse(line);
+          if (chunk.error) throw createError('server_error', chunk.error);
+          if (chunk.message?.content) yield chunk.message.content;
+          if (chunk.done) return;
+        } else if (line.startsWith('data:')) {
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  async request(method, path, body = null, timeout = AI_CONFIG.local.requestTimeout) {
+    const { response, release } = await this.send(method, path, body, { timeout });
+    try {
+      return await response.json();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Send a request to the server
+   * The timeout keeps running until release is called, so it also covers
+   * reading a streamed body
+   * @returns {Promise<Object>} { response, release }
+   */
+  async send(method, path, body, { timeout = AI_CONFIG.local.requestTimeout, signal = null } = {}) {
+    const { baseUrl, apiKey } = this.settings;
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, timeout);
+    signal?.addEventListener('abort', abort);
+
+    const release = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    };
+
+    let response;
+    try {
+      response = await this.fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      release();
+      if (signal?.aborted) {
+        throw createError('cancelled', 'Local model request cancelled');
+      }
+      const timedOut = error.name === 'AbortError';
+      throw createError(
+        timedOut ? 'timeout' : 'network_error',
+        timedOut
+          ? `Local model request timeout after ${timeout / 1000}s`
+          : `Cannot reach the local model server at ${baseUrl} (network error)`
+      );
+    }
+
+    if (!response.ok) {
+      release();
+      const detail = await response.text().catch(() => '');
+      throw createError(errorCodeForStatus(response.status), `Local model server responded with status ${response.status}${detail ? `: ${detail.substring(0, 200)}` : ''}`);
+    }
+
+    return { response, release };
+  }
+
+  /**
+   * Name used in the messages of this service
+   * @returns {string} Display name
+   */
+  getDisplayName() {
+    return 'Local model';
+  }
+
+  /**
+   * Keep server errors as they are, so their code decides the retries
+   * @param {Error} error - Original error
+   * @returns {Error} Generation error
+   */
+  createGenerationError(error) {
+    if (error.code) return error;
+    return new Error(`Local model returned invalid JSON: ${error.message}. Try a smaller model context or a simpler description.`);
+  }
+
+  /**
+   * Determine if an error should be retried
+   * @param {Error} error - The error to check
+   * @returns {boolean} Whether the error should be retried
+   */
+  shouldRetryError(error) {
+    const errorConfig = getErrorConfig('local');
+
+    if (errorConfig.permanent.includes(error.code)) {
+      return false;
+    }
+    if (errorConfig.retryable.includes(error.code)) {
+      return true;
+    }
+    return super.shouldRetryError(error);
+  }
+
+  /**
+   * Test the connection to the server and that the model is available
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    if (!this.isReady()) {
+      return {
+        success: false,
+        error: 'Local model service is not configured'
+      };
+    }
+
+    const { apiType, model } = this.settings;
+
+    try {
+      const data = await this.request('GET', apiType === 'ollama' ? '/api/tags' : '/models', null, 10000);
+      const models = apiType === 'ollama'
+        ? (data?.models || []).map(entry => entry.name)
+        : (data?.data || []).map(entry => entry.id);
+
+      // Ollama names carry a tag (llama3.1:latest)
+      const available = models.some(name => name === model || name.split(':')[0] === model);
+      if (models.length > 0 && !available) {
+        return {
+          success: false,
+          error: `Model ${model} is not available on the server (available: ${models.join(', ')})`
+        };
+      }
+
+      return {
+        success: true,
+        message: `Local model connection successful (${model})`,
+        model
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Split a streamed body into its non-empty lines
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.trim();
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+function errorCodeForStatus(status) {
+  if (status === 401 || status === 403) return 'unauthorized';
+  if (status === 404) return 'model_not_found';
+  if (status === 408) return 'timeout';
+  if (status >= 500) return 'server_error';
+  return 'invalid_request';
+}
+
+// Export singleton instance
+export const localLLMService = new LocalLLMService();
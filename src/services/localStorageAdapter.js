@@ -0,0 +1,37 @@
+/**
+ * localStorage storage backend
+ *
+ * Storage adapters share the synchronous subset of the Web Storage API that
+ * StorageService relies on, so the backend can change without touching it:
+ * - name: backend identifier
+ * - open(): async, prepares the backend before it is used
+ * - getItem(key) / setItem(key, value) / removeItem(key): serialized values
+ * - flush(): async, resolves once every write has been persisted
+ * - close(): releases the backend
+ */
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage'
+  }
+
+  async open() {
+    return this
+  }
+
+  getItem(key) {
+    return localStorage.getItem(key)
+  }
+
+  setItem(key, value) {
+    localStorage.setItem(key, value)
+  }
+
+  removeItem(key) {
+    localStorage.removeItem(key)
+  }
+
+  // Writes are synchronous, there is never anything pending
+  async flush() {}
+
+  close() {}
+}
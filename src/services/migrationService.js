@@ -3,9 +3,14 @@
  */
 
 import { storageService } from './storageService.js'
+import { IndexedDBAdapter } from './indexedDBAdapter.js'
 
 const CURRENT_VERSION = '1.0.0'
 const VERSION_KEY = 'pm_data_version'
+const BACKEND_KEY = 'pm_storage_backend'
+
+// Values moved to IndexedDB; the activity log and the data version stay in localStorage
+const INDEXED_DB_KEYS = ['projects', 'templates', 'aiGenerations', 'settings', 'userPreferences', 'syncConfig', 'syncQueue', 'syncState']
 
 /**
  * Migration definitions
@@ -239,6 +244,82 @@ export class MigrationService {
     }
   }
 
+  /**
+   * Move the data from localStorage to IndexedDB the first time it runs and
+   * switch the storage service to IndexedDB. Keeps localStorage when
+   * IndexedDB is not available or the migration fails
+   */
+  async migrateToIndexedDB() {
+    // Initialization can run again after a recovery, switching once is enough
+    if (!IndexedDBAdapter.isSupported() || storageService.backend === 'indexedDB') {
+      return { backend: storageService.backend, migrated: false }
+    }
+
+    const adapter = new IndexedDBAdapter({ projectsKey: storageService.storageKeys.projects })
+
+    try {
+      await adapter.open()
+
+      const alreadyMigrated = localStorage.getItem(BACKEND_KEY) === adapter.name
+      const keys = INDEXED_DB_KEYS.map(name => storageService.storageKeys[name])
+      let migratedKeys = []
+
+      if (!alreadyMigrated) {
+        migratedKeys = keys.filter(key => localStorage.getItem(key) !== null)
+        migratedKeys.forEach(key => adapter.setItem(key, localStorage.getItem(key)))
+        await adapter.flush()
+        await this.verifyIndexedDBMigration(migratedKeys)
+
+        // Only free localStorage once the copy has been read back
+        localStorage.setItem(BACKEND_KEY, adapter.name)
+        migratedKeys.forEach(key => localStorage.removeItem(key))
+        console.log(`Migrated ${migratedKeys.length} value(s) from localStorage to IndexedDB`)
+      }
+
+      await storageService.useAdapter(adapter)
+
+      return { backend: adapter.name, migrated: !alreadyMigrated, migratedKeys }
+    } catch (error) {
+      console.error('IndexedDB migration failed, keeping localStorage:', error)
+      adapter.close()
+
+      return { backend: storageService.backend, migrated: false, error: error.message }
+    }
+  }
+
+  /**
+   * Check that a fresh connection reads back what was copied
+   */
+  async verifyIndexedDBMigration(keys) {
+    const check = new IndexedDBAdapter({ projectsKey: storageService.storageKeys.projects })
+    await check.open()
+
+    try {
+      keys.forEach(key => {
+        const original = JSON.parse(localStorage.getItem(key))
+        const copy = JSON.parse(check.getItem(key))
+
+        const matches = key === storageService.storageKeys.projects
+          ? this.summarizeProjects(original) === this.summarizeProjects(copy)
+          : JSON.stringify(original) === JSON.stringify(copy)
+
+        if (!matches) {
+          throw new Error(`IndexedDB copy of ${key} does not match`)
+        }
+      })
+    } finally {
+      check.close()
+    }
+  }
+
+  summarizeProjects(projects) {
+    return JSON.stringify((projects || []).map(project => [
+      project.id,
+      (project.tasks || []).map(task => task.id),
+      (project.teamMembers || []).map(member => member.id)
+    ]))
+  }
+
   /**
    * Compare two version strings
    * Returns: -1 if a < b, 0 if a === b, 1 if a > b
@@ -0,0 +1,809 @@
+/**
+ * MSProjectService - Microsoft Project XML (MSPDI) import and export
+ * Maps tasks, outline levels, resources, assignments, predecessor links,
+ * calendars and baselines between MSPDI documents and the project data used
+ * by ProjectExportService/ProjectImportService, and reports whatever could
+ * not be mapped
+ */
+
+import { DateCalculationService } from './dateCalculationService.js';
+import { ProjectExportService } from './projectExportService.js';
+import { DEFAULT_WORKING_DAYS, DEFAULT_HOURS_PER_DAY, MAX_TIME_ENTRY_HOURS, MAX_DEPENDENCY_LAG } from '../models/index.js';
+
+const MSPDI_NAMESPACE = 'http://schemas.microsoft.com/project';
+
+// PredecessorLink/Type codes of MSPDI
+const LINK_TYPES = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+
+// MSPDI priorities go from 0 to 1000 (500 = medium)
+const PRIORITY_VALUES = { low: 300, medium: 500, high: 700 };
+
+// Lag formats measured in elapsed time (24 h days) and in percentage of the predecessor
+const ELAPSED_LAG_FORMATS = [4, 6, 8, 10, 12, 36, 38, 40, 42, 44];
+const PERCENT_LAG_FORMATS = [19, 20, 51, 52];
+
+// ConstraintType codes: 2 = Must Start On, 3 = Must Finish On
+const FIXED_CONSTRAINT_TYPES = [2, 3];
+const IGNORED_CONSTRAINT_NAMES = {
+  1: 'Lo más tarde posible',
+  5: 'No comenzar después del',
+  6: 'No finalizar antes del',
+  7: 'No finalizar después del'
+};
+
+// MS Project keeps one task per unassigned resource slot with this UID
+const UNASSIGNED_RESOURCE_UID = '-65535';
+
+// Safety limit when expanding calendar exception ranges into days
+const MAX_EXCEPTION_DAYS = 366;
+
+export class MSProjectService {
+  /**
+   * Check whether a text is an MSPDI document
+   * @param {string} content - File content
+   * @returns {boolean} True for Microsoft Project XML
+   */
+  static isMSProjectXml(content) {
+    if (typeof content !== 'string') return false;
+    const head = content.trimStart().slice(0, 1000);
+    return head.startsWith('<') && head.includes('<Project') && head.includes(MSPDI_NAMESPACE);
+  }
+
+  /**
+   * Convert an MSPDI document into project data in the JSON export format
+   * @param {string} xml - Microsoft Project XML content
+   * @returns {Object} Project data ready for ProjectImportService and the list of elements that were not mapped
+   * @throws {Error} If the document is not valid MSPDI
+   */
+  static parseProject(xml) {
+    const root = this.parseXml(xml);
+    const report = [];
+    const token = Date.now().toString(36);
+
+    const minutesPerDay = this.number(this.childText(root, 'MinutesPerDay'), DEFAULT_HOURS_PER_DAY * 60);
+    const hoursPerDay = minutesPerDay / 60;
+
+    const calendars = this.readCalendars(root, report);
+    const projectCalendar = calendars.get(this.childText(root, 'CalendarUID')) || null;
+    const usedCalendars = new Set(projectCalendar ? [projectCalendar.uid, projectCalendar.baseUid] : []);
+
+    const { members, membersByUid } = this.readResources(root, calendars, usedCalendars, { token, hoursPerDay, report });
+    const { tasks, tasksByUid, links, baselines, summaryName } = this.readTasks(root, { token, hoursPerDay, report });
+
+    this.readPredecessorLinks(links, tasksByUid, minutesPerDay, report);
+    this.readAssignments(root, tasksByUid, membersByUid, report);
+
+    calendars.forEach(calendar => {
+      if (!usedCalendars.has(calendar.uid) && calendar.isBase) {
+        report.push({ element: 'Calendario', name: calendar.name, reason: 'Solo se importa el calendario del proyecto y los de los recursos' });
+      }
+    });
+
+    const startDate = this.parseDateTime(this.childText(root, 'StartDate'));
+    const finishDate = this.parseDateTime(this.childText(root, 'FinishDate'));
+    const createdAt = this.parseDateTime(this.childText(root, 'CreationDate'));
+    const name = this.childText(root, 'Title') || summaryName || (this.childText(root, 'Name') || '').replace(/\.xml$/i, '');
+
+    const project = {
+      id: `project_${token}`,
+      name: name || 'Proyecto de MS Project',
+      description: this.childText(root, 'Subject') || '',
+      startDate: startDate ? startDate.toISOString() : null,
+      endDate: finishDate ? finishDate.toISOString() : null,
+      status: 'active',
+      teamMembers: members,
+      tasks,
+      calendar: projectCalendar ? this.toProjectCalendar(projectCalendar, calendars) : null,
+      baselines: this.buildBaselines(baselines, token),
+      createdAt: (createdAt || new Date()).toISOString()
+    };
+
+    return { project, report };
+  }
+
+  /**
+   * Export a project as an MSPDI document
+   * @param {Project} project - Project to export (tasks as a flat list with parentTaskId)
+   * @returns {Object} XML content and the list of elements that MSPDI cannot hold
+   * @throws {Error} If project is invalid
+   */
+  static exportProject(project) {
+    if (!project || !project.id || !project.name) {
+      throw new Error('Project must have an id and name');
+    }
+
+    const report = [];
+    const hoursPerDay = DEFAULT_HOURS_PER_DAY;
+    const minutesPerDay = hoursPerDay * 60;
+    const tasks = this.orderTasks(project.tasks || []);
+    const members = project.teamMembers || [];
+    const taskUids = new Map(tasks.map((entry, index) => [entry.task.id, index + 1]));
+    const memberUids = new Map(members.map((member, index) => [member.id, index + 1]));
+
+    const projectStart = project.startDate || (tasks[0] && tasks[0].task.startDate);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      `<Project xmlns="${MSPDI_NAMESPACE}">`,
+      '  <SaveVersion>14</SaveVersion>',
+      this.element('Name', `${ProjectExportService.sanitizeFilename(project.name)}.xml`, 1),
+      this.element('Title', project.name, 1),
+      this.element('Subject', project.description || '', 1),
+      this.element('CreationDate', this.formatDateTime(project.createdAt || new Date(), 8), 1),
+      this.element('ScheduleFromStart', 1, 1),
+      this.element('StartDate', this.formatDateTime(projectStart || new Date(), 8), 1),
+      project.endDate ? this.element('FinishDate', this.formatDateTime(project.endDate, 17), 1) : null,
+      this.element('CalendarUID', 1, 1),
+      this.element('MinutesPerDay', minutesPerDay, 1),
+      this.element('MinutesPerWeek', minutesPerDay * 5, 1),
+      '  <Calendars>',
+      ...this.buildCalendarXml(1, 'Estándar', project.calendar, null),
+      ...members
+        .filter(member => (member.daysOff || []).length > 0)
+        .flatMap(member => this.buildCalendarXml(1 + memberUids.get(member.id), member.name, null, member.daysOff)),
+      '  </Calendars>',
+      '  <Tasks>',
+      ...tasks.flatMap(entry => this.buildTaskXml(entry, { taskUids, project, hoursPerDay, minutesPerDay, report })),
+      '  </Tasks>',
+      '  <Resources>',
+      ...members.flatMap(member => this.buildResourceXml(member, memberUids.get(member.id), hoursPerDay)),
+      '  </Resources>',
+      '  <Assignments>',
+      ...this.buildAssignmentsXml(tasks, taskUids, memberUids, hoursPerDay),
+      '  </Assignments>',
+      '</Project>'
+    ].filter(line => line !== null);
+
+    if ((project.baselines || []).length > 11) {
+      report.push({ element: 'Línea base', name: project.name, reason: 'MS Project admite 11 líneas base; solo se exportan las 11 primeras' });
+    }
+
+    return { xml: lines.join('\n'), report };
+  }
+
+  /**
+   * Export and download a project as Microsoft Project XML
+   * @param {Project} project - Project to export
+   * @param {string} filename - Optional filename without extension
+   * @returns {Array} Elements that could not be exported
+   */
+  static exportAndDownload(project, filename = null) {
+    const { xml, report } = this.exportProject(project);
+    const downloadFilename = filename || ProjectExportService.sanitizeFilename(project.name);
+
+    try {
+      const blob = new Blob([xml], { type: 'application/xml' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${downloadFilename}.xml`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(`Failed to download XML file: ${error.message}`);
+    }
+
+    return report;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  static parseXml(xml) {
+    if (!this.isMSProjectXml(xml)) {
+      throw new Error('El archivo no es un XML de Microsoft Project (MSPDI)');
+    }
+
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement || doc.documentElement.localName !== 'Project') {
+      throw new Error('El XML de Microsoft Project no está bien formado');
+    }
+
+    return doc.documentElement;
+  }
+
+  /**
+   * Read calendars with their weekly pattern and exception days
+   */
+  static readCalendars(root, report) {
+    const calendars = new Map();
+
+    this.children(this.child(root, 'Calendars'), 'Calendar').forEach(element => {
+      const calendar = {
+        uid: this.childText(element, 'UID'),
+        name: this.childText(element, 'Name') || 'Calendario',
+        isBase: this.childText(element, 'IsBaseCalendar') === '1',
+        baseUid: this.childText(element, 'BaseCalendarUID'),
+        workingDays: null,
+        nonWorkingDates: [],
+        workingDates: []
+      };
+
+      this.children(this.child(element, 'WeekDays'), 'WeekDay').forEach(weekDay => {
+        const dayType = this.number(this.childText(weekDay, 'DayType'), -1);
+        const working = this.childText(weekDay, 'DayWorking') === '1';
+
+        if (dayType >= 1 && dayType <= 7) {
+          calendar.workingDays = calendar.workingDays || [];
+          if (working) calendar.workingDays.push(dayType - 1);
+        } else if (dayType === 0) {
+          // Pre-2007 exceptions are week days of type 0 with a time period
+          this.addExceptionDays(calendar, this.child(weekDay, 'TimePeriod'), working, '', report);
+        }
+      });
+
+      this.children(this.child(element, 'Exceptions'), 'Exception').forEach(exception => {
+        const name = this.childText(exception, 'Name') || '';
+        const type = this.childText(exception, 'Type');
+        if (type && type !== '1') {
+          report.push({ element: 'Calendario', name: `${calendar.name}: ${name || 'excepción'}`, reason: 'Las excepciones periódicas (semanales, mensuales o anuales) no se importan' });
+          return;
+        }
+        this.addExceptionDays(calendar, this.child(exception, 'TimePeriod'), this.childText(exception, 'DayWorking') === '1', name, report);
+      });
+
+      calendars.set(calendar.uid, calendar);
+    });
+
+    return calendars;
+  }
+
+  static addExceptionDays(calendar, timePeriod, working, name, report) {
+    const from = this.parseDateTime(this.childText(timePeriod, 'FromDate'));
+    const to = this.parseDateTime(this.childText(timePeriod, 'ToDate')) || from;
+    if (!from) return;
+
+    const cursor = this.startOfDay(from);
+    const end = this.startOfDay(to);
+    let count = 0;
+
+    while (cursor <= end && count < MAX_EXCEPTION_DAYS) {
+      const day = { date: DateCalculationService.toDateKey(cursor), name };
+      (working ? calendar.workingDates : calendar.nonWorkingDates).push(day);
+      cursor.setDate(cursor.getDate() + 1);
+      count++;
+    }
+
+    if (cursor <= end) {
+      report.push({ element: 'Calendario', name: `${calendar.name}: ${name || 'excepción'}`, reason: `Solo se importan los primeros ${MAX_EXCEPTION_DAYS} días de la excepción` });
+    }
+  }
+
+  /**
+   * Project calendar in the WorkCalendar shape; derived calendars inherit the weekly pattern of their base
+   */
+  static toProjectCalendar(calendar, calendars) {
+    const base = calendars.get(calendar.baseUid);
+    const workingDays = calendar.workingDays || (base && base.workingDays) || DEFAULT_WORKING_DAYS;
+    const nonWorkingDates = [...(base ? base.nonWorkingDates : []), ...calendar.nonWorkingDates];
+    const workingDates = [...(base ? base.workingDates : []), ...calendar.workingDates];
+
+    return {
+      workingDays: [...new Set(workingDays)].sort((a, b) => a - b),
+      holidays: nonWorkingDates.map(day => ({ date: day.date, name: day.name })),
+      exceptions: workingDates.map(day => ({ date: day.date, working: true, name: day.name }))
+    };
+  }
+
+  /**
+   * Work resources become team members; their calendar exceptions become days off
+   */
+  static readResources(root, calendars, usedCalendars, { token, hoursPerDay, report }) {
+    const members = [];
+    const membersByUid = new Map();
+
+    this.children(this.child(root, 'Resources'), 'Resource').forEach(element => {
+      const uid = this.childText(element, 'UID');
+      const name = this.childText(element, 'Name');
+      if (!name || this.childText(element, 'IsNull') === '1') return;
+
+      const type = this.childText(element, 'Type') || '1';
+      if (type !== '1') {
+        report.push({ element: 'Recurso', name, reason: 'Solo se importan recursos de trabajo; los de material y costo se omiten' });
+        return;
+      }
+
+      const calendar = calendars.get(this.childText(element, 'CalendarUID'));
+      if (calendar) {
+        usedCalendars.add(calendar.uid);
+        if (calendar.workingDays && calendar.isBase === false && calendar.workingDays.length > 0) {
+          report.push({ element: 'Recurso', name, reason: 'La semana laboral propia del recurso no se importa, solo sus días no laborables' });
+        }
+      }
+
+      const maxUnits = this.number(this.childText(element, 'MaxUnits'), 1);
+      const member = {
+        id: `member_${token}_${uid}`,
+        name,
+        email: this.childText(element, 'EmailAddress') || '',
+        role: this.childText(element, 'Group') || 'Colaborador',
+        avatar: null,
+        hoursPerDay: Math.min(MAX_TIME_ENTRY_HOURS, Math.round(maxUnits * hoursPerDay * 100) / 100),
+        daysOff: calendar ? calendar.nonWorkingDates.map(day => ({ date: day.date, reason: day.name })) : [],
+        joinedAt: new Date().toISOString()
+      };
+
+      members.push(member);
+      membersByUid.set(uid, member);
+    });
+
+    return { members, membersByUid };
+  }
+
+  /**
+   * Tasks in outline order; OutlineLevel drives parentTaskId and level
+   */
+  static readTasks(root, { token, hoursPerDay, report }) {
+    const tasks = [];
+    const tasksByUid = new Map();
+    const links = [];
+    const baselines = new Map();
+    const outline = [];
+    let summaryName = null;
+
+    const elements = this.children(this.child(root, 'Tasks'), 'Task')
+      .sort((a, b) => this.number(this.childText(a, 'ID'), 0) - this.number(this.childText(b, 'ID'), 0));
+
+    elements.forEach(element => {
+      if (this.childText(element, 'IsNull') === '1') return;
+
+      const uid = this.childText(element, 'UID');
+      const name = this.childText(element, 'Name') || `Tarea ${uid}`;
+      const outlineLevel = this.number(this.childText(element, 'OutlineLevel'), 1);
+
+      // Task 0 is the project summary task
+      if (outlineLevel === 0) {
+        summaryName = this.childText(element, 'Name');
+        return;
+      }
+
+      const start = this.parseDateTime(this.childText(element, 'Start'));
+      const finish = this.parseDateTime(this.childText(element, 'Finish'));
+      if (!start || !finish) {
+        report.push({ element: 'Tarea', name, reason: 'No tiene fechas de comienzo y fin' });
+        return;
+      }
+
+      outline.length = outlineLevel - 1;
+      const parent = outline[outlineLevel - 2] || null;
+      const isSummary = this.childText(element, 'Summary') === '1';
+      const isMilestone = this.childText(element, 'Milestone') === '1';
+      const percent = Math.max(0, Math.min(100, this.number(this.childText(element, 'PercentComplete'), 0)));
+      const work = this.parseDuration(this.childText(element, 'Work'));
+      const remainingWork = this.parseDuration(this.childText(element, 'RemainingWork'));
+      const durationHours = this.parseDuration(this.childText(element, 'Duration'));
+      const constraintType = this.number(this.childText(element, 'ConstraintType'), 0);
+
+      if (isMilestone) {
+        report.push({ element: 'Tarea', name, reason: 'Hito importado como tarea de un día' });
+      }
+      if (IGNORED_CONSTRAINT_NAMES[constraintType]) {
+        report.push({ element: 'Tarea', name, reason: `La restricción "${IGNORED_CONSTRAINT_NAMES[constraintType]}" no se importa` });
+      }
+
+      const startDate = this.startOfDay(start);
+      const endDate = this.startOfDay(finish);
+      // Summary tasks get their effort from their subtasks
+      const estimatedHours = !isSummary && work !== null && work > 0 ? this.roundHours(work) : null;
+
+      const task = {
+        id: `task_${token}_${uid}`,
+        parentTaskId: parent ? parent.id : null,
+        title: name,
+        description: this.childText(element, 'Notes') || '',
+        startDate: startDate.toISOString(),
+        endDate: (endDate < startDate ? startDate : endDate).toISOString(),
+        status: this.toStatus(element, percent),
+        type: 'simple',
+        assignedTo: null,
+        priority: this.toPriority(this.childText(element, 'Priority')),
+        progress: Math.round(percent),
+        level: outlineLevel - 1,
+        duration: isMilestone ? 1 : Math.max(1, Math.round((durationHours || 0) / hoursPerDay)),
+        fixedDates: FIXED_CONSTRAINT_TYPES.includes(constraintType),
+        estimatedHours,
+        remainingHours: estimatedHours !== null && remainingWork !== null && remainingWork !== work
+          ? this.roundHours(remainingWork)
+          : null,
+        dependencies: [],
+        subtasks: []
+      };
+
+      outline[outlineLevel - 1] = task;
+      tasks.push(task);
+      tasksByUid.set(uid, task);
+
+      this.children(element, 'PredecessorLink').forEach(link => links.push({ task, link }));
+
+      this.children(element, 'Baseline').forEach(baseline => {
+        const number = this.number(this.childText(baseline, 'Number'), 0);
+        const baselineStart = this.parseDateTime(this.childText(baseline, 'Start'));
+        const baselineFinish = this.parseDateTime(this.childText(baseline, 'Finish'));
+        if (!baselineStart || !baselineFinish) return;
+
+        if (!baselines.has(number)) baselines.set(number, []);
+        baselines.get(number).push({
+          taskId: task.id,
+          title: task.title,
+          startDate: this.startOfDay(baselineStart).toISOString(),
+          endDate: this.startOfDay(baselineFinish).toISOString(),
+          duration: Math.max(1, Math.round((this.parseDuration(this.childText(baseline, 'Duration')) || 0) / hoursPerDay))
+        });
+      });
+    });
+
+    return { tasks, tasksByUid, links, baselines, summaryName };
+  }
+
+  static readPredecessorLinks(links, tasksByUid, minutesPerDay, report) {
+    links.forEach(({ task, link }) => {
+      const predecessorUid = this.childText(link, 'PredecessorUID');
+      const predecessor = tasksByUid.get(predecessorUid);
+
+      if (this.childText(link, 'CrossProject') === '1' || !predecessor) {
+        report.push({ element: 'Dependencia', name: task.title, reason: `La predecesora ${predecessorUid} no pertenece al proyecto importado` });
+        return;
+      }
+
+      const lagFormat = this.number(this.childText(link, 'LagFormat'), 7);
+      const linkLag = this.number(this.childText(link, 'LinkLag'), 0);
+      let lag = 0;
+
+      if (PERCENT_LAG_FORMATS.includes(lagFormat)) {
+        if (linkLag !== 0) {
+          report.push({ element: 'Dependencia', name: `${predecessor.title} → ${task.title}`, reason: 'Los retardos en porcentaje no se importan' });
+        }
+      } else {
+        // LinkLag is expressed in tenths of a minute
+        const minutesPerLagDay = ELAPSED_LAG_FORMATS.includes(lagFormat) ? 24 * 60 : minutesPerDay;
+        const days = linkLag / 10 / minutesPerLagDay;
+        lag = Math.max(-MAX_DEPENDENCY_LAG, Math.min(MAX_DEPENDENCY_LAG, Math.round(days)));
+        if (Math.abs(days - lag) > 0.01) {
+          report.push({ element: 'Dependencia', name: `${predecessor.title} → ${task.title}`, reason: `Retardo redondeado a ${lag} días` });
+        }
+      }
+
+      task.dependencies.push({
+        predecessorId: predecessor.id,
+        type: LINK_TYPES[this.childText(link, 'Type')] || 'FS',
+        lag
+      });
+    });
+  }
+
+  /**
+   * Tasks have a single assignee: the assignment with most units wins
+   */
+  static readAssignments(root, tasksByUid, membersByUid, report) {
+    const byTask = new Map();
+
+    this.children(this.child(root, 'Assignments'), 'Assignment').forEach(element => {
+      const task = tasksByUid.get(this.childText(element, 'TaskUID'));
+      const resourceUid = this.childText(element, 'ResourceUID');
+      const member = membersByUid.get(resourceUid);
+      if (!task || !member || resourceUid === UNASSIGNED_RESOURCE_UID) return;
+
+      if (!byTask.has(task)) byTask.set(task, []);
+      byTask.get(task).push({ member, units: this.number(this.childText(element, 'Units'), 1) });
+    });
+
+    byTask.forEach((assignments, task) => {
+      assignments.sort((a, b) => b.units - a.units);
+      task.assignedTo = assignments[0].member.id;
+
+      if (assignments.length > 1) {
+        const others = assignments.slice(1).map(assignment => assignment.member.name).join(', ');
+        report.push({ element: 'Asignación', name: task.title, reason: `Solo se admite un responsable por tarea; no se asignó a ${others}` });
+      }
+    });
+  }
+
+  static buildBaselines(baselines, token) {
+    return [...baselines.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([number, tasks]) => ({
+        id: `baseline_${token}_${number}`,
+        name: number === 0 ? 'Línea base (MS Project)' : `Línea base ${number} (MS Project)`,
+        createdAt: new Date().toISOString(),
+        tasks
+      }));
+  }
+
+  static toStatus(element, percent) {
+    if (this.childText(element, 'Active') === '0') return 'cancelled';
+    if (percent >= 100) return 'completed';
+    if (percent > 0) return 'in_progress';
+    return 'pending';
+  }
+
+  static toPriority(value) {
+    const priority = this.number(value, PRIORITY_VALUES.medium);
+    if (priority < 400) return 'low';
+    if (priority > 600) return 'high';
+    return 'medium';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Depth-first task order with outline level and outline number
+   */
+  static orderTasks(tasks) {
+    const ordered = [];
+    const byStart = (a, b) => new Date(a.startDate) - new Date(b.startDate);
+    const ids = new Set(tasks.map(task => task.id));
+    const childrenOf = (parentId) => tasks
+      .filter(task => parentId ? task.parentTaskId === parentId : !task.parentTaskId || !ids.has(task.parentTaskId))
+      .sort(byStart);
+
+    const visit = (task, outlineNumber, visited) => {
+      if (visited.has(task.id)) return;
+      visited.add(task.id);
+
+      const children = childrenOf(task.id);
+      ordered.push({ task, outlineNumber, outlineLevel: outlineNumber.split('.').length, isSummary: children.length > 0 });
+      children.forEach((child, index) => visit(child, `${outlineNumber}.${index + 1}`, visited));
+    };
+
+    const visited = new Set();
+    childrenOf(null).forEach((task, index) => visit(task, String(index + 1), visited));
+    return ordered;
+  }
+
+  static buildTaskXml({ task, outlineNumber, outlineLevel, isSummary }, { taskUids, project, hoursPerDay, minutesPerDay, report }) {
+    const uid = taskUids.get(task.id);
+    const durationDays = Math.max(1, Number(task.duration) || DateCalculationService.calculateWorkingDays(new Date(task.startDate), new Date(task.endDate)) || 1);
+    const estimatedHours = task.estimatedHours ?? null;
+    const remainingHours = typeof task.getRemainingHours === 'function' ? task.getRemainingHours() : (task.remainingHours ?? estimatedHours);
+    const fixed = Boolean(task.fixedDates);
+
+    if (task.deliverable) {
+      report.push({ element: 'Tarea', name: task.title, reason: 'El entregable no se exporta' });
+    }
+    if ((task.timeEntries || []).length > 0) {
+      report.push({ element: 'Tarea', name: task.title, reason: 'Los registros de horas no se exportan' });
+    }
+
+    const lines = [
+      '    <Task>',
+      this.element('UID', uid, 3),
+      this.element('ID', uid, 3),
+      this.element('Name', task.title || '', 3),
+      this.element('Active', task.status === 'cancelled' ? 0 : 1, 3),
+      this.element('Manual', 0, 3),
+      this.element('Type', 0, 3),
+      this.element('OutlineNumber', outlineNumber, 3),
+      this.element('OutlineLevel', outlineLevel, 3),
+      this.element('Priority', PRIORITY_VALUES[task.priority] || PRIORITY_VALUES.medium, 3),
+      this.element('Start', this.formatDateTime(task.startDate, 8), 3),
+      this.element('Finish', this.formatDateTime(task.endDate, 17), 3),
+      this.element('Duration', this.formatDuration(durationDays * hoursPerDay), 3),
+      this.element('DurationFormat', 7, 3),
+      estimatedHours !== null ? this.element('Work', this.formatDuration(estimatedHours), 3) : null,
+      estimatedHours !== null && remainingHours !== null ? this.element('RemainingWork', this.formatDuration(remainingHours), 3) : null,
+      this.element('Milestone', 0, 3),
+      this.element('Summary', isSummary ? 1 : 0, 3),
+      this.element('PercentComplete', task.status === 'completed' ? 100 : Math.round(task.progress || 0), 3),
+      this.element('ConstraintType', fixed ? 2 : 4, 3),
+      this.element('ConstraintDate', this.formatDateTime(task.startDate, 8), 3),
+      task.description ? this.element('Notes', task.description, 3) : null,
+      ...(task.dependencies || [])
+        .filter(dependency => {
+          if (taskUids.has(dependency.predecessorId)) return true;
+          report.push({ element: 'Dependencia', name: task.title, reason: 'La predecesora no existe en el proyecto' });
+          return false;
+        })
+        .flatMap(dependency => [
+          '      <PredecessorLink>',
+          this.element('PredecessorUID', taskUids.get(dependency.predecessorId), 4),
+          this.element('Type', Number(Object.keys(LINK_TYPES).find(code => LINK_TYPES[code] === (dependency.type || 'FS'))), 4),
+          this.element('CrossProject', 0, 4),
+          this.element('LinkLag', Math.round((Number(dependency.lag) || 0) * minutesPerDay * 10), 4),
+          this.element('LagFormat', 7, 4),
+          '      </PredecessorLink>'
+        ]),
+      ...(project.baselines || []).slice(0, 11).flatMap((baseline, number) => {
+        const snapshot = (baseline.tasks || []).find(entry => entry.taskId === task.id);
+        if (!snapshot) return [];
+        return [
+          '      <Baseline>',
+          this.element('Number', number, 4),
+          this.element('Start', this.formatDateTime(snapshot.startDate, 8), 4),
+          this.element('Finish', this.formatDateTime(snapshot.endDate, 17), 4),
+          this.element('Duration', this.formatDuration((snapshot.duration || 1) * hoursPerDay), 4),
+          '      </Baseline>'
+        ];
+      }),
+      '    </Task>'
+    ];
+
+    return lines.filter(line => line !== null);
+  }
+
+  static buildResourceXml(member, uid, hoursPerDay) {
+    const memberHours = Number(member.hoursPerDay ?? hoursPerDay);
+    return [
+      '    <Resource>',
+      this.element('UID', uid, 3),
+      this.element('ID', uid, 3),
+      this.element('Name', member.name || '', 3),
+      this.element('Type', 1, 3),
+      this.element('Initials', (member.name || '').split(' ').map(word => word.charAt(0)).join('').toUpperCase().substring(0, 2), 3),
+      this.element('Group', member.role || '', 3),
+      this.element('EmailAddress', member.email || '', 3),
+      this.element('MaxUnits', (memberHours / hoursPerDay).toFixed(2), 3),
+      (member.daysOff || []).length > 0 ? this.element('CalendarUID', 1 + uid, 3) : null,
+      '    </Resource>'
+    ].filter(line => line !== null);
+  }
+
+  static buildAssignmentsXml(tasks, taskUids, memberUids, hoursPerDay) {
+    let uid = 0;
+    return tasks
+      .filter(({ task }) => task.assignedTo && memberUids.has(task.assignedTo))
+      .flatMap(({ task }) => {
+        uid++;
+        const durationDays = Math.max(1, Number(task.duration) || 1);
+        const work = task.estimatedHours ?? durationDays * hoursPerDay;
+        return [
+          '    <Assignment>',
+          this.element('UID', uid, 3),
+          this.element('TaskUID', taskUids.get(task.id), 3),
+          this.element('ResourceUID', memberUids.get(task.assignedTo), 3),
+          this.element('Units', 1, 3),
+          this.element('Work', this.formatDuration(work), 3),
+          '    </Assignment>'
+        ];
+      });
+  }
+
+  /**
+   * Base calendar from a WorkCalendar, or a resource calendar derived from it with the days off of a member
+   */
+  static buildCalendarXml(uid, name, calendar, daysOff) {
+    const isResourceCalendar = Array.isArray(daysOff);
+    const workingDays = calendar && Array.isArray(calendar.workingDays) ? calendar.workingDays : DEFAULT_WORKING_DAYS;
+    const exceptions = isResourceCalendar
+      ? daysOff.map(dayOff => ({ date: dayOff.date, name: dayOff.reason || '', working: false }))
+      : [
+        ...((calendar && calendar.holidays) || []).map(holiday => ({ ...holiday, working: false })),
+        ...((calendar && calendar.exceptions) || []).map(exception => ({ ...exception, working: exception.working !== false }))
+      ];
+
+    const lines = [
+      '    <Calendar>',
+      this.element('UID', uid, 3),
+      this.element('Name', name, 3),
+      this.element('IsBaseCalendar', isResourceCalendar ? 0 : 1, 3),
+      this.element('BaseCalendarUID', isResourceCalendar ? 1 : -1, 3)
+    ];
+
+    if (!isResourceCalendar) {
+      lines.push('      <WeekDays>');
+      for (let dayType = 1; dayType <= 7; dayType++) {
+        const working = workingDays.includes(dayType - 1);
+        lines.push('        <WeekDay>', this.element('DayType', dayType, 5), this.element('DayWorking', working ? 1 : 0, 5));
+        if (working) lines.push(...this.buildWorkingTimesXml(5));
+        lines.push('        </WeekDay>');
+      }
+      lines.push('      </WeekDays>');
+    }
+
+    if (exceptions.length > 0) {
+      lines.push('      <Exceptions>');
+      exceptions.forEach(exception => {
+        const date = DateCalculationService.toDateKey(exception.date);
+        lines.push(
+          '        <Exception>',
+          this.element('EnteredByOccurrences', 0, 5),
+          '          <TimePeriod>',
+          this.element('FromDate', `${date}T00:00:00`, 6),
+          this.element('ToDate', `${date}T23:59:00`, 6),
+          '          </TimePeriod>',
+          this.element('Occurrences', 1, 5),
+          this.element('Name', exception.name || '', 5),
+          this.element('Type', 1, 5),
+          this.element('DayWorking', exception.working ? 1 : 0, 5),
+          ...(exception.working ? this.buildWorkingTimesXml(5) : []),
+          '        </Exception>'
+        );
+      });
+      lines.push('      </Exceptions>');
+    }
+
+    lines.push('    </Calendar>');
+    return lines;
+  }
+
+  static buildWorkingTimesXml(depth) {
+    const indent = '  '.repeat(depth);
+    return [
+      `${indent}<WorkingTimes>`,
+      `${indent}  <WorkingTime><FromTime>08:00:00</FromTime><ToTime>12:00:00</ToTime></WorkingTime>`,
+      `${indent}  <WorkingTime><FromTime>13:00:00</FromTime><ToTime>17:00:00</ToTime></WorkingTime>`,
+      `${indent}</WorkingTimes>`
+    ];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static children(element, name) {
+    if (!element) return [];
+    return Array.from(element.children).filter(child => child.localName === name);
+  }
+
+  static child(element, name) {
+    return this.children(element, name)[0] || null;
+  }
+
+  static childText(element, name) {
+    const child = this.child(element, name);
+    const text = child ? child.textContent.trim() : '';
+    return text === '' ? null : text;
+  }
+
+  static number(value, fallback) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || isNaN(number) ? fallback : number;
+  }
+
+  /**
+   * MSPDI dates are local times without offset (2024-01-15T08:00:00)
+   */
+  static parseDateTime(value) {
+    if (!value) return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(value);
+    if (!match) return null;
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  static formatDateTime(value, hours) {
+    const date = value instanceof Date ? value : new Date(value);
+    return `${DateCalculationService.toDateKey(date)}T${String(hours).padStart(2, '0')}:00:00`;
+  }
+
+  /**
+   * Hours of an ISO 8601 duration as written by MS Project (PT16H30M0S, P1DT4H...)
+   */
+  static parseDuration(value) {
+    if (!value) return null;
+    const match = /^-?P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+    if (!match) return null;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 24 + Number(hours) + Number(minutes) / 60 + Number(seconds) / 3600;
+  }
+
+  static formatDuration(hours) {
+    const totalMinutes = Math.round(Math.max(0, Number(hours) || 0) * 60);
+    return `PT${Math.floor(totalMinutes / 60)}H${totalMinutes % 60}M0S`;
+  }
+
+  static startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  static roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+  }
+
+  static element(name, value, depth) {
+    return `${'  '.repeat(depth)}<${name}>${this.escapeXml(value)}</${name}>`;
+  }
+
+  static escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
@@ -4,16 +4,20 @@
  */
 
 import OpenAI from 'openai';
-import { Project, Task, TeamMember, Deliverable } from '../models/index.js';
-import { getProviderConfig, getErrorConfig } from '../config/aiConfig.js';
+import { Project, Task, TeamMember, Deliverable, DEFAULT_HOURS_PER_DAY } from '../models/index.js';
+import { getProviderConfig, getErrorConfig, supportsStructuredOutput } from '../config/aiConfig.js';
 import { promptAnalyzer } from '../utils/promptAnalyzer.js';
 import { hierarchyResponseParser } from '../utils/hierarchyResponseParser.js';
 import { taskHierarchyBuilder } from '../utils/taskHierarchyBuilder.js';
+import { partialJSONParser } from '../utils/partialJsonParser.js';
+import { aiResponseSchema } from '../utils/aiResponseSchema.js';
 
 export class OpenAIService {
   constructor() {
     this.client = null;
     this.isConfigured = false;
+    // Text of the last response, kept for the generation history
+    this.lastResponse = null;
   }
 
   /**
@@ -82,7 +86,7 @@ export class OpenAIService {
         ],
         temperature: config.temperature,
         max_tokens: config.maxTokens,
-        response_format: config.responseFormat
+        response_format: this.getResponseFormat(config.model)
       });
 
       if (!response.choices || response.choices.length === 0) {
@@ -93,21 +97,241 @@ export class OpenAIService {
       return this.processAIResponse(aiResponse, analysisResult);
 
     } catch (error) {
-      if (error.code === 'insufficient_quota') {
-        throw new Error('OpenAI API quota exceeded. Please check your billing settings.');
-      } else if (error.code === 'invalid_api_key') {
-        throw new Error('Invalid OpenAI API key. Please check your configuration.');
-      } else if (error.code === 'rate_limit_exceeded') {
-        throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-      } else if (error.message?.includes('Failed to parse AI response as JSON')) {
-        // Enhanced JSON parsing error with debugging info
-        throw new Error(`OpenAI returned invalid JSON: ${error.message}. Try reducing project complexity or using a simpler description.`);
-      } else {
-        throw new Error(`OpenAI API error: ${error.message}`);
+      throw this.createGenerationError(error);
+    }
+  }
+
+  /**
+   * Generate project from user prompt, streaming the response
+   * The partial project is reported while it arrives. When the signal aborts
+   * the generation, the tasks received so far are returned as an incomplete project
+   * @param {string} prompt - User description of the project
+   * @param {Object} options - Generation options, plus onProgress and signal
+   * @param {Function} options.onProgress - Called with the partial project preview
+   * @param {AbortSignal} options.signal - Signal to cancel the generation
+   * @returns {Promise<Object>} Generated project data
+   */
+  async generateProjectStream(prompt, options = {}) {
+    if (!this.isReady()) {
+      throw new Error(`${this.getDisplayName()} service is not configured.`);
+    }
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
+      throw new Error('Valid project prompt is required');
+    }
+
+    const {
+      complexity = 'medium',
+      includeTeamMembers = true,
+      maxTasks = 20,
+      estimatedDuration = null,
+      analysisResult = null,
+      onProgress = null,
+      signal = null
+    } = options;
+
+    const messages = [
+      { role: 'system', content: this.createSystemPrompt(complexity, includeTeamMembers, maxTasks, analysisResult) },
+      { role: 'user', content: this.enhanceUserPrompt(prompt, estimatedDuration, analysisResult) }
+    ];
+
+    let content = '';
+    let reported = '';
+
+    try {
+      for await (const delta of this.streamCompletion(messages, complexity, signal)) {
+        content += delta;
+
+        const preview = this.createStreamPreview(content);
+        const key = preview && JSON.stringify(preview);
+        if (onProgress && key && key !== reported) {
+          reported = key;
+          onProgress({ ...preview, receivedCharacters: content.length });
+        }
       }
+    } catch (error) {
+      if (!signal?.aborted) {
+        throw this.createGenerationError(error);
+      }
+    }
+
+    if (signal?.aborted) {
+      return this.processPartialResponse(content, analysisResult);
+    }
+
+    try {
+      return this.processAIResponse(content, analysisResult);
+    } catch (error) {
+      throw this.createGenerationError(error);
+    }
+  }
+
+  /**
+   * Stream the completion text
+   * @param {Array} messages - Chat messages
+   * @param {string} complexity - Project complexity level
+   * @param {AbortSignal} signal - Signal to cancel the request
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamCompletion(messages, complexity, signal = null) {
+    const config = getProviderConfig('openai', complexity);
+
+    const stream = await this.client.chat.completions.create({
+      model: config.model,
+      messages,
+      temperature: config.temperature,
+      max_tokens: config.maxTokens,
+      response_format: this.getResponseFormat(config.model),
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
     }
   }
 
+  /**
+   * Build the preview of a response that is still arriving
+   * @param {string} content - Response text received so far
+   * @returns {Object|null} Name, description, complete tasks and team members, or null
+   */
+  createStreamPreview(content) {
+    let data;
+    try {
+      data = partialJSONParser.parse(content);
+    } catch (error) {
+      return null;
+    }
+    if (!data || typeof data !== 'object') return null;
+
+    const toTask = task => ({
+      title: task.title || '',
+      duration: task.duration || null,
+      subtasks: Array.isArray(task.subtasks) ? task.subtasks.map(toTask) : []
+    });
+
+    return {
+      name: typeof data.name === 'string' ? data.name : '',
+      description: typeof data.description === 'string' ? data.description : '',
+      tasks: Array.isArray(data.tasks) ? data.tasks.filter(task => task && task.title).map(toTask) : [],
+      teamMembers: Array.isArray(data.teamMembers) ? data.teamMembers.filter(member => member && member.name) : []
+    };
+  }
+
+  /**
+   * Turn the response received before a cancellation into a project
+   * Only complete tasks are kept; the project is flagged as incomplete
+   * @param {string} content - Response text received so far
+   * @param {Object} analysisResult - Optional prompt analysis result
+   * @returns {Object} Processed project data
+   */
+  processPartialResponse(content, analysisResult = null) {
+    this.lastResponse = content;
+    let projectData = null;
+    try {
+      projectData = partialJSONParser.parse(content);
+    } catch (error) {
+      console.warn('Could not read the partial AI response:', error.message);
+    }
+
+    const tasks = Array.isArray(projectData?.tasks)
+      ? projectData.tasks.filter(task => aiResponseSchema.validateTask(task).isValid)
+      : [];
+
+    if (tasks.length === 0) {
+      const error = new Error('Generation cancelled before any complete task was received');
+      error.code = 'cancelled';
+      throw error;
+    }
+
+    const partialData = {
+      ...projectData,
+      name: projectData.name || 'Proyecto generado',
+      estimatedDuration: projectData.estimatedDuration || tasks.reduce((sum, task) => sum + task.duration, 0),
+      tasks,
+      teamMembers: Array.isArray(projectData.teamMembers) ? projectData.teamMembers.filter(member => member && member.name) : []
+    };
+
+    const project = analysisResult?.isHierarchical
+      ? this.processHierarchicalResponse(partialData, analysisResult)
+      : this.enhanceProjectData(partialData, analysisResult);
+    project.incomplete = true;
+
+    return project;
+  }
+
+  /**
+   * Send a chat and return the reply text
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - temperature, maxTokens and json
+   * @returns {Promise<string>} Reply content
+   */
+  async complete(messages, { temperature = 0.7, maxTokens = 3500, json = false } = {}) {
+    if (!this.isReady()) {
+      throw new Error('OpenAI service is not configured. Please provide an API key.');
+    }
+
+    const config = getProviderConfig('openai', 'medium');
+
+    try {
+      const response = await this.client.chat.completions.create({
+        model: config.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json && { response_format: { type: 'json_object' } })
+      });
+
+      return response.choices?.[0]?.message?.content || '';
+    } catch (error) {
+      throw this.createGenerationError(error);
+    }
+  }
+
+  /**
+   * Name used in the messages of this service
+   * @returns {string} Display name
+   */
+  getDisplayName() {
+    return 'OpenAI';
+  }
+
+  /**
+   * Response format for project generation
+   * Models with structured outputs get the shared project schema
+   * @param {string} model - Model name
+   * @returns {Object} response_format parameter
+   */
+  getResponseFormat(model) {
+    return supportsStructuredOutput('openai', model)
+      ? aiResponseSchema.getStructuredOutput('openai')
+      : getProviderConfig('openai').responseFormat;
+  }
+
+  /**
+   * Convert an API or parsing error into a generation error
+   * @param {Error} error - Original error
+   * @returns {Error} Error with a descriptive message
+   */
+  createGenerationError(error) {
+    let message;
+    if (error.code === 'insufficient_quota') {
+      message = 'OpenAI API quota exceeded. Please check your billing settings.';
+    } else if (error.code === 'invalid_api_key') {
+      message = 'Invalid OpenAI API key. Please check your configuration.';
+    } else if (error.code === 'rate_limit_exceeded') {
+      message = 'OpenAI API rate limit exceeded. Please try again later.';
+    } else if (error.message?.includes('Failed to parse AI response as JSON')) {
+      // Enhanced JSON parsing error with debugging info
+      message = `OpenAI returned invalid JSON: ${error.message}. Try reducing project complexity or using a simpler description.`;
+    } else {
+      message = `OpenAI API error: ${error.message}`;
+    }
+
+    return new Error(message);
+  }
+
   /**
    * Create system prompt for project generation
    * @param {string} complexity - Project complexity level
@@ -145,6 +369,7 @@ ${language === 'spanish' ? '- Maintain Spanish terminology and descriptions' : '
           "title": "Login Submodule",
           "description": "User authentication and login management",
           "duration": number_of_working_days,
+          "estimatedHours": number_of_effort_hours,
           "priority": "low|medium|high",
           "type": "simple|with_deliverable",
           "subtasks": [
@@ -152,6 +377,7 @@ ${language === 'spanish' ? '- Maintain Spanish terminology and descriptions' : '
               "title": "User Login Implementation",
               "description": "Implement encrypted user login functionality",
               "duration": number_of_working_days,
+              "estimatedHours": number_of_effort_hours,
               "priority": "low|medium|high",
               "type": "simple|with_deliverable"
             },
@@ -159,6 +385,7 @@ ${language === 'spanish' ? '- Maintain Spanish terminology and descriptions' : '
               "title": "User Registration System",
               "description": "Create new user registration process",
               "duration": number_of_working_days,
+              "estimatedHours": number_of_effort_hours,
               "priority": "low|medium|high",
               "type": "simple|with_deliverable"
             },
@@ -166,6 +393,7 @@ ${language === 'spanish' ? '- Maintain Spanish terminology and descriptions' : '
               "title": "User Management Operations",
               "description": "Update and delete user functionality",
               "duration": number_of_working_days,
+              "estimatedHours": number_of_effort_hours,
               "priority": "low|medium|high",
               "type": "simple|with_deliverable"
             }
@@ -185,6 +413,7 @@ ${language === 'spanish' ? '- Maintain Spanish terminology and descriptions' : '
           "title": "Subtask title",
           "description": "Subtask description",
           "duration": number_of_working_days,
+          "estimatedHours": number_of_effort_hours,
           "priority": "low|medium|high",
           "type": "simple|with_deliverable"
         }
@@ -196,6 +425,7 @@ ${language === 'spanish' ? '- Maintain Spanish terminology and descriptions' : '
           "title": "Subtask title",
           "description": "Subtask description",
           "duration": number_of_working_days,
+          "estimatedHours": number_of_effort_hours,
           "priority": "low|medium|high",
           "type": "simple|with_deliverable"
         }
@@ -222,6 +452,7 @@ Generate a project with the following structure:
       "title": "Task title",
       "description": "Detailed task description",
       "duration": number_of_working_days,
+      "estimatedHours": number_of_effort_hours,
       "priority": "low|medium|high",
       "type": "simple|with_deliverable",
       "dependencies": ["task_title_1", "task_title_2"],
@@ -251,6 +482,7 @@ Guidelines:
 - Only include deliverable object if type is "with_deliverable"
 - Dependencies should reference exact task titles
 - Ensure all durations are positive integers
+- estimatedHours is the effort in person-hours, independent of duration (a 2-hour task may span several days)
 - Keep descriptions concise (max 100 characters each)
 - Assign appropriate priorities based on task importance and dependencies
 ${isHierarchical ? `- CRITICAL HIERARCHY REQUIREMENT: Generate comprehensive ${suggestedLevels}-level hierarchy matching the detected structure` : ''}
@@ -313,39 +545,8 @@ ${detectedModules.length > 0 ? `- MODULE-SPECIFIC GUIDELINES: Create main tasks
    * @returns {Object} Processed project data
    */
   processAIResponse(response, analysisResult = null) {
-    if (!response || typeof response !== 'string') {
-      throw new Error('Invalid AI response received');
-    }
-
-    // Clean and attempt to fix the JSON response
-    let cleanedResponse = this.cleanAndFixJSON(response);
-
-    let projectData;
-    try {
-      projectData = JSON.parse(cleanedResponse);
-    } catch (error) {
-      // Log debugging information
-      console.error('OpenAI JSON Parse Error:', {
-        originalLength: response.length,
-        cleanedLength: cleanedResponse.length,
-        errorMessage: error.message,
-        responsePreview: response.substring(0, 200) + '...',
-        responseEnd: response.substring(Math.max(0, response.length - 200))
-      });
-
-      // If parsing fails, try to extract and fix the JSON
-      const fixedJSON = this.attemptJSONFix(cleanedResponse);
-      if (fixedJSON) {
-        try {
-          projectData = JSON.parse(fixedJSON);
-          console.log('Successfully fixed JSON response');
-        } catch (secondError) {
-          throw new Error(`Failed to parse AI response as JSON: ${error.message}. Response length: ${response.length} characters. Try using a simpler project description.`);
-        }
-      } else {
-        throw new Error(`Failed to parse AI response as JSON: ${error.message}. Response length: ${response.length} characters. Try using a simpler project description.`);
-      }
-    }
+    this.lastResponse = response;
+    const projectData = aiResponseSchema.parseJSON(response, this.getDisplayName());
 
     // Validate and process the generated project
     const validation = this.validateGeneratedProject(projectData);
@@ -445,235 +646,12 @@ ${detectedModules.length > 0 ? `- MODULE-SPECIFIC GUIDELINES: Create main tasks
   }
 
   /**
-   * Clean and prepare JSON response
-   * @param {string} response - Raw response
-   * @returns {string} Cleaned response
-   */
-  cleanAndFixJSON(response) {
-    // Remove any markdown code blocks
-    let cleaned = response.trim();
-
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-
-    // Find JSON object boundaries
-    const jsonStart = cleaned.indexOf('{');
-    const jsonEnd = cleaned.lastIndexOf('}');
-
-    if (jsonStart !== -1 && jsonEnd !== -1 && jsonStart < jsonEnd) {
-      cleaned = cleaned.substring(jsonStart, jsonEnd + 1);
-    }
-
-    return cleaned;
-  }
-
-  /**
-   * Attempt to fix incomplete JSON
-   * @param {string} jsonString - Potentially incomplete JSON
-   * @returns {string|null} Fixed JSON or null if unfixable
-   */
-  attemptJSONFix(jsonString) {
-    try {
-      let fixed = jsonString.trim();
-
-      // Handle unterminated strings first
-      const quotes = (fixed.match(/"/g) || []).length;
-      if (quotes % 2 !== 0) {
-        // Odd number of quotes means unterminated string
-        // Find the last quote and check if it needs closing
-        const lastQuoteIndex = fixed.lastIndexOf('"');
-        const beforeLastQuote = fixed.substring(0, lastQuoteIndex);
-        const afterLastQuote = fixed.substring(lastQuoteIndex + 1);
-
-        // Count quotes before the last quote
-        const quotesBeforeLast = (beforeLastQuote.match(/"/g) || []).length;
-
-        // If even number of quotes before, this is an opening quote that needs closing
-        if (quotesBeforeLast % 2 === 0) {
-          // Check if there's unfinished content after the quote
-          if (afterLastQuote && !afterLastQuote.match(/^\s*[,\]\}]/)) {
-            // Close the string before any structural characters
-            const nextStructuralChar = afterLastQuote.search(/[,\]\}]/);
-            if (nextStructuralChar !== -1) {
-              fixed = fixed.substring(0, lastQuoteIndex + 1) + '"' + afterLastQuote.substring(nextStructuralChar);
-            } else {
-              // Just close the string
-              fixed = fixed.substring(0, lastQuoteIndex + 1) + '"';
-            }
-          }
-        }
-      }
-
-      // Count opening and closing braces/brackets
-      const openBraces = (fixed.match(/\{/g) || []).length;
-      const closeBraces = (fixed.match(/\}/g) || []).length;
-      const openBrackets = (fixed.match(/\[/g) || []).length;
-      const closeBrackets = (fixed.match(/\]/g) || []).length;
-
-      // Add missing closing brackets first (inner structures)
-      for (let i = 0; i < openBrackets - closeBrackets; i++) {
-        fixed += ']';
-      }
-
-      // Add missing closing braces (outer structures)
-      for (let i = 0; i < openBraces - closeBraces; i++) {
-        fixed += '}';
-      }
-
-      // Test if the fixed JSON is valid
-      JSON.parse(fixed);
-      return fixed;
-
-    } catch (error) {
-      // If we can't fix it, return null
-      return null;
-    }
-  }
-
-  /**
-   * Validate generated project structure
+   * Validate generated project structure against the shared schema
    * @param {Object} projectData - Generated project data
-   * @returns {Object} Validation result
+   * @returns {Object} Validation result with path-level errors and warnings
    */
   validateGeneratedProject(projectData) {
-    const result = {
-      isValid: true,
-      errors: [],
-      warnings: []
-    };
-
-    // Validate basic structure
-    if (!projectData || typeof projectData !== 'object') {
-      result.errors.push('Project data must be an object');
-      result.isValid = false;
-      return result;
-    }
-
-    // Validate required fields
-    if (!projectData.name || typeof projectData.name !== 'string' || projectData.name.trim() === '') {
-      result.errors.push('Project must have a valid name');
-      result.isValid = false;
-    }
-
-    if (!projectData.description || typeof projectData.description !== 'string') {
-      result.warnings.push('Project should have a description');
-    }
-
-    if (!projectData.estimatedDuration || typeof projectData.estimatedDuration !== 'number' || projectData.estimatedDuration <= 0) {
-      result.warnings.push('Project should have a valid estimated duration');
-    }
-
-    // Validate tasks array
-    if (!projectData.tasks || !Array.isArray(projectData.tasks)) {
-      result.errors.push('Project must have a tasks array');
-      result.isValid = false;
-    } else if (projectData.tasks.length === 0) {
-      result.errors.push('Project must have at least one task');
-      result.isValid = false;
-    } else {
-      // Validate each task
-      projectData.tasks.forEach((task, index) => {
-        const taskValidation = this.validateGeneratedTask(task, index);
-        result.errors.push(...taskValidation.errors);
-        result.warnings.push(...taskValidation.warnings);
-        if (!taskValidation.isValid) {
-          result.isValid = false;
-        }
-      });
-    }
-
-    // Validate team members if present
-    if (projectData.teamMembers) {
-      if (!Array.isArray(projectData.teamMembers)) {
-        result.warnings.push('Team members should be an array');
-      } else {
-        projectData.teamMembers.forEach((member, index) => {
-          if (!member.name || typeof member.name !== 'string') {
-            result.warnings.push(`Team member at index ${index} should have a name`);
-          }
-          if (!member.role || typeof member.role !== 'string') {
-            result.warnings.push(`Team member at index ${index} should have a role`);
-          }
-        });
-      }
-    }
-
-    return result;
-  }
-
-  /**
-   * Validate generated task structure
-   * @param {Object} task - Task data
-   * @param {number} index - Task index for error reporting
-   * @returns {Object} Validation result
-   */
-  validateGeneratedTask(task, index) {
-    const result = {
-      isValid: true,
-      errors: [],
-      warnings: []
-    };
-
-    if (!task || typeof task !== 'object') {
-      result.errors.push(`Task at index ${index} must be an object`);
-      result.isValid = false;
-      return result;
-    }
-
-    // Validate required fields
-    if (!task.title || typeof task.title !== 'string' || task.title.trim() === '') {
-      result.errors.push(`Task at index ${index} must have a valid title`);
-      result.isValid = false;
-    }
-
-    if (!task.description || typeof task.description !== 'string') {
-      result.warnings.push(`Task at index ${index} should have a description`);
-    }
-
-    if (!task.duration || typeof task.duration !== 'number' || task.duration <= 0) {
-      result.errors.push(`Task at index ${index} must have a valid duration`);
-      result.isValid = false;
-    }
-
-    // Validate optional fields
-    const validPriorities = ['low', 'medium', 'high'];
-    if (task.priority && !validPriorities.includes(task.priority)) {
-      result.warnings.push(`Task at index ${index} has invalid priority "${task.priority}"`);
-    }
-
-    const validTypes = ['simple', 'with_deliverable'];
-    if (task.type && !validTypes.includes(task.type)) {
-      result.warnings.push(`Task at index ${index} has invalid type "${task.type}"`);
-    }
-
-    // Validate deliverable if present
-    if (task.deliverable) {
-      if (task.type !== 'with_deliverable') {
-        result.warnings.push(`Task at index ${index} has deliverable but type is not "with_deliverable"`);
-      }
-
-      const validDeliverableTypes = ['presentation', 'file', 'exposition', 'other'];
-      if (!task.deliverable.type || !validDeliverableTypes.includes(task.deliverable.type)) {
-        result.warnings.push(`Task at index ${index} deliverable has invalid type`);
-      }
-    }
-
-    // Validate subtasks recursively
-    if (task.subtasks && Array.isArray(task.subtasks)) {
-      task.subtasks.forEach((subtask, subtaskIndex) => {
-        const subtaskValidation = this.validateGeneratedTask(subtask, `${index}.${subtaskIndex}`);
-        result.errors.push(...subtaskValidation.errors);
-        result.warnings.push(...subtaskValidation.warnings);
-        if (!subtaskValidation.isValid) {
-          result.isValid = false;
-        }
-      });
-    }
-
-    return result;
+    return aiResponseSchema.validateProject(projectData);
   }
 
   /**
@@ -747,6 +725,7 @@ ${detectedModules.length > 0 ? `- MODULE-SPECIFIC GUIDELINES: Create main tasks
         title: task.title || '',
         description: task.description || '',
         duration: task.duration || 1,
+        estimatedHours: this.estimateTaskHours(task),
         priority: task.priority || 'medium',
         type: task.type || 'simple',
         status: 'pending',
@@ -828,6 +807,11 @@ ${detectedModules.length > 0 ? `- MODULE-SPECIFIC GUIDELINES: Create main tasks
         if (subtaskDurations > 0) {
           enhancedTask.aggregatedDuration = subtaskDurations;
         }
+
+        // Parent effort is the effort of its subtasks
+        if (enhancedTask.subtasks.length > 0) {
+          enhancedTask.estimatedHours = this.sumEstimatedHours(enhancedTask.subtasks);
+        }
       }
 
       enhancedTasks.push(enhancedTask);
@@ -836,6 +820,30 @@ ${detectedModules.length > 0 ? `- MODULE-SPECIFIC GUIDELINES: Create main tasks
     return enhancedTasks;
   }
 
+  /**
+   * Effort estimate of a generated task in person-hours
+   * Falls back to a full working day per day of duration when the model omits it
+   * @param {Object} task - Raw task data
+   * @returns {number} Estimated hours
+   */
+  estimateTaskHours(task) {
+    const hours = Number(task.estimatedHours);
+    if (hours > 0) {
+      return Math.round(hours * 100) / 100;
+    }
+    return (task.duration || 1) * DEFAULT_HOURS_PER_DAY;
+  }
+
+  /**
+   * Sum the effort estimates of enhanced tasks
+   * @param {Array} tasks - Enhanced tasks
+   * @returns {number} Total estimated hours
+   */
+  sumEstimatedHours(tasks) {
+    const total = tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0);
+    return Math.round(total * 100) / 100;
+  }
+
   /**
    * Generate project with enhanced error handling and retries
    * @param {string} prompt - User prompt
@@ -75,6 +75,12 @@ export class ProjectExportService {
         // Tasks with full hierarchy and deliverables
         tasks: this.serializeTasks(project.tasks || []),
         
+        // Work calendar (weekday mask, holidays and exceptions)
+        calendar: this.serializeCalendar(project.calendar),
+        
+        // Saved baselines (planned dates snapshots)
+        baselines: this.serializeBaselines(project.baselines || []),
+        
         // Export metadata
         exportedAt: new Date().toISOString(),
         exportVersion: '1.0.0'
@@ -86,6 +92,47 @@ export class ProjectExportService {
     }
   }
 
+  /**
+   * Serialize a project work calendar
+   * @param {WorkCalendar|Object} calendar - Work calendar
+   * @returns {Object|null} Serialized calendar
+   */
+  static serializeCalendar(calendar) {
+    if (!calendar) {
+      return null;
+    }
+
+    return {
+      workingDays: [...(calendar.workingDays || [])],
+      holidays: (calendar.holidays || []).map(holiday => ({ date: holiday.date, name: holiday.name || '' })),
+      exceptions: (calendar.exceptions || []).map(exception => ({
+        date: exception.date,
+        working: exception.working !== false,
+        name: exception.name || ''
+      }))
+    };
+  }
+
+  /**
+   * Serialize project baselines
+   * @param {ProjectBaseline[]} baselines - Saved baselines
+   * @returns {Object[]} Serialized baselines
+   */
+  static serializeBaselines(baselines) {
+    return baselines.map(baseline => ({
+      id: baseline.id,
+      name: baseline.name || '',
+      createdAt: this.safeToISOString(baseline.createdAt),
+      tasks: (baseline.tasks || []).map(snapshot => ({
+        taskId: snapshot.taskId,
+        title: snapshot.title || '',
+        startDate: this.safeToISOString(snapshot.startDate),
+        endDate: this.safeToISOString(snapshot.endDate),
+        duration: snapshot.duration || 1
+      }))
+    }));
+  }
+
   /**
    * Serialize team members to JSON-compatible format
    * @param {TeamMember[]} teamMembers - Array of team members
@@ -98,6 +145,8 @@ export class ProjectExportService {
       email: member.email || '',
       role: member.role || '',
       avatar: member.avatar || null,
+      hoursPerDay: member.hoursPerDay ?? null,
+      daysOff: (member.daysOff || []).map(dayOff => ({ date: dayOff.date, reason: dayOff.reason || '' })),
       joinedAt: this.safeToISOString(member.joinedAt) || new Date().toISOString()
     }));
   }
@@ -124,12 +173,22 @@ export class ProjectExportService {
       level: task.level || 0,
       duration: task.duration || 0,
       adjustStartDate: task.adjustStartDate || false,
+      fixedDates: task.fixedDates || false,
+      estimatedHours: task.estimatedHours ?? null,
+      remainingHours: task.remainingHours ?? null,
+      timeEntries: this.serializeTimeEntries(task.timeEntries || []),
+      activeTimer: task.activeTimer
+        ? { memberId: task.activeTimer.memberId || null, startedAt: this.safeToISOString(task.activeTimer.startedAt) }
+        : null,
       createdAt: this.safeToISOString(task.createdAt) || new Date().toISOString(),
       updatedAt: this.safeToISOString(task.updatedAt) || new Date().toISOString(),
       
       // Serialize deliverable if present
       deliverable: task.deliverable ? this.serializeDeliverable(task.deliverable) : null,
       
+      // Serialize predecessor links
+      dependencies: this.serializeDependencies(task.dependencies || []),
+      
       // Serialize subtasks recursively
       subtasks: task.subtasks ? this.serializeTasks(task.subtasks) : []
     }));
@@ -150,6 +209,38 @@ export class ProjectExportService {
     };
   }
 
+  /**
+   * Serialize task dependencies to JSON-compatible format
+   * @param {TaskDependency[]} dependencies - Array of dependencies
+   * @returns {Object[]} Serialized dependencies
+   */
+  static serializeDependencies(dependencies) {
+    return dependencies
+      .filter(dependency => dependency && dependency.predecessorId)
+      .map(dependency => ({
+        predecessorId: dependency.predecessorId,
+        type: dependency.type || 'FS',
+        lag: dependency.lag || 0
+      }));
+  }
+
+  /**
+   * Serialize the hours logged on a task
+   * @param {TimeEntry[]} timeEntries - Array of time entries
+   * @returns {Object[]} Serialized time entries
+   */
+  static serializeTimeEntries(timeEntries) {
+    return timeEntries.map(entry => ({
+      id: entry.id,
+      memberId: entry.memberId || null,
+      date: this.safeToISOString(entry.date),
+      hours: entry.hours || 0,
+      note: entry.note || '',
+      source: entry.source || 'manual',
+      createdAt: this.safeToISOString(entry.createdAt) || new Date().toISOString()
+    }));
+  }
+
   /**
    * Generate and download a JSON file with the project data
    * @param {string} jsonData - The JSON string to download
@@ -3,7 +3,7 @@
  * Provides methods to import projects from JSON format with validation and date adjustment
  */
 
-import { Project, Task, TeamMember, Deliverable } from '../models/index.js';
+import { Project, Task, TeamMember, Deliverable, TaskDependency, TimeEntry, WorkCalendar, ProjectBaseline, DEPENDENCY_TYPES } from '../models/index.js';
 import { DateCalculationService } from './dateCalculationService.js';
 
 export class ProjectImportService {
@@ -121,6 +121,15 @@ export class ProjectImportService {
       result.warnings.push(`Invalid project status "${data.status}", will default to "active"`);
     }
 
+    // Validate work calendar
+    if (data.calendar) {
+      if (typeof data.calendar !== 'object' || (data.calendar.workingDays && !Array.isArray(data.calendar.workingDays))) {
+        result.warnings.push('Invalid work calendar, the default calendar will be used');
+      } else if (Array.isArray(data.calendar.workingDays) && data.calendar.workingDays.length === 0) {
+        result.warnings.push('Work calendar has no working days, the default calendar will be used');
+      }
+    }
+
     // Validate team members array
     if (data.teamMembers && !Array.isArray(data.teamMembers)) {
       result.errors.push('Team members must be an array');
@@ -291,6 +300,19 @@ export class ProjectImportService {
       }
     }
 
+    // Validate dependencies
+    if (task.dependencies !== undefined && !Array.isArray(task.dependencies)) {
+      result.warnings.push(`Task at index ${index} dependencies should be an array`);
+    } else if (task.dependencies) {
+      task.dependencies.forEach((dependency, dependencyIndex) => {
+        if (!dependency || !dependency.predecessorId) {
+          result.warnings.push(`Task at index ${index} dependency ${dependencyIndex} is missing a predecessorId and will be ignored`);
+        } else if (dependency.type && !DEPENDENCY_TYPES.includes(dependency.type)) {
+          result.warnings.push(`Task at index ${index} dependency ${dependencyIndex} has invalid type "${dependency.type}", will default to "FS"`);
+        }
+      });
+    }
+
     // Validate subtasks recursively
     if (task.subtasks && Array.isArray(task.subtasks)) {
       task.subtasks.forEach((subtask, subtaskIndex) => {
@@ -363,6 +385,8 @@ export class ProjectImportService {
         email: memberData.email || '',
         role: memberData.role || '',
         avatar: memberData.avatar || null,
+        hoursPerDay: memberData.hoursPerDay,
+        daysOff: memberData.daysOff,
         joinedAt: memberData.joinedAt ? new Date(memberData.joinedAt) : new Date()
       })
     );
@@ -380,6 +404,8 @@ export class ProjectImportService {
       status: data.status || 'active',
       teamMembers,
       tasks,
+      calendar: this.createCalendarFromData(data.calendar),
+      baselines: this.createBaselinesFromData(data.baselines),
       createdAt: data.createdAt ? new Date(data.createdAt) : new Date(),
       updatedAt: new Date() // Always update to current time on import
     });
@@ -387,6 +413,51 @@ export class ProjectImportService {
     return project;
   }
 
+  /**
+   * Create work calendar from data; invalid calendars fall back to the default one
+   * @param {Object} calendarData - Calendar data
+   * @returns {WorkCalendar|null} Work calendar or null for the default calendar
+   */
+  static createCalendarFromData(calendarData) {
+    if (!calendarData || typeof calendarData !== 'object') {
+      return null;
+    }
+
+    if (!Array.isArray(calendarData.workingDays) || calendarData.workingDays.length === 0) {
+      return null;
+    }
+
+    return new WorkCalendar({
+      workingDays: calendarData.workingDays,
+      holidays: (calendarData.holidays || []).filter(holiday => holiday && holiday.date),
+      exceptions: (calendarData.exceptions || []).filter(exception => exception && exception.date)
+    });
+  }
+
+  /**
+   * Create baselines from data; snapshots without valid dates are dropped
+   * @param {Object[]} baselinesData - Baselines data
+   * @returns {ProjectBaseline[]} Baselines
+   */
+  static createBaselinesFromData(baselinesData) {
+    if (!Array.isArray(baselinesData)) {
+      return [];
+    }
+
+    const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+    return baselinesData
+      .filter(baselineData => baselineData && Array.isArray(baselineData.tasks))
+      .map(baselineData => new ProjectBaseline({
+        id: baselineData.id,
+        name: baselineData.name || '',
+        createdAt: isValidDate(baselineData.createdAt) ? new Date(baselineData.createdAt) : new Date(),
+        tasks: baselineData.tasks.filter(snapshot =>
+          snapshot && snapshot.taskId && isValidDate(snapshot.startDate) && isValidDate(snapshot.endDate)
+        )
+      }));
+  }
+
   /**
    * Create task instance from data (recursive for subtasks)
    * @param {Object} taskData - Task data
@@ -406,6 +477,24 @@ export class ProjectImportService {
       });
     }
 
+    // Create dependencies, dropping malformed links
+    const dependencies = (Array.isArray(taskData.dependencies) ? taskData.dependencies : [])
+      .filter(dependency => dependency && dependency.predecessorId)
+      .map(dependency => new TaskDependency({
+        predecessorId: dependency.predecessorId,
+        type: DEPENDENCY_TYPES.includes(dependency.type) ? dependency.type : 'FS',
+        lag: dependency.lag || 0
+      }));
+
+    // Restore logged hours, dropping entries without a valid date
+    const isValidDate = value => value && !isNaN(new Date(value).getTime());
+    const timeEntries = (Array.isArray(taskData.timeEntries) ? taskData.timeEntries : [])
+      .filter(entry => entry && isValidDate(entry.date))
+      .map(entry => TimeEntry.fromJSON(entry));
+    const activeTimer = taskData.activeTimer && isValidDate(taskData.activeTimer.startedAt)
+      ? taskData.activeTimer
+      : null;
+
     // Create subtasks recursively
     const subtasks = (taskData.subtasks || []).map(subtaskData => 
       this.createTaskFromData(subtaskData, projectId)
@@ -430,6 +519,12 @@ export class ProjectImportService {
       level: taskData.level || 0,
       duration: taskData.duration || null,
       adjustStartDate: taskData.adjustStartDate || false,
+      fixedDates: taskData.fixedDates || false,
+      dependencies,
+      estimatedHours: taskData.estimatedHours,
+      remainingHours: taskData.remainingHours,
+      timeEntries,
+      activeTimer,
       createdAt: taskData.createdAt ? new Date(taskData.createdAt) : new Date(),
       updatedAt: new Date() // Always update to current time on import
     });
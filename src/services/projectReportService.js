@@ -0,0 +1,647 @@
+/**
+ * ProjectReportService - Printable project reports
+ * Renders the Gantt chart (as inline SVG, at a Gantt zoom level), the task
+ * table, team assignments and the project summary into a self-contained HTML
+ * document split in fixed-size pages with headers and footers. The document
+ * has no external resources, so it can be printed to PDF or shared offline
+ */
+
+import { DateCalculationService } from './dateCalculationService.js';
+import { ProjectExportService } from './projectExportService.js';
+import { BaselineService } from './baselineService.js';
+import { taskHierarchyBuilder } from '../utils/taskHierarchyBuilder.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Paper sizes in millimetres (portrait)
+export const REPORT_PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  Letter: { width: 216, height: 279 }
+};
+
+export const REPORT_SECTIONS = ['summary', 'gantt', 'tasks', 'team'];
+
+// Same scales as the interactive Gantt (gantt/totalTimelineWidth)
+const ZOOM_SCALES = {
+  days: { pixelsPerDay: 30 },
+  weeks: { pixelsPerDay: 100 / 7 },
+  months: { pixelsPerDay: 150 / 30 }
+};
+
+const PAGE_MARGIN_MM = 12;
+const PAGE_HEADER_MM = 14;
+const PAGE_FOOTER_MM = 10;
+const PX_PER_MM = 96 / 25.4;
+
+const GANTT_LABEL_WIDTH = 240;
+const GANTT_SCALE_HEIGHT = 40;
+const GANTT_ROW_HEIGHT = 24;
+const TABLE_ROW_MM = 7;
+
+const STATUS_LABELS = { pending: 'Pendiente', in_progress: 'En Progreso', completed: 'Completada', cancelled: 'Cancelada' };
+const PRIORITY_LABELS = { low: 'Baja', medium: 'Media', high: 'Alta' };
+const STATUS_COLORS = { pending: '#9ca3af', in_progress: '#3b82f6', completed: '#10b981', cancelled: '#6b7280' };
+const SECTION_TITLES = { summary: 'Resumen del proyecto', gantt: 'Diagrama de Gantt', tasks: 'Tareas', team: 'Asignaciones del equipo' };
+
+export class ProjectReportService {
+  /**
+   * Generate the printable report of a project
+   * @param {Project} project - Project to report
+   * @param {Task[]} tasks - Tasks of the project (flat list with parentTaskId)
+   * @param {Object} options - Report options
+   * @param {string} options.zoomLevel - Gantt scale: 'days', 'weeks' or 'months'
+   * @param {string} options.pageSize - Key of REPORT_PAGE_SIZES
+   * @param {string} options.orientation - 'landscape' or 'portrait'
+   * @param {string[]} options.sections - Sections to include, in REPORT_SECTIONS order
+   * @param {string[]} options.criticalTaskIds - Tasks highlighted as critical in the Gantt
+   * @param {Date} options.generatedAt - Date printed in the page headers (default: now)
+   * @returns {string} Complete HTML document
+   * @throws {Error} If project or options are invalid
+   */
+  static generateReport(project, tasks, options = {}) {
+    if (!project || !Array.isArray(tasks)) {
+      throw new Error('Project and tasks are required for the report');
+    }
+
+    const settings = this.resolveOptions(options);
+    const rows = this.orderTasks(tasks);
+    const layout = this.getPageLayout(settings.pageSize, settings.orientation);
+
+    const pages = [];
+    settings.sections.forEach(section => {
+      switch (section) {
+        case 'summary':
+          pages.push({ section, body: this.renderSummary(project, tasks, rows) });
+          break;
+        case 'gantt':
+          this.renderGanttPages(rows, settings, layout).forEach(body => pages.push({ section, body }));
+          break;
+        case 'tasks':
+          this.renderTaskTablePages(rows, project, layout).forEach(body => pages.push({ section, body }));
+          break;
+        case 'team':
+          pages.push({ section, body: this.renderTeam(project, tasks) });
+          break;
+      }
+    });
+
+    const context = { project, generatedAt: this.formatDate(settings.generatedAt), total: pages.length };
+    const content = pages.map((page, index) => this.renderPage(page, index + 1, context)).join('\n');
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="es">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${this.escapeHtml(project.name)} - Informe del proyecto</title>`,
+      `<style>${this.renderStyles(layout)}</style>`,
+      '</head>',
+      `<body>\n${content}\n</body>`,
+      '</html>'
+    ].join('\n');
+  }
+
+  /**
+   * Render the whole Gantt chart as a standalone SVG image
+   * @param {Task[]} tasks - Tasks of the project
+   * @param {Object} options - zoomLevel and criticalTaskIds
+   * @returns {string} SVG document
+   */
+  static generateGanttSVG(tasks, options = {}) {
+    const settings = this.resolveOptions(options);
+    const rows = this.orderTasks(tasks);
+    const svg = this.renderGanttSVG(rows, this.getTimeline(rows, settings.zoomLevel), settings);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${svg}`;
+  }
+
+  /**
+   * Generate the report and download it as an HTML file
+   * @param {Project} project - Project to report
+   * @param {Task[]} tasks - Tasks of the project
+   * @param {Object} options - Options for generateReport
+   * @param {string} filename - Filename without extension
+   * @throws {Error} If generation or download fails
+   */
+  static downloadReport(project, tasks, options = {}, filename = null) {
+    const html = this.generateReport(project, tasks, options);
+    const downloadFilename = filename || `${ProjectExportService.sanitizeFilename(project.name)}-informe`;
+    this.downloadFile(html, `${downloadFilename}.html`, 'text/html;charset=utf-8');
+  }
+
+  /**
+   * Render the Gantt chart and download it as an SVG file
+   * @param {Project} project - Project of the tasks (used for the filename)
+   * @param {Task[]} tasks - Tasks of the project
+   * @param {Object} options - Options for generateGanttSVG
+   * @param {string} filename - Filename without extension
+   * @throws {Error} If generation or download fails
+   */
+  static downloadGanttSVG(project, tasks, options = {}, filename = null) {
+    const svg = this.generateGanttSVG(tasks, options);
+    const downloadFilename = filename || `${ProjectExportService.sanitizeFilename(project.name)}-gantt`;
+    this.downloadFile(svg, `${downloadFilename}.svg`, 'image/svg+xml;charset=utf-8');
+  }
+
+  /**
+   * Open the browser print dialog for the report, from where it can be saved as PDF
+   * The report is loaded in a hidden frame so the application stays untouched
+   * @param {Project} project - Project to report
+   * @param {Task[]} tasks - Tasks of the project
+   * @param {Object} options - Options for generateReport
+   */
+  static printReport(project, tasks, options = {}) {
+    const html = this.generateReport(project, tasks, options);
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+
+    frame.onload = () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      // Printing blocks until the dialog closes in most browsers
+      setTimeout(() => frame.remove(), 1000);
+    };
+
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Layout
+  // ---------------------------------------------------------------------------
+
+  static resolveOptions({
+    zoomLevel = 'days',
+    pageSize = 'A4',
+    orientation = 'landscape',
+    sections = REPORT_SECTIONS,
+    criticalTaskIds = [],
+    generatedAt = new Date()
+  } = {}) {
+    if (!ZOOM_SCALES[zoomLevel]) {
+      throw new Error(`Unsupported zoom level: ${zoomLevel}`);
+    }
+    if (!REPORT_PAGE_SIZES[pageSize]) {
+      throw new Error(`Unsupported page size: ${pageSize}`);
+    }
+
+    return {
+      zoomLevel,
+      pageSize,
+      orientation: orientation === 'portrait' ? 'portrait' : 'landscape',
+      sections: REPORT_SECTIONS.filter(section => sections.includes(section)),
+      criticalTaskIds: new Set(criticalTaskIds),
+      generatedAt
+    };
+  }
+
+  /**
+   * Page dimensions in millimetres and the space left for the page content
+   */
+  static getPageLayout(pageSize, orientation) {
+    const paper = REPORT_PAGE_SIZES[pageSize];
+    const landscape = orientation === 'landscape';
+    const width = landscape ? paper.height : paper.width;
+    const height = landscape ? paper.width : paper.height;
+
+    return {
+      pageSize,
+      orientation,
+      width,
+      height,
+      contentWidth: width - PAGE_MARGIN_MM * 2,
+      contentHeight: height - PAGE_MARGIN_MM * 2 - PAGE_HEADER_MM - PAGE_FOOTER_MM
+    };
+  }
+
+  /**
+   * Tasks in hierarchy order with their WBS number and nesting level
+   */
+  static orderTasks(tasks) {
+    const hierarchy = taskHierarchyBuilder.assignWbsNumbers(taskHierarchyBuilder.rebuildHierarchyFromFlat(tasks));
+    const parentIds = new Set(tasks.filter(task => task.parentTaskId).map(task => task.parentTaskId));
+
+    return taskHierarchyBuilder.flattenHierarchy(hierarchy).map(task => ({
+      ...task,
+      depth: task.wbs.split('.').length - 1,
+      hasSubtasks: parentIds.has(task.id),
+      startDate: this.toDate(task.startDate),
+      endDate: this.toDate(task.endDate)
+    }));
+  }
+
+  /**
+   * Date range and scale of the Gantt, padded like the interactive chart
+   */
+  static getTimeline(rows, zoomLevel) {
+    const dated = rows.filter(row => row.startDate && row.endDate);
+    const today = this.startOfDay(new Date());
+    let start = dated.length ? new Date(Math.min(...dated.map(row => row.startDate))) : today;
+    let end = dated.length ? new Date(Math.max(...dated.map(row => row.endDate))) : today;
+
+    if (zoomLevel === 'months') {
+      start = new Date(start.getFullYear(), start.getMonth(), 1);
+      end = new Date(end.getFullYear(), end.getMonth() + 1, 0);
+    } else if (zoomLevel === 'weeks') {
+      start = this.addDays(start, -start.getDay());
+      end = this.addDays(end, 6 - end.getDay());
+    } else {
+      start = this.addDays(start, -1);
+      end = this.addDays(end, 1);
+    }
+
+    const days = this.dayOffset(start, end) + 1;
+    const { pixelsPerDay } = ZOOM_SCALES[zoomLevel];
+
+    return { start, end, days, zoomLevel, pixelsPerDay, width: Math.ceil(days * pixelsPerDay) };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sections
+  // ---------------------------------------------------------------------------
+
+  static renderSummary(project, tasks, rows) {
+    const count = (status) => tasks.filter(task => task.status === status).length;
+    const completed = count('completed');
+    const progress = tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0;
+    const dated = rows.filter(row => row.startDate && row.endDate);
+    const start = dated.length ? new Date(Math.min(...dated.map(row => row.startDate))) : null;
+    const end = dated.length ? new Date(Math.max(...dated.map(row => row.endDate))) : null;
+
+    const stats = [
+      ['Total tareas', tasks.length],
+      ['Completadas', completed],
+      ['En progreso', count('in_progress')],
+      ['Pendientes', count('pending')],
+      ['Progreso', `${progress}%`]
+    ];
+
+    const details = [
+      ['Inicio', start ? this.formatDate(start) : '-'],
+      ['Fin', end ? this.formatDate(end) : '-'],
+      ['Duración', start && end ? `${DateCalculationService.calculateWorkingDays(start, end, project.calendar)} días laborables` : '-'],
+      ['Miembros del equipo', (project.teamMembers || []).length]
+    ];
+
+    return [
+      project.description ? `<p class="description">${this.escapeHtml(project.description)}</p>` : '',
+      `<div class="stats">${stats.map(([label, value]) =>
+        `<div class="stat"><div class="stat-value">${value}</div><div class="stat-label">${label}</div></div>`).join('')}</div>`,
+      `<div class="progress"><div class="progress-bar" style="width:${progress}%"></div></div>`,
+      this.renderDefinitionList(details),
+      this.renderVariance(project, tasks)
+    ].join('\n');
+  }
+
+  static renderVariance(project, tasks) {
+    const baseline = typeof project.getBaseline === 'function' ? project.getBaseline() : null;
+    if (!baseline) return '';
+
+    const variance = BaselineService.calculateVariance(baseline, tasks, { calendar: project.calendar });
+    const delayed = Object.values(variance.tasks)
+      .filter(task => task.finishVariance > 0)
+      .sort((a, b) => b.finishVariance - a.finishVariance)
+      .slice(0, 5);
+
+    return [
+      `<h3>Variación vs. ${this.escapeHtml(variance.baselineName)}</h3>`,
+      this.renderDefinitionList([
+        ['Fecha de fin', this.formatVariance(variance.finishVariance)],
+        ['Tareas retrasadas', variance.lateTasks],
+        ['Tareas en fecha', variance.onTrackTasks],
+        ['Tareas adelantadas', variance.earlyTasks],
+        ['Avance real / planificado', `${variance.actualProgress}% / ${variance.plannedProgress}%`]
+      ]),
+      delayed.length > 0
+        ? `<ul class="delayed">${delayed.map(task =>
+          `<li>${this.escapeHtml(task.title)}: ${this.formatVariance(task.finishVariance)}</li>`).join('')}</ul>`
+        : ''
+    ].join('\n');
+  }
+
+  /**
+   * Split the Gantt rows in pages; each page gets its own SVG scaled to the page width
+   */
+  static renderGanttPages(rows, settings, layout) {
+    const timeline = this.getTimeline(rows, settings.zoomLevel);
+    const naturalWidth = GANTT_LABEL_WIDTH + timeline.width;
+    const scale = Math.min(1, (layout.contentWidth * PX_PER_MM) / naturalWidth);
+    const availableHeight = layout.contentHeight * PX_PER_MM / scale - GANTT_SCALE_HEIGHT;
+    const rowsPerPage = Math.max(1, Math.floor(availableHeight / GANTT_ROW_HEIGHT));
+
+    return this.paginate(rows, rowsPerPage).map(pageRows =>
+      this.renderGanttSVG(pageRows, timeline, settings, scale));
+  }
+
+  static renderGanttSVG(rows, timeline, { criticalTaskIds = new Set() } = {}, scale = 1) {
+    const width = GANTT_LABEL_WIDTH + timeline.width;
+    const height = GANTT_SCALE_HEIGHT + Math.max(rows.length, 1) * GANTT_ROW_HEIGHT;
+    const rowIndex = new Map(rows.map((row, index) => [row.id, index]));
+    const x = (date) => GANTT_LABEL_WIDTH + this.dayOffset(timeline.start, date) * timeline.pixelsPerDay;
+    const y = (index) => GANTT_SCALE_HEIGHT + index * GANTT_ROW_HEIGHT;
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" class="gantt" width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="11">`,
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+      ...this.renderTimeScale(timeline, height)
+    ];
+
+    rows.forEach((row, index) => {
+      const top = y(index);
+      const indent = 8 + row.depth * 12;
+      const label = this.truncate(`${row.wbs} ${row.title}`, Math.floor((GANTT_LABEL_WIDTH - indent - 8) / 6));
+
+      parts.push(`<line x1="0" y1="${top + GANTT_ROW_HEIGHT}" x2="${width}" y2="${top + GANTT_ROW_HEIGHT}" stroke="#f3f4f6"/>`);
+      parts.push(`<text x="${indent}" y="${top + 16}" fill="#111827"${row.hasSubtasks ? ' font-weight="bold"' : ''}>${this.escapeHtml(label)}</text>`);
+
+      if (!row.startDate || !row.endDate) return;
+
+      const left = x(row.startDate);
+      const barWidth = Math.max(x(this.addDays(row.endDate, 1)) - left, 2);
+      const color = STATUS_COLORS[row.status] || STATUS_COLORS.pending;
+
+      if (row.hasSubtasks) {
+        parts.push(`<rect x="${left}" y="${top + 8}" width="${barWidth}" height="8" fill="#374151"/>`);
+        return;
+      }
+
+      const critical = criticalTaskIds.has(row.id) ? ' stroke="#b91c1c" stroke-width="2"' : '';
+      parts.push(`<rect x="${left}" y="${top + 5}" width="${barWidth}" height="14" rx="3" fill="${color}" fill-opacity="0.35"${critical}/>`);
+      if (row.progress > 0) {
+        parts.push(`<rect x="${left}" y="${top + 5}" width="${barWidth * Math.min(row.progress, 100) / 100}" height="14" rx="3" fill="${color}"/>`);
+      }
+    });
+
+    // Finish-to-start style connectors between rows drawn on the same page
+    rows.forEach((row, index) => {
+      (row.dependencies || []).forEach(dependency => {
+        const predecessor = rows[rowIndex.get(dependency.predecessorId)];
+        if (!predecessor || !predecessor.endDate || !row.startDate) return;
+
+        const fromX = x(this.addDays(predecessor.endDate, 1));
+        const fromY = y(rowIndex.get(predecessor.id)) + GANTT_ROW_HEIGHT / 2;
+        const toX = x(row.startDate);
+        const toY = y(index) + GANTT_ROW_HEIGHT / 2;
+        const elbow = Math.max(fromX, toX - 6);
+        parts.push(`<polyline points="${fromX},${fromY} ${elbow},${fromY} ${elbow},${toY} ${toX},${toY}" fill="none" stroke="#6b7280" stroke-width="1"/>`);
+      });
+    });
+
+    const today = this.startOfDay(new Date());
+    if (today >= timeline.start && today <= timeline.end) {
+      const todayX = x(today) + timeline.pixelsPerDay / 2;
+      parts.push(`<line x1="${todayX}" y1="${GANTT_SCALE_HEIGHT}" x2="${todayX}" y2="${height}" stroke="#ef4444" stroke-dasharray="4 3"/>`);
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+  }
+
+  /**
+   * Two-row time scale: months over days or weeks, years over months
+   */
+  static renderTimeScale(timeline, height) {
+    const { start, end, zoomLevel, pixelsPerDay } = timeline;
+    const half = GANTT_SCALE_HEIGHT / 2;
+    const x = (date) => GANTT_LABEL_WIDTH + this.dayOffset(start, date) * pixelsPerDay;
+    const parts = [
+      `<rect x="0" y="0" width="${GANTT_LABEL_WIDTH + timeline.width}" height="${GANTT_SCALE_HEIGHT}" fill="#f9fafb"/>`,
+      `<text x="8" y="${half + 6}" fill="#374151" font-weight="bold">Tarea</text>`,
+      `<line x1="${GANTT_LABEL_WIDTH}" y1="0" x2="${GANTT_LABEL_WIDTH}" y2="${height}" stroke="#d1d5db"/>`
+    ];
+
+    const cell = (from, to, label, top) => {
+      const left = Math.max(x(from), GANTT_LABEL_WIDTH);
+      const right = Math.min(x(to), GANTT_LABEL_WIDTH + timeline.width);
+      if (right <= left) return;
+      parts.push(`<line x1="${left}" y1="${top}" x2="${left}" y2="${top === 0 ? half : height}" stroke="${top === 0 ? '#d1d5db' : '#e5e7eb'}"/>`);
+      if (right - left >= 14) {
+        parts.push(`<text x="${left + 3}" y="${top + 14}" fill="#374151">${this.escapeHtml(label)}</text>`);
+      }
+    };
+
+    // Upper row
+    if (zoomLevel === 'months') {
+      for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+        cell(new Date(year, 0, 1), new Date(year + 1, 0, 1), String(year), 0);
+      }
+    } else {
+      for (let month = new Date(start.getFullYear(), start.getMonth(), 1); month <= end; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        const label = month.toLocaleDateString('es-ES', { month: 'short', year: 'numeric' });
+        cell(month, new Date(month.getFullYear(), month.getMonth() + 1, 1), label, 0);
+      }
+    }
+
+    // Lower row
+    if (zoomLevel === 'months') {
+      for (let month = new Date(start); month <= end; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        cell(month, new Date(month.getFullYear(), month.getMonth() + 1, 1), month.toLocaleDateString('es-ES', { month: 'short' }), half);
+      }
+    } else if (zoomLevel === 'weeks') {
+      for (let week = new Date(start); week <= end; week = this.addDays(week, 7)) {
+        cell(week, this.addDays(week, 7), `${week.getDate()}/${week.getMonth() + 1}`, half);
+      }
+    } else {
+      for (let day = new Date(start); day <= end; day = this.addDays(day, 1)) {
+        cell(day, this.addDays(day, 1), String(day.getDate()), half);
+      }
+    }
+
+    parts.push(`<line x1="0" y1="${GANTT_SCALE_HEIGHT}" x2="${GANTT_LABEL_WIDTH + timeline.width}" y2="${GANTT_SCALE_HEIGHT}" stroke="#d1d5db"/>`);
+    return parts;
+  }
+
+  static renderTaskTablePages(rows, project, layout) {
+    const memberNames = new Map((project.teamMembers || []).map(member => [member.id, member.name]));
+    // One row is left for the table header
+    const rowsPerPage = Math.max(1, Math.floor(layout.contentHeight / TABLE_ROW_MM) - 1);
+    const header = ['EDT', 'Tarea', 'Responsable', 'Inicio', 'Fin', 'Duración', 'Estado', 'Prioridad', 'Progreso'];
+
+    return this.paginate(rows, rowsPerPage).map(pageRows => [
+      '<table class="tasks">',
+      `<thead><tr>${header.map(label => `<th>${label}</th>`).join('')}</tr></thead>`,
+      '<tbody>',
+      ...pageRows.map(row => `<tr${row.hasSubtasks ? ' class="summary-row"' : ''}>${[
+        row.wbs,
+        `<span style="padding-left:${row.depth * 12}px">${this.escapeHtml(row.title)}</span>`,
+        this.escapeHtml(memberNames.get(row.assignedTo) || ''),
+        row.startDate ? this.formatDate(row.startDate) : '',
+        row.endDate ? this.formatDate(row.endDate) : '',
+        row.duration ? `${row.duration} d` : '',
+        STATUS_LABELS[row.status] || this.escapeHtml(row.status || ''),
+        PRIORITY_LABELS[row.priority] || this.escapeHtml(row.priority || ''),
+        `${row.progress || 0}%`
+      ].map(value => `<td>${value}</td>`).join('')}</tr>`),
+      '</tbody>',
+      '</table>'
+    ].join('\n'));
+  }
+
+  static renderTeam(project, tasks) {
+    const members = project.teamMembers || [];
+    const groups = [
+      ...members.map(member => ({ member, tasks: tasks.filter(task => task.assignedTo === member.id) })),
+      { member: null, tasks: tasks.filter(task => !task.assignedTo || !members.some(member => member.id === task.assignedTo)) }
+    ].filter(group => group.member || group.tasks.length > 0);
+
+    if (groups.length === 0) {
+      return '<p class="empty">El proyecto no tiene miembros ni tareas.</p>';
+    }
+
+    const header = ['Miembro', 'Rol', 'Tareas', 'Completadas', 'En progreso', 'Horas estimadas', 'Próximas tareas'];
+    const today = this.startOfDay(new Date());
+
+    return [
+      '<table class="team">',
+      `<thead><tr>${header.map(label => `<th>${label}</th>`).join('')}</tr></thead>`,
+      '<tbody>',
+      ...groups.map(({ member, tasks: assigned }) => {
+        const hours = assigned.reduce((total, task) => total + (Number(task.estimatedHours) || 0), 0);
+        const upcoming = assigned
+          .filter(task => task.status !== 'completed' && task.status !== 'cancelled' && task.endDate && this.toDate(task.endDate) >= today)
+          .sort((a, b) => this.toDate(a.endDate) - this.toDate(b.endDate))
+          .slice(0, 3)
+          .map(task => `${this.escapeHtml(task.title)} (${this.formatDate(task.endDate)})`);
+
+        return `<tr>${[
+          member ? this.escapeHtml(member.name) : '<em>Sin asignar</em>',
+          member ? this.escapeHtml(member.role || '') : '',
+          assigned.length,
+          assigned.filter(task => task.status === 'completed').length,
+          assigned.filter(task => task.status === 'in_progress').length,
+          hours > 0 ? `${Math.round(hours * 10) / 10} h` : '',
+          upcoming.join('<br>')
+        ].map(value => `<td>${value}</td>`).join('')}</tr>`;
+      }),
+      '</tbody>',
+      '</table>'
+    ].join('\n');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Document
+  // ---------------------------------------------------------------------------
+
+  static renderPage({ section, body }, number, { project, generatedAt, total }) {
+    return [
+      `<section class="page page-${section}">`,
+      `<header><span class="project">${this.escapeHtml(project.name)}</span><span>${SECTION_TITLES[section]}</span><span>${generatedAt}</span></header>`,
+      `<main>${body}</main>`,
+      `<footer><span>Informe generado el ${generatedAt}</span><span>Página ${number} de ${total}</span></footer>`,
+      '</section>'
+    ].join('\n');
+  }
+
+  static renderStyles(layout) {
+    return `
+@page { size: ${layout.pageSize} ${layout.orientation}; margin: 0; }
+* { box-sizing: border-box; }
+body { margin: 0; background: #e5e7eb; color: #111827; font-family: Helvetica, Arial, sans-serif; font-size: 10pt; }
+.page { width: ${layout.width}mm; height: ${layout.height}mm; padding: ${PAGE_MARGIN_MM}mm; margin: 8mm auto; background: #ffffff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); display: flex; flex-direction: column; overflow: hidden; page-break-after: always; break-after: page; }
+.page:last-child { page-break-after: auto; break-after: auto; }
+header, footer { display: flex; justify-content: space-between; gap: 8mm; color: #6b7280; font-size: 8pt; }
+header { height: ${PAGE_HEADER_MM}mm; border-bottom: 1px solid #d1d5db; align-items: flex-start; }
+header .project { color: #111827; font-weight: bold; font-size: 11pt; }
+footer { height: ${PAGE_FOOTER_MM}mm; border-top: 1px solid #d1d5db; align-items: flex-end; }
+main { flex: 1; overflow: hidden; padding-top: 3mm; }
+h3 { font-size: 11pt; margin: 6mm 0 2mm; }
+.description { color: #374151; margin: 0 0 4mm; }
+.stats { display: flex; gap: 4mm; margin-bottom: 4mm; }
+.stat { flex: 1; border: 1px solid #e5e7eb; border-radius: 2mm; padding: 3mm; text-align: center; }
+.stat-value { font-size: 18pt; font-weight: bold; }
+.stat-label { color: #6b7280; font-size: 8pt; }
+.progress { height: 2mm; background: #e5e7eb; border-radius: 1mm; margin-bottom: 4mm; }
+.progress-bar { height: 100%; background: #10b981; border-radius: 1mm; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 1mm 6mm; margin: 0; }
+dt { color: #6b7280; }
+dd { margin: 0; }
+.delayed { margin: 2mm 0 0; padding-left: 5mm; color: #b91c1c; }
+table { width: 100%; border-collapse: collapse; font-size: 8pt; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 0 2mm; height: ${TABLE_ROW_MM}mm; text-align: left; vertical-align: middle; }
+th { background: #f9fafb; color: #374151; }
+.team td { height: auto; padding: 1.5mm 2mm; vertical-align: top; }
+.summary-row td { font-weight: bold; }
+.empty { color: #6b7280; }
+svg.gantt { display: block; max-width: 100%; height: auto; }
+@media print {
+  body { background: none; }
+  .page { margin: 0; box-shadow: none; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}`;
+  }
+
+  static renderDefinitionList(entries) {
+    return `<dl>${entries.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`;
+  }
+
+  static downloadFile(content, filename, type) {
+    try {
+      const blob = new Blob([content], { type });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(`Failed to download report: ${error.message}`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static paginate(items, size) {
+    if (items.length === 0) return [[]];
+    const pages = [];
+    for (let i = 0; i < items.length; i += size) {
+      pages.push(items.slice(i, i + size));
+    }
+    return pages;
+  }
+
+  static formatVariance(days) {
+    if (days === 0) return 'en fecha';
+    return `${days > 0 ? '+' : ''}${days} día${Math.abs(days) !== 1 ? 's' : ''}`;
+  }
+
+  static formatDate(date) {
+    return this.toDate(date).toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+  }
+
+  static toDate(value) {
+    if (!value) return null;
+    const date = typeof value === 'string' ? DateCalculationService.parseDate(value) : new Date(value);
+    return date && !isNaN(date.getTime()) ? this.startOfDay(date) : null;
+  }
+
+  static startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  static addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  // Whole days between two local dates (rounding absorbs daylight saving changes)
+  static dayOffset(from, to) {
+    return Math.round((this.startOfDay(to) - this.startOfDay(from)) / MS_PER_DAY);
+  }
+
+  static truncate(text, length) {
+    return text.length > length ? `${text.slice(0, Math.max(length - 1, 1))}…` : text;
+  }
+
+  static escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
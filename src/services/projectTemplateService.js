@@ -0,0 +1,270 @@
+/**
+ * ProjectTemplateService - Reusable project templates
+ * A template keeps the task hierarchy of a project with dates as working-day
+ * offsets from the project start, its deliverables and the roles of the team
+ * instead of the people. Instantiating a template rebuilds the plan at its
+ * original dates and shifts it to the new start date like an import does
+ */
+
+import { Project, TeamMember } from '../models/index.js';
+import { DateCalculationService } from './dateCalculationService.js';
+import { ProjectImportService } from './projectImportService.js';
+import { BaselineService } from './baselineService.js';
+import { taskHierarchyBuilder } from '../utils/taskHierarchyBuilder.js';
+
+// addWorkingDays and subtractWorkingDays move at most this many days per call
+const MAX_WORKING_DAYS_STEP = 365;
+
+export class ProjectTemplateService {
+  /**
+   * Create a template from a project
+   * @param {Project} project - Source project
+   * @param {Task[]} tasks - Tasks of the project (defaults to project.tasks)
+   * @param {Object} options - Template data
+   * @param {string} options.name - Template name
+   * @param {string} options.description - Template description
+   * @returns {Object} Template ready to be stored
+   * @throws {Error} If the project or the name are missing
+   */
+  static createTemplate(project, tasks = null, { name = '', description = '' } = {}) {
+    if (!project) {
+      throw new Error('Project is required to create a template');
+    }
+    if (!name.trim()) {
+      throw new Error('El nombre de la plantilla es requerido');
+    }
+
+    const calendar = project.calendar || null;
+    const referenceDate = DateCalculationService.parseDate(project.startDate);
+    const sourceTasks = this.orderTasks(tasks || project.tasks || []);
+    const roles = this.extractRoles(project.teamMembers || []);
+    const roleByMember = new Map(roles.flatMap(role => role.memberIds.map(memberId => [memberId, role.id])));
+    const templateIds = new Map(sourceTasks.map((task, index) => [task.id, `task_${index + 1}`]));
+    const offset = (date) => BaselineService.workingDayOffset(referenceDate, date, calendar);
+
+    const templateTasks = sourceTasks.map(task => ({
+      id: templateIds.get(task.id),
+      parentTaskId: templateIds.get(task.parentTaskId) || null,
+      title: task.title,
+      description: task.description || '',
+      type: task.type || 'simple',
+      priority: task.priority || 'medium',
+      startOffset: offset(task.startDate),
+      endOffset: offset(task.endDate),
+      duration: task.duration || null,
+      fixedDates: Boolean(task.fixedDates),
+      estimatedHours: task.estimatedHours ?? null,
+      roleId: roleByMember.get(task.assignedTo) || null,
+      dependencies: (task.dependencies || [])
+        .filter(dependency => templateIds.has(dependency.predecessorId))
+        .map(dependency => ({
+          predecessorId: templateIds.get(dependency.predecessorId),
+          type: dependency.type || 'FS',
+          lag: dependency.lag || 0
+        })),
+      deliverable: task.deliverable ? {
+        type: task.deliverable.type || 'other',
+        description: task.deliverable.description || '',
+        notes: task.deliverable.notes || '',
+        dueOffset: task.deliverable.dueDate && task.endDate
+          ? BaselineService.workingDayOffset(task.endDate, task.deliverable.dueDate, calendar)
+          : 0
+      } : null
+    }));
+
+    const offsets = templateTasks.flatMap(task => [task.startOffset, task.endOffset]);
+
+    return {
+      id: this.generateId(),
+      name: name.trim(),
+      description: description.trim(),
+      sourceProjectName: project.name || '',
+      referenceDate: DateCalculationService.toDateKey(referenceDate),
+      durationDays: offsets.length ? Math.max(...offsets) - Math.min(...offsets) + 1 : 0,
+      // Holidays and exceptions belong to specific dates, so only the working week is kept
+      calendar: calendar ? { workingDays: [...calendar.workingDays] } : null,
+      roles: roles.map(({ id, name: roleName }) => ({ id, name: roleName })),
+      tasks: templateTasks,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create a project from a template
+   * @param {Object} template - Stored template
+   * @param {Object} options - New project data
+   * @param {string} options.name - Project name (defaults to the template name)
+   * @param {string} options.description - Project description
+   * @param {Date|string} options.startDate - Start date of the new project
+   * @param {string} options.status - Project status
+   * @param {Object} options.roleAssignments - Team member (or null) for each role id
+   * @returns {Project} New project with its tasks and team
+   * @throws {Error} If the template or the start date are invalid
+   */
+  static instantiateTemplate(template, { name = '', description = '', startDate, status = 'active', roleAssignments = {} } = {}) {
+    if (!template || !Array.isArray(template.tasks)) {
+      throw new Error('Template with tasks is required');
+    }
+
+    const newStart = startDate ? DateCalculationService.parseDate(startDate) : null;
+    if (!newStart || isNaN(newStart.getTime())) {
+      throw new Error('La fecha de inicio no es válida');
+    }
+
+    const calendar = ProjectImportService.createCalendarFromData(template.calendar);
+    const referenceDate = DateCalculationService.parseDate(template.referenceDate);
+    const token = `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`;
+    const taskIds = new Map(template.tasks.map((task, index) => [task.id, `task_${token}_${index + 1}`]));
+    const teamMembers = this.createTeamMembers(template.roles || [], roleAssignments);
+    const memberByRole = new Map((template.roles || [])
+      .filter(role => roleAssignments[role.id])
+      .map(role => [role.id, roleAssignments[role.id].id]));
+    const atOffset = (date, days) => this.shiftWorkingDays(date, days, calendar);
+
+    const projectData = {
+      // Tasks take the project id when they are created
+      id: Project.prototype.generateId(),
+      name: (name || template.name).trim(),
+      description: description || template.description || '',
+      startDate: referenceDate,
+      status,
+      calendar: template.calendar,
+      teamMembers,
+      tasks: template.tasks.map(task => {
+        const taskStart = atOffset(referenceDate, task.startOffset);
+        const taskEnd = atOffset(referenceDate, task.endOffset);
+        return {
+          id: taskIds.get(task.id),
+          parentTaskId: taskIds.get(task.parentTaskId) || null,
+          title: task.title,
+          description: task.description,
+          type: task.type,
+          priority: task.priority,
+          status: 'pending',
+          progress: 0,
+          startDate: taskStart,
+          endDate: taskEnd,
+          duration: task.duration || DateCalculationService.calculateWorkingDays(taskStart, taskEnd, calendar),
+          fixedDates: task.fixedDates,
+          estimatedHours: task.estimatedHours,
+          assignedTo: memberByRole.get(task.roleId) || null,
+          dependencies: task.dependencies.map(dependency => ({
+            ...dependency,
+            predecessorId: taskIds.get(dependency.predecessorId)
+          })),
+          deliverable: task.deliverable ? {
+            type: task.deliverable.type,
+            description: task.deliverable.description,
+            notes: task.deliverable.notes,
+            status: 'pending',
+            dueDate: taskEnd
+          } : null
+        };
+      })
+    };
+
+    const project = ProjectImportService.createProjectFromData(projectData);
+    project.tasks.forEach(task => { task.level = this.levelOf(task, project.tasks); });
+
+    // Same rule as importing: only shift when the start date changes
+    if (DateCalculationService.toDateKey(newStart) !== template.referenceDate) {
+      ProjectImportService.adjustImportedProjectDates(project, newStart);
+    }
+
+    // Deliverables keep their distance to the end of their task
+    const dueOffsets = new Map(template.tasks.map(task => [taskIds.get(task.id), task.deliverable ? task.deliverable.dueOffset : 0]));
+    project.tasks.forEach(task => {
+      if (task.deliverable) {
+        task.deliverable.dueDate = atOffset(task.endDate, dueOffsets.get(task.id));
+      }
+    });
+
+    if (project.tasks.length > 0) {
+      project.endDate = new Date(Math.max(...project.tasks.map(task => task.endDate)));
+    }
+
+    return project;
+  }
+
+  /**
+   * Short description of a template for galleries
+   * @param {Object} template - Stored template
+   * @returns {Object} Number of tasks, roles, deliverables and working days
+   */
+  static summarizeTemplate(template) {
+    const tasks = template.tasks || [];
+    return {
+      taskCount: tasks.length,
+      deliverableCount: tasks.filter(task => task.deliverable).length,
+      roleCount: (template.roles || []).length,
+      durationDays: template.durationDays || 0
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static orderTasks(tasks) {
+    return taskHierarchyBuilder.flattenHierarchy(taskHierarchyBuilder.rebuildHierarchyFromFlat(tasks));
+  }
+
+  /**
+   * One role per distinct role name; members without a role get their own
+   */
+  static extractRoles(members) {
+    const roles = [];
+    members.forEach((member, index) => {
+      const roleName = (member.role || '').trim() || `Responsable ${index + 1}`;
+      const existing = roles.find(role => role.name.toLowerCase() === roleName.toLowerCase());
+      if (existing) {
+        existing.memberIds.push(member.id);
+      } else {
+        roles.push({ id: `role_${roles.length + 1}`, name: roleName, memberIds: [member.id] });
+      }
+    });
+    return roles;
+  }
+
+  static createTeamMembers(roles, roleAssignments) {
+    const members = new Map();
+    roles.forEach(role => {
+      const member = roleAssignments[role.id];
+      if (!member || members.has(member.id)) return;
+      members.set(member.id, new TeamMember({
+        ...member,
+        role: member.role || role.name,
+        joinedAt: new Date()
+      }));
+    });
+    return [...members.values()];
+  }
+
+  static levelOf(task, tasks) {
+    let level = 0;
+    let parentId = task.parentTaskId;
+    while (parentId && level < tasks.length) {
+      const parent = tasks.find(candidate => candidate.id === parentId);
+      parentId = parent ? parent.parentTaskId : null;
+      level++;
+    }
+    return level;
+  }
+
+  static shiftWorkingDays(date, days, calendar = null) {
+    let result = new Date(date);
+    let remaining = Math.abs(days);
+    while (remaining > 0) {
+      const step = Math.min(remaining, MAX_WORKING_DAYS_STEP);
+      result = days > 0
+        ? DateCalculationService.addWorkingDays(result, step, calendar)
+        : DateCalculationService.subtractWorkingDays(result, step, calendar);
+      remaining -= step;
+    }
+    return result;
+  }
+
+  static generateId() {
+    return 'template_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * REST sync backend
+ *
+ * Any server that implements these routes can share projects between browsers
+ * (paths are relative to the configured endpoint, bodies are JSON):
+ *
+ *   GET    /projects?since=<ISO date>   Projects changed since the date, with their
+ *                                       tasks and teamMembers, as
+ *                                       { projects, deletedProjectIds, serverTime }
+ *   PUT    /projects/:id                Create or replace a project (without tasks or members)
+ *   PATCH  /projects/:id                Update the given fields of a project
+ *   DELETE /projects/:id                Delete a project with its tasks and members
+ *   PUT|PATCH|DELETE /projects/:id/tasks/:taskId
+ *   PUT|PATCH|DELETE /projects/:id/members/:memberId
+ *
+ * PATCH bodies only hold the fields that changed plus updatedAt, so changes to
+ * different fields made from different browsers never overwrite each other.
+ * serverTime is used as the next `since`, so clocks do not need to match
+ */
+
+const ENTITY_PATHS = {
+  task: 'tasks',
+  member: 'members'
+}
+
+const METHODS = {
+  create: 'PUT',
+  update: 'PATCH',
+  delete: 'DELETE'
+}
+
+/**
+ * The server could not be reached; the change is kept for later
+ */
+export class SyncOfflineError extends Error {
+  constructor(message = 'No se pudo conectar con el servidor de sincronización') {
+    super(message)
+    this.name = 'SyncOfflineError'
+  }
+}
+
+export class RestSyncAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.endpoint - Base URL of the REST API
+   * @param {string} options.token - Optional bearer token
+   * @param {Function} options.fetch - fetch implementation (the browser one by default)
+   */
+  constructor({ endpoint, token = '', fetch: fetchImpl = null } = {}) {
+    if (!endpoint) {
+      throw new Error('La URL del servidor de sincronización es obligatoria')
+    }
+
+    this.endpoint = endpoint.replace(/\/+$/, '')
+    this.token = token
+    this.fetch = fetchImpl || ((...args) => globalThis.fetch(...args))
+  }
+
+  /**
+   * Projects changed on the server
+   * @param {string|null} since - serverTime of the previous pull (null for everything)
+   * @returns {Promise<Object>} Projects, deleted project IDs and server time
+   */
+  async pullProjects(since = null) {
+    const query = since ? `?since=${encodeURIComponent(since)}` : ''
+    const response = await this.request('GET', `/projects${query}`)
+
+    return {
+      projects: response.projects || [],
+      deletedProjectIds: response.deletedProjectIds || [],
+      serverTime: response.serverTime || null
+    }
+  }
+
+  /**
+   * Send one queued change
+   * @param {Object} operation - Operation built by the sync service
+   */
+  async pushOperation(operation) {
+    const method = METHODS[operation.action]
+    if (!method) {
+      throw new Error(`Unknown sync action: ${operation.action}`)
+    }
+
+    const body = operation.action === 'delete' ? null : operation.data
+    return this.request(method, this.pathFor(operation), body)
+  }
+
+  pathFor({ entityType, projectId, entityId }) {
+    const projectPath = `/projects/${encodeURIComponent(projectId)}`
+    if (entityType === 'project') return projectPath
+
+    return `${projectPath}/${ENTITY_PATHS[entityType]}/${encodeURIComponent(entityId)}`
+  }
+
+  async request(method, path, body = null) {
+    const headers = { Accept: 'application/json' }
+    if (body) headers['Content-Type'] = 'application/json'
+    if (this.token) headers.Authorization = `Bearer ${this.token}`
+
+    let response
+    try {
+      response = await this.fetch(`${this.endpoint}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      })
+    } catch (error) {
+      // fetch only rejects when the request could not be made at all
+      throw new SyncOfflineError()
+    }
+
+    if (!response.ok) {
+      const error = new Error(`El servidor de sincronización respondió con el estado ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    if (response.status === 204) return null
+    const text = await response.text()
+    return text ? JSON.parse(text) : null
+  }
+}
@@ -1,15 +1,37 @@
-// localStorage service for data persistence
+// Storage service for data persistence
 
 import { Project, Task, TeamMember, Deliverable } from '../models/index.js';
-import { validateProject, validateTask, validateTeamMember, ValidationError } from '../utils/validation.js';
+import { validateProject, validateTask, validateTaskDependencies, validateTeamMember, ValidationError } from '../utils/validation.js';
+import { LocalStorageAdapter } from './localStorageAdapter.js';
+import { notificationService } from './notificationService.js';
+
+// Only the most recent AI generations are kept
+export const MAX_AI_GENERATIONS = 30;
 
 /**
- * Storage service for managing localStorage operations
+ * Storage service for managing persistence operations
+ * Values go through a storage adapter (localStorage by default, IndexedDB once
+ * the migration service switches to it) with the same synchronous interface
  */
 export class StorageService {
-  constructor() {
+  constructor(adapter = new LocalStorageAdapter()) {
+    this.adapter = adapter;
+    this.lastWriteError = null;
+    this.projectChangeListeners = new Set();
+
+    // Resolved once the startup has chosen the storage backend
+    this.ready = new Promise(resolve => {
+      this.resolveReady = resolve;
+    });
+
     this.storageKeys = {
       projects: 'pm_projects',
+      templates: 'pm_templates',
+      aiGenerations: 'pm_ai_generations',
+      activityLog: 'pm_activity_log',
+      syncConfig: 'pm_sync_config',
+      syncQueue: 'pm_sync_queue',
+      syncState: 'pm_sync_state',
       settings: 'pm_settings',
       userPreferences: 'pm_user_preferences'
     };
@@ -39,6 +61,10 @@ export class StorageService {
         this.setItem(this.storageKeys.projects, []);
       }
 
+      if (!this.getItem(this.storageKeys.templates)) {
+        this.setItem(this.storageKeys.templates, []);
+      }
+
       if (!this.getItem(this.storageKeys.settings)) {
         this.setItem(this.storageKeys.settings, this.defaultSettings);
       }
@@ -53,24 +79,103 @@ export class StorageService {
   }
 
   /**
-   * Generic localStorage operations with error handling
+   * Storage backend operations
+   */
+  get backend() {
+    return this.adapter.name;
+  }
+
+  /**
+   * Switch to another storage backend
+   * @param {Object} adapter - Storage adapter, opened before it is used
+   * @returns {Promise<StorageService>} This service
+   */
+  async useAdapter(adapter) {
+    // The new backend must not miss writes still pending in the current one
+    await this.adapter.flush();
+    await adapter.open();
+
+    adapter.onError = (error) => this.handleWriteError(error);
+    const previousAdapter = this.adapter;
+    this.adapter = adapter;
+    this.initializeStorage();
+
+    if (previousAdapter !== adapter) {
+      previousAdapter.close();
+    }
+    return this;
+  }
+
+  /**
+   * Put a layer over the current backend, which stays open
+   * @param {Function} wrap - Called with the current adapter, returns the one to use
+   */
+  wrapAdapter(wrap) {
+    this.adapter = wrap(this.adapter);
+    this.adapter.onError = (error) => this.handleWriteError(error);
+  }
+
+  /**
+   * Wait until every write has been persisted by the backend
+   */
+  flush() {
+    return this.adapter.flush();
+  }
+
+  markReady() {
+    this.resolveReady();
+  }
+
+  whenReady() {
+    return this.ready;
+  }
+
+  // Backends that write in the background cannot throw to the caller
+  handleWriteError(error) {
+    this.lastWriteError = error.message;
+    notificationService.storageError(error);
+  }
+
+  /**
+   * Get notified with the project ID whenever a project (or one of its tasks or
+   * members) is saved or deleted
+   * @param {Function} listener - Called with the project ID
+   * @returns {Function} Removes the listener
+   */
+  onProjectChange(listener) {
+    this.projectChangeListeners.add(listener);
+    return () => this.projectChangeListeners.delete(listener);
+  }
+
+  notifyProjectChange(projectId) {
+    this.projectChangeListeners.forEach(listener => {
+      try {
+        listener(projectId);
+      } catch (error) {
+        console.error('Error in project change listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Generic storage operations with error handling
    */
   getItem(key) {
     try {
-      const item = localStorage.getItem(key);
+      const item = this.adapter.getItem(key);
       return item ? JSON.parse(item) : null;
     } catch (error) {
-      console.error(`Error reading from localStorage (${key}):`, error);
+      console.error(`Error reading from storage (${key}):`, error);
       throw new Error(`Error al leer datos del almacenamiento: ${key}`);
     }
   }
 
   setItem(key, value) {
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      this.adapter.setItem(key, JSON.stringify(value));
       return true;
     } catch (error) {
-      console.error(`Error writing to localStorage (${key}):`, error);
+      console.error(`Error writing to storage (${key}):`, error);
       if (error.name === 'QuotaExceededError') {
         throw new Error('Espacio de almacenamiento agotado. Considera eliminar proyectos antiguos.');
       }
@@ -80,10 +185,10 @@ export class StorageService {
 
   removeItem(key) {
     try {
-      localStorage.removeItem(key);
+      this.adapter.removeItem(key);
       return true;
     } catch (error) {
-      console.error(`Error removing from localStorage (${key}):`, error);
+      console.error(`Error removing from storage (${key}):`, error);
       throw new Error(`Error al eliminar datos: ${key}`);
     }
   }
@@ -134,6 +239,7 @@ export class StorageService {
 
       const projectsData = projects.map(p => p.toJSON());
       this.setItem(this.storageKeys.projects, projectsData);
+      this.notifyProjectChange(project.id);
       
       return project;
     } catch (error) {
@@ -156,6 +262,7 @@ export class StorageService {
 
       const projectsData = filteredProjects.map(p => p.toJSON());
       this.setItem(this.storageKeys.projects, projectsData);
+      this.notifyProjectChange(projectId);
       
       return true;
     } catch (error) {
@@ -164,6 +271,107 @@ export class StorageService {
     }
   }
 
+  /**
+   * Project template operations (templates are stored as plain data)
+   */
+  getAllTemplates() {
+    try {
+      return this.getItem(this.storageKeys.templates) || [];
+    } catch (error) {
+      console.error('Error loading templates:', error);
+      throw new Error('Error al cargar las plantillas');
+    }
+  }
+
+  saveTemplate(template) {
+    try {
+      const templates = this.getAllTemplates();
+      const existingIndex = templates.findIndex(t => t.id === template.id);
+
+      if (existingIndex >= 0) {
+        templates[existingIndex] = template;
+      } else {
+        templates.push(template);
+      }
+
+      this.setItem(this.storageKeys.templates, templates);
+      return template;
+    } catch (error) {
+      console.error('Error saving template:', error);
+      throw new Error('Error al guardar la plantilla');
+    }
+  }
+
+  deleteTemplate(templateId) {
+    try {
+      const templates = this.getAllTemplates();
+      const filteredTemplates = templates.filter(t => t.id !== templateId);
+
+      if (templates.length === filteredTemplates.length) {
+        throw new Error('Plantilla no encontrada');
+      }
+
+      this.setItem(this.storageKeys.templates, filteredTemplates);
+      return true;
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      throw new Error('Error al eliminar la plantilla');
+    }
+  }
+
+  /**
+   * AI generation history operations (newest first)
+   */
+  getAIGenerations() {
+    try {
+      return this.getItem(this.storageKeys.aiGenerations) || [];
+    } catch (error) {
+      console.error('Error loading AI generations:', error);
+      throw new Error('Error al cargar el historial de generaciones');
+    }
+  }
+
+  saveAIGeneration(generation) {
+    try {
+      const generations = [generation, ...this.getAIGenerations().filter(g => g.id !== generation.id)]
+        .slice(0, MAX_AI_GENERATIONS);
+
+      try {
+        this.setItem(this.storageKeys.aiGenerations, generations);
+      } catch (error) {
+        // Raw responses are large: project data has priority over the history
+        if (generations.length === 1) throw error;
+        this.setItem(this.storageKeys.aiGenerations, generations.slice(0, Math.ceil(generations.length / 2)));
+      }
+      return generation;
+    } catch (error) {
+      console.error('Error saving AI generation:', error);
+      throw new Error('Error al guardar la generación');
+    }
+  }
+
+  deleteAIGeneration(generationId) {
+    try {
+      const generations = this.getAIGenerations();
+      const filteredGenerations = generations.filter(g => g.id !== generationId);
+
+      if (generations.length === filteredGenerations.length) {
+        throw new Error('Generación no encontrada');
+      }
+
+      this.setItem(this.storageKeys.aiGenerations, filteredGenerations);
+      return true;
+    } catch (error) {
+      console.error('Error deleting AI generation:', error);
+      throw new Error('Error al eliminar la generación');
+    }
+  }
+
+  clearAIGenerations() {
+    this.removeItem(this.storageKeys.aiGenerations);
+    return true;
+  }
+
   /**
    * Task operations
    */
@@ -194,6 +402,9 @@ export class StorageService {
       task.updatedAt = new Date();
       task.projectId = projectId;
 
+      // Predecessors must live in this project and must not introduce cycles
+      validateTaskDependencies(task, project.tasks.filter(t => t.id !== task.id));
+
       const existingTaskIndex = project.tasks.findIndex(t => t.id === task.id);
       
       if (existingTaskIndex >= 0) {
@@ -230,6 +441,13 @@ export class StorageService {
         throw new Error('Tarea no encontrada');
       }
 
+      // Drop dependencies that pointed to the deleted task
+      project.tasks.forEach(t => {
+        if (t.dependencies && t.dependencies.some(dep => dep.predecessorId === taskId)) {
+          t.dependencies = t.dependencies.filter(dep => dep.predecessorId !== taskId);
+        }
+      });
+
       this.saveProject(project);
       return true;
     } catch (error) {
@@ -366,6 +584,7 @@ export class StorageService {
     try {
       const data = {
         projects: this.getItem(this.storageKeys.projects),
+        templates: this.getItem(this.storageKeys.templates),
         settings: this.getItem(this.storageKeys.settings),
         userPreferences: this.getItem(this.storageKeys.userPreferences),
         exportDate: new Date().toISOString(),
@@ -386,6 +605,10 @@ export class StorageService {
       if (data.projects) {
         this.setItem(this.storageKeys.projects, data.projects);
       }
+
+      if (data.templates) {
+        this.setItem(this.storageKeys.templates, data.templates);
+      }
       
       if (data.settings) {
         this.setItem(this.storageKeys.settings, data.settings);
@@ -405,6 +628,13 @@ export class StorageService {
   clearAllData() {
     try {
       this.removeItem(this.storageKeys.projects);
+      this.removeItem(this.storageKeys.templates);
+      this.removeItem(this.storageKeys.aiGenerations);
+      // The activity log rotates itself in localStorage whatever the backend
+      localStorage.removeItem(this.storageKeys.activityLog);
+      // Without the sync state the next sync downloads the shared projects again
+      this.removeItem(this.storageKeys.syncQueue);
+      this.removeItem(this.storageKeys.syncState);
       this.removeItem(this.storageKeys.settings);
       this.removeItem(this.storageKeys.userPreferences);
       this.initializeStorage();
@@ -597,11 +827,16 @@ export class StorageService {
       // Check available space (approximate)
       const projects = this.getAllProjects();
       const dataSize = JSON.stringify(projects).length;
+      // The activity log rotates itself, but it shares the same quota
+      const activityLogSize = (localStorage.getItem(this.storageKeys.activityLog) || '').length;
       
       return {
         healthy: true,
+        backend: this.backend,
+        lastWriteError: this.lastWriteError,
         projectCount: projects.length,
         approximateDataSize: dataSize,
+        activityLogSize,
         lastCheck: new Date().toISOString()
       };
     } catch (error) {
@@ -0,0 +1,533 @@
+/**
+ * Sync service
+ * Shares the local projects through a REST backend. Every local save is turned
+ * into queued operations by comparing the project with the last state known
+ * from the server, so the queue survives reloads and keeps growing while
+ * offline. Pulled projects are merged field by field: a field changed on one
+ * side takes that value, a field changed on both sides keeps the value of the
+ * side with the newest updatedAt (last writer wins)
+ */
+
+import { storageService } from './storageService.js'
+import { notificationService } from './notificationService.js'
+import { RestSyncAdapter, SyncOfflineError } from './restSyncAdapter.js'
+
+const SYNC_DELAY = 1000 // ms, consecutive saves are sent together
+const RETRY_DELAY = 30000 // ms between attempts while the server is unreachable
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  endpoint: '',
+  token: ''
+}
+
+// Children of a project that are synced as resources of their own
+const COLLECTIONS = [
+  { field: 'teamMembers', entityType: 'member' },
+  { field: 'tasks', entityType: 'task' }
+]
+
+export class SyncService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Function} options.createAdapter - Builds the backend adapter from the configuration
+   */
+  constructor({ createAdapter = (config) => new RestSyncAdapter(config) } = {}) {
+    this.createAdapter = createAdapter
+    this.adapter = null
+    this.status = 'disabled'
+    this.error = null
+    this.lastSyncedAt = null
+    this.offline = false
+    this.connectionToastId = null
+
+    this.running = null
+    this.syncRequested = false
+    this.syncTimer = null
+    this.retryTimer = null
+    this.unsubscribeStorage = null
+    this.statusListeners = new Set()
+    this.remoteChangeListeners = new Set()
+
+    this.handleOnline = () => this.sync()
+    this.handleOffline = () => this.setOffline()
+  }
+
+  /**
+   * Configuration
+   */
+  getConfig() {
+    return { ...DEFAULT_CONFIG, ...(storageService.getItem(storageService.storageKeys.syncConfig) || {}) }
+  }
+
+  /**
+   * Save the configuration and restart syncing with it
+   * @param {Object} config - enabled, endpoint and token
+   * @param {Object} options - start: false only saves it (another tab syncs)
+   * @returns {Promise<Object>} Saved configuration
+   */
+  async configure(config, { start = true } = {}) {
+    const previous = this.getConfig()
+    const updated = { ...previous, ...config, endpoint: (config.endpoint ?? previous.endpoint).trim() }
+
+    this.stop()
+    storageService.setItem(storageService.storageKeys.syncConfig, updated)
+
+    // Another server knows nothing about what was shared with the previous one
+    if (updated.endpoint !== previous.endpoint) {
+      this.resetState()
+    }
+
+    if (start) await this.start()
+    return updated
+  }
+
+  /**
+   * Start listening to local changes and sync once, when enabled
+   */
+  async start() {
+    const config = this.getConfig()
+    if (!config.enabled || !config.endpoint) {
+      this.setStatus('disabled')
+      return null
+    }
+    if (this.adapter) return this.sync()
+
+    this.adapter = this.createAdapter(config)
+    this.unsubscribeStorage = storageService.onProjectChange(projectId => this.handleLocalChange(projectId))
+    window.addEventListener('online', this.handleOnline)
+    window.addEventListener('offline', this.handleOffline)
+
+    // Local projects the server has not seen yet are queued as well
+    this.refreshQueue()
+    this.setStatus('idle')
+    return this.sync()
+  }
+
+  stop() {
+    clearTimeout(this.syncTimer)
+    clearTimeout(this.retryTimer)
+    if (this.unsubscribeStorage) this.unsubscribeStorage()
+    window.removeEventListener('online', this.handleOnline)
+    window.removeEventListener('offline', this.handleOffline)
+
+    this.unsubscribeStorage = null
+    this.adapter = null
+    this.setOnline()
+    this.setStatus('disabled')
+  }
+
+  /**
+   * Listeners
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener)
+    listener(this.getStatus())
+    return () => this.statusListeners.delete(listener)
+  }
+
+  // Called with the IDs of the local projects changed by a pull
+  onRemoteChanges(listener) {
+    this.remoteChangeListeners.add(listener)
+    return () => this.remoteChangeListeners.delete(listener)
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      pendingCount: this.getQueue().length,
+      lastSyncedAt: this.lastSyncedAt,
+      error: this.error
+    }
+  }
+
+  setStatus(status, error = null) {
+    this.status = status
+    this.error = error
+    const current = this.getStatus()
+    this.statusListeners.forEach(listener => listener(current))
+  }
+
+  /**
+   * Queue and sync state
+   */
+  getQueue() {
+    return storageService.getItem(storageService.storageKeys.syncQueue) || []
+  }
+
+  saveQueue(queue) {
+    storageService.setItem(storageService.storageKeys.syncQueue, queue)
+  }
+
+  // Projects as last known from the server, and the server time of the last pull
+  getState() {
+    return {
+      lastPulledAt: null,
+      projects: {},
+      ...(storageService.getItem(storageService.storageKeys.syncState) || {})
+    }
+  }
+
+  saveState(state) {
+    storageService.setItem(storageService.storageKeys.syncState, state)
+  }
+
+  resetState() {
+    storageService.removeItem(storageService.storageKeys.syncQueue)
+    storageService.removeItem(storageService.storageKeys.syncState)
+  }
+
+  getLocalProjects() {
+    return storageService.getItem(storageService.storageKeys.projects) || []
+  }
+
+  handleLocalChange(projectId) {
+    this.refreshQueue([projectId])
+    this.scheduleSync()
+  }
+
+  /**
+   * Rebuild the queued operations of some projects (all by default) from the
+   * difference between the local copy and the server state
+   * @param {Array|null} projectIds - Projects to rebuild
+   */
+  refreshQueue(projectIds = null) {
+    const localProjects = new Map(this.getLocalProjects().map(project => [project.id, project]))
+    const serverProjects = this.getState().projects
+    const ids = projectIds || [...new Set([...localProjects.keys(), ...Object.keys(serverProjects)])]
+
+    const queue = this.getQueue().filter(operation => !ids.includes(operation.projectId))
+    ids.forEach(projectId => {
+      queue.push(...diffProject(projectId, localProjects.get(projectId) || null, serverProjects[projectId] || null))
+    })
+
+    this.saveQueue(queue)
+    this.setStatus(this.status, this.error)
+  }
+
+  /**
+   * Syncing
+   */
+  scheduleSync(delay = SYNC_DELAY) {
+    if (!this.adapter) return
+    clearTimeout(this.syncTimer)
+    this.syncTimer = setTimeout(() => this.sync(), delay)
+  }
+
+  /**
+   * Pull the server changes, then push the queue
+   * @returns {Promise<Object|null>} Changed local projects and pending operations, null when it failed
+   */
+  sync() {
+    if (!this.adapter) return Promise.resolve(null)
+
+    if (this.running) {
+      this.syncRequested = true
+      return this.running
+    }
+
+    clearTimeout(this.syncTimer)
+    clearTimeout(this.retryTimer)
+    this.running = this.runSync().finally(() => {
+      this.running = null
+      if (this.syncRequested) {
+        this.syncRequested = false
+        this.scheduleSync(0)
+      }
+    })
+    return this.running
+  }
+
+  async runSync() {
+    const adapter = this.adapter
+    this.setStatus('syncing')
+
+    try {
+      const changedProjectIds = await this.pull(adapter)
+      if (changedProjectIds.length > 0) {
+        this.remoteChangeListeners.forEach(listener => listener(changedProjectIds))
+      }
+
+      await this.push(adapter)
+
+      this.lastSyncedAt = new Date().toISOString()
+      this.setOnline()
+      this.setStatus('idle')
+      return { changedProjectIds, pendingCount: this.getQueue().length }
+    } catch (error) {
+      if (error instanceof SyncOfflineError) {
+        this.setOffline()
+      } else {
+        console.error('Sync failed:', error)
+        this.setStatus('error', error.message)
+      }
+      return null
+    }
+  }
+
+  async pull(adapter) {
+    const state = this.getState()
+    const { projects, deletedProjectIds, serverTime } = await adapter.pullProjects(state.lastPulledAt)
+
+    const localProjects = this.getLocalProjects()
+    const changedProjectIds = []
+
+    const replaceLocal = (projectId, project) => {
+      const index = localProjects.findIndex(candidate => candidate.id === projectId)
+      const previous = index >= 0 ? localProjects[index] : null
+      if (JSON.stringify(previous) === JSON.stringify(project)) return
+
+      if (!project) {
+        localProjects.splice(index, 1)
+      } else if (index >= 0) {
+        localProjects[index] = project
+      } else {
+        localProjects.push(project)
+      }
+      changedProjectIds.push(projectId)
+    }
+
+    projects.forEach(remoteProject => {
+      const local = localProjects.find(project => project.id === remoteProject.id) || null
+      replaceLocal(remoteProject.id, mergeProject(local, remoteProject, state.projects[remoteProject.id] || null))
+      state.projects[remoteProject.id] = remoteProject
+    })
+
+    // Deleting a project on the server wins over local changes to it
+    deletedProjectIds.forEach(projectId => {
+      replaceLocal(projectId, null)
+      delete state.projects[projectId]
+    })
+
+    if (changedProjectIds.length > 0) {
+      // Written directly: merged projects keep their own updatedAt
+      storageService.setItem(storageService.storageKeys.projects, localProjects)
+    }
+    state.lastPulledAt = serverTime || state.lastPulledAt
+    this.saveState(state)
+
+    // What is left to push after the merge
+    this.refreshQueue([...projects.map(project => project.id), ...deletedProjectIds])
+    return changedProjectIds
+  }
+
+  async push(adapter) {
+    let operation = this.getQueue()[0]
+
+    while (operation) {
+      await adapter.pushOperation(operation)
+      this.applyToState(operation)
+      this.refreshQueue([operation.projectId])
+
+      const next = this.getQueue()[0]
+      if (next && JSON.stringify(next) === JSON.stringify(operation)) {
+        throw new Error('La operación de sincronización no se pudo aplicar')
+      }
+      operation = next
+    }
+  }
+
+  // Record a pushed operation as known by the server
+  applyToState(operation) {
+    const state = this.getState()
+    const { entityType, projectId, entityId, action, data } = operation
+
+    if (entityType === 'project') {
+      if (action === 'delete') {
+        delete state.projects[projectId]
+      } else {
+        state.projects[projectId] = { tasks: [], teamMembers: [], ...state.projects[projectId], ...data }
+      }
+    } else if (state.projects[projectId]) {
+      const { field } = COLLECTIONS.find(collection => collection.entityType === entityType)
+      const items = state.projects[projectId][field] || []
+      const index = items.findIndex(item => item.id === entityId)
+
+      if (action === 'delete') {
+        if (index >= 0) items.splice(index, 1)
+      } else if (index >= 0) {
+        items[index] = { ...items[index], ...data }
+      } else {
+        items.push({ ...data })
+      }
+      state.projects[projectId][field] = items
+    }
+
+    this.saveState(state)
+  }
+
+  /**
+   * Connection state, shown with the connection notifications
+   */
+  setOffline() {
+    if (!this.offline) {
+      this.offline = true
+      this.connectionToastId = notificationService.connectionLost()
+    }
+
+    this.setStatus('offline')
+    clearTimeout(this.retryTimer)
+    if (this.adapter) {
+      this.retryTimer = setTimeout(() => this.sync(), RETRY_DELAY)
+    }
+  }
+
+  setOnline() {
+    if (!this.offline) return
+
+    this.offline = false
+    if (this.connectionToastId) {
+      notificationService.getToast().close(this.connectionToastId)
+      this.connectionToastId = null
+    }
+    if (this.adapter) {
+      notificationService.connectionRestored()
+    }
+  }
+}
+
+/**
+ * Operations that bring the server from its known state to the local one
+ */
+function diffProject(projectId, local, server) {
+  if (!local && !server) return []
+  if (!local) {
+    return [{ entityType: 'project', projectId, entityId: projectId, action: 'delete', data: null }]
+  }
+
+  const operations = []
+  const projectOperation = diffEntity('project', projectId, projectId, withoutCollections(local), server && withoutCollections(server))
+  if (projectOperation) operations.push(projectOperation)
+
+  COLLECTIONS.forEach(({ field, entityType }) => {
+    const localItems = new Map((local[field] || []).map(item => [item.id, item]))
+    const serverItems = new Map(((server && server[field]) || []).map(item => [item.id, item]))
+
+    localItems.forEach((item, id) => {
+      const operation = diffEntity(entityType, projectId, id, item, serverItems.get(id))
+      if (operation) operations.push(operation)
+    })
+    serverItems.forEach((item, id) => {
+      if (!localItems.has(id)) {
+        operations.push({ entityType, projectId, entityId: id, action: 'delete', data: null })
+      }
+    })
+  })
+
+  return operations
+}
+
+// Only real changes are sent; a newer updatedAt alone is not a change
+function diffEntity(entityType, projectId, entityId, local, server) {
+  if (!server) {
+    return { entityType, projectId, entityId, action: 'create', data: local }
+  }
+
+  const fields = Object.keys({ ...server, ...local })
+    .filter(field => field !== 'updatedAt' && !isEqual(local[field], server[field]))
+  if (fields.length === 0) return null
+
+  const data = {}
+  fields.forEach(field => {
+    data[field] = local[field] === undefined ? null : local[field]
+  })
+  if (local.updatedAt) data.updatedAt = local.updatedAt
+
+  return { entityType, projectId, entityId, action: 'update', data }
+}
+
+/**
+ * Three-way merge of a project pulled from the server with the local copy,
+ * using the last state known from the server as the common ancestor
+ * @returns {Object|null} Merged project (null when it stays deleted locally)
+ */
+function mergeProject(local, remote, base) {
+  if (!local) {
+    // Deleted here and not yet pushed: the queued delete wins
+    return base ? null : remote
+  }
+
+  const localTime = toTime(local.updatedAt)
+  const remoteTime = toTime(remote.updatedAt)
+  // Spread over the local copy so unchanged projects serialize the same
+  const merged = {
+    ...local,
+    ...mergeEntity(withoutCollections(local), withoutCollections(remote), base && withoutCollections(base), localTime, remoteTime)
+  }
+
+  COLLECTIONS.forEach(({ field, entityType }) => {
+    // Members have no update time of their own, the project one is used
+    const timeOf = entityType === 'task'
+      ? (item) => toTime(item.updatedAt)
+      : (item, side) => (side === 'local' ? localTime : remoteTime)
+
+    merged[field] = mergeCollection(local[field] || [], remote[field] || [], (base && base[field]) || [], timeOf)
+  })
+
+  return merged
+}
+
+function mergeCollection(localItems, remoteItems, baseItems, timeOf) {
+  const remoteById = new Map(remoteItems.map(item => [item.id, item]))
+  const baseById = new Map(baseItems.map(item => [item.id, item]))
+  const localIds = new Set(localItems.map(item => item.id))
+  const merged = []
+
+  localItems.forEach(item => {
+    const remote = remoteById.get(item.id)
+    const base = baseById.get(item.id)
+
+    if (remote) {
+      merged.push(mergeEntity(item, remote, base, timeOf(item, 'local'), timeOf(remote, 'remote')))
+    } else if (!base) {
+      // Created here; otherwise it was deleted on the server
+      merged.push(item)
+    }
+  })
+
+  remoteItems.forEach(item => {
+    // Created on the server; otherwise it was deleted here
+    if (!localIds.has(item.id) && !baseById.has(item.id)) {
+      merged.push(item)
+    }
+  })
+
+  return merged
+}
+
+function mergeEntity(local, remote, base, localTime, remoteTime) {
+  const merged = {}
+
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(field => {
+    const localValue = local[field]
+    const remoteValue = remote[field]
+
+    if (isEqual(localValue, remoteValue) || (base && isEqual(remoteValue, base[field]))) {
+      merged[field] = localValue
+    } else if (base && isEqual(localValue, base[field])) {
+      merged[field] = remoteValue
+    } else {
+      merged[field] = remoteTime > localTime ? remoteValue : localValue
+    }
+  })
+
+  return merged
+}
+
+function withoutCollections(project) {
+  const { tasks, teamMembers, ...data } = project
+  return data
+}
+
+// Missing and null values are the same for the server
+function isEqual(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b)
+}
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : 0
+  return isNaN(time) ? 0 : time
+}
+
+// Export singleton instance
+export const syncService = new SyncService()
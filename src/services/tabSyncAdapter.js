@@ -0,0 +1,270 @@
+/**
+ * Storage backend shared between browser tabs
+ *
+ * Wraps the real backend so that only one tab, the leader, writes to it. The
+ * other tabs send their writes to the leader and serve them from memory until
+ * the leader confirms them; the leader groups the writes it receives, stores
+ * them and sends every tab the stored values. Each key carries a revision: a
+ * write made from an older revision than the current one is stale, and only
+ * the items (lists with ids, like projects or templates) or the properties
+ * (objects, like settings) changed by the writing tab are applied, so the
+ * changes made meanwhile in other tabs are not lost
+ */
+
+const WRITE_DELAY = 100 // ms, writes made in this window are stored together
+
+export class TabSyncAdapter {
+  /**
+   * @param {Object} inner - Backend that stores the values
+   * @param {Object} options - Adapter options
+   * @param {Function} options.post - Sends a message (type, data) to the other tabs
+   * @param {string} options.projectsKey - Key of the projects list
+   * @param {number} options.writeDelay - Time the leader waits to group writes
+   */
+  constructor(inner, { post, projectsKey = 'pm_projects', writeDelay = WRITE_DELAY }) {
+    this.inner = inner
+    this.post = post
+    this.projectsKey = projectsKey
+    this.writeDelay = writeDelay
+    this.isLeader = false
+    this.onError = null
+
+    this.revisions = new Map()
+    // Values stored by the leader, newer than what the backend of this tab read
+    this.confirmed = new Map()
+    // Leader: values waiting to be stored. Other tabs: writes not yet confirmed
+    this.pending = new Map()
+    this.writeCount = 0
+    this.writePrefix = Math.random().toString(36).substring(2, 9)
+    this.flushTimer = null
+  }
+
+  get name() {
+    return this.inner.name
+  }
+
+  async open() {
+    await this.inner.open()
+    return this
+  }
+
+  getItem(key) {
+    if (this.pending.has(key)) return this.pending.get(key).value
+    return this.getStoredItem(key)
+  }
+
+  setItem(key, value) {
+    this.write(key, String(value))
+  }
+
+  removeItem(key) {
+    this.write(key, null)
+  }
+
+  /**
+   * Store the pending writes (leader) or wait for the backend (other tabs)
+   */
+  flush() {
+    clearTimeout(this.flushTimer)
+    this.flushTimer = null
+    if (!this.isLeader || this.pending.size === 0) return this.inner.flush()
+
+    const entries = [...this.pending].map(([key, entry]) => ({
+      key,
+      value: entry.value,
+      revision: this.revisions.get(key) || 0,
+      writeIds: entry.writeIds
+    }))
+    this.pending.clear()
+
+    try {
+      entries.forEach(({ key, value }) => {
+        if (value === null) {
+          this.inner.removeItem(key)
+        } else {
+          this.inner.setItem(key, value)
+        }
+      })
+    } catch (error) {
+      console.error('Error writing shared storage:', error)
+      if (this.onError) this.onError(error)
+    }
+
+    this.post('written', entries)
+    return this.inner.flush()
+  }
+
+  close() {
+    if (this.isLeader) this.flush()
+    this.inner.close()
+  }
+
+  /**
+   * Become (or stop being) the tab that writes to the backend
+   * @param {boolean} isLeader - Whether this tab is the leader
+   */
+  setLeader(isLeader) {
+    if (isLeader === this.isLeader) return
+    this.isLeader = isLeader
+    if (!isLeader) return
+
+    // The backend of this tab may not have read what the previous leader stored
+    this.confirmed.forEach((value, key) => {
+      if (value === null) {
+        this.inner.removeItem(key)
+      } else {
+        this.inner.setItem(key, value)
+      }
+    })
+    this.confirmed.clear()
+
+    // The previous leader may have closed before storing these
+    const unconfirmed = [...this.pending.values()]
+    this.pending.clear()
+    unconfirmed.forEach(write => this.applyRemoteWrite(write))
+  }
+
+  /**
+   * Leader: apply a write sent by another tab
+   * @param {Object} write - Key, value, revision it was based on and changed parts
+   */
+  applyRemoteWrite(write) {
+    if (!this.isLeader) return
+
+    let value = write.value
+    if (write.baseRevision < (this.revisions.get(write.key) || 0)) {
+      if (write.changes) {
+        value = mergeChanges(this.getItem(write.key), value, write.changes)
+      } else {
+        console.warn(`Stale write to ${write.key} from another tab, replacing the newer value`)
+      }
+    }
+
+    this.store(write.key, value, write.id)
+  }
+
+  /**
+   * Other tabs: take the values stored by the leader
+   * @param {Array} entries - Stored keys with their value and revision
+   */
+  applyWritten(entries) {
+    if (this.isLeader) return
+
+    entries.forEach(({ key, value, revision, writeIds }) => {
+      if (revision < (this.revisions.get(key) || 0)) return
+
+      this.revisions.set(key, revision)
+      this.confirmed.set(key, value)
+
+      const pending = this.pending.get(key)
+      if (pending && writeIds.includes(pending.id)) {
+        this.pending.delete(key)
+      }
+    })
+  }
+
+  // Leader: every value written while it leads, for tabs opened meanwhile
+  snapshot() {
+    return [...this.revisions.keys()].map(key => ({
+      key,
+      value: this.getItem(key),
+      revision: this.revisions.get(key),
+      writeIds: []
+    }))
+  }
+
+  // Other tabs: send the unconfirmed writes again to a new leader
+  resendPending() {
+    if (this.isLeader) return
+    this.pending.forEach(write => this.post('write', write))
+  }
+
+  write(key, value) {
+    if (this.isLeader) {
+      this.store(key, value)
+      return
+    }
+
+    const changes = changedParts(this.getStoredItem(key), value)
+    const write = {
+      id: `${this.writePrefix}_${++this.writeCount}`,
+      key,
+      value,
+      baseRevision: this.revisions.get(key) || 0,
+      changes,
+      projectIds: key === this.projectsKey ? changes : null
+    }
+    this.pending.set(key, write)
+    this.post('write', write)
+  }
+
+  // Leader: a new revision of the key, stored with the next group of writes
+  store(key, value, writeId = null) {
+    const entry = this.pending.get(key)
+    const writeIds = entry ? entry.writeIds : []
+    if (writeId) writeIds.push(writeId)
+
+    this.pending.set(key, { value, writeIds })
+    this.revisions.set(key, (this.revisions.get(key) || 0) + 1)
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.writeDelay)
+    }
+  }
+
+  getStoredItem(key) {
+    return this.confirmed.has(key) ? this.confirmed.get(key) : this.inner.getItem(key)
+  }
+}
+
+/**
+ * Parts of a serialized value that differ between two versions: the ids of a
+ * list of items with an id, or the properties of an object. Null for other
+ * values, which can only be replaced as a whole
+ */
+function changedParts(before, after) {
+  const beforeParts = partsOf(before)
+  const afterParts = partsOf(after)
+  if (!beforeParts || !afterParts || beforeParts.isList !== afterParts.isList) return null
+
+  const keys = new Set([...beforeParts.parts.keys(), ...afterParts.parts.keys()])
+  return [...keys].filter(key => beforeParts.parts.get(key) !== afterParts.parts.get(key))
+}
+
+/**
+ * Apply the given parts of a stale value over the current one
+ */
+function mergeChanges(current, incoming, changes) {
+  const currentParts = partsOf(current)
+  const incomingParts = partsOf(incoming)
+  if (!currentParts || !incomingParts || currentParts.isList !== incomingParts.isList) return incoming
+
+  changes.forEach(key => {
+    if (incomingParts.parts.has(key)) {
+      currentParts.parts.set(key, incomingParts.parts.get(key))
+    } else {
+      currentParts.parts.delete(key)
+    }
+  })
+
+  const entries = [...currentParts.parts].map(([key, part]) => [key, JSON.parse(part)])
+  return JSON.stringify(currentParts.isList ? entries.map(([, item]) => item) : Object.fromEntries(entries))
+}
+
+// Serialized parts of a stored value by id or property name
+function partsOf(value) {
+  let data
+  try {
+    data = value === null ? null : JSON.parse(value)
+  } catch {
+    return null
+  }
+
+  if (Array.isArray(data) && data.every(item => item && item.id !== undefined)) {
+    return { isList: true, parts: new Map(data.map(item => [item.id, JSON.stringify(item)])) }
+  }
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    return { isList: false, parts: new Map(Object.entries(data).map(([key, part]) => [key, JSON.stringify(part)])) }
+  }
+  return null
+}
@@ -0,0 +1,157 @@
+/**
+ * Tab sync service
+ * Keeps the tabs of the app open in the same browser consistent. Tabs talk
+ * over a BroadcastChannel, and the tab holding the leader lock writes to
+ * storage for all of them (see TabSyncAdapter). Without BroadcastChannel or
+ * Web Locks every tab keeps writing on its own, as before
+ */
+
+import { storageService } from './storageService.js'
+import { TabSyncAdapter } from './tabSyncAdapter.js'
+
+const CHANNEL_NAME = 'projectez-tabs'
+const LEADER_LOCK = 'projectez-storage-leader'
+
+export class TabSyncService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Function} options.createChannel - Opens the channel shared by the tabs
+   * @param {Object} options.locks - Web Locks implementation used for the leader election
+   */
+  constructor({
+    createChannel = (name) => new BroadcastChannel(name),
+    locks = typeof navigator !== 'undefined' ? navigator.locks : null
+  } = {}) {
+    this.createChannel = createChannel
+    this.locks = locks
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`
+
+    this.channel = null
+    this.adapter = null
+    // A tab on its own writes its storage
+    this.isLeader = true
+    this.releaseLeadership = null
+
+    this.handlers = new Map()
+    this.leadershipListeners = new Set()
+    this.handlePageHide = () => this.adapter.flush()
+  }
+
+  isSupported() {
+    return typeof BroadcastChannel !== 'undefined' && !!this.locks
+  }
+
+  get active() {
+    return this.channel !== null
+  }
+
+  /**
+   * Join the other tabs once the storage backend is ready
+   */
+  async start() {
+    if (this.channel || !this.isSupported()) return this
+    await storageService.whenReady()
+
+    this.channel = this.createChannel(CHANNEL_NAME)
+    this.channel.onmessage = (event) => this.handleMessage(event.data)
+
+    this.adapter = new TabSyncAdapter(storageService.adapter, {
+      projectsKey: storageService.storageKeys.projects,
+      post: (type, data) => this.publish(`storage:${type}`, data)
+    })
+    storageService.wrapAdapter(() => this.adapter)
+    this.setLeader(false)
+
+    this.subscribe('storage:write', (write) => {
+      this.adapter.applyRemoteWrite(write)
+      // Listeners of the leader (such as the server sync) see every tab's changes
+      if (this.isLeader && write.projectIds) {
+        write.projectIds.forEach(projectId => storageService.notifyProjectChange(projectId))
+      }
+    })
+    this.subscribe('storage:written', (entries) => this.adapter.applyWritten(entries))
+    this.subscribe('hello', () => {
+      if (this.isLeader) this.publish('storage:written', this.adapter.snapshot())
+    })
+    this.subscribe('leader', () => this.adapter.resendPending())
+    window.addEventListener('pagehide', this.handlePageHide)
+
+    this.publish('hello')
+
+    // Held until the tab closes; the next waiting tab takes over
+    this.locks.request(LEADER_LOCK, () => new Promise(resolve => {
+      this.releaseLeadership = resolve
+      this.setLeader(true)
+    }))
+
+    return this
+  }
+
+  async stop() {
+    if (!this.channel) return
+
+    await this.adapter.flush()
+    window.removeEventListener('pagehide', this.handlePageHide)
+    if (this.releaseLeadership) this.releaseLeadership()
+    this.channel.close()
+
+    storageService.wrapAdapter(adapter => adapter.inner)
+    this.channel = null
+    this.adapter = null
+    this.releaseLeadership = null
+    this.setLeader(true)
+  }
+
+  /**
+   * Messages between tabs
+   */
+  publish(type, data = null) {
+    if (!this.channel) return
+    this.channel.postMessage({ type, tabId: this.tabId, data })
+  }
+
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set())
+    }
+    this.handlers.get(type).add(handler)
+    return () => this.handlers.get(type).delete(handler)
+  }
+
+  handleMessage({ type, tabId, data }) {
+    if (tabId === this.tabId) return
+
+    const handlers = this.handlers.get(type)
+    if (!handlers) return
+
+    handlers.forEach(handler => {
+      try {
+        handler(data, tabId)
+      } catch (error) {
+        console.error(`Error handling tab message ${type}:`, error)
+      }
+    })
+  }
+
+  /**
+   * Leadership
+   */
+  // Called with the current value and on every change
+  onLeadershipChange(listener) {
+    this.leadershipListeners.add(listener)
+    listener(this.isLeader)
+    return () => this.leadershipListeners.delete(listener)
+  }
+
+  setLeader(isLeader) {
+    if (this.adapter) this.adapter.setLeader(isLeader)
+    if (isLeader === this.isLeader) return
+
+    this.isLeader = isLeader
+    if (isLeader) this.publish('leader')
+    this.leadershipListeners.forEach(listener => listener(isLeader))
+  }
+}
+
+// Export singleton instance
+export const tabSyncService = new TabSyncService()
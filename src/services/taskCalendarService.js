@@ -0,0 +1,482 @@
+/**
+ * TaskCalendarService - iCalendar (.ics) feeds of project tasks
+ * Exports tasks as VEVENT or VTODO components, plus the due dates of their
+ * deliverables, with UIDs derived from task ids. Importing a feed updates the
+ * tasks whose UID it recognises and creates tasks for the other events
+ */
+
+import { iCalendarParser } from '../utils/iCalendarParser.js';
+import { DateCalculationService } from './dateCalculationService.js';
+import { ProjectExportService } from './projectExportService.js';
+import { TASK_STATUSES } from '../models/index.js';
+
+const UID_DOMAIN = 'personal-project-manager';
+const UID_PATTERN = new RegExp(`^(task|deliverable)-(.+)@${UID_DOMAIN}$`);
+const PRODUCT_ID = '-//Personal Project Manager//Tareas//ES';
+
+export const ICALENDAR_COMPONENTS = ['VEVENT', 'VTODO'];
+
+const TODO_STATUSES = { pending: 'NEEDS-ACTION', in_progress: 'IN-PROCESS', completed: 'COMPLETED', cancelled: 'CANCELLED' };
+const EVENT_STATUSES = { pending: 'TENTATIVE', in_progress: 'CONFIRMED', completed: 'CONFIRMED', cancelled: 'CANCELLED' };
+
+// RFC 5545 priorities go from 1 (highest) to 9 (lowest); 0 means undefined
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+const MAX_LINE_OCTETS = 75;
+
+export class TaskCalendarService {
+  /**
+   * Export tasks as an iCalendar feed
+   * @param {Array} tasks - Tasks to export
+   * @param {Object} options - Export options
+   * @param {string} options.calendarName - Name shown by calendar clients
+   * @param {Array} options.members - Team members, to add the assignee as attendee
+   * @param {string} options.component - 'VEVENT' (calendar events) or 'VTODO' (to-dos)
+   * @param {boolean} options.includeDeliverables - Add the due date of each deliverable
+   * @returns {string} .ics content
+   * @throws {Error} If tasks or the component are invalid
+   */
+  static exportTasks(tasks, { calendarName = '', members = [], component = 'VEVENT', includeDeliverables = true } = {}) {
+    if (!Array.isArray(tasks)) {
+      throw new Error('Tasks are required for iCalendar export');
+    }
+    if (!ICALENDAR_COMPONENTS.includes(component)) {
+      throw new Error(`Unsupported iCalendar component: ${component}`);
+    }
+
+    const stamp = this.formatDateTime(new Date());
+    const membersById = new Map(members.map(member => [member.id, member]));
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+    if (calendarName) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(calendarName)}`);
+    }
+
+    [...tasks]
+      .filter(task => this.isValidDate(task.startDate) && this.isValidDate(task.endDate))
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+      .forEach(task => {
+        lines.push(...this.buildTaskComponent(task, component, { stamp, membersById }));
+        if (includeDeliverables && task.deliverable && this.isValidDate(task.deliverable.dueDate)) {
+          lines.push(...this.buildDeliverableComponent(task, component, stamp));
+        }
+      });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Export tasks and download them as an .ics file
+   * @param {Array} tasks - Tasks to export
+   * @param {Object} options - Options for exportTasks
+   * @param {string} filename - Filename without extension
+   * @throws {Error} If export or download fails
+   */
+  static exportAndDownload(tasks, options = {}, filename = null) {
+    const content = this.exportTasks(tasks, options);
+    const downloadFilename = filename || ProjectExportService.sanitizeFilename(options.calendarName);
+
+    try {
+      const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${downloadFilename}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(`Failed to download iCalendar file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn the events and to-dos of an .ics file into task changes for a project
+   * Components with the UID of a project task (exported by this service, or
+   * created by an earlier import of the same feed) update it; the rest become
+   * new tasks. Deliverable components only move the deliverable due date
+   * @param {string} text - Content of an .ics file
+   * @param {Object} options - Import options
+   * @param {string} options.projectId - Project that receives the tasks
+   * @param {Array} options.projectTasks - Current tasks of the project
+   * @param {Array} options.members - Team members, matched by attendee email or name
+   * @param {Object} options.calendar - Work calendar used to calculate durations
+   * @returns {Object} Calendar name, tasks to create (parents first), tasks to update and skipped summaries
+   * @throws {Error} If the content is not iCalendar
+   */
+  static importTasks(text, { projectId, projectTasks = [], members = [], calendar = null } = {}) {
+    const { name, components } = iCalendarParser.parse(text);
+    const tasksById = new Map(projectTasks.map(task => [task.id, task]));
+    const entries = new Map();
+    const deliverables = [];
+    const skipped = [];
+
+    components.forEach(component => {
+      const label = component.summary || component.uid || 'Evento sin título';
+      const own = this.parseUid(component.uid);
+
+      if (own && own.kind === 'deliverable') {
+        deliverables.push({ component, taskId: own.taskId });
+        return;
+      }
+      if (!component.start && !component.due) {
+        skipped.push(`${label}: no tiene fecha`);
+        return;
+      }
+
+      const ids = this.candidateTaskIds(component.uid, projectId);
+      const id = ids.find(candidate => tasksById.has(candidate)) || ids[ids.length - 1] || null;
+      if (id && entries.has(id)) {
+        skipped.push(`${label}: está repetido en el archivo`);
+        return;
+      }
+
+      entries.set(id || Symbol(label), { id, component, existing: id ? tasksById.get(id) || null : null });
+    });
+
+    const changes = new Map();
+    const created = [];
+
+    entries.forEach(entry => {
+      const data = this.toTaskData(entry.component, entry.existing, { members, calendar });
+
+      if (entry.existing) {
+        changes.set(entry.id, { ...entry.existing, ...data });
+      } else {
+        created.push({ ...data, id: entry.id, projectId, type: 'simple', parentTaskId: null, relatedTo: entry.component.properties['RELATED-TO'] });
+      }
+    });
+
+    this.resolveParents(created, projectId, tasksById);
+
+    deliverables.forEach(({ component, taskId }) => {
+      const task = changes.get(taskId) || tasksById.get(taskId);
+      const dueDate = component.start || component.due;
+
+      if (!task || !task.deliverable || !dueDate) {
+        skipped.push(`${component.summary || component.uid}: la entrega no corresponde a ninguna tarea del proyecto`);
+        return;
+      }
+      changes.set(taskId, { ...task, deliverable: { ...task.deliverable, dueDate: this.startOfDay(dueDate) } });
+    });
+
+    return {
+      calendarName: name,
+      created: this.parentsFirst(created),
+      updated: [...changes.values()],
+      skipped
+    };
+  }
+
+  /**
+   * UID of the component exported for a task or for its deliverable
+   * @param {string} taskId - Task id
+   * @param {string} kind - 'task' or 'deliverable'
+   * @returns {string} Stable UID
+   */
+  static buildUid(taskId, kind = 'task') {
+    return `${kind}-${taskId}@${UID_DOMAIN}`;
+  }
+
+  /**
+   * Read a UID written by buildUid
+   * @param {string} uid - Component UID
+   * @returns {Object|null} Kind and task id, or null for foreign UIDs
+   */
+  static parseUid(uid) {
+    const match = typeof uid === 'string' ? uid.match(UID_PATTERN) : null;
+    return match ? { kind: match[1], taskId: match[2] } : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writing
+  // ---------------------------------------------------------------------------
+
+  static buildTaskComponent(task, component, { stamp, membersById }) {
+    const lines = [
+      `BEGIN:${component}`,
+      `UID:${this.buildUid(task.id)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${this.formatDate(task.startDate)}`,
+      // DTEND and DUE dates are exclusive: the day after the task ends
+      `${component === 'VEVENT' ? 'DTEND' : 'DUE'};VALUE=DATE:${this.formatDate(this.addDays(task.endDate, 1))}`,
+      `SUMMARY:${this.escapeText(task.title)}`
+    ];
+
+    if (task.description) {
+      lines.push(`DESCRIPTION:${this.escapeText(task.description)}`);
+    }
+
+    if (component === 'VEVENT') {
+      lines.push(`STATUS:${EVENT_STATUSES[task.status] || 'CONFIRMED'}`);
+      lines.push(`X-PPM-PROGRESS:${Math.round(task.progress || 0)}`);
+    } else {
+      lines.push(`STATUS:${TODO_STATUSES[task.status] || 'NEEDS-ACTION'}`);
+      lines.push(`PERCENT-COMPLETE:${Math.round(task.progress || 0)}`);
+    }
+
+    // Event statuses cannot tell pending from in-progress tasks
+    lines.push(`X-PPM-STATUS:${task.status}`);
+    lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority] || 0}`);
+
+    if (task.parentTaskId) {
+      lines.push(`RELATED-TO:${this.buildUid(task.parentTaskId)}`);
+    }
+
+    const assignee = membersById.get(task.assignedTo);
+    if (assignee && assignee.email) {
+      lines.push(`ATTENDEE;CN="${String(assignee.name || '').replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${assignee.email}`);
+    }
+
+    if (this.isValidDate(task.updatedAt)) {
+      lines.push(`LAST-MODIFIED:${this.formatDateTime(new Date(task.updatedAt))}`);
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+  }
+
+  static buildDeliverableComponent(task, component, stamp) {
+    const { deliverable } = task;
+    const dueDate = this.formatDate(deliverable.dueDate);
+    const lines = [
+      `BEGIN:${component}`,
+      `UID:${this.buildUid(task.id, 'deliverable')}`,
+      `DTSTAMP:${stamp}`
+    ];
+
+    if (component === 'VEVENT') {
+      lines.push(`DTSTART;VALUE=DATE:${dueDate}`);
+      lines.push(`DTEND;VALUE=DATE:${this.formatDate(this.addDays(deliverable.dueDate, 1))}`);
+      lines.push('STATUS:CONFIRMED');
+    } else {
+      lines.push(`DUE;VALUE=DATE:${dueDate}`);
+      lines.push(`STATUS:${deliverable.status === 'completed' ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    }
+
+    lines.push(`SUMMARY:${this.escapeText(`Entrega: ${task.title}`)}`);
+    if (deliverable.description) {
+      lines.push(`DESCRIPTION:${this.escapeText(deliverable.description)}`);
+    }
+    lines.push(`RELATED-TO:${this.buildUid(task.id)}`);
+    lines.push(`END:${component}`);
+    return lines;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Task fields read from a component; missing values keep those of the existing task
+   */
+  static toTaskData(component, existing, { members, calendar }) {
+    const startDate = this.startOfDay(component.start || component.due);
+    const endDate = this.readEndDate(component, startDate);
+    const custom = component.properties['X-PPM-STATUS'];
+    const percent = Number(component.properties['PERCENT-COMPLETE'] ?? component.properties['X-PPM-PROGRESS']);
+
+    let status = existing ? existing.status : 'pending';
+    if (TASK_STATUSES.includes(custom)) {
+      status = custom;
+    } else if (component.type === 'VTODO' && component.status) {
+      status = Object.keys(TODO_STATUSES).find(key => TODO_STATUSES[key] === component.status.toUpperCase()) || status;
+    } else if (component.status && component.status.toUpperCase() === 'CANCELLED') {
+      status = 'cancelled';
+    }
+
+    let progress = existing ? existing.progress : 0;
+    if (!isNaN(percent)) {
+      progress = Math.max(0, Math.min(100, Math.round(percent)));
+    } else if (status === 'completed') {
+      progress = 100;
+    }
+
+    let duration = 1;
+    try {
+      duration = Math.max(1, DateCalculationService.calculateWorkingDays(startDate, endDate, calendar));
+    } catch (error) {
+      // Non-working days only: keep the minimum duration
+    }
+
+    return {
+      title: component.summary || (existing ? existing.title : 'Evento sin título'),
+      description: component.description || (existing ? existing.description : ''),
+      startDate,
+      endDate,
+      duration,
+      status,
+      priority: this.toPriority(component.properties.PRIORITY) || (existing ? existing.priority : 'medium'),
+      progress,
+      assignedTo: this.findMember(component.attendee, members) || (existing ? existing.assignedTo : null)
+    };
+  }
+
+  /**
+   * Last day of the task: date-only DTEND/DUE values are exclusive
+   */
+  static readEndDate(component, startDate) {
+    const property = component.type === 'VEVENT' ? 'DTEND' : 'DUE';
+    const value = component.type === 'VEVENT' ? component.end : component.due;
+
+    // A to-do with only a due date lasts that day
+    if (!value || !component.start) return startDate;
+
+    const dateOnly = /^\d{8}$/.test(String(component.properties[property]).trim());
+    const endDate = this.startOfDay(dateOnly ? this.addDays(value, -1) : value);
+    return endDate < startDate ? startDate : endDate;
+  }
+
+  static toPriority(value) {
+    const priority = Number(value);
+    if (!priority || isNaN(priority)) return null;
+    if (priority < 5) return 'high';
+    return priority === 5 ? 'medium' : 'low';
+  }
+
+  static findMember(attendee, members) {
+    if (!attendee) return null;
+
+    const email = attendee.email ? attendee.email.toLowerCase() : null;
+    const name = attendee.name ? attendee.name.trim().toLowerCase() : null;
+    const member = members.find(candidate => email && (candidate.email || '').toLowerCase() === email) ||
+      members.find(candidate => name && (candidate.name || '').trim().toLowerCase() === name);
+
+    return member ? member.id : null;
+  }
+
+  /**
+   * Task ids a UID may refer to: the task it was exported from, then the id
+   * given to it by an earlier import into the project
+   */
+  static candidateTaskIds(uid, projectId) {
+    if (!uid) return [];
+
+    const own = this.parseUid(uid);
+    const imported = `task_ics_${this.hash(`${projectId}:${uid}`)}`;
+    return own ? [own.taskId, imported] : [imported];
+  }
+
+  /**
+   * New tasks take their parent from RELATED-TO when it points to a task of the project or of the import
+   */
+  static resolveParents(created, projectId, tasksById) {
+    const createdIds = new Set(created.map(task => task.id).filter(Boolean));
+
+    created.forEach(task => {
+      const relatedTo = task.relatedTo;
+      delete task.relatedTo;
+      if (!relatedTo) return;
+
+      const parentId = this.candidateTaskIds(relatedTo.trim(), projectId)
+        .find(id => id !== task.id && (tasksById.has(id) || createdIds.has(id)));
+      if (parentId) {
+        task.parentTaskId = parentId;
+      }
+    });
+
+    // Break parent cycles among the new tasks
+    const byId = new Map(created.map(task => [task.id, task]));
+    created.forEach(task => {
+      const seen = new Set([task.id]);
+      let parent = byId.get(task.parentTaskId);
+      while (parent) {
+        if (seen.has(parent.id)) {
+          task.parentTaskId = null;
+          return;
+        }
+        seen.add(parent.id);
+        parent = byId.get(parent.parentTaskId);
+      }
+    });
+  }
+
+  static parentsFirst(created) {
+    const byId = new Map(created.map(task => [task.id, task]));
+    const depth = (task) => {
+      const parent = byId.get(task.parentTaskId);
+      return parent ? depth(parent) + 1 : 0;
+    };
+
+    return created
+      .map((task, index) => ({ task, index, depth: depth(task) }))
+      .sort((a, b) => a.depth - b.depth || a.index - b.index)
+      .map(({ task }) => task);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  static formatDate(date) {
+    return DateCalculationService.toDateKey(new Date(date)).replace(/-/g, '');
+  }
+
+  static formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  static addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  static startOfDay(date) {
+    const value = new Date(date);
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  static isValidDate(value) {
+    return value !== null && value !== undefined && !isNaN(new Date(value).getTime());
+  }
+
+  static escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Split content lines longer than 75 octets (RFC 5545, section 3.1)
+   */
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const codePoint = char.codePointAt(0);
+      const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+      // Continuation lines start with a space
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * FNV-1a hash, to give foreign UIDs a stable task id
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (const char of text) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  }
+}
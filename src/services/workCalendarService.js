@@ -0,0 +1,140 @@
+/**
+ * WorkCalendarService - Project work calendars
+ * Keeps the calendar of every loaded project available by project id and
+ * imports holidays from iCalendar (.ics) files
+ */
+
+import { iCalendarParser } from '../utils/iCalendarParser.js';
+import { DateCalculationService } from './dateCalculationService.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Work calendars registered by project id
+const projectCalendars = new Map();
+
+export class WorkCalendarService {
+  /**
+   * Register the work calendar of a project so that its tasks use it
+   * @param {string} projectId - Project id
+   * @param {Object} calendar - Work calendar, or null to remove it
+   */
+  static registerCalendar(projectId, calendar) {
+    if (!projectId) return;
+
+    if (calendar) {
+      projectCalendars.set(projectId, calendar);
+    } else {
+      projectCalendars.delete(projectId);
+    }
+  }
+
+  /**
+   * Work calendar registered for a project
+   * @param {string} projectId - Project id
+   * @returns {Object|null} Work calendar or null for the default calendar
+   */
+  static getCalendar(projectId) {
+    return (projectId && projectCalendars.get(projectId)) || null;
+  }
+
+  /**
+   * Extract holidays from iCalendar content
+   * Multi-day events add one holiday per day and yearly rules are expanded
+   * @param {string} text - Content of an .ics file
+   * @param {Object} options - Import options
+   * @param {number} options.fromYear - First year to keep (default: current year)
+   * @param {number} options.toYear - Last year to keep (default: current year + 2)
+   * @returns {Object} Holidays sorted by date and the summaries that could not be read
+   */
+  static importHolidaysFromICalendar(text, options = {}) {
+    const currentYear = new Date().getFullYear();
+    const fromYear = options.fromYear || currentYear;
+    const toYear = options.toYear || currentYear + 2;
+
+    const { name, components } = iCalendarParser.parse(text);
+    const holidays = new Map();
+    const skipped = [];
+
+    components
+      .filter(component => component.type === 'VEVENT')
+      .forEach(event => {
+        if (!event.start) {
+          skipped.push(event.summary || event.uid || 'Evento sin título');
+          return;
+        }
+
+        this.expandEventDays(event, fromYear, toYear).forEach(day => {
+          const key = DateCalculationService.toDateKey(day);
+          if (!holidays.has(key)) {
+            holidays.set(key, { date: key, name: event.summary });
+          }
+        });
+      });
+
+    return {
+      calendarName: name,
+      holidays: [...holidays.values()].sort((a, b) => a.date.localeCompare(b.date)),
+      skipped
+    };
+  }
+
+  /**
+   * Add holidays to a work calendar, keeping the ones it already has
+   * @param {WorkCalendar} calendar - Calendar to update
+   * @param {Array} holidays - Holidays ({ date, name })
+   * @returns {number} Number of holidays added
+   */
+  static mergeHolidays(calendar, holidays) {
+    const existing = new Set(calendar.holidays.map(holiday => holiday.date));
+    let added = 0;
+
+    holidays.forEach(holiday => {
+      const key = DateCalculationService.toDateKey(holiday.date);
+      if (!existing.has(key)) {
+        calendar.addHoliday(key, holiday.name);
+        existing.add(key);
+        added++;
+      }
+    });
+
+    return added;
+  }
+
+  /**
+   * Calendar days covered by an event within the year range
+   */
+  static expandEventDays(event, fromYear, toYear) {
+    const start = new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate());
+
+    // DTEND is exclusive for all-day events and missing for single-day ones
+    let length = 1;
+    if (event.end) {
+      const end = new Date(event.end.getFullYear(), event.end.getMonth(), event.end.getDate());
+      length = Math.max(1, Math.round((end - start) / MS_PER_DAY) + (event.allDay ? 0 : 1));
+    }
+
+    const occurrences = [start];
+    if (event.rrule && event.rrule.FREQ === 'YEARLY') {
+      const count = event.rrule.COUNT ? Number(event.rrule.COUNT) : Infinity;
+      const until = event.rrule.UNTIL ? iCalendarParser.parseDateValue({ value: event.rrule.UNTIL, params: {} }) : null;
+
+      for (let year = start.getFullYear() + 1; year <= toYear && occurrences.length < count; year++) {
+        const occurrence = new Date(year, start.getMonth(), start.getDate());
+        if (until && until.date && occurrence > until.date) break;
+        occurrences.push(occurrence);
+      }
+    }
+
+    const days = [];
+    occurrences.forEach(occurrence => {
+      for (let offset = 0; offset < length; offset++) {
+        const day = new Date(occurrence.getFullYear(), occurrence.getMonth(), occurrence.getDate() + offset);
+        if (day.getFullYear() >= fromYear && day.getFullYear() <= toYear) {
+          days.push(day);
+        }
+      }
+    });
+
+    return days;
+  }
+}
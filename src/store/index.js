@@ -3,16 +3,28 @@ import projects from './modules/projects.js'
 import tasks from './modules/tasks.js'
 import calendar from './modules/calendar.js'
 import gantt from './modules/gantt.js'
+import templates from './modules/templates.js'
+import aiGenerations from './modules/aiGenerations.js'
+import history from './modules/history.js'
+import sync from './modules/sync.js'
+import tabs from './modules/tabs.js'
 import { createPersistencePlugin } from './plugins/persistencePlugin.js'
+import { createHistoryPlugin } from './plugins/historyPlugin.js'
+import { createTabSyncPlugin } from './plugins/tabSyncPlugin.js'
 
 const store = createStore({
   modules: {
     projects,
     tasks,
     calendar,
-    gantt
+    gantt,
+    templates,
+    aiGenerations,
+    history,
+    sync,
+    tabs
   },
-  plugins: [createPersistencePlugin()],
+  plugins: [createPersistencePlugin(), createHistoryPlugin(), createTabSyncPlugin()],
   strict: process.env.NODE_ENV !== 'production'
 })
 
@@ -0,0 +1,103 @@
+import { storageService } from '../../services/storageService.js'
+import { AIGenerationHistoryService } from '../../services/aiGenerationHistoryService.js'
+
+const state = {
+  generations: [],
+  error: null
+}
+
+const mutations = {
+  SET_ERROR(state, error) {
+    state.error = error
+  },
+
+  SET_GENERATIONS(state, generations) {
+    state.generations = generations
+  },
+
+  ADD_GENERATION(state, generation) {
+    state.generations = [generation, ...state.generations.filter(g => g.id !== generation.id)]
+  },
+
+  DELETE_GENERATION(state, generationId) {
+    state.generations = state.generations.filter(generation => generation.id !== generationId)
+  },
+
+  CLEAR_GENERATIONS(state) {
+    state.generations = []
+  }
+}
+
+const actions = {
+  loadGenerations({ commit }) {
+    commit('SET_ERROR', null)
+
+    try {
+      commit('SET_GENERATIONS', storageService.getAIGenerations())
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+    }
+  },
+
+  /**
+   * Store a generation run (see AIGenerationHistoryService.createEntry)
+   * The history must never make the generation itself fail
+   */
+  recordGeneration({ commit }, run) {
+    try {
+      const generation = AIGenerationHistoryService.createEntry(run)
+      storageService.saveAIGeneration(generation)
+      commit('ADD_GENERATION', generation)
+      return generation
+    } catch (error) {
+      console.warn('Error recording AI generation:', error.message)
+      return null
+    }
+  },
+
+  async deleteGeneration({ commit }, generationId) {
+    commit('SET_ERROR', null)
+
+    try {
+      storageService.deleteAIGeneration(generationId)
+      commit('DELETE_GENERATION', generationId)
+      return true
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  async clearGenerations({ commit }) {
+    commit('SET_ERROR', null)
+
+    try {
+      storageService.clearAIGenerations()
+      commit('CLEAR_GENERATIONS')
+      return true
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  }
+}
+
+const getters = {
+  // Most recent first
+  allGenerations: state => state.generations,
+  getGenerationById: state => generationId => state.generations.find(generation => generation.id === generationId) || null,
+  compareGenerations: (state, getters) => (leftId, rightId) => {
+    const left = getters.getGenerationById(leftId)
+    const right = getters.getGenerationById(rightId)
+    return left && right ? AIGenerationHistoryService.compare(left, right) : null
+  },
+  error: state => state.error
+}
+
+export default {
+  namespaced: true,
+  state,
+  mutations,
+  actions,
+  getters
+}
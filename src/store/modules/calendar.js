@@ -177,6 +177,35 @@ const actions = {
     }
   },
 
+  async importTasksFromICalendar({ dispatch, rootGetters }, { projectId, icsText }) {
+    const { TaskCalendarService } = await import('../../services/taskCalendarService.js')
+    const { WorkCalendarService } = await import('../../services/workCalendarService.js')
+
+    const project = rootGetters['projects/getProjectById'](projectId)
+    if (!project) {
+      throw new Error(`Project with ID ${projectId} not found`)
+    }
+
+    const { created, updated, skipped, calendarName } = TaskCalendarService.importTasks(icsText, {
+      projectId,
+      projectTasks: rootGetters['tasks/tasksByProject'](projectId) || [],
+      members: project.teamMembers || [],
+      calendar: WorkCalendarService.getCalendar(projectId)
+    })
+
+    // Parents come first so that subtasks find them
+    for (const task of created) {
+      await dispatch('tasks/createTask', task, { root: true })
+    }
+    for (const task of updated) {
+      await dispatch('tasks/updateTask', task, { root: true })
+    }
+
+    await dispatch('loadCalendarEvents')
+
+    return { created: created.length, updated: updated.length, skipped, calendarName }
+  },
+
   setDraggedTask({ commit }, task) {
     commit('SET_DRAGGED_TASK', task)
   },
@@ -1,8 +1,27 @@
+import { criticalPathCalculator } from '../../utils/criticalPathCalculator.js'
+import { taskScheduler } from '../../utils/taskScheduler.js'
+import { validateTaskDependencies } from '../../utils/validation.js'
+import { DateCalculationService } from '../../services/dateCalculationService.js'
+import { WorkCalendarService } from '../../services/workCalendarService.js'
+import { BaselineService } from '../../services/baselineService.js'
+
+// Working day predicate of the project work calendar (undefined for the default calendar)
+const projectWorkingDay = (projectId) => {
+  const calendar = WorkCalendarService.getCalendar(projectId)
+  return calendar ? (date => DateCalculationService.isWorkingDay(date, calendar)) : undefined
+}
+
 const state = {
   timelineStart: null,
   timelineEnd: null,
   zoomLevel: 'days', // 'days', 'weeks', 'months'
   ganttTasks: [], // Tasks formatted for Gantt display
+  projectId: null,
+  scheduleAnalysis: null, // Critical path analysis (early/late dates and floats)
+  schedulePreview: null, // Pending automatic schedule waiting for confirmation
+  baselineId: null, // Baseline drawn under the bars (null = most recent)
+  showBaseline: true,
+  baselineVariance: null, // Variance of the current plan against the baseline
   projectDuration: 0, // Duration in days
   loading: false,
   error: null
@@ -37,6 +56,30 @@ const mutations = {
     state.projectDuration = duration
   },
   
+  SET_PROJECT_ID(state, projectId) {
+    state.projectId = projectId
+  },
+  
+  SET_SCHEDULE_ANALYSIS(state, analysis) {
+    state.scheduleAnalysis = analysis
+  },
+  
+  SET_SCHEDULE_PREVIEW(state, preview) {
+    state.schedulePreview = preview
+  },
+
+  SET_BASELINE_ID(state, baselineId) {
+    state.baselineId = baselineId
+  },
+
+  SET_SHOW_BASELINE(state, show) {
+    state.showBaseline = show
+  },
+
+  SET_BASELINE_VARIANCE(state, variance) {
+    state.baselineVariance = variance
+  },
+  
   UPDATE_GANTT_TASK(state, updatedTask) {
     const index = state.ganttTasks.findIndex(t => t.id === updatedTask.id)
     if (index !== -1) {
@@ -46,14 +89,17 @@ const mutations = {
 }
 
 const actions = {
-  loadGanttData({ commit, rootGetters }, projectId) {
+  loadGanttData({ commit, state, rootGetters }, projectId) {
     commit('SET_LOADING', true)
     commit('SET_ERROR', null)
+    commit('SET_PROJECT_ID', projectId)
     
     try {
       const tasks = rootGetters['tasks/tasksByProject'](projectId)
       
       if (tasks.length === 0) {
+        commit('SET_SCHEDULE_ANALYSIS', null)
+        commit('SET_BASELINE_VARIANCE', null)
         commit('SET_GANTT_TASKS', [])
         commit('SET_PROJECT_DURATION', 0)
         commit('SET_TIMELINE_START', new Date())
@@ -62,9 +108,22 @@ const actions = {
         return
       }
       
-      // Calculate project timeline
+      const project = rootGetters['projects/getProjectById']
+        ? rootGetters['projects/getProjectById'](projectId)
+        : null
+      const baseline = state.showBaseline && project && typeof project.getBaseline === 'function'
+        ? project.getBaseline(state.baselineId)
+        : null
+      
+      // Calculate project timeline (baseline bars must fit too)
       const startDates = tasks.map(t => new Date(t.startDate))
       const endDates = tasks.map(t => new Date(t.endDate))
+      if (baseline) {
+        baseline.tasks.forEach(snapshot => {
+          startDates.push(snapshot.startDate)
+          endDates.push(snapshot.endDate)
+        })
+      }
       
       const projectStart = new Date(Math.min(...startDates))
       const projectEnd = new Date(Math.max(...endDates))
@@ -83,6 +142,18 @@ const actions = {
       const duration = Math.ceil((projectEnd - projectStart) / (1000 * 60 * 60 * 24))
       commit('SET_PROJECT_DURATION', duration)
       
+      // Critical path analysis over dependencies and working days
+      const analysis = criticalPathCalculator.calculate(tasks, {
+        projectStart: project ? project.startDate : null,
+        isWorkingDay: projectWorkingDay(projectId)
+      })
+      commit('SET_SCHEDULE_ANALYSIS', analysis)
+      
+      const variance = baseline
+        ? BaselineService.calculateVariance(baseline, tasks, { calendar: WorkCalendarService.getCalendar(projectId) })
+        : null
+      commit('SET_BASELINE_VARIANCE', variance)
+      
       // Convert tasks to Gantt format
       const ganttTasks = tasks.map(task => {
         const startDate = new Date(task.startDate)
@@ -107,6 +178,9 @@ const actions = {
           actualDuration = Math.ceil((actualEnd - actualStart) / (1000 * 60 * 60 * 24)) + 1
         }
         
+        const schedule = analysis.tasks[task.id] || null
+        const snapshot = baseline ? baseline.getTaskSnapshot(task.id) : null
+        
         return {
           id: task.id,
           title: task.title,
@@ -121,6 +195,12 @@ const actions = {
           priority: task.priority,
           type: task.type,
           hasSubtasks: hasSubtasks,
+          dependencies: task.dependencies || [],
+          isCritical: schedule ? schedule.isCritical : false,
+          totalFloat: schedule ? schedule.totalFloat : null,
+          freeFloat: schedule ? schedule.freeFloat : null,
+          baseline: snapshot ? { start: snapshot.startDate, end: snapshot.endDate } : null,
+          variance: variance ? variance.tasks[task.id] || null : null,
           // Calculate position and width for rendering
           startOffset: Math.ceil((actualStart - paddedStart) / (1000 * 60 * 60 * 24)),
           width: actualDuration,
@@ -177,7 +257,7 @@ const actions = {
     }
   },
   
-  updateTaskDates({ commit, dispatch, rootGetters }, { taskId, newStart, newEnd, projectId, type = 'move' }) {
+  async updateTaskDates({ commit, dispatch, rootGetters }, { taskId, newStart, newEnd, projectId, type = 'move' }) {
     commit('SET_ERROR', null)
     
     try {
@@ -186,47 +266,57 @@ const actions = {
       if (!currentTask) {
         throw new Error('Task not found')
       }
+      const originalStart = new Date(currentTask.startDate)
       
       // Update the task in the tasks store
-      dispatch('tasks/updateTask', {
+      await dispatch('tasks/updateTask', {
         ...currentTask,
         startDate: newStart,
         endDate: newEnd
       }, { root: true })
       
-      // If this task has a parent, check if we need to update parent dates
-      const task = rootGetters['tasks/getTaskById'](taskId)
-      if (task && task.parentTaskId) {
-        dispatch('updateParentTaskDates', { parentId: task.parentTaskId, projectId })
-      }
-      
       // If this task has children, update their dates if it's a move operation
       if (type === 'move') {
         const childTasks = rootGetters['tasks/tasksByProject'](projectId)
           .filter(t => t.parentTaskId === taskId)
         
         if (childTasks.length > 0) {
-          const originalTask = rootGetters['tasks/getTaskById'](taskId)
-          const originalStart = new Date(originalTask.startDate)
           const daysDelta = Math.ceil((newStart - originalStart) / (1000 * 60 * 60 * 24))
           
           // Move all child tasks by the same delta
-          childTasks.forEach(childTask => {
+          for (const childTask of childTasks) {
             const childNewStart = new Date(childTask.startDate)
             const childNewEnd = new Date(childTask.endDate)
             
             childNewStart.setDate(childNewStart.getDate() + daysDelta)
             childNewEnd.setDate(childNewEnd.getDate() + daysDelta)
             
-            dispatch('tasks/updateTask', {
+            await dispatch('tasks/updateTask', {
               ...childTask,
               startDate: childNewStart,
               endDate: childNewEnd
             }, { root: true })
-          })
+          }
         }
       }
       
+      // Push successors that no longer satisfy their dependencies
+      const parentIds = new Set()
+      const task = rootGetters['tasks/getTaskById'](taskId)
+      if (task && task.parentTaskId) {
+        parentIds.add(task.parentTaskId)
+      }
+      
+      const shifted = await dispatch('shiftSuccessors', { taskIds: [taskId], projectId })
+      shifted.forEach(shiftedTask => {
+        if (shiftedTask.parentTaskId) parentIds.add(shiftedTask.parentTaskId)
+      })
+      
+      // Parents span their (possibly shifted) children
+      parentIds.forEach(parentId => {
+        dispatch('updateParentTaskDates', { parentId, projectId })
+      })
+      
       // Reload Gantt data to recalculate timeline and positions
       dispatch('loadGanttData', projectId)
       
@@ -236,6 +326,95 @@ const actions = {
     }
   },
   
+  async shiftSuccessors({ dispatch, rootGetters }, { taskIds, projectId }) {
+    const tasks = rootGetters['tasks/tasksByProject'](projectId)
+    const { changes, warnings } = taskScheduler.propagateSuccessors(tasks, taskIds, {
+      isWorkingDay: projectWorkingDay(projectId)
+    })
+    
+    warnings.forEach(warning => console.warn(warning))
+    
+    const updatedTasks = []
+    for (const change of changes) {
+      const task = rootGetters['tasks/getTaskById'](change.taskId)
+      if (!task) continue
+      
+      const updatedTask = await dispatch('tasks/updateTask', {
+        ...task,
+        startDate: change.newStartDate,
+        endDate: change.newEndDate,
+        duration: change.duration
+      }, { root: true })
+      updatedTasks.push(updatedTask)
+    }
+    
+    return updatedTasks
+  },
+  
+  async addTaskDependency({ commit, dispatch, rootGetters }, { projectId, predecessorId, successorId, type = 'FS', lag = 0 }) {
+    commit('SET_ERROR', null)
+    
+    try {
+      const successor = rootGetters['tasks/getTaskById'](successorId)
+      if (!successor) {
+        throw new Error('Task not found')
+      }
+      
+      const dependencies = (successor.dependencies || [])
+        .filter(dependency => dependency.predecessorId !== predecessorId)
+        .concat({ predecessorId, type, lag })
+      
+      const projectTasks = rootGetters['tasks/tasksByProject'](projectId)
+        .filter(task => task.id !== successorId)
+      validateTaskDependencies({ ...successor, dependencies }, projectTasks)
+      
+      const updatedTask = await dispatch('tasks/updateTask', {
+        ...successor,
+        dependencies
+      }, { root: true })
+      
+      // The new link may already be violated by the current dates
+      const shifted = await dispatch('shiftSuccessors', { taskIds: [predecessorId], projectId })
+      new Set(shifted.map(task => task.parentTaskId).filter(Boolean)).forEach(parentId => {
+        dispatch('updateParentTaskDates', { parentId, projectId })
+      })
+      
+      dispatch('loadGanttData', projectId)
+      return updatedTask
+      
+    } catch (error) {
+      const message = error.errors
+        ? error.errors.map(e => e.message).join('. ')
+        : error.message
+      commit('SET_ERROR', message)
+      throw error
+    }
+  },
+  
+  async removeTaskDependency({ commit, dispatch, rootGetters }, { projectId, predecessorId, successorId }) {
+    commit('SET_ERROR', null)
+    
+    try {
+      const successor = rootGetters['tasks/getTaskById'](successorId)
+      if (!successor) {
+        throw new Error('Task not found')
+      }
+      
+      const updatedTask = await dispatch('tasks/updateTask', {
+        ...successor,
+        dependencies: (successor.dependencies || [])
+          .filter(dependency => dependency.predecessorId !== predecessorId)
+      }, { root: true })
+      
+      dispatch('loadGanttData', projectId)
+      return updatedTask
+      
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+  
   updateParentTaskDates({ dispatch, rootGetters }, { parentId, projectId }) {
     try {
       // Get all child tasks of the parent
@@ -306,56 +485,116 @@ const actions = {
     commit('SET_PROJECT_DURATION', projectDuration)
   },
   
-  optimizeTaskScheduling({ dispatch, rootGetters }, projectId) {
-    // Simple task scheduling optimization
-    // This could be enhanced with more sophisticated algorithms
+  optimizeTaskScheduling({ commit, rootGetters }, projectId) {
+    // Build a dependency and resource aware schedule; nothing is saved until
+    // the preview is accepted with applySchedulePreview
+    commit('SET_ERROR', null)
+    
     try {
       const tasks = rootGetters['tasks/tasksByProject'](projectId)
-      const rootTasks = tasks.filter(t => !t.parentTaskId)
-      
-      // Sort root tasks by priority and dependencies
-      const optimizedTasks = rootTasks.sort((a, b) => {
-        // High priority tasks first
-        if (a.priority !== b.priority) {
-          const priorityOrder = { high: 3, medium: 2, low: 1 }
-          return (priorityOrder[b.priority] || 1) - (priorityOrder[a.priority] || 1)
-        }
-        
-        // Then by original start date
-        return new Date(a.startDate) - new Date(b.startDate)
+      const project = rootGetters['projects/getProjectById']
+        ? rootGetters['projects/getProjectById'](projectId)
+        : null
+      
+      const preview = taskScheduler.schedule(tasks, {
+        projectStart: project ? project.startDate : null,
+        isWorkingDay: projectWorkingDay(projectId)
       })
       
-      // Reschedule tasks to avoid overlaps (simplified version)
-      let currentDate = new Date()
+      commit('SET_SCHEDULE_PREVIEW', { ...preview, projectId })
+      return preview
+      
+    } catch (error) {
+      console.error('Error optimizing task scheduling:', error)
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+  
+  levelResources({ commit, rootGetters }, projectId) {
+    // Delay non-critical tasks within their float to remove over-allocation of
+    // the team; like automatic scheduling, changes wait in the preview
+    commit('SET_ERROR', null)
+    
+    try {
+      const tasks = rootGetters['tasks/tasksByProject'](projectId)
+      const project = rootGetters['projects/getProjectById']
+        ? rootGetters['projects/getProjectById'](projectId)
+        : null
+      
+      const preview = taskScheduler.level(tasks, {
+        members: project ? project.teamMembers : [],
+        projectStart: project ? project.startDate : null,
+        isWorkingDay: projectWorkingDay(projectId)
+      })
+      
+      commit('SET_SCHEDULE_PREVIEW', { ...preview, projectId })
+      return preview
+      
+    } catch (error) {
+      console.error('Error leveling resources:', error)
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+  
+  async applySchedulePreview({ commit, dispatch, state, rootGetters }) {
+    const preview = state.schedulePreview
+    if (!preview) return []
+    
+    commit('SET_ERROR', null)
+    
+    try {
+      const updatedTasks = []
       
-      optimizedTasks.forEach(task => {
-        const taskDuration = Math.ceil((new Date(task.endDate) - new Date(task.startDate)) / (1000 * 60 * 60 * 24))
-        const newStart = new Date(currentDate)
-        const newEnd = new Date(currentDate)
-        newEnd.setDate(newEnd.getDate() + taskDuration)
+      for (const change of preview.changes) {
+        const task = rootGetters['tasks/getTaskById'](change.taskId)
+        if (!task) continue
         
-        dispatch('tasks/updateTask', {
+        const updatedTask = await dispatch('tasks/updateTask', {
           ...task,
-          startDate: newStart,
-          endDate: newEnd
+          startDate: change.newStartDate,
+          endDate: change.newEndDate,
+          duration: change.duration
         }, { root: true })
-        
-        // Move to next available date
-        currentDate = new Date(newEnd)
-        currentDate.setDate(currentDate.getDate() + 1)
-      })
+        updatedTasks.push(updatedTask)
+      }
       
-      // Reload Gantt data
-      dispatch('loadGanttData', projectId)
+      commit('SET_SCHEDULE_PREVIEW', null)
+      dispatch('loadGanttData', preview.projectId)
+      return updatedTasks
       
     } catch (error) {
-      console.error('Error optimizing task scheduling:', error)
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+  
+  discardSchedulePreview({ commit }) {
+    commit('SET_SCHEDULE_PREVIEW', null)
+  },
+  
+  selectBaseline({ commit, dispatch, state }, baselineId) {
+    commit('SET_BASELINE_ID', baselineId || null)
+    commit('SET_SHOW_BASELINE', true)
+    if (state.projectId) {
+      dispatch('loadGanttData', state.projectId)
+    }
+  },
+  
+  toggleBaseline({ commit, dispatch, state }, show) {
+    commit('SET_SHOW_BASELINE', show)
+    if (state.projectId) {
+      dispatch('loadGanttData', state.projectId)
     }
   }
 }
 
 const getters = {
   timelineStart: state => state.timelineStart,
+  baselineId: state => state.baselineId,
+  showBaseline: state => state.showBaseline,
+  baselineVariance: state => state.baselineVariance,
   timelineEnd: state => state.timelineEnd,
   zoomLevel: state => state.zoomLevel,
   ganttTasks: state => state.ganttTasks,
@@ -482,36 +721,22 @@ const getters = {
     }
   },
   
+  scheduleAnalysis: state => state.scheduleAnalysis,
+  schedulePreview: state => state.schedulePreview,
+  
+  getTaskSchedule: state => taskId => {
+    if (!state.scheduleAnalysis) return null
+    return state.scheduleAnalysis.tasks[taskId] || null
+  },
+  
   criticalPath: state => {
-    // Simple critical path calculation - tasks with no slack time
-    const tasks = state.ganttTasks
-    if (tasks.length === 0) return []
-    
-    // For now, return tasks that are on the longest path
-    // This is a simplified version - a full critical path algorithm would be more complex
-    const rootTasks = tasks.filter(t => !t.parentTaskId)
-    let longestPath = []
-    let maxDuration = 0
-    
-    const calculatePath = (task, currentPath = []) => {
-      const newPath = [...currentPath, task]
-      const children = tasks.filter(t => t.parentTaskId === task.id)
-      
-      if (children.length === 0) {
-        // Leaf task - calculate total duration of path
-        const pathDuration = newPath.reduce((sum, t) => sum + t.duration, 0)
-        if (pathDuration > maxDuration) {
-          maxDuration = pathDuration
-          longestPath = newPath
-        }
-      } else {
-        children.forEach(child => calculatePath(child, newPath))
-      }
-    }
-    
-    rootTasks.forEach(task => calculatePath(task))
+    // Zero-float chain from the CPM analysis, ordered by early start
+    if (!state.scheduleAnalysis) return []
     
-    return longestPath
+    const taskMap = new Map(state.ganttTasks.map(task => [task.id, task]))
+    return state.scheduleAnalysis.criticalTaskIds
+      .map(id => taskMap.get(id))
+      .filter(Boolean)
   }
 }
 
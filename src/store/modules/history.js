@@ -0,0 +1,223 @@
+import { storageService } from '../../services/storageService.js'
+import { tabSyncService } from '../../services/tabSyncService.js'
+import { Project, Task } from '../../models/index.js'
+
+// Oldest steps are dropped beyond this
+export const HISTORY_LIMIT = 50
+
+const state = {
+  past: [],
+  future: [],
+  applying: false,
+  error: null
+}
+
+const mutations = {
+  SET_APPLYING(state, applying) {
+    state.applying = applying
+  },
+
+  SET_ERROR(state, error) {
+    state.error = error
+  },
+
+  PUSH_ENTRY(state, entry) {
+    state.past.push(entry)
+    if (state.past.length > HISTORY_LIMIT) {
+      state.past.shift()
+    }
+    // A new change invalidates everything that was undone
+    state.future = []
+  },
+
+  MOVE_TO_FUTURE(state) {
+    const entry = state.past.pop()
+    if (entry) state.future.push(entry)
+  },
+
+  MOVE_TO_PAST(state) {
+    const entry = state.future.pop()
+    if (entry) state.past.push(entry)
+  },
+
+  CLEAR_HISTORY(state) {
+    state.past = []
+    state.future = []
+  }
+}
+
+const actions = {
+  async undo(context) {
+    const entry = context.state.past[context.state.past.length - 1]
+    if (!entry || context.state.applying) return null
+
+    applyOperations(context, entry.operations, 'before')
+    context.commit('MOVE_TO_FUTURE')
+    await shareOperations(entry.operations)
+    return entry
+  },
+
+  async redo(context) {
+    const entry = context.state.future[context.state.future.length - 1]
+    if (!entry || context.state.applying) return null
+
+    applyOperations(context, entry.operations, 'after')
+    context.commit('MOVE_TO_PAST')
+    await shareOperations(entry.operations)
+    return entry
+  },
+
+  clearHistory({ commit }) {
+    commit('CLEAR_HISTORY')
+  }
+}
+
+const getters = {
+  canUndo: state => state.past.length > 0 && !state.applying,
+  canRedo: state => state.future.length > 0 && !state.applying,
+  nextUndo: state => state.past[state.past.length - 1] || null,
+  nextRedo: state => state.future[state.future.length - 1] || null,
+  // Newest first; undone steps stay on top until a new change replaces them
+  timeline: state => [
+    ...state.future.map(entry => ({ ...entry, undone: true })),
+    ...[...state.past].reverse().map(entry => ({ ...entry, undone: false }))
+  ],
+  isApplying: state => state.applying,
+  error: state => state.error
+}
+
+/**
+ * Put every entity of a history entry back to one of its sides ('before' to
+ * undo, 'after' to redo), first in storage and then in the store
+ */
+function applyOperations({ commit, rootState }, operations, side) {
+  commit('SET_APPLYING', true)
+  commit('SET_ERROR', null)
+
+  try {
+    persistOperations(rootState, operations, side)
+    restoreProjects(commit, rootState.projects, operations.filter(op => op.entity === 'project'), side)
+    restoreTasks(commit, rootState, operations.filter(op => op.entity === 'task'), side)
+  } catch (error) {
+    commit('SET_ERROR', error.message)
+    throw error
+  } finally {
+    commit('SET_APPLYING', false)
+  }
+}
+
+/**
+ * Undo and redo replace whole lists, which are not shared between tabs: the
+ * other tabs reload the projects they rewrote, as after a sync pull
+ */
+async function shareOperations(operations) {
+  if (!tabSyncService.active) return
+
+  // Other tabs read the restored projects once they are stored
+  await storageService.flush()
+  tabSyncService.publish('sync:remote-changes', [...new Set(operations.map(op => op.projectId))])
+}
+
+function persistOperations(rootState, operations, side) {
+  const projectOps = operations.filter(op => op.entity === 'project')
+  const taskOps = operations.filter(op => op.entity === 'task')
+
+  // Projects that come back keep the tasks stored for them
+  projectOps.filter(op => op[side]).forEach(op => {
+    const stored = storageService.getProject(op.id)
+    const loadedTasks = rootState.tasks.tasks.filter(task => task.projectId === op.id)
+    const tasks = stored
+      ? stored.tasks.map(task => task.toJSON())
+      : (loadedTasks.length > 0 ? clone(loadedTasks) : op[side].tasks)
+
+    storageService.saveProject(Project.fromJSON({ ...clone(op[side]), tasks }))
+  })
+
+  groupBy(taskOps, op => op.projectId).forEach((ops, projectId) => {
+    const stored = storageService.getProject(projectId)
+    if (!stored) return
+
+    const tasks = stored.tasks.map(task => task.toJSON())
+    ops.forEach(op => replaceById(tasks, op.id, op[side] ? clone(op[side]) : null))
+    stored.tasks = tasks.map(task => Task.fromJSON(task))
+    storageService.saveProject(stored)
+  })
+
+  projectOps.filter(op => !op[side]).forEach(op => {
+    if (storageService.getProject(op.id)) {
+      storageService.deleteProject(op.id)
+    }
+  })
+}
+
+function restoreProjects(commit, projectsState, operations, side) {
+  if (operations.length === 0) return
+
+  const projects = [...projectsState.projects]
+  operations.forEach(op => {
+    replaceById(projects, op.id, op[side] ? Project.fromJSON(clone(op[side])) : null)
+  })
+  commit('projects/SET_PROJECTS', projects, { root: true })
+
+  const current = projectsState.currentProject
+  if (current && operations.some(op => op.id === current.id)) {
+    commit('projects/SET_CURRENT_PROJECT', projects.find(project => project.id === current.id) || null, { root: true })
+  }
+}
+
+function restoreTasks(commit, rootState, operations, side) {
+  if (operations.length === 0) return
+
+  const tasks = [...rootState.tasks.tasks]
+  // Tasks of projects that are not loaded are only restored in storage
+  const isLoaded = (projectId) => rootState.projects.currentProject?.id === projectId ||
+    tasks.some(task => task.projectId === projectId)
+
+  operations.forEach(op => {
+    const snapshot = op[side]
+    const exists = tasks.some(task => task.id === op.id)
+    if (!snapshot || exists || isLoaded(op.projectId)) {
+      replaceById(tasks, op.id, snapshot ? Task.fromJSON(clone(snapshot)) : null)
+    }
+  })
+  commit('tasks/SET_TASKS', tasks, { root: true })
+
+  const current = rootState.tasks.currentTask
+  if (current && operations.some(op => op.id === current.id)) {
+    commit('tasks/SET_CURRENT_TASK', tasks.find(task => task.id === current.id) || null, { root: true })
+  }
+}
+
+function replaceById(items, id, item) {
+  const index = items.findIndex(candidate => candidate.id === id)
+  if (index !== -1 && item) {
+    items.splice(index, 1, item)
+  } else if (index !== -1) {
+    items.splice(index, 1)
+  } else if (item) {
+    items.push(item)
+  }
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map()
+  items.forEach(item => {
+    const key = keyOf(item)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(item)
+  })
+  return groups
+}
+
+// Snapshots are shared with the history entries and must never be mutated
+function clone(data) {
+  return JSON.parse(JSON.stringify(data))
+}
+
+export default {
+  namespaced: true,
+  state,
+  mutations,
+  actions,
+  getters
+}
@@ -1,8 +1,11 @@
 import { storageService } from '../../services/storageService.js'
+import { activityLogService } from '../../services/activityLogService.js'
 import { useErrorHandler } from '../../composables/useErrorHandler.js'
 import { useNotifications } from '../../services/notificationService.js'
 import { errorRecoveryService } from '../../services/errorRecoveryService.js'
 import { DateCalculationService } from '../../services/dateCalculationService.js'
+import { WorkCalendarService } from '../../services/workCalendarService.js'
+import { promptAnalyzer } from '../../utils/promptAnalyzer.js'
 
 const state = {
   projects: [],
@@ -20,7 +23,10 @@ const mutations = {
     state.error = error
   },
 
+  // Tasks resolve their working days through the calendars of the loaded projects
   SET_PROJECTS(state, projects) {
+    state.projects.forEach(project => WorkCalendarService.registerCalendar(project.id, null))
+    projects.forEach(project => WorkCalendarService.registerCalendar(project.id, project.calendar))
     state.projects = projects
   },
 
@@ -29,10 +35,12 @@ const mutations = {
   },
 
   ADD_PROJECT(state, project) {
+    WorkCalendarService.registerCalendar(project.id, project.calendar)
     state.projects.push(project)
   },
 
   UPDATE_PROJECT(state, updatedProject) {
+    WorkCalendarService.registerCalendar(updatedProject.id, updatedProject.calendar)
     const index = state.projects.findIndex(p => p.id === updatedProject.id)
     if (index !== -1) {
       state.projects.splice(index, 1, updatedProject)
@@ -44,6 +52,7 @@ const mutations = {
   },
 
   DELETE_PROJECT(state, projectId) {
+    WorkCalendarService.registerCalendar(projectId, null)
     state.projects = state.projects.filter(p => p.id !== projectId)
     // Clear current project if it's the one being deleted
     if (state.currentProject && state.currentProject.id === projectId) {
@@ -151,6 +160,7 @@ const actions = {
 
       await storageService.saveProject(project)
       commit('ADD_PROJECT', project)
+      activityLogService.record('project', null, project)
 
       const { operationSuccess } = useNotifications()
       operationSuccess('create', 'Proyecto')
@@ -199,6 +209,7 @@ const actions = {
 
       await storageService.saveProject(updatedProject)
       commit('UPDATE_PROJECT', updatedProject)
+      activityLogService.record('project', existingProject, updatedProject)
 
       // Synchronize tasks if this is the current project
       if (updatedProject.tasks && this.state.tasks) {
@@ -219,13 +230,17 @@ const actions = {
     }
   },
 
-  async deleteProject({ commit }, projectId) {
+  async deleteProject({ commit, state }, projectId) {
     commit('SET_LOADING', true)
     commit('SET_ERROR', null)
 
     try {
+      const project = state.projects.find(p => p.id === projectId)
       await storageService.deleteProject(projectId)
       commit('DELETE_PROJECT', projectId)
+      if (project) {
+        activityLogService.record('project', project, null)
+      }
     } catch (error) {
       commit('SET_ERROR', error.message)
       throw error
@@ -272,9 +287,11 @@ const actions = {
 
       // Save updated project to storage
       const project = storageService.getProject(projectId)
+      const previousTeam = [...project.teamMembers]
       project.teamMembers.push(member)
       project.updatedAt = new Date()
       storageService.saveProject(project)
+      activityLogService.record('project', { ...project, teamMembers: previousTeam }, project)
 
       return member
     } catch (error) {
@@ -298,9 +315,11 @@ const actions = {
       const project = storageService.getProject(projectId)
       const index = project.teamMembers.findIndex(m => m.id === updatedMember.id)
       if (index !== -1) {
+        const previousTeam = [...project.teamMembers]
         project.teamMembers.splice(index, 1, updatedMember)
         project.updatedAt = new Date()
         storageService.saveProject(project)
+        activityLogService.record('project', { ...project, teamMembers: previousTeam }, project)
       }
 
       return updatedMember
@@ -318,9 +337,104 @@ const actions = {
 
       // Save updated project to storage
       const project = storageService.getProject(projectId)
+      const previousTeam = project.teamMembers
       project.teamMembers = project.teamMembers.filter(m => m.id !== memberId)
       project.updatedAt = new Date()
       storageService.saveProject(project)
+      activityLogService.record('project', { ...project, teamMembers: previousTeam }, project)
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  async updateProjectCalendar({ commit }, { projectId, calendar }) {
+    commit('SET_ERROR', null)
+
+    try {
+      const { WorkCalendar } = await import('../../models/index.js')
+
+      const project = storageService.getProject(projectId)
+      if (!project) {
+        throw new Error(`Project with ID ${projectId} not found`)
+      }
+
+      const previousCalendar = project.calendar
+      project.calendar = calendar instanceof WorkCalendar ? calendar : new WorkCalendar(calendar || {})
+      project.updatedAt = new Date()
+
+      storageService.saveProject(project)
+      commit('UPDATE_PROJECT', project)
+      activityLogService.record('project', { ...project, calendar: previousCalendar }, project)
+
+      return project.calendar
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  async importCalendarHolidays({ dispatch }, { projectId, icsText, options = {} }) {
+    const { WorkCalendar } = await import('../../models/index.js')
+
+    const project = storageService.getProject(projectId)
+    if (!project) {
+      throw new Error(`Project with ID ${projectId} not found`)
+    }
+
+    const { holidays, skipped, calendarName } = WorkCalendarService.importHolidaysFromICalendar(icsText, options)
+    const calendar = WorkCalendar.fromJSON(project.calendar.toJSON())
+    const added = WorkCalendarService.mergeHolidays(calendar, holidays)
+
+    await dispatch('updateProjectCalendar', { projectId, calendar })
+
+    return { added, skipped, calendarName }
+  },
+
+  async saveProjectBaseline({ commit, rootGetters }, { projectId, name }) {
+    commit('SET_ERROR', null)
+
+    try {
+      const { ProjectBaseline } = await import('../../models/index.js')
+
+      const project = storageService.getProject(projectId)
+      if (!project) {
+        throw new Error(`Project with ID ${projectId} not found`)
+      }
+
+      const tasks = rootGetters['tasks/tasksByProject']
+        ? rootGetters['tasks/tasksByProject'](projectId)
+        : project.tasks
+      const baselineName = (name || '').trim() || `Línea base ${project.baselines.length + 1}`
+      const baseline = ProjectBaseline.fromTasks(baselineName, tasks)
+
+      project.baselines.push(baseline)
+      project.updatedAt = new Date()
+      storageService.saveProject(project)
+      commit('UPDATE_PROJECT', project)
+
+      return baseline
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  async deleteProjectBaseline({ commit }, { projectId, baselineId }) {
+    commit('SET_ERROR', null)
+
+    try {
+      const project = storageService.getProject(projectId)
+      if (!project) {
+        throw new Error(`Project with ID ${projectId} not found`)
+      }
+
+      project.baselines = project.baselines.filter(baseline => baseline.id !== baselineId)
+      project.updatedAt = new Date()
+      storageService.saveProject(project)
+      commit('UPDATE_PROJECT', project)
+
+      return true
     } catch (error) {
       commit('SET_ERROR', error.message)
       throw error
@@ -382,6 +496,11 @@ const actions = {
         // Update store state
         commit('UPDATE_PROJECT', project)
 
+        activityLogService.recordMany([
+          { entityType: 'project', before: projectData, after: project },
+          ...project.tasks.map((task, index) => ({ entityType: 'task', before: projectData.tasks[index], after: task }))
+        ])
+
         // CRITICAL FIX: Update tasks in the tasks store to keep them synchronized
         // This ensures that when project dates are adjusted, the tasks store reflects the changes
         if (this.state.tasks && project.tasks) {
@@ -459,6 +578,7 @@ const actions = {
 
       const errors = []
       const warnings = []
+      const calendar = projectData.calendar || null
 
       // Check if new start date is after project end date
       if (projectData.endDate) {
@@ -469,7 +589,7 @@ const actions = {
       }
 
       // Check if new start date is a working day
-      if (!DateCalculationService.isWorkingDay(newStart)) {
+      if (!DateCalculationService.isWorkingDay(newStart, calendar)) {
         const dayName = DateCalculationService.getDayName(newStart);
         warnings.push(`New start date falls on a non-working day (${dayName})`)
       }
@@ -480,9 +600,9 @@ const actions = {
       let daysDifference
 
       if (isMovingForward) {
-        daysDifference = DateCalculationService.calculateWorkingDays(originalStart, newStart)
+        daysDifference = DateCalculationService.calculateWorkingDays(originalStart, newStart, calendar)
       } else {
-        daysDifference = DateCalculationService.calculateWorkingDays(newStart, originalStart)
+        daysDifference = DateCalculationService.calculateWorkingDays(newStart, originalStart, calendar)
       }
 
       // Validate that all tasks can be adjusted
@@ -493,9 +613,9 @@ const actions = {
             let newTaskStartDate
 
             if (isMovingForward) {
-              newTaskStartDate = DateCalculationService.addWorkingDays(taskStartDate, daysDifference)
+              newTaskStartDate = DateCalculationService.addWorkingDays(taskStartDate, daysDifference, calendar)
             } else {
-              newTaskStartDate = DateCalculationService.subtractWorkingDays(taskStartDate, daysDifference)
+              newTaskStartDate = DateCalculationService.subtractWorkingDays(taskStartDate, daysDifference, calendar)
             }
 
             // Check if new task start date is valid
@@ -820,6 +940,21 @@ const actions = {
     commit('SET_LOADING', true)
     commit('SET_ERROR', null)
 
+    let aiService = null
+    let analysis = null
+    let recorded = false
+
+    // Every run that reaches the AI is kept in the generation history, once
+    const recordGeneration = (result) => {
+      recorded = true
+      return dispatch('aiGenerations/recordGeneration', {
+        prompt,
+        options: { provider: 'openai' },
+        analysis,
+        result: { provider: 'openai', rawResponse: aiService?.lastResponse ?? null, ...result }
+      }, { root: true })
+    }
+
     try {
       // Import OpenAIService
       const { OpenAIService } = await import('../../services/openAIService.js')
@@ -834,11 +969,12 @@ const actions = {
       }
 
       // Initialize OpenAI service with API key
-      const aiService = new OpenAIService()
+      aiService = new OpenAIService()
       await aiService.initialize(apiKey)
 
-      // Generate project from prompt
-      const projectData = await aiService.generateProject(prompt)
+      // Generate project from prompt, guided by its structure
+      analysis = promptAnalyzer.analyzeStructure(prompt)
+      const projectData = await aiService.generateProject(prompt, { analysisResult: analysis })
 
       // Validate generated project
       const validation = aiService.validateGeneratedProject(projectData)
@@ -846,6 +982,8 @@ const actions = {
         throw new Error(`Generated project validation failed: ${validation.errors.join(', ')}`)
       }
 
+      await recordGeneration({ success: true, project: projectData })
+
       // Import the project using existing import functionality
       const importedProject = await dispatch('importProject', projectData)
 
@@ -859,6 +997,10 @@ const actions = {
         taskCount: projectData.tasks ? projectData.tasks.length : 0
       }
     } catch (error) {
+      if (analysis && !recorded) {
+        await recordGeneration({ success: false, errors: [error.message] })
+      }
+
       const { handleError } = useErrorHandler()
 
       if (error.message.includes('API key') || error.message.includes('OpenAI')) {
@@ -985,6 +1127,14 @@ const actions = {
   }
 }
 
+// Work calendar of a project: from the store when loaded, otherwise from the calendar registry
+const findProjectCalendar = (state, projectId) => {
+  if (!projectId) return null
+
+  const project = state && state.projects ? state.projects.find(p => p.id === projectId) : null
+  return project ? project.calendar || null : WorkCalendarService.getCalendar(projectId)
+}
+
 const getters = {
   allProjects: state => state.projects,
   currentProject: state => state.currentProject,
@@ -1021,31 +1171,33 @@ const getters = {
     }
   },
 
+  getProjectCalendar: state => projectId => {
+    return findProjectCalendar(state, projectId)
+  },
+
   // New getters for date calculation helpers
-  getWorkingDaysBetween: () => (startDate, endDate) => {
+  // The optional projectId selects the work calendar of that project
+  getWorkingDaysBetween: state => (startDate, endDate, projectId = null) => {
     try {
-      const { DateCalculationService } = require('../../services/dateCalculationService.js')
-      return DateCalculationService.calculateWorkingDays(startDate, endDate)
+      return DateCalculationService.calculateWorkingDays(startDate, endDate, findProjectCalendar(state, projectId))
     } catch (error) {
       console.error('Error calculating working days:', error)
       return 0
     }
   },
 
-  addWorkingDaysToDate: () => (startDate, days) => {
+  addWorkingDaysToDate: state => (startDate, days, projectId = null) => {
     try {
-      const { DateCalculationService } = require('../../services/dateCalculationService.js')
-      return DateCalculationService.addWorkingDays(startDate, days)
+      return DateCalculationService.addWorkingDays(startDate, days, findProjectCalendar(state, projectId))
     } catch (error) {
       console.error('Error adding working days:', error)
       return startDate
     }
   },
 
-  isWorkingDay: () => (date) => {
+  isWorkingDay: state => (date, projectId = null) => {
     try {
-      const { DateCalculationService } = require('../../services/dateCalculationService.js')
-      return DateCalculationService.isWorkingDay(date)
+      return DateCalculationService.isWorkingDay(date, findProjectCalendar(state, projectId))
     } catch (error) {
       console.error('Error checking working day:', error)
       return true
@@ -0,0 +1,110 @@
+import { storageService } from '../../services/storageService.js'
+import { syncService } from '../../services/syncService.js'
+import { tabSyncService } from '../../services/tabSyncService.js'
+
+const state = {
+  config: {
+    enabled: false,
+    endpoint: '',
+    token: ''
+  },
+  status: 'disabled',
+  pendingCount: 0,
+  lastSyncedAt: null,
+  error: null
+}
+
+const mutations = {
+  SET_CONFIG(state, config) {
+    state.config = config
+  },
+
+  SET_STATUS(state, { status, pendingCount, lastSyncedAt, error }) {
+    state.status = status
+    state.pendingCount = pendingCount
+    state.lastSyncedAt = lastSyncedAt
+    state.error = error
+  }
+}
+
+const actions = {
+  async initializeSync({ commit, dispatch }) {
+    await storageService.whenReady()
+    commit('SET_CONFIG', syncService.getConfig())
+
+    // With several tabs open only the leader talks to the server and the
+    // other tabs follow its status
+    syncService.onStatusChange(status => {
+      if (!tabSyncService.isLeader) return
+      commit('SET_STATUS', status)
+      tabSyncService.publish('sync:status', status)
+    })
+    syncService.onRemoteChanges(async projectIds => {
+      // Other tabs read the pulled projects once they are stored
+      await storageService.flush()
+      tabSyncService.publish('sync:remote-changes', projectIds)
+      dispatch('applyRemoteChanges', projectIds)
+    })
+
+    tabSyncService.subscribe('sync:status', status => commit('SET_STATUS', status))
+    tabSyncService.subscribe('sync:remote-changes', projectIds => dispatch('applyRemoteChanges', projectIds))
+    tabSyncService.subscribe('sync:config', config => {
+      commit('SET_CONFIG', config)
+      if (tabSyncService.isLeader) {
+        syncService.stop()
+        syncService.start()
+      }
+    })
+    tabSyncService.subscribe('sync:request', () => syncService.sync())
+
+    tabSyncService.onLeadershipChange(isLeader => {
+      if (isLeader) {
+        syncService.start()
+      } else {
+        syncService.stop()
+      }
+    })
+  },
+
+  async saveConfig({ commit }, config) {
+    const saved = await syncService.configure(config, { start: tabSyncService.isLeader })
+    commit('SET_CONFIG', saved)
+    tabSyncService.publish('sync:config', saved)
+    return saved
+  },
+
+  syncNow() {
+    if (!tabSyncService.isLeader) {
+      tabSyncService.publish('sync:request')
+      return null
+    }
+    return syncService.sync()
+  },
+
+  // Reload what a pull changed in local storage
+  async applyRemoteChanges({ dispatch, rootState }, projectIds) {
+    await dispatch('projects/loadProjects', null, { root: true })
+
+    const currentProject = rootState.projects.currentProject
+    if (currentProject && projectIds.includes(currentProject.id)) {
+      await dispatch('projects/setCurrentProject', currentProject.id, { root: true })
+    }
+  }
+}
+
+const getters = {
+  config: state => state.config,
+  isEnabled: state => state.config.enabled && !!state.config.endpoint,
+  status: state => state.status,
+  pendingCount: state => state.pendingCount,
+  lastSyncedAt: state => state.lastSyncedAt,
+  error: state => state.error
+}
+
+export default {
+  namespaced: true,
+  state,
+  mutations,
+  actions,
+  getters
+}
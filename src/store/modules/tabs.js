@@ -0,0 +1,42 @@
+import { tabSyncService } from '../../services/tabSyncService.js'
+
+const state = {
+  shared: false,
+  isLeader: true
+}
+
+const mutations = {
+  SET_SHARED(state, shared) {
+    state.shared = shared
+  },
+
+  SET_LEADER(state, isLeader) {
+    state.isLeader = isLeader
+  }
+}
+
+const actions = {
+  async initializeTabs({ commit }) {
+    await tabSyncService.start()
+    commit('SET_SHARED', tabSyncService.active)
+    tabSyncService.onLeadershipChange(isLeader => commit('SET_LEADER', isLeader))
+  },
+
+  // Mutation made in another tab (see tabSyncPlugin)
+  applyRemoteMutation({ commit }, { type, payload }) {
+    commit(type, payload, { root: true })
+  }
+}
+
+const getters = {
+  isShared: state => state.shared,
+  isLeader: state => state.isLeader
+}
+
+export default {
+  namespaced: true,
+  state,
+  mutations,
+  actions,
+  getters
+}
@@ -1,10 +1,16 @@
 import { storageService } from '../../services/storageService.js'
+import { activityLogService } from '../../services/activityLogService.js'
+import { durationAggregator } from '../../utils/durationAggregator.js'
+import { workloadCalculator } from '../../utils/workloadCalculator.js'
+import { DateCalculationService } from '../../services/dateCalculationService.js'
+import { WorkCalendarService } from '../../services/workCalendarService.js'
 
-// Initialize max nesting level from localStorage
+const MS_PER_HOUR = 1000 * 60 * 60
+
+// Initialize max nesting level from the stored settings
 const getInitialMaxNestingLevel = () => {
   try {
-    const settings = JSON.parse(localStorage.getItem('pm_settings') || '{}')
-    return settings.maxNestingLevel || 100
+    return storageService.getSettings().maxNestingLevel || 100
   } catch {
     return 100
   }
@@ -79,6 +85,13 @@ const mutations = {
     
     state.tasks = removeTaskAndSubtasks(state.tasks, taskId)
     
+    // Drop dependencies that pointed to the removed task
+    state.tasks.forEach(task => {
+      if (task.dependencies && task.dependencies.some(dep => dep.predecessorId === taskId)) {
+        task.dependencies = task.dependencies.filter(dep => dep.predecessorId !== taskId)
+      }
+    })
+    
     // Clear current task if it's the one being deleted
     if (state.currentTask && state.currentTask.id === taskId) {
       state.currentTask = null
@@ -204,6 +217,7 @@ const actions = {
       
       storageService.saveTask(task, taskData.projectId)
       commit('ADD_TASK', task)
+      activityLogService.record('task', null, task)
       return task
     } catch (error) {
       commit('SET_ERROR', error.message)
@@ -213,7 +227,7 @@ const actions = {
     }
   },
   
-  async updateTask({ commit }, task) {
+  async updateTask({ commit, state }, task) {
     commit('SET_LOADING', true)
     commit('SET_ERROR', null)
     
@@ -221,6 +235,7 @@ const actions = {
       // Import Task class
       const { Task } = await import('../../models/index.js')
       
+      const previousTask = state.tasks.find(t => t.id === task.id) || null
       const updatedTask = new Task({
         ...task,
         updatedAt: new Date()
@@ -228,6 +243,7 @@ const actions = {
       
       storageService.saveTask(updatedTask, task.projectId)
       commit('UPDATE_TASK', updatedTask)
+      activityLogService.record('task', previousTask, updatedTask)
       return updatedTask
     } catch (error) {
       commit('SET_ERROR', error.message)
@@ -249,6 +265,7 @@ const actions = {
       
       // Handle subtasks based on the strategy
       const subtasks = state.tasks.filter(t => t.parentTaskId === taskId)
+      const changes = []
       
       if (handleSubtasks === 'promote' && subtasks.length > 0) {
         // Promote subtasks to the parent level
@@ -261,6 +278,7 @@ const actions = {
           }
           storageService.saveTask(updatedSubtask, subtask.projectId)
           commit('UPDATE_TASK', updatedSubtask)
+          changes.push({ entityType: 'task', before: subtask, after: updatedSubtask })
         }
       } else {
         // Delete all subtasks recursively
@@ -269,6 +287,7 @@ const actions = {
           for (const child of children) {
             deleteRecursively(child.id)
             storageService.deleteTask(child.id, child.projectId)
+            changes.push({ entityType: 'task', before: child, after: null })
           }
         }
         
@@ -277,6 +296,7 @@ const actions = {
       
       storageService.deleteTask(taskId, task.projectId)
       commit('DELETE_TASK', taskId)
+      activityLogService.recordMany([...changes, { entityType: 'task', before: task, after: null }])
     } catch (error) {
       commit('SET_ERROR', error.message)
       throw error
@@ -340,6 +360,7 @@ const actions = {
       
       storageService.saveTask(updatedTask, task.projectId)
       commit('UPDATE_TASK', updatedTask)
+      activityLogService.record('task', task, updatedTask)
       
       // Update all subtasks levels recursively
       const updateSubtaskLevels = (parentId, baseLevel) => {
@@ -368,8 +389,13 @@ const actions = {
     }
   },
   
-  updateTaskProgress({ commit }, { taskId, progress }) {
+  updateTaskProgress({ commit, state }, { taskId, progress }) {
+    const task = state.tasks.find(t => t.id === taskId)
+    const previousTask = task ? { ...task } : null
     commit('UPDATE_TASK_PROGRESS', { taskId, progress })
+    if (task) {
+      activityLogService.record('task', previousTask, task)
+    }
   },
   
   setTaskFilter({ commit }, filter) {
@@ -385,10 +411,8 @@ const actions = {
       
       commit('SET_MAX_NESTING_LEVEL', level)
       
-      // Persist to localStorage
-      const settings = JSON.parse(localStorage.getItem('pm_settings') || '{}')
-      settings.maxNestingLevel = level
-      localStorage.setItem('pm_settings', JSON.stringify(settings))
+      // Saved with the other settings, whatever the storage backend
+      storageService.saveSettings({ maxNestingLevel: level })
       
       return level
     } catch (error) {
@@ -403,6 +427,7 @@ const actions = {
       // Import required classes
       const { Task } = await import('../../models/index.js')
       const { DateCalculationService } = await import('../../services/dateCalculationService.js')
+      const { WorkCalendarService } = await import('../../services/workCalendarService.js')
       
       // Validate inputs
       if (!taskId) {
@@ -419,6 +444,9 @@ const actions = {
         throw new Error('Task not found')
       }
       
+      // Keep the values before the commits below change the task
+      const previousTask = { ...task }
+      
       // Update duration
       commit('UPDATE_TASK_DURATION', { taskId, duration })
       
@@ -430,11 +458,11 @@ const actions = {
         if (task.adjustStartDate && task.endDate) {
           // Adjust start date instead of end date
           const endDate = new Date(task.endDate)
-          const newStartDate = DateCalculationService.subtractWorkingDays(endDate, duration)
+          const newStartDate = DateCalculationService.subtractWorkingDays(endDate, duration, WorkCalendarService.getCalendar(task.projectId))
           commit('UPDATE_TASK_DATES', { taskId, startDate: newStartDate, endDate: null })
         } else {
           // Adjust end date (default behavior)
-          newEndDate = DateCalculationService.addWorkingDays(startDate, duration)
+          newEndDate = DateCalculationService.addWorkingDays(startDate, duration, WorkCalendarService.getCalendar(task.projectId))
           commit('UPDATE_TASK_DATES', { taskId, startDate: null, endDate: newEndDate })
         }
       }
@@ -447,6 +475,7 @@ const actions = {
       })
       
       storageService.saveTask(updatedTask, task.projectId)
+      activityLogService.record('task', previousTask, updatedTask)
       
       return updatedTask
     } catch (error) {
@@ -462,6 +491,7 @@ const actions = {
       // Import required classes
       const { Task } = await import('../../models/index.js')
       const { DateCalculationService } = await import('../../services/dateCalculationService.js')
+      const { WorkCalendarService } = await import('../../services/workCalendarService.js')
       
       // Validate inputs
       if (!taskId) {
@@ -486,6 +516,9 @@ const actions = {
         throw new Error('End date must be after start date')
       }
       
+      // Keep the values before the commits below change the task
+      const previousTask = { ...task }
+      
       // Update dates
       commit('UPDATE_TASK_DATES', { 
         taskId, 
@@ -495,7 +528,7 @@ const actions = {
       
       // Recalculate duration if requested
       if (recalculateDuration) {
-        const duration = DateCalculationService.calculateWorkingDays(newStartDate, newEndDate)
+        const duration = DateCalculationService.calculateWorkingDays(newStartDate, newEndDate, WorkCalendarService.getCalendar(task.projectId))
         commit('UPDATE_TASK_DURATION', { taskId, duration })
       }
       
@@ -508,6 +541,7 @@ const actions = {
       })
       
       storageService.saveTask(updatedTask, task.projectId)
+      activityLogService.record('task', previousTask, updatedTask)
       
       return updatedTask
     } catch (error) {
@@ -553,10 +587,11 @@ const actions = {
     }
   },
 
-  async calculateTaskDuration({ commit }, { startDate, endDate }) {
+  async calculateTaskDuration({ commit }, { startDate, endDate, projectId = null }) {
     try {
       // Import DateCalculationService
       const { DateCalculationService } = await import('../../services/dateCalculationService.js')
+      const { WorkCalendarService } = await import('../../services/workCalendarService.js')
       
       // Validate inputs
       if (!startDate || !endDate) {
@@ -575,7 +610,7 @@ const actions = {
       }
       
       // Calculate duration
-      const duration = DateCalculationService.calculateWorkingDays(start, end)
+      const duration = DateCalculationService.calculateWorkingDays(start, end, WorkCalendarService.getCalendar(projectId))
       
       return {
         duration,
@@ -593,6 +628,181 @@ const actions = {
         error: error.message
       }
     }
+  },
+  
+  async startTaskTimer({ state, dispatch }, { taskId, memberId = null }) {
+    const task = state.tasks.find(t => t.id === taskId)
+    if (!task) {
+      throw new Error('Task not found')
+    }
+    if (task.activeTimer) {
+      return task
+    }
+    
+    const timerMemberId = memberId || task.assignedTo || null
+    
+    // A member tracks one task at a time: stop their other running timers first
+    const runningTasks = state.tasks.filter(t =>
+      t.id !== taskId && t.activeTimer && t.activeTimer.memberId === timerMemberId
+    )
+    for (const runningTask of runningTasks) {
+      await dispatch('stopTaskTimer', { taskId: runningTask.id })
+    }
+    
+    return dispatch('updateTask', {
+      ...task,
+      activeTimer: { memberId: timerMemberId, startedAt: new Date() }
+    })
+  },
+  
+  async stopTaskTimer({ state, dispatch }, { taskId, note = '' }) {
+    const task = state.tasks.find(t => t.id === taskId)
+    if (!task) {
+      throw new Error('Task not found')
+    }
+    if (!task.activeTimer) {
+      return task
+    }
+    
+    const { TimeEntry, MAX_TIME_ENTRY_HOURS } = await import('../../models/index.js')
+    
+    const startedAt = new Date(task.activeTimer.startedAt)
+    const hours = Math.min(MAX_TIME_ENTRY_HOURS, (Date.now() - startedAt) / MS_PER_HOUR)
+    const timeEntries = [...(task.timeEntries || [])]
+    
+    // Timers stopped within the first minute are discarded
+    if (hours >= 1 / 60) {
+      timeEntries.push(new TimeEntry({
+        memberId: task.activeTimer.memberId,
+        date: startedAt,
+        hours,
+        note,
+        source: 'timer'
+      }))
+    }
+    
+    return dispatch('updateTask', {
+      ...task,
+      timeEntries,
+      activeTimer: null
+    })
+  },
+  
+  async addTimeEntry({ commit, state, dispatch }, { taskId, entry }) {
+    commit('SET_ERROR', null)
+    
+    try {
+      const { TimeEntry } = await import('../../models/index.js')
+      const { validateTimeEntry } = await import('../../utils/validation.js')
+      
+      const task = state.tasks.find(t => t.id === taskId)
+      if (!task) {
+        throw new Error('Task not found')
+      }
+      
+      const timeEntry = new TimeEntry({ ...entry, source: 'manual' })
+      validateTimeEntry(timeEntry)
+      
+      await dispatch('updateTask', {
+        ...task,
+        timeEntries: [...(task.timeEntries || []), timeEntry]
+      })
+      return timeEntry
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+  
+  async updateTimeEntry({ commit, state, dispatch }, { taskId, entry }) {
+    commit('SET_ERROR', null)
+    
+    try {
+      const { TimeEntry } = await import('../../models/index.js')
+      const { validateTimeEntry } = await import('../../utils/validation.js')
+      
+      const task = state.tasks.find(t => t.id === taskId)
+      if (!task) {
+        throw new Error('Task not found')
+      }
+      
+      const timeEntry = new TimeEntry(entry)
+      validateTimeEntry(timeEntry)
+      
+      await dispatch('updateTask', {
+        ...task,
+        timeEntries: (task.timeEntries || []).map(existing => existing.id === timeEntry.id ? timeEntry : existing)
+      })
+      return timeEntry
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+  
+  async deleteTimeEntry({ commit, state, dispatch }, { taskId, entryId }) {
+    commit('SET_ERROR', null)
+    
+    try {
+      const task = state.tasks.find(t => t.id === taskId)
+      if (!task) {
+        throw new Error('Task not found')
+      }
+      
+      await dispatch('updateTask', {
+        ...task,
+        timeEntries: (task.timeEntries || []).filter(entry => entry.id !== entryId)
+      })
+      return true
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  // Apply the reviewed diff of an AI refinement; creates are ordered parents first.
+  // All or nothing: when a change fails the ones already saved are reverted
+  async applyRefinement({ commit, state, dispatch }, { projectId, diff }) {
+    commit('SET_ERROR', null)
+
+    const created = []
+    const updated = []
+    const previousTasks = []
+
+    try {
+      const updates = (diff.updates || []).map(({ taskId, changes }) => {
+        const task = state.tasks.find(t => t.id === taskId)
+        if (!task) {
+          throw new Error('Task not found')
+        }
+        return { task, changes }
+      })
+
+      for (const { depth, ...taskData } of diff.creates || []) {
+        created.push(await dispatch('createTask', { ...taskData, projectId }))
+      }
+
+      for (const { task, changes } of updates) {
+        updated.push(await dispatch('updateTask', { ...task, ...changes }))
+        previousTasks.push(task)
+      }
+
+      return { created, updated }
+    } catch (error) {
+      try {
+        for (const task of previousTasks.reverse()) {
+          await dispatch('updateTask', task)
+        }
+        for (const task of created.reverse()) {
+          await dispatch('deleteTask', { taskId: task.id })
+        }
+      } catch (rollbackError) {
+        console.error('Error reverting AI refinement:', rollbackError)
+      }
+
+      commit('SET_ERROR', error.message)
+      throw error
+    }
   }
 }
 
@@ -655,6 +865,79 @@ const getters = {
     return buildHierarchy()
   },
   
+  activeTimers: state => {
+    return state.tasks.filter(task => task.activeTimer)
+  },
+  
+  // Logged hours per task id, rolled up from subtasks to their parents
+  loggedHoursByTask: state => projectId => {
+    const tasks = state.tasks.filter(task => task.projectId === projectId)
+    
+    // Light copies so the rollup does not write into the stored tasks
+    const buildHierarchy = (parentId = null) => {
+      return tasks
+        .filter(task => task.parentTaskId === parentId)
+        .map(task => ({
+          id: task.id,
+          timeEntries: task.timeEntries || [],
+          subtasks: buildHierarchy(task.id)
+        }))
+    }
+    
+    return durationAggregator.updateLoggedHours(buildHierarchy()).hoursByTask
+  },
+  
+  // Weekly timesheet (Monday to Sunday) of a team member in a project
+  timesheet: state => ({ projectId, memberId, weekStart }) => {
+    const monday = new Date(weekStart)
+    monday.setHours(0, 0, 0, 0)
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7))
+    
+    const days = Array.from({ length: 7 }, (_, index) => {
+      const day = new Date(monday)
+      day.setDate(monday.getDate() + index)
+      return day
+    })
+    const weekEnd = new Date(monday)
+    weekEnd.setDate(monday.getDate() + 7)
+    
+    const rows = []
+    const dailyTotals = new Array(7).fill(0)
+    
+    state.tasks
+      .filter(task => task.projectId === projectId)
+      .forEach(task => {
+        const hours = new Array(7).fill(0)
+        const entries = (task.timeEntries || []).filter(entry => {
+          const date = new Date(entry.date)
+          return entry.memberId === memberId && date >= monday && date < weekEnd
+        })
+        if (entries.length === 0) return
+        
+        entries.forEach(entry => {
+          const dayIndex = (new Date(entry.date).getDay() + 6) % 7
+          hours[dayIndex] += entry.hours
+          dailyTotals[dayIndex] += entry.hours
+        })
+        
+        rows.push({
+          taskId: task.id,
+          title: task.title,
+          hours: hours.map(value => durationAggregator.roundHours(value)),
+          total: durationAggregator.sumTimeEntries(entries),
+          entries
+        })
+      })
+    
+    return {
+      weekStart: monday,
+      days,
+      rows: rows.sort((a, b) => a.title.localeCompare(b.title)),
+      dailyTotals: dailyTotals.map(value => durationAggregator.roundHours(value)),
+      total: durationAggregator.roundHours(dailyTotals.reduce((sum, hours) => sum + hours, 0))
+    }
+  },
+  
   tasksByStatus: state => status => {
     return state.tasks.filter(task => task.status === status)
   },
@@ -663,6 +946,16 @@ const getters = {
     return state.tasks.filter(task => task.assignedTo === assigneeId)
   },
   
+  // Daily workload and over-allocations of the team of a project
+  workload: (state, getters, rootState, rootGetters) => ({ projectId, startDate = null, endDate = null }) => {
+    const project = rootGetters['projects/getProjectById'](projectId)
+    return workloadCalculator.calculate(getters.tasksByProject(projectId), project ? project.teamMembers : [], {
+      startDate,
+      endDate,
+      calendar: rootGetters['projects/getProjectCalendar'](projectId)
+    })
+  },
+  
   overdueTasks: state => {
     const now = new Date()
     return state.tasks.filter(task => 
@@ -743,8 +1036,7 @@ const getters = {
     if (!earliestStart || !latestEnd) return 0
     
     try {
-      const { DateCalculationService } = require('../../services/dateCalculationService.js')
-      return DateCalculationService.calculateWorkingDays(earliestStart, latestEnd)
+      return DateCalculationService.calculateWorkingDays(earliestStart, latestEnd, WorkCalendarService.getCalendar(projectId))
     } catch (error) {
       console.error('Error calculating project duration:', error)
       return 0
@@ -0,0 +1,122 @@
+import { storageService } from '../../services/storageService.js'
+import { ProjectTemplateService } from '../../services/projectTemplateService.js'
+
+const state = {
+  templates: [],
+  loading: false,
+  error: null
+}
+
+const mutations = {
+  SET_LOADING(state, loading) {
+    state.loading = loading
+  },
+
+  SET_ERROR(state, error) {
+    state.error = error
+  },
+
+  SET_TEMPLATES(state, templates) {
+    state.templates = templates
+  },
+
+  ADD_TEMPLATE(state, template) {
+    state.templates.push(template)
+  },
+
+  DELETE_TEMPLATE(state, templateId) {
+    state.templates = state.templates.filter(template => template.id !== templateId)
+  }
+}
+
+const actions = {
+  loadTemplates({ commit }) {
+    commit('SET_ERROR', null)
+
+    try {
+      commit('SET_TEMPLATES', storageService.getAllTemplates())
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+    }
+  },
+
+  async saveProjectAsTemplate({ commit, rootGetters }, { projectId, name, description }) {
+    commit('SET_ERROR', null)
+
+    try {
+      const project = storageService.getProject(projectId)
+      if (!project) {
+        throw new Error(`Project with ID ${projectId} not found`)
+      }
+
+      const tasks = rootGetters['tasks/tasksByProject']
+        ? rootGetters['tasks/tasksByProject'](projectId)
+        : project.tasks
+      const template = ProjectTemplateService.createTemplate(project, tasks.length ? tasks : project.tasks, { name, description })
+
+      storageService.saveTemplate(template)
+      commit('ADD_TEMPLATE', template)
+
+      return template
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  async deleteTemplate({ commit }, templateId) {
+    commit('SET_ERROR', null)
+
+    try {
+      storageService.deleteTemplate(templateId)
+      commit('DELETE_TEMPLATE', templateId)
+      return true
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    }
+  },
+
+  async createProjectFromTemplate({ commit, state }, { templateId, projectData, roleAssignments = {} }) {
+    commit('SET_LOADING', true)
+    commit('SET_ERROR', null)
+
+    try {
+      const template = state.templates.find(t => t.id === templateId)
+      if (!template) {
+        throw new Error(`Template with ID ${templateId} not found`)
+      }
+
+      const project = ProjectTemplateService.instantiateTemplate(template, {
+        ...projectData,
+        roleAssignments
+      })
+
+      storageService.saveProject(project)
+      commit('projects/ADD_PROJECT', project, { root: true })
+
+      return project
+    } catch (error) {
+      commit('SET_ERROR', error.message)
+      throw error
+    } finally {
+      commit('SET_LOADING', false)
+    }
+  }
+}
+
+const getters = {
+  // Most recent first
+  allTemplates: state => [...state.templates].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+  getTemplateById: state => templateId => state.templates.find(template => template.id === templateId) || null,
+  isLoading: state => state.loading,
+  error: state => state.error
+}
+
+export default {
+  namespaced: true,
+  state,
+  mutations,
+  actions,
+  getters
+}
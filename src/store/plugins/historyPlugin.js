@@ -0,0 +1,260 @@
+/**
+ * Vuex plugin that records project, task and team changes as reversible steps
+ * Keeps a snapshot of every project and task, diffs it after each mutation and
+ * groups everything committed while an action runs into a single undo step.
+ * A mutation only serializes again the entities it names or replaces
+ */
+
+import { markRaw } from 'vue'
+
+// Modules whose entities are tracked, with the name used in the operations
+const TRACKED_MODULES = {
+  projects: 'project',
+  tasks: 'task'
+}
+
+const IGNORED_FIELDS = {
+  projects: ['updatedAt', 'tasks'],
+  tasks: ['updatedAt']
+}
+
+// UI state and loading flags are not part of the history
+const IGNORED_MUTATIONS = [
+  'SET_LOADING',
+  'SET_ERROR',
+  'SET_CURRENT_PROJECT',
+  'SET_CURRENT_TASK',
+  'SET_TASK_FILTER',
+  'SET_MAX_NESTING_LEVEL'
+]
+
+// Actions whose changes only refresh the snapshots
+const SNAPSHOT_ONLY_ACTIONS = ['history/', 'sync/', 'tabs/']
+
+// Whole-list replacements come from loading data: only entities that stay in
+// the list are compared, so loading another project is not recorded
+const REPLACE_MUTATIONS = ['SET_PROJECTS', 'SET_TASKS']
+
+// Mutations that change entities their payload does not name
+// (deleting a task drops the dependencies other tasks had on it)
+const FULL_SNAPSHOT_MUTATIONS = ['DELETE_TASK']
+
+const ACTION_LABELS = {
+  'projects/createProject': 'Crear proyecto',
+  'projects/updateProject': 'Editar proyecto',
+  'projects/deleteProject': 'Eliminar proyecto',
+  'projects/addTeamMember': 'Añadir miembro al equipo',
+  'projects/updateTeamMember': 'Editar miembro del equipo',
+  'projects/removeTeamMember': 'Quitar miembro del equipo',
+  'projects/updateProjectCalendar': 'Cambiar calendario laboral',
+  'projects/importCalendarHolidays': 'Importar festivos',
+  'projects/saveProjectBaseline': 'Guardar línea base',
+  'projects/deleteProjectBaseline': 'Eliminar línea base',
+  'projects/adjustProjectDates': 'Ajustar fechas del proyecto',
+  'projects/importProject': 'Importar proyecto',
+  'tasks/createTask': 'Crear tarea',
+  'tasks/updateTask': 'Editar tarea',
+  'tasks/deleteTask': 'Eliminar tarea',
+  'tasks/moveTask': 'Mover tarea',
+  'tasks/updateTaskProgress': 'Cambiar progreso',
+  'tasks/updateTaskDuration': 'Cambiar duración',
+  'tasks/updateTaskDates': 'Cambiar fechas de la tarea',
+  'tasks/toggleAdjustStartDate': 'Cambiar ajuste de fecha de inicio',
+  'tasks/startTaskTimer': 'Iniciar temporizador',
+  'tasks/stopTaskTimer': 'Detener temporizador',
+  'tasks/addTimeEntry': 'Registrar horas',
+  'tasks/updateTimeEntry': 'Editar horas registradas',
+  'tasks/deleteTimeEntry': 'Eliminar horas registradas',
+  'gantt/updateTaskDates': 'Mover tarea en el Gantt',
+  'gantt/addTaskDependency': 'Añadir dependencia',
+  'gantt/removeTaskDependency': 'Eliminar dependencia',
+  'gantt/applySchedulePreview': 'Aplicar reprogramación',
+  'calendar/updateTaskDates': 'Mover tarea en el calendario',
+  'calendar/importTasksFromICalendar': 'Importar tareas de iCalendar',
+  'templates/createProjectFromTemplate': 'Crear proyecto desde plantilla'
+}
+
+const MODULE_LABELS = {
+  projects: 'Cambio en proyectos',
+  tasks: 'Cambio en tareas'
+}
+
+export function createHistoryPlugin() {
+  return (store) => {
+    if (!store.hasModule('history')) return
+
+    const snapshots = {
+      projects: snapshotList(new Map(), store.state.projects?.projects, IGNORED_FIELDS.projects),
+      tasks: snapshotList(new Map(), store.state.tasks?.tasks, IGNORED_FIELDS.tasks)
+    }
+    let actionDepth = 0
+    let rootAction = null
+    let pending = []
+
+    const record = (type, operations) => {
+      const merged = mergeOperations(operations)
+      if (merged.length === 0) return
+
+      store.commit('history/PUSH_ENTRY', {
+        id: `history_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+        type,
+        label: describeType(type),
+        detail: describeOperations(merged),
+        timestamp: new Date().toISOString(),
+        // Snapshots are never changed and can be large, keep them out of reactivity
+        operations: markRaw(merged)
+      })
+    }
+
+    const finishAction = () => {
+      actionDepth = Math.max(0, actionDepth - 1)
+      if (actionDepth === 0) {
+        record(rootAction, pending)
+        rootAction = null
+        pending = []
+      }
+    }
+
+    store.subscribeAction({
+      before: (action) => {
+        if (actionDepth === 0) {
+          rootAction = action.type
+          pending = []
+        }
+        actionDepth++
+      },
+      after: finishAction,
+      error: finishAction
+    })
+
+    store.subscribe((mutation, state) => {
+      const [moduleName, mutationType] = mutation.type.split('/')
+      const entity = TRACKED_MODULES[moduleName]
+      if (!entity || IGNORED_MUTATIONS.includes(mutationType)) return
+
+      const changedIds = FULL_SNAPSHOT_MUTATIONS.includes(mutationType) ? null : payloadIds(mutation.payload)
+      const current = snapshotList(snapshots[moduleName], state[moduleName][moduleName], IGNORED_FIELDS[moduleName], changedIds)
+
+      // Undo and redo put snapshots back, and synced changes come from another
+      // browser or tab; none of them must be recorded
+      if (rootAction && SNAPSHOT_ONLY_ACTIONS.some(prefix => rootAction.startsWith(prefix))) {
+        snapshots[moduleName] = current
+        return
+      }
+
+      const operations = diffSnapshots(entity, snapshots[moduleName], current, REPLACE_MUTATIONS.includes(mutationType))
+      snapshots[moduleName] = current
+      if (operations.length === 0) return
+
+      if (actionDepth > 0) {
+        pending.push(...operations)
+      } else {
+        record(mutation.type, operations)
+      }
+    })
+  }
+}
+
+/**
+ * Serializable copy of every entity by id, with a key to detect changes.
+ * The update time alone is not a change, and the task copy kept inside each
+ * project is stale (tasks are tracked on their own).
+ * Entities that are still the same object and are not in changedIds keep their
+ * previous snapshot; without changedIds every entity is serialized again
+ */
+function snapshotList(previous, items, ignoredFields = ['updatedAt'], changedIds = null) {
+  return new Map((items || []).map(item => {
+    const before = previous.get(item.id)
+    if (before && before.item === item && changedIds && !changedIds.has(item.id)) {
+      return [item.id, before]
+    }
+
+    const data = JSON.parse(JSON.stringify(item))
+    const comparable = { ...data }
+    ignoredFields.forEach(field => delete comparable[field])
+    return [item.id, { key: JSON.stringify(comparable), data, item }]
+  }))
+}
+
+/**
+ * Ids of the entities named in a mutation payload: an id, an entity, an object
+ * with taskId or projectId, or a list of them. Null when it names none
+ */
+function payloadIds(payload) {
+  const ids = new Set()
+  const values = Array.isArray(payload) ? payload : [payload]
+  values.forEach(value => {
+    if (typeof value === 'string') {
+      ids.add(value)
+    } else if (value && typeof value === 'object') {
+      ['id', 'taskId', 'projectId'].forEach(key => {
+        if (value[key]) ids.add(value[key])
+      })
+    }
+  })
+  return ids.size > 0 ? ids : null
+}
+
+function diffSnapshots(entity, previous, current, replacing) {
+  const operations = []
+
+  current.forEach((snapshot, id) => {
+    const before = previous.get(id)
+    if (!before) {
+      if (!replacing) operations.push(createOperation(entity, id, null, snapshot))
+    } else if (before.key !== snapshot.key) {
+      operations.push(createOperation(entity, id, before, snapshot))
+    }
+  })
+
+  if (!replacing) {
+    previous.forEach((before, id) => {
+      if (!current.has(id)) operations.push(createOperation(entity, id, before, null))
+    })
+  }
+
+  return operations
+}
+
+function createOperation(entity, id, before, after) {
+  const data = (after || before).data
+  return {
+    entity,
+    id,
+    projectId: entity === 'task' ? data.projectId : id,
+    name: data.title || data.name || '',
+    before: before ? before.data : null,
+    beforeKey: before ? before.key : null,
+    after: after ? after.data : null,
+    afterKey: after ? after.key : null
+  }
+}
+
+/**
+ * One operation per entity: the state before the first change and after the last
+ */
+function mergeOperations(operations) {
+  const merged = new Map()
+  operations.forEach(operation => {
+    const id = `${operation.entity}:${operation.id}`
+    const existing = merged.get(id)
+    merged.set(id, existing
+      ? { ...operation, before: existing.before, beforeKey: existing.beforeKey }
+      : operation)
+  })
+
+  return [...merged.values()]
+    .filter(operation => operation.beforeKey !== operation.afterKey)
+    .map(({ beforeKey, afterKey, ...operation }) => operation)
+}
+
+function describeType(type) {
+  return ACTION_LABELS[type] || MODULE_LABELS[type.split('/')[0]] || 'Cambio'
+}
+
+function describeOperations(operations) {
+  const names = [...new Set(operations.map(operation => operation.name).filter(Boolean))]
+  if (names.length === 0) return ''
+  if (names.length === 1) return `"${names[0]}"`
+  return `"${names[0]}" y ${names.length - 1} más`
+}
@@ -5,6 +5,7 @@
 
 import { storageService } from '../../services/storageService.js'
 import { initializationService } from '../../services/initializationService.js'
+import { isRemoteMutation } from './tabSyncPlugin.js'
 
 const PERSISTENCE_DEBOUNCE_TIME = 500 // ms
 
@@ -60,6 +61,9 @@ export function createPersistencePlugin() {
       // Skip saving during initialization
       if (isInitializing) return
 
+      // Mutations replayed from another tab were saved there
+      if (isRemoteMutation()) return
+
       // Skip saving for loading and error mutations
       if (mutation.type.includes('SET_LOADING') || mutation.type.includes('SET_ERROR')) {
         return
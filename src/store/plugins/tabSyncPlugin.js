@@ -0,0 +1,83 @@
+/**
+ * Vuex plugin that replays data mutations in the other open tabs
+ * Payloads travel as JSON and are turned back into models before the mutation
+ * is committed again. Task list mutations only apply in tabs showing the same
+ * project, and loading or UI state is never shared
+ */
+
+import { Project, Task, TeamMember } from '../../models/index.js'
+import { tabSyncService } from '../../services/tabSyncService.js'
+
+const asIs = payload => payload
+const toDate = value => (value ? new Date(value) : value)
+const withMember = ({ projectId, member }) => ({ projectId, member: TeamMember.fromJSON(member) })
+
+// Shared mutations, with how their payload is restored
+const SHARED_MUTATIONS = {
+  'projects/ADD_PROJECT': Project.fromJSON,
+  'projects/UPDATE_PROJECT': Project.fromJSON,
+  'projects/DELETE_PROJECT': asIs,
+  'projects/ADJUST_PROJECT_DATES': payload => ({ ...payload, newStartDate: toDate(payload.newStartDate) }),
+  'projects/ADD_TEAM_MEMBER': withMember,
+  'projects/UPDATE_TEAM_MEMBER': withMember,
+  'projects/REMOVE_TEAM_MEMBER': asIs,
+  'tasks/ADD_TASK': Task.fromJSON,
+  'tasks/UPDATE_TASK': Task.fromJSON,
+  'tasks/DELETE_TASK': asIs,
+  'tasks/MOVE_TASK': asIs,
+  'tasks/UPDATE_TASK_PROGRESS': asIs,
+  'tasks/UPDATE_TASK_DURATION': asIs,
+  'tasks/UPDATE_TASK_DATES': payload => ({ ...payload, startDate: toDate(payload.startDate), endDate: toDate(payload.endDate) }),
+  'tasks/TOGGLE_ADJUST_START_DATE': asIs,
+  'tasks/SET_MAX_NESTING_LEVEL': asIs,
+  'templates/ADD_TEMPLATE': asIs,
+  'templates/DELETE_TEMPLATE': asIs,
+  'aiGenerations/ADD_GENERATION': asIs,
+  'aiGenerations/DELETE_GENERATION': asIs,
+  'aiGenerations/CLEAR_GENERATIONS': asIs
+}
+
+// The task list holds the tasks of the project open in the tab
+const isProjectScoped = type => type.startsWith('tasks/') && type !== 'tasks/SET_MAX_NESTING_LEVEL'
+
+// True while a mutation made in another tab is committed again
+let applyingRemote = false
+
+/**
+ * Whether the mutation being committed comes from another tab, which has
+ * already stored it
+ * @returns {boolean}
+ */
+export function isRemoteMutation() {
+  return applyingRemote
+}
+
+export function createTabSyncPlugin() {
+  return (store) => {
+    if (!store.hasModule('tabs')) return
+
+    store.subscribe((mutation, state) => {
+      if (applyingRemote || !tabSyncService.active || !SHARED_MUTATIONS[mutation.type]) return
+
+      tabSyncService.publish('mutation', {
+        type: mutation.type,
+        payload: mutation.payload === undefined ? null : JSON.parse(JSON.stringify(mutation.payload)),
+        projectId: state.projects.currentProject?.id || null
+      })
+    })
+
+    tabSyncService.subscribe('mutation', ({ type, payload, projectId }) => {
+      const restore = SHARED_MUTATIONS[type]
+      if (!restore) return
+      if (isProjectScoped(type) && projectId !== (store.state.projects.currentProject?.id || null)) return
+
+      applyingRemote = true
+      try {
+        // Committed from an action so the change history does not record it
+        store.dispatch('tabs/applyRemoteMutation', { type, payload: payload === null ? payload : restore(payload) })
+      } finally {
+        applyingRemote = false
+      }
+    })
+  }
+}
@@ -67,6 +67,24 @@ vi.mock('primevue/slider', () => ({
   }
 }))
 
+vi.mock('primevue/checkbox', () => ({
+  default: {
+    name: 'Checkbox',
+    template: '<input type="checkbox" v-bind="$attrs" :checked="modelValue" @change="$emit(\'update:modelValue\', $event.target.checked)" />',
+    props: ['modelValue', 'binary'],
+    emits: ['update:modelValue']
+  }
+}))
+
+vi.mock('primevue/inputnumber', () => ({
+  default: {
+    name: 'InputNumber',
+    template: '<input type="number" v-bind="$attrs" :value="modelValue" @input="$emit(\'update:modelValue\', $event.target.value === \'\' ? null : Number($event.target.value))" />',
+    props: ['modelValue'],
+    emits: ['update:modelValue']
+  }
+}))
+
 // Mock EnhancedDatePicker
 vi.mock('../../../components/ui/EnhancedDatePicker.vue', () => ({
   default: {
@@ -65,4 +65,59 @@ describe('useKeyboardShortcuts', () => {
     expect(shortcuts.length).toBe(initialCount)
     expect(shortcuts).not.toContain('ctrl+t')
   })
-})
\ No newline at end of file
+
+  describe('history shortcuts', () => {
+    const press = (key, options = {}) => {
+      const event = new KeyboardEvent('keydown', { key, ctrlKey: true, cancelable: true, ...options })
+      const handler = addEventListenerSpy.mock.calls.find(([type]) => type === 'keydown')[1]
+      handler(event)
+      return event
+    }
+    const dispatchedEvents = () => dispatchEventSpy.mock.calls.map(([event]) => event.type)
+
+    beforeEach(() => {
+      useKeyboardShortcuts()
+    })
+
+    afterEach(() => {
+      document.body.innerHTML = ''
+    })
+
+    it('undoes with ctrl+z', () => {
+      const event = press('z')
+
+      expect(dispatchedEvents()).toEqual(['history-undo'])
+      expect(event.defaultPrevented).toBe(true)
+    })
+
+    it('redoes with ctrl+shift+z and ctrl+y', () => {
+      press('Z', { shiftKey: true })
+      press('y', { ctrlKey: false, metaKey: true })
+
+      expect(dispatchedEvents()).toEqual(['history-redo', 'history-redo'])
+    })
+
+    it.each(['input', 'textarea'])('leaves undo and redo to the browser inside a %s', (tagName) => {
+      const field = document.createElement(tagName)
+      document.body.appendChild(field)
+      field.focus()
+
+      const events = [press('z'), press('z', { shiftKey: true }), press('y')]
+
+      expect(dispatchedEvents()).toEqual([])
+      expect(events.some(event => event.defaultPrevented)).toBe(false)
+    })
+
+    it('leaves undo to the browser inside editable content', () => {
+      const editor = document.createElement('div')
+      editor.contentEditable = 'true'
+      editor.tabIndex = 0
+      document.body.appendChild(editor)
+      editor.focus()
+
+      press('z')
+
+      expect(dispatchedEvents()).toEqual([])
+    })
+  })
+})
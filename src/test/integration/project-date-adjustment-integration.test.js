@@ -149,7 +149,9 @@ describe('Project Date Adjustment Integration', () => {
         },
         stubs: {
           TeamManager: { template: '<div>Team Manager</div>' },
+          ProjectBurndownChart: { template: '<div>Burndown</div>' },
           TaskManager: { template: '<div>Task Manager</div>' },
+          ProjectActivityFeed: { template: '<div>Activity Feed</div>' },
           ResponsiveModal: {
             template: '<div v-if="visible"><slot></slot><slot name="footer"></slot></div>',
             props: ['visible', 'title', 'subtitle', 'size', 'persistent'],
@@ -2,63 +2,81 @@
  * Tests for JSON parsing fixes in AI services
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { openAIService } from '../services/openAIService.js';
+import { aiResponseSchema } from '../utils/aiResponseSchema.js';
 import { geminiService } from '../services/geminiService.js';
 
 describe('JSON Parsing Fixes', () => {
-  describe('OpenAI Service', () => {
+  describe('Shared response parsing', () => {
     it('should clean and fix basic JSON', () => {
       const response = '```json\n{"name": "Test Project", "tasks": []}\n```';
-      const cleaned = openAIService.cleanAndFixJSON(response);
+      const cleaned = aiResponseSchema.cleanJSON(response);
       expect(cleaned).toBe('{"name": "Test Project", "tasks": []}');
     });
 
     it('should fix incomplete JSON with missing closing braces', () => {
       const incompleteJSON = '{"name": "Test", "tasks": [{"title": "Task 1"}]';
-      const fixed = openAIService.attemptJSONFix(incompleteJSON);
+      const fixed = aiResponseSchema.repairJSON(incompleteJSON);
       expect(fixed).toBe('{"name": "Test", "tasks": [{"title": "Task 1"}]}');
     });
 
     it('should fix unterminated strings at end of JSON', () => {
       const incompleteJSON = '{"name": "Test Project", "description": "This is a test"}';
-      const fixed = openAIService.attemptJSONFix(incompleteJSON);
+      const fixed = aiResponseSchema.repairJSON(incompleteJSON);
       expect(fixed).toBe('{"name": "Test Project", "description": "This is a test"}');
     });
 
     it('should handle mixed missing brackets and braces', () => {
       const incompleteJSON = '{"name": "Test", "tasks": [{"title": "Task 1", "subtasks": [{"title": "Sub 1"}';
-      const fixed = openAIService.attemptJSONFix(incompleteJSON);
+      const fixed = aiResponseSchema.repairJSON(incompleteJSON);
       // Should at least close the structure properly
       expect(fixed).toContain('"name": "Test"');
       expect(fixed).toContain('"title": "Task 1"');
       expect(JSON.parse(fixed)).toBeDefined(); // Should be valid JSON
     });
 
+    it('should drop trailing commas outside strings', () => {
+      const fixed = aiResponseSchema.repairJSON('{"name": "Test, }", "tasks": [{"title": "Task 1",},], "teamMembers": [');
+      expect(JSON.parse(fixed)).toEqual({ name: 'Test, }', tasks: [{ title: 'Task 1' }], teamMembers: [] });
+    });
+
     it('should return null for unfixable JSON', () => {
       const badJSON = 'This is not JSON at all';
-      const fixed = openAIService.attemptJSONFix(badJSON);
+      const fixed = aiResponseSchema.repairJSON(badJSON);
       expect(fixed).toBe(null);
     });
   });
 
-  describe('Gemini Service', () => {
-    it('should clean and fix basic JSON', () => {
-      const response = '```json\n{"name": "Test Project", "tasks": []}\n```';
-      const cleaned = geminiService.cleanAndFixJSON(response);
-      expect(cleaned).toBe('{"name": "Test Project", "tasks": []}');
+  describe('Gemini responses', () => {
+    const project = '{"name": "Test Project", "description": "A test project", "estimatedDuration": 5, "tasks": [{"title": "Task 1", "description": "First task", "duration": 5}]}';
+
+    it('should process a response wrapped in markdown fences', () => {
+      const result = geminiService.processAIResponse('```json\n' + project + '\n```');
+
+      expect(result.name).toBe('Test Project');
+      expect(result.tasks.map(task => task.title)).toEqual(['Task 1']);
     });
 
-    it('should fix incomplete JSON with missing closing braces', () => {
-      const incompleteJSON = '{"name": "Test", "tasks": [{"title": "Task 1"}]';
-      const fixed = geminiService.attemptJSONFix(incompleteJSON);
-      expect(fixed).toBe('{"name": "Test", "tasks": [{"title": "Task 1"}]}');
+    it('should process a fenced response with trailing commas', () => {
+      const response = '```json\n{"name": "Test Project", "description": "A test project, with commas", "estimatedDuration": 5, "tasks": [{"title": "Task 1", "description": "First task", "duration": 5,},],}\n```';
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = geminiService.processAIResponse(response);
+
+      expect(result.description).toBe('A test project, with commas');
+      expect(result.tasks).toHaveLength(1);
+      expect(result.tasks[0]).toMatchObject({ title: 'Task 1', duration: 5 });
+    });
+
+    it('should process a response surrounded by text', () => {
+      const result = geminiService.processAIResponse('Here is your project:\n\n' + project + '\n\nThis should work well.');
+      expect(result.name).toBe('Test Project');
     });
 
-    it('should handle Gemini-specific response format', () => {
-      const response = 'Here is your project:\n\n{"name": "Test", "tasks": []}\n\nThis should work well.';
-      const cleaned = geminiService.cleanAndFixJSON(response);
-      expect(cleaned).toBe('{"name": "Test", "tasks": []}');
+    it('should reject a response that is not a project', () => {
+      expect(() => geminiService.processAIResponse('{"name": "Test", "tasks": []}'))
+        .toThrow('Generated project validation failed');
     });
   });
 
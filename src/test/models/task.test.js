@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { Task } from '../../models/index.js';
+import { Task, TaskDependency } from '../../models/index.js';
 
 describe('Task Model - Duration Management', () => {
   let taskData;
@@ -242,4 +242,45 @@ describe('Task Model - Duration Management', () => {
       expect(task.adjustStartDate).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('dependencies', () => {
+    it('should default to an empty dependency list', () => {
+      const task = new Task(taskData);
+      expect(task.dependencies).toEqual([]);
+    });
+
+    it('should normalize plain dependency objects', () => {
+      const task = new Task({
+        ...taskData,
+        dependencies: [{ predecessorId: 'task-a', type: 'SS', lag: '2' }]
+      });
+
+      expect(task.dependencies[0]).toBeInstanceOf(TaskDependency);
+      expect(task.dependencies[0].lag).toBe(2);
+    });
+
+    it('should replace an existing link when adding a dependency on the same predecessor', () => {
+      const task = new Task(taskData);
+      task.addDependency('task-a');
+      task.addDependency('task-a', 'FF', 3);
+
+      expect(task.dependencies).toHaveLength(1);
+      expect(task.dependencies[0].toJSON()).toEqual({ predecessorId: 'task-a', type: 'FF', lag: 3 });
+    });
+
+    it('should remove a dependency', () => {
+      const task = new Task({ ...taskData, dependencies: [{ predecessorId: 'task-a' }] });
+
+      expect(task.removeDependency('task-a')).toBe(true);
+      expect(task.removeDependency('task-a')).toBe(false);
+      expect(task.dependencies).toHaveLength(0);
+    });
+
+    it('should serialize and restore dependencies', () => {
+      const task = new Task({ ...taskData, dependencies: [{ predecessorId: 'task-a', type: 'SF', lag: -1 }] });
+      const restored = Task.fromJSON(JSON.parse(JSON.stringify(task.toJSON())));
+
+      expect(restored.dependencies[0].toJSON()).toEqual({ predecessorId: 'task-a', type: 'SF', lag: -1 });
+    });
+  });
+});
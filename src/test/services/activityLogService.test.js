@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { activityLogService, MAX_LOG_ENTRIES, MAX_LOG_SIZE } from '../../services/activityLogService.js'
+import { Project, Task, TeamMember } from '../../models/index.js'
+import { mockLocalStorage } from '../utils.js'
+
+const day = (d) => new Date(2024, 0, d)
+
+const createTask = (data = {}) => new Task({
+  id: 't1',
+  projectId: 'p1',
+  title: 'Diseño',
+  startDate: day(15),
+  endDate: day(19),
+  ...data
+})
+
+describe('ActivityLogService', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = mockLocalStorage()
+  })
+
+  it('should record one entry per changed field', () => {
+    const before = createTask()
+    const after = createTask({
+      status: 'in_progress',
+      endDate: day(22),
+      dependencies: [{ predecessorId: 't0', type: 'FS', lag: 0 }],
+      updatedAt: day(20)
+    })
+
+    const entries = activityLogService.record('task', before, after)
+
+    expect(entries.map(entry => [entry.field, entry.oldValue, entry.newValue])).toEqual([
+      ['status', 'pending', 'in_progress'],
+      ['endDate', '2024-01-19', '2024-01-22'],
+      // The duration follows the dates (Monday to Saturday calendar)
+      ['duration', 5, 7],
+      ['dependencies', [], ['t0']]
+    ])
+    expect(entries[0]).toMatchObject({ entityType: 'task', entityId: 't1', entityName: 'Diseño', projectId: 'p1', action: 'update' })
+    expect(activityLogService.getEntityLog('task', 't1')).toHaveLength(4)
+  })
+
+  it('should not record anything when no tracked field changes', () => {
+    const entries = activityLogService.record('task', createTask(), createTask({ updatedAt: day(20) }))
+
+    expect(entries).toEqual([])
+    expect(storage.pm_activity_log).toBeUndefined()
+  })
+
+  it('should record creations and deletions as single entries', () => {
+    const project = new Project({ id: 'p1', name: 'Web' })
+    activityLogService.record('project', null, project)
+    activityLogService.record('task', null, createTask())
+    activityLogService.record('task', createTask(), null)
+
+    const log = activityLogService.getProjectLog('p1')
+    expect(log.map(entry => [entry.entityType, entry.action])).toEqual([
+      ['task', 'delete'],
+      ['task', 'create'],
+      ['project', 'create']
+    ])
+    expect(activityLogService.getProjectLog('p1', 1)).toHaveLength(1)
+  })
+
+  it('should compare team members by name', () => {
+    const before = new Project({ id: 'p1', name: 'Web', teamMembers: [new TeamMember({ id: 'm1', name: 'Ana' })] })
+    const after = new Project({
+      id: 'p1',
+      name: 'Web',
+      teamMembers: [new TeamMember({ id: 'm1', name: 'Ana' }), new TeamMember({ id: 'm2', name: 'Luis' })]
+    })
+
+    const [entry] = activityLogService.record('project', before, after)
+
+    expect(entry).toMatchObject({ field: 'teamMembers', oldValue: ['Ana'], newValue: ['Ana', 'Luis'] })
+  })
+
+  it('should attribute changes to the selected actor', () => {
+    storage.global_users = JSON.stringify([{ id: 'u1', name: 'Ana', email: 'ana@example.com' }])
+
+    activityLogService.setActor('u1')
+    const [entry] = activityLogService.record('task', null, createTask())
+    activityLogService.setActor(null)
+    const [anonymous] = activityLogService.record('task', null, createTask({ id: 't2' }))
+
+    expect(entry.actor).toEqual({ id: 'u1', name: 'Ana' })
+    expect(anonymous.actor).toBeNull()
+  })
+
+  it('should drop the oldest entries beyond the maximum count', () => {
+    const existing = Array.from({ length: MAX_LOG_ENTRIES }, (_, index) => ({ id: `old_${index}`, projectId: 'p1' }))
+    storage.pm_activity_log = JSON.stringify(existing)
+
+    activityLogService.record('task', null, createTask())
+
+    const log = activityLogService.getEntries()
+    expect(log).toHaveLength(MAX_LOG_ENTRIES)
+    expect(log[0].id).toBe('old_1')
+    expect(log.at(-1).action).toBe('create')
+  })
+
+  it('should keep the serialized log under the size limit', () => {
+    const description = 'x'.repeat(1000)
+    const existing = Array.from({ length: 600 }, (_, index) => ({ id: `old_${index}`, projectId: 'p1', newValue: description }))
+    storage.pm_activity_log = JSON.stringify(existing)
+
+    activityLogService.record('task', null, createTask())
+
+    expect(storage.pm_activity_log.length).toBeLessThanOrEqual(MAX_LOG_SIZE)
+    expect(activityLogService.getEntries().at(-1).action).toBe('create')
+  })
+
+  it('should never make the change fail when the log cannot be written', () => {
+    window.localStorage.setItem.mockImplementation(() => {
+      throw new Error('Storage unavailable')
+    })
+
+    expect(activityLogService.record('task', null, createTask())).toEqual([])
+  })
+})
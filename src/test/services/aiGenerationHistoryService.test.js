@@ -0,0 +1,178 @@
+/**
+ * Unit tests for AIGenerationHistoryService and the aiGenerations store module
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStore } from 'vuex';
+import aiGenerationsModule from '../../store/modules/aiGenerations.js';
+import { AIGenerationHistoryService } from '../../services/aiGenerationHistoryService.js';
+import { AIService } from '../../services/aiService.js';
+import { storageService, MAX_AI_GENERATIONS } from '../../services/storageService.js';
+import { promptAnalyzer } from '../../utils/promptAnalyzer.js';
+import { mockLocalStorage } from '../utils.js';
+
+const prompt = 'Crear una web corporativa con blog';
+
+const project = (tasks, teamMembers = []) => ({ name: 'Web corporativa', estimatedDuration: 20, tasks, teamMembers });
+
+const run = (options, result) => ({
+  prompt,
+  options: { complexity: 'medium', maxTasks: 15, includeTeamMembers: true, provider: 'openai', ...options },
+  analysis: promptAnalyzer.analyzeStructure(prompt),
+  result: {
+    success: true,
+    provider: 'openai',
+    rawResponse: '{"name": "Web corporativa"}',
+    attempts: [{ provider: 'openai', success: true, time: 4200, rawResponse: '{"name": "Web corporativa"}' }],
+    ...result
+  }
+});
+
+describe('AIGenerationHistoryService', () => {
+  it('should keep the prompt, options, analysis and raw responses of a run', () => {
+    const entry = AIGenerationHistoryService.createEntry(run({ onProgress: () => {} }, {
+      project: project([{ id: 't1', title: 'Diseño', duration: 5, startDate: new Date(2024, 0, 15) }])
+    }));
+
+    expect(entry).toMatchObject({
+      prompt,
+      options: { complexity: 'medium', maxTasks: 15, includeTeamMembers: true, provider: 'openai' },
+      status: 'success',
+      provider: 'openai',
+      rawResponse: '{"name": "Web corporativa"}',
+      attempts: [{ provider: 'openai', success: true, time: 4200, error: null }]
+    });
+    expect(entry.options).not.toHaveProperty('onProgress');
+    expect(entry.analysis).toMatchObject({ isHierarchical: false, language: 'spanish' });
+    // Stored as plain JSON
+    expect(typeof entry.project.tasks[0].startDate).toBe('string');
+  });
+
+  it('should keep the errors and responses of failed providers', () => {
+    const entry = AIGenerationHistoryService.createEntry(run({}, {
+      success: false,
+      provider: null,
+      rawResponse: null,
+      errors: ['All configured AI providers failed to generate the project'],
+      attempts: [
+        { provider: 'openai', success: false, time: 900, error: 'Failed to parse AI response as JSON', rawResponse: 'Lo siento' },
+        { provider: 'gemini', success: false, time: 300, errors: ['Intento 1: quota'] }
+      ]
+    }));
+
+    expect(entry.status).toBe('failed');
+    expect(entry.project).toBeNull();
+    expect(entry.attempts.map(attempt => [attempt.error, attempt.rawResponse])).toEqual([
+      ['Failed to parse AI response as JSON', 'Lo siento'],
+      ['Intento 1: quota', null]
+    ]);
+  });
+
+  it('should compare two runs side by side', () => {
+    const left = AIGenerationHistoryService.createEntry(run({}, {
+      project: project([
+        { id: 'a', title: 'Diseño', duration: 5, subtasks: [{ id: 'a1', title: 'Maquetas', duration: 3 }] },
+        { id: 'b', title: 'Desarrollo', duration: 10 }
+      ])
+    }));
+    const right = AIGenerationHistoryService.createEntry(run({ complexity: 'detailed', maxTasks: 20 }, {
+      project: project([
+        { id: 'c', title: ' diseño ', duration: 4 },
+        { id: 'd', title: 'Blog', duration: 6 },
+        { id: 'e', title: 'Desarrollo', duration: 12 }
+      ], [{ name: 'Ana', role: 'PM' }])
+    }));
+
+    const comparison = AIGenerationHistoryService.compare(left, right);
+
+    expect(comparison.promptChanged).toBe(false);
+    expect(comparison.options.filter(row => row.changed).map(row => [row.key, row.left, row.right])).toEqual([
+      ['complexity', 'medium', 'detailed'],
+      ['maxTasks', 15, 20]
+    ]);
+    const metrics = Object.fromEntries(comparison.metrics.map(row => [row.key, [row.left, row.right]]));
+    expect(metrics).toMatchObject({
+      taskCount: [2, 3],
+      subtaskCount: [1, 0],
+      totalDuration: [15, 22],
+      teamSize: [0, 1],
+      time: [4, 4]
+    });
+    expect(comparison.tasks.left.map(task => [task.title, task.depth, task.shared])).toEqual([
+      ['Diseño', 0, true], ['Maquetas', 1, false], ['Desarrollo', 0, true]
+    ]);
+    expect(comparison.tasks.right.filter(task => !task.shared).map(task => task.title)).toEqual(['Blog']);
+  });
+});
+
+describe('AIService raw responses', () => {
+  it('should return the raw text of every provider tried', async () => {
+    const failing = {
+      isReady: () => true,
+      generateProject: vi.fn(async function () {
+        this.lastResponse = 'not json';
+        throw new Error('Failed to parse AI response as JSON');
+      })
+    };
+    const working = {
+      isReady: () => true,
+      generateProject: vi.fn(async function () {
+        this.lastResponse = '{"name": "Web"}';
+        return { name: 'Web', tasks: [] };
+      })
+    };
+    const service = new AIService();
+    service.providers = { openai: failing, gemini: working };
+    service.currentProvider = 'openai';
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await service.generateProjectWithFallback(prompt);
+
+    expect(result.rawResponse).toBe('{"name": "Web"}');
+    expect(result.attempts.map(attempt => attempt.rawResponse)).toEqual(['not json', '{"name": "Web"}']);
+  });
+});
+
+describe('aiGenerations store', () => {
+  let store;
+
+  beforeEach(() => {
+    mockLocalStorage();
+    store = createStore({
+      modules: {
+        aiGenerations: { ...aiGenerationsModule, state: () => ({ generations: [], error: null }) }
+      }
+    });
+  });
+
+  it('should persist generations newest first and drop the oldest ones', async () => {
+    for (let index = 0; index < MAX_AI_GENERATIONS + 2; index++) {
+      await store.dispatch('aiGenerations/recordGeneration', { ...run(), prompt: `Proyecto ${index}` });
+    }
+
+    const stored = storageService.getAIGenerations();
+    expect(stored).toHaveLength(MAX_AI_GENERATIONS);
+    expect(stored[0].prompt).toBe(`Proyecto ${MAX_AI_GENERATIONS + 1}`);
+
+    const reloaded = createStore({ modules: { aiGenerations: { ...aiGenerationsModule, state: () => ({ generations: [], error: null }) } } });
+    await reloaded.dispatch('aiGenerations/loadGenerations');
+    expect(reloaded.getters['aiGenerations/allGenerations'].map(generation => generation.id)).toEqual(stored.map(generation => generation.id));
+
+    await store.dispatch('aiGenerations/deleteGeneration', stored[0].id);
+    expect(storageService.getAIGenerations()[0].id).toBe(stored[1].id);
+    expect(store.getters['aiGenerations/getGenerationById'](stored[0].id)).toBeNull();
+
+    await store.dispatch('aiGenerations/clearGenerations');
+    expect(storageService.getAIGenerations()).toEqual([]);
+  });
+
+  it('should never fail the generation when the history cannot be saved', async () => {
+    vi.spyOn(storageService, 'saveAIGeneration').mockImplementation(() => {
+      throw new Error('Espacio de almacenamiento agotado');
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(store.dispatch('aiGenerations/recordGeneration', run())).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for AIRefinementService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStore } from 'vuex';
+import tasksModule from '../../store/modules/tasks.js';
+import { AIRefinementService } from '../../services/aiRefinementService.js';
+import { storageService } from '../../services/storageService.js';
+import { Project, Task } from '../../models/index.js';
+
+vi.mock('../../services/storageService.js', () => ({
+  storageService: {
+    saveTask: vi.fn(),
+    deleteTask: vi.fn()
+  }
+}));
+
+const day = (d) => new Date(2024, 0, d);
+
+const project = new Project({ id: 'p1', name: 'Web corporativa', description: 'Nueva web', startDate: day(15) });
+
+const tasks = [
+  new Task({ id: 'design', projectId: 'p1', title: 'Diseño', duration: 5, startDate: day(15), endDate: day(19) }),
+  new Task({ id: 'mockups', projectId: 'p1', parentTaskId: 'design', level: 1, title: 'Maquetas', duration: 3, startDate: day(15), endDate: day(17) }),
+  new Task({ id: 'logo', projectId: 'p1', parentTaskId: 'design', level: 1, title: 'Logo', description: 'Logo', duration: 2, status: 'completed', startDate: day(18), endDate: day(19) }),
+  new Task({ id: 'build', projectId: 'p1', title: 'Desarrollo', duration: 10, startDate: day(22), endDate: day(31) })
+];
+
+// AI whose next answer is set by each test
+const createService = (answer) => {
+  const ai = {
+    complete: vi.fn(async () => ({ content: JSON.stringify(answer), provider: 'local' }))
+  };
+  return { service: new AIRefinementService({ ai }), ai };
+};
+
+describe('AIRefinementService', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('should break the selected task into scheduled subtasks', async () => {
+    const { service, ai } = createService({
+      subtasks: [
+        { title: 'Entorno', description: 'Repositorio y CI', duration: 2 },
+        {
+          title: 'Páginas',
+          subtasks: [
+            { title: 'Inicio', duration: 3, priority: 'high' },
+            { title: 'Contacto', duration: 1, type: 'with_deliverable', deliverable: { type: 'software', description: 'Formulario' } }
+          ]
+        }
+      ]
+    });
+
+    const diff = await service.refine('expand', { project, tasks, taskId: 'build', instructions: ' Usa Vue ' });
+
+    const [messages, options] = ai.complete.mock.calls[0];
+    expect(options).toMatchObject({ json: true });
+    expect(messages[1].content).toContain('- [mockups] Maquetas (3 days, pending)');
+    expect(messages[1].content).toContain('SELECTED task: [build] Desarrollo');
+    expect(messages[1].content).toContain('Additional instructions: Usa Vue');
+
+    expect(diff.provider).toBe('local');
+    expect(diff.creates.map(task => [task.title, task.depth])).toEqual([
+      ['Entorno', 0], ['Páginas', 0], ['Inicio', 1], ['Contacto', 1]
+    ]);
+
+    const [setup, pages, home, contact] = diff.creates;
+    expect(setup.parentTaskId).toBe('build');
+    expect(home.parentTaskId).toBe(pages.id);
+    expect(contact.parentTaskId).toBe(pages.id);
+    expect(pages.duration).toBe(4);
+    expect(home.priority).toBe('high');
+    expect(contact.deliverable).toMatchObject({ type: 'software', description: 'Formulario' });
+
+    // One after another from the start of the selected task
+    expect(setup.startDate).toEqual(day(22));
+    expect(pages.startDate).toEqual(setup.endDate);
+    expect(home.startDate).toEqual(pages.startDate);
+    expect(contact.startDate).toEqual(home.endDate);
+    expect(pages.endDate).toEqual(contact.endDate);
+  });
+
+  it('should place suggested tasks under their parent or after the plan', async () => {
+    const { service } = createService({
+      tasks: [
+        { parentTaskId: 'design', title: 'Guía de estilo', duration: 2 },
+        { parentTaskId: null, title: 'Pruebas', duration: 3 },
+        { parentTaskId: 'missing', title: 'Despliegue', duration: 1 }
+      ]
+    });
+
+    const diff = await service.refine('suggest', { project, tasks });
+
+    const byTitle = Object.fromEntries(diff.creates.map(task => [task.title, task]));
+    expect(byTitle['Guía de estilo']).toMatchObject({ parentTaskId: 'design', startDate: day(15) });
+    expect(byTitle['Pruebas']).toMatchObject({ parentTaskId: null, startDate: day(31) });
+    expect(byTitle['Despliegue'].startDate).toEqual(byTitle['Pruebas'].endDate);
+    expect(diff.warnings).toEqual(['"Despliegue" se propone como tarea principal: su tarea padre no existe']);
+  });
+
+  it('should only re-estimate open tasks without subtasks', async () => {
+    const { service } = createService({
+      updates: [
+        { taskId: 'build', duration: 15, reason: 'Incluye la integración' },
+        { taskId: 'design', duration: 8 },
+        { taskId: 'logo', duration: 4 },
+        { taskId: 'mockups', duration: 3 },
+        { taskId: 'unknown', duration: 2 }
+      ]
+    });
+
+    const diff = await service.refine('reestimate', { project, tasks });
+
+    expect(diff.updates).toHaveLength(1);
+    expect(diff.updates[0]).toMatchObject({
+      taskId: 'build',
+      changes: { duration: 15 },
+      previous: { duration: 10, endDate: day(31) },
+      reason: 'Incluye la integración'
+    });
+    expect(diff.updates[0].changes.endDate.getTime()).toBeGreaterThan(day(31).getTime());
+    expect(diff.warnings).toHaveLength(2);
+  });
+
+  it('should rewrite descriptions that change', async () => {
+    const { service } = createService({
+      updates: [
+        { taskId: 'logo', description: 'Logo' },
+        { taskId: 'build', description: 'Desarrollo del front-end y del CMS' }
+      ]
+    });
+
+    const diff = await service.refine('rewrite', { project, tasks });
+
+    expect(diff.creates).toEqual([]);
+    expect(diff.updates).toEqual([{
+      taskId: 'build',
+      title: 'Desarrollo',
+      changes: { description: 'Desarrollo del front-end y del CMS' },
+      previous: { description: '' },
+      reason: ''
+    }]);
+  });
+
+  it('should require a task to expand', async () => {
+    const { service, ai } = createService({ subtasks: [] });
+
+    await expect(service.refine('expand', { project, tasks })).rejects.toThrow('Select the task');
+    await expect(service.refine('merge', { project, tasks })).rejects.toThrow('Unknown refinement action');
+    expect(ai.complete).not.toHaveBeenCalled();
+  });
+});
+
+describe('tasks/applyRefinement', () => {
+  it('should create the new tasks parents first and update the reviewed ones', async () => {
+    const store = createStore({
+      modules: {
+        tasks: { ...tasksModule, state: () => ({ ...tasksModule.state, tasks: tasks.map(task => new Task(task)), currentTask: null }) }
+      }
+    });
+
+    const { created, updated } = await store.dispatch('tasks/applyRefinement', {
+      projectId: 'p1',
+      diff: {
+        creates: [
+          { id: 'pages', parentTaskId: 'build', title: 'Páginas', duration: 4, startDate: day(22), endDate: day(25), depth: 0 },
+          { id: 'home', parentTaskId: 'pages', title: 'Inicio', duration: 4, startDate: day(22), endDate: day(25), depth: 1 }
+        ],
+        updates: [{ taskId: 'mockups', changes: { description: 'Maquetas de escritorio y móvil' } }]
+      }
+    });
+
+    expect(created.map(task => [task.id, task.projectId, task.level])).toEqual([['pages', 'p1', 1], ['home', 'p1', 2]]);
+    expect(created[1].depth).toBeUndefined();
+    expect(updated[0]).toMatchObject({ id: 'mockups', title: 'Maquetas', description: 'Maquetas de escritorio y móvil' });
+    expect(store.getters['tasks/getSubtasks']('pages').map(task => task.id)).toEqual(['home']);
+  });
+
+  it('should revert the applied changes when one of them fails', async () => {
+    const store = createStore({
+      modules: {
+        tasks: { ...tasksModule, state: () => ({ ...tasksModule.state, tasks: tasks.map(task => new Task(task)), currentTask: null }) }
+      }
+    });
+    storageService.saveTask.mockImplementation((task) => {
+      if (task.id === 'build' && task.duration === 12) throw new Error('Error al guardar la tarea');
+      return task;
+    });
+
+    await expect(store.dispatch('tasks/applyRefinement', {
+      projectId: 'p1',
+      diff: {
+        creates: [{ id: 'pages', parentTaskId: 'build', title: 'Páginas', duration: 4, startDate: day(22), endDate: day(25), depth: 0 }],
+        updates: [
+          { taskId: 'mockups', changes: { description: 'Maquetas de escritorio y móvil' } },
+          { taskId: 'build', changes: { duration: 12 } }
+        ]
+      }
+    })).rejects.toThrow('Error al guardar la tarea');
+
+    expect(store.state.tasks.tasks.map(task => task.id)).toEqual(['design', 'mockups', 'logo', 'build']);
+    expect(store.getters['tasks/getTaskById']('mockups').description).toBe('');
+    expect(store.getters['tasks/getTaskById']('build').duration).toBe(10);
+    expect(storageService.deleteTask).toHaveBeenCalledWith('pages', 'p1');
+    expect(store.state.tasks.error).toBe('Error al guardar la tarea');
+  });
+
+  it('should not write anything when a task to update does not exist', async () => {
+    const store = createStore({
+      modules: {
+        tasks: { ...tasksModule, state: () => ({ ...tasksModule.state, tasks: tasks.map(task => new Task(task)), currentTask: null }) }
+      }
+    });
+    storageService.saveTask.mockClear();
+
+    await expect(store.dispatch('tasks/applyRefinement', {
+      projectId: 'p1',
+      diff: {
+        creates: [{ id: 'pages', parentTaskId: 'build', title: 'Páginas', duration: 4, startDate: day(22), endDate: day(25), depth: 0 }],
+        updates: [{ taskId: 'missing', changes: { duration: 3 } }]
+      }
+    })).rejects.toThrow('Task not found');
+
+    expect(storageService.saveTask).not.toHaveBeenCalled();
+    expect(store.state.tasks.tasks).toHaveLength(4);
+  });
+});
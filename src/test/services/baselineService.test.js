@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { BaselineService } from '../../services/baselineService.js';
+import { Project, ProjectBaseline, Task } from '../../models/index.js';
+
+// 2024-01-15 is a Monday; working days are Monday to Saturday
+const day = (d) => new Date(2024, 0, d);
+
+const createTasks = () => [
+  new Task({ id: 'a', title: 'Diseño', startDate: day(15), endDate: day(17), duration: 3, progress: 100, status: 'completed' }),
+  new Task({ id: 'b', title: 'Desarrollo', startDate: day(18), endDate: day(20), duration: 3, progress: 50 }),
+  new Task({ id: 'c', title: 'Pruebas', startDate: day(22), endDate: day(22), duration: 1 })
+];
+
+describe('BaselineService', () => {
+  describe('workingDayOffset', () => {
+    it('should count working days in both directions', () => {
+      expect(BaselineService.workingDayOffset(day(15), day(15))).toBe(0);
+      // Sunday 21 is not counted
+      expect(BaselineService.workingDayOffset(day(19), day(22))).toBe(2);
+      expect(BaselineService.workingDayOffset(day(22), day(19))).toBe(-2);
+    });
+
+    it('should use the work calendar when given', () => {
+      const calendar = { workingDays: [1, 2, 3, 4, 5], holidays: [], exceptions: [] };
+      expect(BaselineService.workingDayOffset(day(19), day(22), calendar)).toBe(1);
+    });
+  });
+
+  describe('calculateVariance', () => {
+    it('should report task and project variances against the baseline', () => {
+      const tasks = createTasks();
+      const baseline = ProjectBaseline.fromTasks('Plan inicial', tasks);
+
+      // Development slips two working days and pushes testing
+      tasks[1].startDate = day(19);
+      tasks[1].endDate = day(22);
+      tasks[1].duration = 4;
+      tasks[2].startDate = day(23);
+      tasks[2].endDate = day(24);
+      tasks[2].duration = 2;
+      tasks.push(new Task({ id: 'd', title: 'Documentación', startDate: day(24), endDate: day(24) }));
+
+      const variance = BaselineService.calculateVariance(baseline, tasks, { today: day(19) });
+
+      expect(variance.tasks.a.finishVariance).toBe(0);
+      expect(variance.tasks.b).toMatchObject({ startVariance: 1, finishVariance: 1, durationVariance: 1, status: 'late' });
+      expect(variance.tasks.c).toMatchObject({ finishVariance: 2, durationVariance: 1 });
+      expect(variance.addedTaskIds).toEqual(['d']);
+      expect(variance.lateTasks).toBe(2);
+      expect(variance.onTrackTasks).toBe(1);
+      expect(variance.finishVariance).toBe(2);
+    });
+
+    it('should compare actual progress with the planned progress at the status date', () => {
+      const tasks = createTasks();
+      const baseline = ProjectBaseline.fromTasks('Plan inicial', tasks);
+
+      const variance = BaselineService.calculateVariance(baseline, tasks, { today: day(23) });
+
+      // Everything was planned to finish by the 23rd; a and half of b are done
+      expect(variance.plannedProgress).toBe(100);
+      expect(variance.actualProgress).toBe(64);
+      expect(variance.scheduleVariance).toBe(-36);
+    });
+
+    it('should list baseline tasks that no longer exist', () => {
+      const tasks = createTasks();
+      const baseline = ProjectBaseline.fromTasks('Plan inicial', tasks);
+
+      const variance = BaselineService.calculateVariance(baseline, tasks.slice(0, 2));
+
+      expect(variance.removedTaskIds).toEqual(['c']);
+    });
+  });
+
+  describe('project baselines', () => {
+    it('should keep baselines when a project is serialized and return the latest one', () => {
+      const tasks = createTasks();
+      const first = new ProjectBaseline({ ...ProjectBaseline.fromTasks('Plan inicial', tasks), createdAt: new Date(2024, 0, 1) });
+      const second = new ProjectBaseline({ ...ProjectBaseline.fromTasks('Replanificación', tasks), createdAt: new Date(2024, 0, 10) });
+      const project = new Project({ name: 'Proyecto', baselines: [second, first] });
+
+      const restored = Project.fromJSON(JSON.parse(JSON.stringify(project.toJSON())));
+
+      expect(restored.baselines).toHaveLength(2);
+      expect(restored.baselines[0]).toBeInstanceOf(ProjectBaseline);
+      expect(restored.getBaseline().name).toBe('Replanificación');
+      expect(restored.getBaseline(first.id).getTaskSnapshot('b').endDate).toEqual(day(20));
+    });
+  });
+});
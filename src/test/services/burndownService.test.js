@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { BurndownService } from '../../services/burndownService.js';
+import { Task } from '../../models/index.js';
+
+// 2024-01-15 is a Monday; working days are Monday to Saturday
+const day = (d, hours = 0) => new Date(2024, 0, d, hours);
+
+const createTasks = () => [
+  new Task({
+    id: 'a',
+    title: 'Diseño',
+    startDate: day(15),
+    endDate: day(16),
+    status: 'completed',
+    estimatedHours: 10,
+    timeEntries: [
+      { memberId: 'm1', date: day(15, 9), hours: 4 },
+      { memberId: 'm1', date: day(16, 9), hours: 6 }
+    ]
+  }),
+  new Task({
+    id: 'b',
+    title: 'Desarrollo',
+    startDate: day(17),
+    endDate: day(18),
+    estimatedHours: 6,
+    timeEntries: [{ memberId: 'm1', date: day(17, 9), hours: 2 }]
+  }),
+  // Parent estimates are ignored in favour of their subtasks
+  new Task({ id: 'p', title: 'Pruebas', startDate: day(18), endDate: day(18), estimatedHours: 100 }),
+  new Task({ id: 'c', title: 'Pruebas unitarias', parentTaskId: 'p', startDate: day(18), endDate: day(18), estimatedHours: 4 })
+];
+
+describe('BurndownService', () => {
+  it('should burn down estimated hours instead of calendar days', () => {
+    const burndown = BurndownService.calculateBurndown(createTasks(), {
+      startDate: day(15),
+      endDate: day(20),
+      today: day(17)
+    });
+
+    expect(burndown.totalHours).toBe(20);
+    expect(burndown.remainingHours).toBe(8);
+    expect(burndown.points).toHaveLength(6);
+    expect(burndown.points.map(point => point.remaining)).toEqual([16, 10, 8, null, null, null]);
+    expect(burndown.points[0].ideal).toBeCloseTo(16.67, 2);
+    expect(burndown.points[5].ideal).toBe(0);
+  });
+
+  it('should only plot working days of the project calendar', () => {
+    const calendar = { workingDays: [1, 2, 3, 4, 5], holidays: [{ date: '2024-01-16', name: 'Festivo' }], exceptions: [] };
+    const burndown = BurndownService.calculateBurndown(createTasks(), {
+      startDate: day(15),
+      endDate: day(20),
+      calendar,
+      today: day(20)
+    });
+
+    expect(burndown.points.map(point => point.date.getDate())).toEqual([15, 17, 18, 19]);
+    // The status date is a Saturday, so the last working day shows the current remaining hours
+    expect(burndown.points[3].remaining).toBe(8);
+  });
+
+  it('should return an empty series when no task is estimated', () => {
+    const burndown = BurndownService.calculateBurndown([
+      new Task({ id: 'x', title: 'Sin estimar', startDate: day(15), endDate: day(16) })
+    ]);
+
+    expect(burndown.totalHours).toBe(0);
+    expect(burndown.points).toEqual([]);
+  });
+});
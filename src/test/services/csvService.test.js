@@ -0,0 +1,142 @@
+/**
+ * Unit tests for CSVService
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CSVService } from '../../services/csvService.js';
+import { ProjectImportService } from '../../services/projectImportService.js';
+import { Project, Task, TeamMember } from '../../models/index.js';
+
+const byTitle = (tasks, title) => tasks.find(task => task.title === title);
+
+const createProject = () => new Project({
+  id: 'p1',
+  name: 'Web',
+  startDate: new Date(2024, 0, 15),
+  teamMembers: [new TeamMember({ id: 'm1', name: 'Ana', role: 'Diseñadora' })],
+  tasks: [
+    new Task({ id: 't1', title: 'Diseño', startDate: new Date(2024, 0, 15), endDate: new Date(2024, 0, 17), duration: 3 }),
+    new Task({
+      id: 't2', title: 'Bocetos; v1', parentTaskId: 't1', startDate: new Date(2024, 0, 15), endDate: new Date(2024, 0, 16),
+      duration: 2, assignedTo: 'm1', priority: 'high', status: 'in_progress', progress: 50, estimatedHours: 7.5
+    }),
+    new Task({
+      id: 't3', title: '=Revisión', parentTaskId: 't1', startDate: new Date(2024, 0, 17), endDate: new Date(2024, 0, 17),
+      duration: 1, dependencies: [{ predecessorId: 't2', type: 'SS', lag: 1 }]
+    }),
+    new Task({
+      id: 't4', title: 'Desarrollo', startDate: new Date(2024, 0, 18), endDate: new Date(2024, 0, 19), duration: 2,
+      dependencies: [{ predecessorId: 't1', type: 'FS', lag: 0 }]
+    })
+  ]
+});
+
+describe('CSVService', () => {
+  describe('exportTasks', () => {
+    it('should write the flattened hierarchy with WBS numbers', () => {
+      const lines = CSVService.exportTasks(createProject()).split('\r\n');
+
+      expect(lines).toHaveLength(5);
+      expect(lines[0]).toBe('EDT;Nivel;Título;Descripción;Estado;Prioridad;Fecha de inicio;Fecha de fin;Duración (días);Progreso (%);Responsable;Horas estimadas;Horas restantes;Predecesoras');
+      expect(lines[2]).toBe('1.1;2;"Bocetos; v1";;En Progreso;Alta;2024-01-15;2024-01-16;2;50;Ana;7,5;;');
+      // Formulas are neutralised for spreadsheets
+      expect(lines[3]).toContain(";'=Revisión;");
+      expect(lines[3].endsWith(';1.1SS+1')).toBe(true);
+      expect(lines[4].startsWith('2;1;Desarrollo;')).toBe(true);
+      expect(lines[4].endsWith(';1')).toBe(true);
+    });
+
+    it('should round-trip through the import mapping', () => {
+      const csv = CSVService.parseCSV(CSVService.exportTasks(createProject()));
+      const mapping = CSVService.suggestMapping(csv.headers);
+      const { project, rows } = CSVService.parseProject(csv, mapping, { name: 'Web' });
+      const design = byTitle(project.tasks, 'Diseño');
+      const sketches = byTitle(project.tasks, 'Bocetos; v1');
+      const review = byTitle(project.tasks, '=Revisión');
+
+      expect(mapping).not.toContain(null);
+      expect(rows.every(row => row.errors.length === 0)).toBe(true);
+      expect(sketches).toMatchObject({
+        parentTaskId: design.id,
+        level: 1,
+        status: 'in_progress',
+        priority: 'high',
+        progress: 50,
+        duration: 2,
+        estimatedHours: 7.5,
+        assignedTo: project.teamMembers[0].id
+      });
+      expect(review.dependencies).toEqual([{ predecessorId: sketches.id, type: 'SS', lag: 1 }]);
+      expect(byTitle(project.tasks, 'Desarrollo').dependencies).toEqual([{ predecessorId: design.id, type: 'FS', lag: 0 }]);
+      expect(project.teamMembers.map(member => member.name)).toEqual(['Ana']);
+      expect(ProjectImportService.importProject(JSON.stringify(project)).tasks).toHaveLength(4);
+    });
+  });
+
+  describe('parseCSV', () => {
+    it('should handle quotes, line breaks, the BOM and the Excel separator line', () => {
+      const csv = CSVService.parseCSV('\uFEFFsep=,\r\nTarea,Notas\r\n"Diseño, fase 1","Línea 1\nLínea ""2"""\r\n\r\nPruebas,\r\n');
+
+      expect(csv.delimiter).toBe(',');
+      expect(csv.headers).toEqual(['Tarea', 'Notas']);
+      expect(csv.rows).toEqual([['Diseño, fase 1', 'Línea 1\nLínea "2"'], ['Pruebas', '']]);
+      expect(CSVService.parseCSV('Task\tStart\nA\t2024-01-15').delimiter).toBe('\t');
+    });
+  });
+
+  describe('parseProject', () => {
+    it('should rebuild the hierarchy from a level column and derive missing values', () => {
+      const csv = CSVService.parseCSV([
+        'Nombre;Sangría;Comienzo;Fin;Duración;Predecessors;% completado',
+        'Fase;1;15/01/2024;19/01/2024;;;',
+        'Análisis;2;15/01/2024;;2;;100%',
+        'Informe;2;17/01/2024;;1;2FC+1;'
+      ].join('\n'));
+      const mapping = CSVService.suggestMapping(csv.headers);
+      const { project, rows } = CSVService.parseProject(csv, mapping);
+      const [phase, analysis, report] = project.tasks;
+
+      expect(mapping).toEqual(['title', 'level', 'startDate', 'endDate', 'duration', 'dependencies', 'progress']);
+      expect(rows.flatMap(row => row.errors)).toEqual([]);
+      expect(phase).toMatchObject({ parentTaskId: null, level: 0, duration: 5 });
+      expect(analysis).toMatchObject({ parentTaskId: phase.id, level: 1, status: 'completed' });
+      expect(new Date(analysis.endDate)).toEqual(new Date(2024, 0, 16));
+      // Predecessors refer to row positions when there is no WBS column
+      expect(report.dependencies).toEqual([{ predecessorId: analysis.id, type: 'FS', lag: 1 }]);
+      expect(project.name).toBe('Proyecto importado de CSV');
+      expect(new Date(project.startDate)).toEqual(new Date(2024, 0, 15));
+    });
+
+    it('should report row errors from task validation and the hierarchy', () => {
+      const csv = CSVService.parseCSV([
+        'EDT;Título;Fecha de inicio;Fecha de fin;Prioridad;Predecesoras',
+        '1;Fase;2024-01-15;2024-01-19;Urgente;',
+        '1.1;;2024-01-15;2024-01-16;;',
+        '2.1;Huérfana;2024-01-20;2024-01-18;;1.1x',
+        '1;Repetida;mañana;2024-01-18;;9'
+      ].join('\n'));
+      const { rows } = CSVService.parseProject(csv, CSVService.suggestMapping(csv.headers));
+
+      expect(rows.map(row => row.number)).toEqual([2, 3, 4, 5]);
+      expect(rows[0].errors).toEqual(['Prioridad de la tarea debe ser uno de: low, medium, high']);
+      expect(rows[1].errors).toEqual(['Título de la tarea es requerido']);
+      expect(rows[2].errors).toEqual([
+        'No existe la tarea padre con EDT 2',
+        'La predecesora "1.1x" no es válida; usa por ejemplo 2, 1.3FS o 1.3SS+2',
+        'Fecha de fin debe ser posterior a Fecha de inicio'
+      ]);
+      expect(rows[3].errors).toEqual([
+        'El número EDT 1 está repetido',
+        'No existe la predecesora "9"',
+        'Fecha de inicio debe ser una fecha válida'
+      ]);
+    });
+
+    it('should require a title column', () => {
+      const csv = CSVService.parseCSV('A;B\n1;2');
+
+      expect(CSVService.suggestMapping(csv.headers)).toEqual([null, null]);
+      expect(() => CSVService.parseProject(csv, [null, null])).toThrow('Asigna una columna al título de la tarea');
+    });
+  });
+});
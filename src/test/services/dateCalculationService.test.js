@@ -149,4 +149,38 @@ describe('DateCalculationService', () => {
       expect(DateCalculationService.validateDateRange(new Date(), null)).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('work calendars', () => {
+    // 2024-01-15 is a Monday
+    const calendar = {
+      workingDays: [1, 2, 3, 4, 5],
+      holidays: [{ date: '2024-01-17', name: 'Festivo local' }],
+      exceptions: [{ date: '2024-01-20', working: true, name: 'Sábado de entrega' }]
+    };
+
+    it('should use the weekday mask of the calendar', () => {
+      expect(DateCalculationService.isWorkingDay(new Date(2024, 0, 15), calendar)).toBe(true);
+      expect(DateCalculationService.isWorkingDay(new Date(2024, 0, 27), calendar)).toBe(false);
+    });
+
+    it('should skip holidays and honour exceptions', () => {
+      expect(DateCalculationService.isWorkingDay(new Date(2024, 0, 17), calendar)).toBe(false);
+      expect(DateCalculationService.isWorkingDay(new Date(2024, 0, 20), calendar)).toBe(true);
+    });
+
+    it('should count and add working days with a calendar', () => {
+      const monday = new Date(2024, 0, 15);
+      const sunday = new Date(2024, 0, 21);
+
+      // Mon, Tue, Thu, Fri and the worked Saturday
+      expect(DateCalculationService.calculateWorkingDays(monday, sunday, calendar)).toBe(5);
+      expect(DateCalculationService.addWorkingDays(monday, 2, calendar)).toEqual(new Date(2024, 0, 18));
+      expect(DateCalculationService.subtractWorkingDays(new Date(2024, 0, 18), 1, calendar)).toEqual(new Date(2024, 0, 16));
+    });
+
+    it('should keep the default Monday-Saturday rule without a calendar', () => {
+      expect(DateCalculationService.isWorkingDay(new Date(2024, 0, 20))).toBe(true);
+      expect(DateCalculationService.isWorkingDay(new Date(2024, 0, 21))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { IndexedDBAdapter } from '../../services/indexedDBAdapter.js'
+import { Project, Task, TeamMember } from '../../models/index.js'
+
+const createProject = (id, taskIds) => new Project({
+  id,
+  name: `Proyecto ${id}`,
+  teamMembers: [new TeamMember({ id: 'u1', name: 'Ana' }), new TeamMember({ id: 'u2', name: 'Luis' })],
+  tasks: taskIds.map(taskId => new Task({ id: taskId, projectId: id, title: `Tarea ${taskId}` }))
+}).toJSON()
+
+describe('IndexedDBAdapter', () => {
+  it('should split a project into project, task and member records', () => {
+    const project = createProject('p1', ['t1', 't2'])
+
+    const records = IndexedDBAdapter.splitProject(project)
+
+    expect(records.project).not.toHaveProperty('tasks')
+    expect(records.project).not.toHaveProperty('teamMembers')
+    expect(records.project.name).toBe('Proyecto p1')
+    expect(records.tasks.map(record => [record.projectId, record.sortIndex, record.data.id])).toEqual([
+      ['p1', 0, 't1'],
+      ['p1', 1, 't2']
+    ])
+    expect(records.members.map(record => record.data.name)).toEqual(['Ana', 'Luis'])
+  })
+
+  it('should rebuild the projects in their saved order', () => {
+    const projects = [createProject('p1', ['t1', 't2', 't3']), createProject('p2', ['t4'])]
+    const records = projects.map(project => IndexedDBAdapter.splitProject(project))
+
+    // Object stores return records sorted by key, not in insertion order
+    const tasks = records.flatMap(record => record.tasks).reverse()
+    const members = records.flatMap(record => record.members).reverse()
+
+    const assembled = IndexedDBAdapter.assembleProjects(
+      ['p2', 'p1'],
+      records.map(record => record.project),
+      tasks,
+      members
+    )
+
+    expect(assembled.map(project => project.id)).toEqual(['p2', 'p1'])
+    expect(assembled[1]).toEqual(projects[0])
+    // Members may share IDs across projects (global users)
+    expect(assembled[0].teamMembers.map(member => member.id)).toEqual(['u1', 'u2'])
+  })
+
+  it('should skip projects without a record', () => {
+    const record = IndexedDBAdapter.splitProject(createProject('p1', []))
+
+    const assembled = IndexedDBAdapter.assembleProjects(['p1', 'missing'], [record.project], [], [])
+
+    expect(assembled.map(project => project.id)).toEqual(['p1'])
+    expect(assembled[0].tasks).toEqual([])
+  })
+
+  it('should only be used where IndexedDB exists', () => {
+    expect(IndexedDBAdapter.isSupported()).toBe(typeof indexedDB !== 'undefined')
+  })
+})
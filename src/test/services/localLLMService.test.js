@@ -0,0 +1,180 @@
+/**
+ * Unit tests for LocalLLMService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LocalLLMService } from '../../services/localLLMService.js';
+import { AIService } from '../../services/aiService.js';
+import { aiResponseSchema } from '../../utils/aiResponseSchema.js';
+import { createLocalLLMServer } from '../utils.js';
+
+const generatedProject = {
+  name: 'Intranet',
+  description: 'Portal interno',
+  estimatedDuration: 10,
+  tasks: [
+    { title: 'Análisis', description: 'Requisitos', duration: 3, priority: 'high', type: 'simple' },
+    { title: 'Desarrollo', description: 'Portal', duration: 7, priority: 'medium', type: 'simple' }
+  ],
+  teamMembers: [{ name: 'Ana', role: 'Desarrolladora' }]
+};
+
+const createService = (server, settings = {}) => {
+  const service = new LocalLLMService({ fetch: server.fetch });
+  service.configure({ baseUrl: 'http://localhost:11434', model: 'llama3.1', ...settings });
+  return service;
+};
+
+describe('LocalLLMService', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should generate a project with an Ollama server', async () => {
+    const server = createLocalLLMServer({ replies: [generatedProject] });
+    const service = createService(server);
+
+    const project = await service.generateProject('Intranet para la empresa', { complexity: 'basic' });
+
+    expect(project.name).toBe('Intranet');
+    expect(project.tasks).toHaveLength(2);
+    expect(project.id).toMatch(/^ai_project_/);
+
+    const [request] = server.requests;
+    expect(request.path).toBe('/api/chat');
+    expect(request.body).toMatchObject({ model: 'llama3.1', stream: false, options: { num_predict: 2500 } });
+    expect(request.body.format).toEqual(aiResponseSchema.getStructuredOutput('ollama'));
+    expect(request.body.messages[0].role).toBe('system');
+  });
+
+  it('should generate a project with an OpenAI-compatible server', async () => {
+    const server = createLocalLLMServer({ apiType: 'openai', models: ['qwen2.5'], replies: [generatedProject] });
+    const service = createService(server, { baseUrl: 'http://gpu-01:8000/v1/', apiType: 'openai', model: 'qwen2.5', apiKey: 'secret' });
+
+    const project = await service.generateProject('Intranet para la empresa');
+
+    expect(project.tasks).toHaveLength(2);
+    const [request] = server.requests;
+    expect(request.path).toBe('/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(request.body).toMatchObject({ model: 'qwen2.5', response_format: { type: 'json_object' } });
+  });
+
+  it('should check that the model is available when testing the connection', async () => {
+    const server = createLocalLLMServer({ models: ['llama3.1:latest', 'mistral:7b'] });
+
+    expect((await createService(server).testConnection()).success).toBe(true);
+
+    const missing = await createService(server, { model: 'qwen2.5' }).testConnection();
+    expect(missing.success).toBe(false);
+    expect(missing.error).toContain('llama3.1:latest, mistral:7b');
+
+    server.offline = true;
+    const offline = await createService(server).testConnection();
+    expect(offline.success).toBe(false);
+    expect(offline.error).toContain('network error');
+  });
+
+  it('should retry server errors but not a missing model', async () => {
+    const server = createLocalLLMServer({ replies: [{ status: 503 }, generatedProject] });
+    const service = createService(server);
+
+    const result = await service.generateProjectSafe('Intranet', { baseDelay: 1 });
+    expect(result.success).toBe(true);
+    expect(result.retryCount).toBe(1);
+
+    server.replies.push({ status: 404, body: { error: 'model "llama3.1" not found' } });
+    const failed = await service.generateProjectSafe('Intranet', { baseDelay: 1 });
+    expect(failed.success).toBe(false);
+    expect(failed.retryHistory).toHaveLength(1);
+    expect(failed.retryHistory[0].errorCode).toBe('model_not_found');
+  });
+
+  it('should take part in the provider fallback and connection tests', async () => {
+    const server = createLocalLLMServer({ replies: [generatedProject] });
+    const aiService = new AIService();
+    aiService.providers = {
+      openai: {
+        isReady: () => true,
+        generateProjectSafe: async () => ({ success: false, errors: ['quota exceeded'] }),
+        testConnection: async () => ({ success: false, error: 'quota exceeded' })
+      },
+      local: new LocalLLMService({ fetch: server.fetch })
+    };
+    aiService.configure({ local: { baseUrl: 'http://localhost:11434' }, defaultProvider: 'openai' });
+
+    const result = await aiService.generateProjectWithFallback('Intranet');
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('local');
+    expect(result.project.generatedBy).toBe('local');
+    expect(result.attempts.map(attempt => attempt.provider)).toEqual(['openai', 'local']);
+
+    const connections = await aiService.testAllConnections();
+    expect(connections.openai.success).toBe(false);
+    expect(connections.local.success).toBe(true);
+  });
+});
+
+describe('LocalLLMService streaming', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it.each(['ollama', 'openai'])('should report the tasks while a %s server streams them', async (apiType) => {
+    const server = createLocalLLMServer({ apiType, replies: [generatedProject], chunkSize: 20 });
+    const service = createService(server, { apiType, baseUrl: apiType === 'ollama' ? 'http://localhost:11434' : 'http://localhost:8000/v1' });
+    const taskCounts = [];
+
+    const project = await service.generateProjectStream('Intranet para la empresa', {
+      onProgress: preview => taskCounts.push(preview.tasks.length)
+    });
+
+    expect(server.requests[0].body.stream).toBe(true);
+    expect(taskCounts[0]).toBe(0);
+    expect(taskCounts).toContain(1);
+    expect(taskCounts[taskCounts.length - 1]).toBe(2);
+    expect(project.tasks).toHaveLength(2);
+    expect(project.incomplete).toBeUndefined();
+  });
+
+  it('should keep the tasks received when the generation is cancelled', async () => {
+    const server = createLocalLLMServer({ replies: [generatedProject], chunkSize: 20 });
+    const service = createService(server);
+    const controller = new AbortController();
+
+    const project = await service.generateProjectStream('Intranet para la empresa', {
+      signal: controller.signal,
+      onProgress: preview => {
+        if (preview.tasks.length === 1) controller.abort();
+      }
+    });
+
+    expect(project.incomplete).toBe(true);
+    expect(project.name).toBe('Intranet');
+    expect(project.tasks.map(task => task.title)).toEqual(['Análisis']);
+  });
+
+  it('should stop the provider fallback when the generation is cancelled', async () => {
+    const server = createLocalLLMServer({ replies: [generatedProject], chunkSize: 20 });
+    const aiService = new AIService();
+    const gemini = { isReady: () => true, generateProjectSafe: vi.fn() };
+    aiService.providers = { local: createService(server), gemini };
+    aiService.setProvider('local');
+    const controller = new AbortController();
+
+    const result = await aiService.generateProjectWithFallback('Intranet', {
+      signal: controller.signal,
+      onProgress: preview => {
+        if (preview.name) controller.abort();
+      }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.cancelled).toBe(true);
+    expect(result.errors).toEqual(['local: Generation cancelled before any complete task was received']);
+    expect(gemini.generateProjectSafe).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { migrationService } from '../../services/migrationService.js'
+import { storageService } from '../../services/storageService.js'
+import { LocalStorageAdapter } from '../../services/localStorageAdapter.js'
+import { mockLocalStorage } from '../utils.js'
+
+// IndexedDB itself is not available in the test environment: every adapter
+// instance shares one in-memory database instead
+const database = vi.hoisted(() => ({ values: new Map(), failWrites: false }))
+
+vi.mock('../../services/indexedDBAdapter.js', () => ({
+  IndexedDBAdapter: class {
+    static isSupported() {
+      return true
+    }
+
+    constructor() {
+      this.name = 'indexedDB'
+      this.values = new Map()
+    }
+
+    async open() {
+      this.values = new Map(database.values)
+      return this
+    }
+
+    getItem(key) {
+      return this.values.has(key) ? this.values.get(key) : null
+    }
+
+    setItem(key, value) {
+      this.values.set(key, value)
+    }
+
+    removeItem(key) {
+      this.values.delete(key)
+    }
+
+    async flush() {
+      if (database.failWrites) throw new Error('QuotaExceededError')
+      database.values = new Map(this.values)
+    }
+
+    close() {}
+  }
+}))
+
+const projects = [{ id: 'p1', name: 'Web', tasks: [{ id: 't1' }], teamMembers: [] }]
+
+describe('MigrationService IndexedDB migration', () => {
+  let storage
+
+  beforeEach(async () => {
+    database.values = new Map()
+    database.failWrites = false
+    storage = mockLocalStorage({
+      pm_projects: JSON.stringify(projects),
+      pm_settings: JSON.stringify({ maxNestingLevel: 5 }),
+      pm_activity_log: '[]'
+    })
+    await storageService.useAdapter(new LocalStorageAdapter())
+  })
+
+  it('should copy the data to IndexedDB and free localStorage', async () => {
+    const result = await migrationService.migrateToIndexedDB()
+
+    expect(result).toMatchObject({ backend: 'indexedDB', migrated: true })
+    expect(result.migratedKeys).toEqual(['pm_projects', 'pm_templates', 'pm_settings', 'pm_user_preferences'])
+    expect(storageService.backend).toBe('indexedDB')
+    expect(storageService.getAllProjects().map(project => project.id)).toEqual(['p1'])
+    expect(storageService.getSettings().maxNestingLevel).toBe(5)
+
+    expect(storage.pm_projects).toBeUndefined()
+    expect(storage.pm_storage_backend).toBe('indexedDB')
+    // The activity log keeps its own rotation in localStorage
+    expect(storage.pm_activity_log).toBe('[]')
+  })
+
+  it('should move the AI generation history to IndexedDB', async () => {
+    const generations = [{ id: 'generation_1', prompt: 'Web corporativa', options: {}, attempts: [], project: null }]
+    storage.pm_ai_generations = JSON.stringify(generations)
+
+    const result = await migrationService.migrateToIndexedDB()
+
+    expect(result.migratedKeys).toContain('pm_ai_generations')
+    expect(storage.pm_ai_generations).toBeUndefined()
+    expect(storageService.getAIGenerations()).toEqual(generations)
+  })
+
+  it('should only copy the data once', async () => {
+    await migrationService.migrateToIndexedDB()
+    await storageService.useAdapter(new LocalStorageAdapter())
+    storage.pm_projects = JSON.stringify([])
+
+    const result = await migrationService.migrateToIndexedDB()
+
+    expect(result.migrated).toBe(false)
+    expect(storageService.getAllProjects().map(project => project.id)).toEqual(['p1'])
+  })
+
+  it('should keep localStorage when the copy cannot be written', async () => {
+    database.failWrites = true
+
+    const result = await migrationService.migrateToIndexedDB()
+
+    expect(result).toMatchObject({ backend: 'localStorage', migrated: false, error: 'QuotaExceededError' })
+    expect(storageService.backend).toBe('localStorage')
+    expect(JSON.parse(storage.pm_projects)).toEqual(projects)
+    expect(storage.pm_storage_backend).toBeUndefined()
+  })
+})
@@ -0,0 +1,258 @@
+/**
+ * Unit tests for MSProjectService
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MSProjectService } from '../../services/msProjectService.js';
+import { ProjectImportService } from '../../services/projectImportService.js';
+import { Project, Task, TeamMember, WorkCalendar, ProjectBaseline } from '../../models/index.js';
+
+const SAMPLE_MSPDI = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Project xmlns="http://schemas.microsoft.com/project">
+  <Name>reforma.xml</Name>
+  <Title>Reforma oficina</Title>
+  <StartDate>2024-01-15T08:00:00</StartDate>
+  <FinishDate>2024-01-19T17:00:00</FinishDate>
+  <CalendarUID>1</CalendarUID>
+  <MinutesPerDay>480</MinutesPerDay>
+  <Calendars>
+    <Calendar>
+      <UID>1</UID>
+      <Name>Estándar</Name>
+      <IsBaseCalendar>1</IsBaseCalendar>
+      <WeekDays>
+        <WeekDay><DayType>1</DayType><DayWorking>0</DayWorking></WeekDay>
+        <WeekDay><DayType>2</DayType><DayWorking>1</DayWorking></WeekDay>
+        <WeekDay><DayType>3</DayType><DayWorking>1</DayWorking></WeekDay>
+        <WeekDay><DayType>4</DayType><DayWorking>1</DayWorking></WeekDay>
+        <WeekDay><DayType>5</DayType><DayWorking>1</DayWorking></WeekDay>
+        <WeekDay><DayType>6</DayType><DayWorking>1</DayWorking></WeekDay>
+        <WeekDay><DayType>7</DayType><DayWorking>0</DayWorking></WeekDay>
+      </WeekDays>
+      <Exceptions>
+        <Exception>
+          <TimePeriod><FromDate>2024-01-01T00:00:00</FromDate><ToDate>2024-01-01T23:59:00</ToDate></TimePeriod>
+          <Name>Año Nuevo</Name>
+          <Type>1</Type>
+          <DayWorking>0</DayWorking>
+        </Exception>
+        <Exception>
+          <TimePeriod><FromDate>2024-12-25T00:00:00</FromDate><ToDate>2034-12-25T23:59:00</ToDate></TimePeriod>
+          <Name>Navidad</Name>
+          <Type>7</Type>
+          <DayWorking>0</DayWorking>
+        </Exception>
+      </Exceptions>
+    </Calendar>
+    <Calendar>
+      <UID>2</UID>
+      <Name>Ana</Name>
+      <IsBaseCalendar>0</IsBaseCalendar>
+      <BaseCalendarUID>1</BaseCalendarUID>
+      <Exceptions>
+        <Exception>
+          <TimePeriod><FromDate>2024-01-17T00:00:00</FromDate><ToDate>2024-01-18T23:59:00</ToDate></TimePeriod>
+          <Name>Vacaciones</Name>
+          <Type>1</Type>
+          <DayWorking>0</DayWorking>
+        </Exception>
+      </Exceptions>
+    </Calendar>
+  </Calendars>
+  <Tasks>
+    <Task><UID>0</UID><ID>0</ID><Name>Reforma</Name><OutlineLevel>0</OutlineLevel><Summary>1</Summary></Task>
+    <Task>
+      <UID>1</UID><ID>1</ID><Name>Obra</Name><OutlineLevel>1</OutlineLevel><Summary>1</Summary>
+      <Start>2024-01-15T08:00:00</Start><Finish>2024-01-19T17:00:00</Finish><Duration>PT40H0M0S</Duration>
+      <Work>PT56H0M0S</Work>
+    </Task>
+    <Task>
+      <UID>2</UID><ID>2</ID><Name>Demolición</Name><OutlineLevel>2</OutlineLevel>
+      <Start>2024-01-15T08:00:00</Start><Finish>2024-01-16T17:00:00</Finish><Duration>PT16H0M0S</Duration>
+      <Work>PT16H0M0S</Work><RemainingWork>PT4H0M0S</RemainingWork><PercentComplete>75</PercentComplete>
+      <Priority>800</Priority><Notes>Retirar tabiques</Notes>
+      <Baseline><Number>0</Number><Start>2024-01-15T08:00:00</Start><Finish>2024-01-15T17:00:00</Finish><Duration>PT8H0M0S</Duration></Baseline>
+    </Task>
+    <Task>
+      <UID>3</UID><ID>3</ID><Name>Pintura</Name><OutlineLevel>2</OutlineLevel>
+      <Start>2024-01-18T08:00:00</Start><Finish>2024-01-19T17:00:00</Finish><Duration>PT16H0M0S</Duration>
+      <Work>PT40H0M0S</Work><ConstraintType>7</ConstraintType>
+      <PredecessorLink><PredecessorUID>2</PredecessorUID><Type>1</Type><LinkLag>4800</LinkLag><LagFormat>7</LagFormat></PredecessorLink>
+      <PredecessorLink><PredecessorUID>99</PredecessorUID><Type>1</Type><CrossProject>1</CrossProject></PredecessorLink>
+    </Task>
+    <Task>
+      <UID>4</UID><ID>4</ID><Name>Entrega</Name><OutlineLevel>1</OutlineLevel><Milestone>1</Milestone>
+      <Start>2024-01-19T17:00:00</Start><Finish>2024-01-19T17:00:00</Finish><Duration>PT0H0M0S</Duration>
+      <ConstraintType>2</ConstraintType><Active>1</Active>
+      <PredecessorLink><PredecessorUID>1</PredecessorUID><Type>0</Type></PredecessorLink>
+    </Task>
+  </Tasks>
+  <Resources>
+    <Resource><UID>0</UID><ID>0</ID></Resource>
+    <Resource>
+      <UID>1</UID><ID>1</ID><Name>Ana</Name><Type>1</Type><EmailAddress>ana@example.com</EmailAddress>
+      <Group>Albañil</Group><MaxUnits>0.50</MaxUnits><CalendarUID>2</CalendarUID>
+    </Resource>
+    <Resource><UID>2</UID><ID>2</ID><Name>Luis</Name><Type>1</Type><MaxUnits>1.00</MaxUnits></Resource>
+    <Resource><UID>3</UID><ID>3</ID><Name>Pintura plástica</Name><Type>0</Type></Resource>
+  </Resources>
+  <Assignments>
+    <Assignment><UID>1</UID><TaskUID>2</TaskUID><ResourceUID>1</ResourceUID><Units>1</Units></Assignment>
+    <Assignment><UID>2</UID><TaskUID>3</TaskUID><ResourceUID>2</ResourceUID><Units>1</Units></Assignment>
+    <Assignment><UID>3</UID><TaskUID>3</TaskUID><ResourceUID>1</ResourceUID><Units>0.5</Units></Assignment>
+    <Assignment><UID>4</UID><TaskUID>4</TaskUID><ResourceUID>-65535</ResourceUID><Units>1</Units></Assignment>
+  </Assignments>
+</Project>`;
+
+const byTitle = (tasks, title) => tasks.find(task => task.title === title);
+const reasonsFor = (report, name) => report.filter(item => item.name.includes(name)).map(item => item.reason);
+
+describe('MSProjectService', () => {
+  describe('isMSProjectXml', () => {
+    it('should recognise MSPDI documents only', () => {
+      expect(MSProjectService.isMSProjectXml(SAMPLE_MSPDI)).toBe(true);
+      expect(MSProjectService.isMSProjectXml('{"name": "Proyecto"}')).toBe(false);
+      expect(MSProjectService.isMSProjectXml('<Project><Name>x</Name></Project>')).toBe(false);
+    });
+
+    it('should reject documents that are not MSPDI', () => {
+      expect(() => MSProjectService.parseProject('{}')).toThrow('El archivo no es un XML de Microsoft Project (MSPDI)');
+    });
+  });
+
+  describe('parseProject', () => {
+    it('should map tasks, outline levels, effort and predecessors', () => {
+      const { project } = MSProjectService.parseProject(SAMPLE_MSPDI);
+      const obra = byTitle(project.tasks, 'Obra');
+      const demolicion = byTitle(project.tasks, 'Demolición');
+      const pintura = byTitle(project.tasks, 'Pintura');
+      const entrega = byTitle(project.tasks, 'Entrega');
+
+      expect(project.name).toBe('Reforma oficina');
+      expect(project.tasks).toHaveLength(4);
+
+      expect(obra).toMatchObject({ parentTaskId: null, level: 0, duration: 5, estimatedHours: null });
+      expect(demolicion).toMatchObject({
+        parentTaskId: obra.id,
+        level: 1,
+        duration: 2,
+        status: 'in_progress',
+        progress: 75,
+        priority: 'high',
+        description: 'Retirar tabiques',
+        estimatedHours: 16,
+        remainingHours: 4
+      });
+      expect(new Date(demolicion.startDate)).toEqual(new Date(2024, 0, 15));
+      expect(new Date(demolicion.endDate)).toEqual(new Date(2024, 0, 16));
+
+      // 4800 tenths of a minute are one working day of 480 minutes
+      expect(pintura.dependencies).toEqual([{ predecessorId: demolicion.id, type: 'FS', lag: 1 }]);
+      expect(entrega.dependencies).toEqual([{ predecessorId: obra.id, type: 'FF', lag: 0 }]);
+      expect(entrega).toMatchObject({ duration: 1, fixedDates: true, parentTaskId: null });
+    });
+
+    it('should map work resources, assignments and the project calendar', () => {
+      const { project } = MSProjectService.parseProject(SAMPLE_MSPDI);
+      const [ana, luis] = project.teamMembers;
+
+      expect(project.teamMembers).toHaveLength(2);
+      expect(ana).toMatchObject({ name: 'Ana', email: 'ana@example.com', role: 'Albañil', hoursPerDay: 4 });
+      expect(ana.daysOff).toEqual([
+        { date: '2024-01-17', reason: 'Vacaciones' },
+        { date: '2024-01-18', reason: 'Vacaciones' }
+      ]);
+      expect(luis).toMatchObject({ role: 'Colaborador', hoursPerDay: 8 });
+
+      expect(byTitle(project.tasks, 'Demolición').assignedTo).toBe(ana.id);
+      expect(byTitle(project.tasks, 'Pintura').assignedTo).toBe(luis.id);
+      expect(byTitle(project.tasks, 'Entrega').assignedTo).toBeNull();
+
+      expect(project.calendar).toEqual({
+        workingDays: [1, 2, 3, 4, 5],
+        holidays: [{ date: '2024-01-01', name: 'Año Nuevo' }],
+        exceptions: []
+      });
+      expect(project.baselines).toHaveLength(1);
+      expect(project.baselines[0].tasks).toHaveLength(1);
+    });
+
+    it('should report what could not be mapped', () => {
+      const { report } = MSProjectService.parseProject(SAMPLE_MSPDI);
+
+      expect(reasonsFor(report, 'Pintura plástica')).toEqual(['Solo se importan recursos de trabajo; los de material y costo se omiten']);
+      expect(reasonsFor(report, 'Navidad')).toEqual(['Las excepciones periódicas (semanales, mensuales o anuales) no se importan']);
+      expect(reasonsFor(report, 'Entrega')).toEqual(['Hito importado como tarea de un día']);
+      expect(reasonsFor(report, 'Pintura')).toEqual(expect.arrayContaining([
+        'La restricción "No finalizar después del" no se importa',
+        'La predecesora 99 no pertenece al proyecto importado',
+        'Solo se admite un responsable por tarea; no se asignó a Ana'
+      ]));
+    });
+
+    it('should produce data accepted by ProjectImportService', () => {
+      const { project: data } = MSProjectService.parseProject(SAMPLE_MSPDI);
+      const project = ProjectImportService.importProject(JSON.stringify(data));
+
+      expect(project).toBeInstanceOf(Project);
+      expect(project.tasks).toHaveLength(4);
+      expect(project.teamMembers[0].hoursPerDay).toBe(4);
+      expect(project.teamMembers[0].isDayOff(new Date(2024, 0, 17))).toBe(true);
+      expect(project.calendar.holidays).toEqual([{ date: '2024-01-01', name: 'Año Nuevo' }]);
+    });
+  });
+
+  describe('exportProject', () => {
+    const createProject = () => {
+      const ana = new TeamMember({ id: 'm1', name: 'Ana <Jefa>', email: 'ana@example.com', role: 'Analista', hoursPerDay: 6, daysOff: [{ date: '2024-01-17', reason: 'Médico' }] });
+      const phase = new Task({ id: 't1', title: 'Fase & análisis', startDate: new Date(2024, 0, 15), endDate: new Date(2024, 0, 17), duration: 3 });
+      const interviews = new Task({
+        id: 't2', title: 'Entrevistas', parentTaskId: 't1', startDate: new Date(2024, 0, 15), endDate: new Date(2024, 0, 16),
+        duration: 2, estimatedHours: 12, priority: 'high', assignedTo: 'm1', status: 'in_progress', progress: 50
+      });
+      const report = new Task({
+        id: 't3', title: 'Informe', parentTaskId: 't1', startDate: new Date(2024, 0, 17), endDate: new Date(2024, 0, 17),
+        duration: 1, fixedDates: true, status: 'cancelled', dependencies: [{ predecessorId: 't2', type: 'SS', lag: 1 }],
+        deliverable: { type: 'file', description: 'PDF', dueDate: new Date(2024, 0, 17) }
+      });
+
+      return new Project({
+        id: 'p1',
+        name: 'Consultoría',
+        startDate: new Date(2024, 0, 15),
+        teamMembers: [ana],
+        tasks: [report, phase, interviews],
+        calendar: new WorkCalendar({ workingDays: [1, 2, 3, 4, 5], holidays: [{ date: '2024-01-01', name: 'Año Nuevo' }] }),
+        baselines: [ProjectBaseline.fromTasks('Inicial', [phase, interviews, report])]
+      });
+    };
+
+    it('should write a well-formed MSPDI document with escaped text', () => {
+      const { xml } = MSProjectService.exportProject(createProject());
+
+      expect(xml).toContain('<Project xmlns="http://schemas.microsoft.com/project">');
+      expect(xml).toContain('<Name>Fase &amp; análisis</Name>');
+      expect(xml).toContain('<Name>Ana &lt;Jefa&gt;</Name>');
+      expect(new DOMParser().parseFromString(xml, 'application/xml').getElementsByTagName('parsererror')).toHaveLength(0);
+    });
+
+    it('should round-trip through parseProject', () => {
+      const { xml, report } = MSProjectService.exportProject(createProject());
+      const { project } = MSProjectService.parseProject(xml);
+      const phase = byTitle(project.tasks, 'Fase & análisis');
+      const interviews = byTitle(project.tasks, 'Entrevistas');
+      const finalReport = byTitle(project.tasks, 'Informe');
+
+      expect(project.tasks.map(task => task.title)).toEqual(['Fase & análisis', 'Entrevistas', 'Informe']);
+      expect(interviews).toMatchObject({ parentTaskId: phase.id, level: 1, duration: 2, estimatedHours: 12, priority: 'high', progress: 50 });
+      expect(interviews.assignedTo).toBe(project.teamMembers[0].id);
+      expect(finalReport).toMatchObject({ status: 'cancelled', fixedDates: true });
+      expect(finalReport.dependencies).toEqual([{ predecessorId: interviews.id, type: 'SS', lag: 1 }]);
+      expect(project.teamMembers[0]).toMatchObject({ name: 'Ana <Jefa>', hoursPerDay: 6, daysOff: [{ date: '2024-01-17', reason: 'Médico' }] });
+      expect(project.calendar.workingDays).toEqual([1, 2, 3, 4, 5]);
+      expect(project.baselines[0].tasks).toHaveLength(3);
+
+      expect(report).toEqual([{ element: 'Tarea', name: 'Informe', reason: 'El entregable no se exporta' }]);
+    });
+  });
+});
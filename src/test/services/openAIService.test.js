@@ -4,6 +4,8 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { OpenAIService } from '../../services/openAIService.js';
+import { aiResponseSchema } from '../../utils/aiResponseSchema.js';
+import { AI_CONFIG } from '../../config/aiConfig.js';
 
 // Mock OpenAI
 vi.mock('openai', () => {
@@ -157,6 +159,33 @@ describe('OpenAIService', () => {
       expect(result.id).toMatch(/^ai_project_/);
     });
 
+    it('should request the project schema from models with structured outputs', async () => {
+      const content = JSON.stringify({
+        name: 'Test Project',
+        description: 'A test project',
+        estimatedDuration: 5,
+        tasks: [{ title: 'Task 1', description: 'First task', duration: 5, priority: null, type: null, deliverable: null, subtasks: null }],
+        teamMembers: null
+      });
+      mockOpenAI.chat.completions.create.mockResolvedValue({ choices: [{ message: { content } }] });
+
+      await service.generateProject('Create a test project');
+      expect(mockOpenAI.chat.completions.create.mock.calls[0][0].response_format).toEqual({ type: 'json_object' });
+
+      const defaultModel = AI_CONFIG.openai.model;
+      AI_CONFIG.openai.model = 'gpt-4o-mini';
+      try {
+        const result = await service.generateProject('Create a test project');
+        expect(result.tasks[0].priority).toBe('medium');
+      } finally {
+        AI_CONFIG.openai.model = defaultModel;
+      }
+
+      const { response_format: responseFormat } = mockOpenAI.chat.completions.create.mock.calls[1][0];
+      expect(responseFormat).toMatchObject({ type: 'json_schema', json_schema: { name: 'generated_project', strict: true } });
+      expect(responseFormat.json_schema.schema.properties.tasks.items.required).toContain('subtasks');
+    });
+
     it('should handle OpenAI API errors', async () => {
       const apiError = new Error('API Error');
       apiError.code = 'rate_limit_exceeded';
@@ -183,6 +212,42 @@ describe('OpenAIService', () => {
       await expect(service.generateProject('test prompt'))
         .rejects.toThrow('Invalid OpenAI API key');
     });
+
+    it('should stream the generation and report the tasks as they arrive', async () => {
+      const content = JSON.stringify({
+        name: 'Streamed Project',
+        estimatedDuration: 4,
+        tasks: [
+          { title: 'Task 1', duration: 1, priority: 'high', type: 'simple' },
+          { title: 'Task 2', duration: 3, priority: 'low', type: 'simple' }
+        ]
+      });
+      mockOpenAI.chat.completions.create.mockResolvedValue((async function* () {
+        for (let i = 0; i < content.length; i += 25) {
+          yield { choices: [{ delta: { content: content.slice(i, i + 25) } }] };
+        }
+      })());
+
+      const previews = [];
+      const result = await service.generateProjectStream('Create a test project', {
+        onProgress: preview => previews.push(preview.tasks.map(task => task.title))
+      });
+
+      expect(mockOpenAI.chat.completions.create.mock.calls[0][0].stream).toBe(true);
+      expect(previews).toContainEqual(['Task 1']);
+      expect(previews[previews.length - 1]).toEqual(['Task 1', 'Task 2']);
+      expect(result.name).toBe('Streamed Project');
+      expect(result.tasks).toHaveLength(2);
+    });
+
+    it('should map API errors of a streamed generation', async () => {
+      const quotaError = new Error('Quota exceeded');
+      quotaError.code = 'insufficient_quota';
+      mockOpenAI.chat.completions.create.mockRejectedValue(quotaError);
+
+      await expect(service.generateProjectStream('test prompt'))
+        .rejects.toThrow('OpenAI API quota exceeded');
+    });
   });
 
   describe('AI Response Processing', () => {
@@ -254,7 +319,7 @@ describe('OpenAIService', () => {
       const result = service.validateGeneratedProject(invalidProject);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Project must have a valid name');
+      expect(result.errors).toContain('$.name: is required');
     });
 
     it('should reject project without tasks', () => {
@@ -266,7 +331,7 @@ describe('OpenAIService', () => {
       const result = service.validateGeneratedProject(invalidProject);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Project must have a tasks array');
+      expect(result.errors).toContain('$.tasks: is required');
     });
 
     it('should reject project with empty tasks array', () => {
@@ -279,7 +344,7 @@ describe('OpenAIService', () => {
       const result = service.validateGeneratedProject(invalidProject);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Project must have at least one task');
+      expect(result.errors).toContain('$.tasks: must have at least 1 item');
     });
 
     it('should validate task structure', () => {
@@ -295,8 +360,8 @@ describe('OpenAIService', () => {
       const result = service.validateGeneratedProject(projectWithInvalidTask);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors.some(error => error.includes('must have a valid title'))).toBe(true);
-      expect(result.errors.some(error => error.includes('must have a valid duration'))).toBe(true);
+      expect(result.errors).toContain('$.tasks[0].title: is required');
+      expect(result.errors).toContain('$.tasks[0].duration: is required');
     });
 
     it('should warn about invalid task priorities', () => {
@@ -314,7 +379,8 @@ describe('OpenAIService', () => {
 
       const result = service.validateGeneratedProject(projectWithInvalidPriority);
 
-      expect(result.warnings.some(warning => warning.includes('invalid priority'))).toBe(true);
+      expect(result.warnings).toContain('$.tasks[0].priority: must be one of low, medium, high (got "invalid_priority")');
+      expect(result.isValid).toBe(true);
     });
   });
 
@@ -328,7 +394,7 @@ describe('OpenAIService', () => {
         type: 'simple'
       };
 
-      const result = service.validateGeneratedTask(validTask, 0);
+      const result = aiResponseSchema.validateTask(validTask);
 
       expect(result.isValid).toBe(true);
       expect(result.errors).toHaveLength(0);
@@ -347,7 +413,7 @@ describe('OpenAIService', () => {
         }
       };
 
-      const result = service.validateGeneratedTask(taskWithDeliverable, 0);
+      const result = aiResponseSchema.validateTask(taskWithDeliverable);
 
       expect(result.isValid).toBe(true);
       expect(result.errors).toHaveLength(0);
@@ -373,10 +439,10 @@ describe('OpenAIService', () => {
         }]
       };
 
-      const result = service.validateGeneratedTask(taskWithSubtasks, 0);
+      const result = aiResponseSchema.validateTask(taskWithSubtasks);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors.some(error => error.includes('0.1') && error.includes('title'))).toBe(true);
+      expect(result.errors).toEqual(['$.subtasks[1].title: is required']);
     });
   });
 
@@ -432,6 +498,24 @@ describe('OpenAIService', () => {
       expect(enhanced[0].subtasks[0].parentTaskId).toBe(enhanced[0].id);
     });
 
+    it('should fill effort estimates and roll them up to parents', () => {
+      const tasksData = [{
+        title: 'Parent Task',
+        duration: 10,
+        subtasks: [
+          { title: 'Kick-off meeting', duration: 3, estimatedHours: 2 },
+          { title: 'Unestimated subtask', duration: 2 }
+        ]
+      }];
+
+      const enhanced = service.enhanceTasksData(tasksData, 'project_123');
+
+      expect(enhanced[0].subtasks[0].estimatedHours).toBe(2);
+      // Missing estimates fall back to a full working day per day of duration
+      expect(enhanced[0].subtasks[1].estimatedHours).toBe(16);
+      expect(enhanced[0].estimatedHours).toBe(18);
+    });
+
     it('should create hierarchical tasks with proper metadata', () => {
       const tasksData = [{
         title: 'INTRANET Module',
@@ -4,7 +4,8 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import { ProjectImportService } from '../../services/projectImportService.js';
-import { Project, Task, TeamMember, Deliverable } from '../../models/index.js';
+import { ProjectExportService } from '../../services/projectExportService.js';
+import { Project, Task, TeamMember, Deliverable, TaskDependency } from '../../models/index.js';
 
 describe('ProjectImportService', () => {
   let validProjectJSON;
@@ -535,6 +536,83 @@ describe('ProjectImportService', () => {
       expect(task.subtasks[0]).toBeInstanceOf(Task);
       expect(task.subtasks[0].title).toBe('Subtask 1');
     });
+
+    it('should restore dependencies and drop malformed links', () => {
+      const taskWithDependencies = {
+        ...validProjectData.tasks[0],
+        dependencies: [
+          { predecessorId: 'task-0', type: 'SS', lag: 2 },
+          { predecessorId: 'task-x', type: 'XX' },
+          { type: 'FS' }
+        ]
+      };
+
+      const task = ProjectImportService.createTaskFromData(taskWithDependencies, validProjectData.id);
+
+      expect(task.dependencies).toHaveLength(2);
+      expect(task.dependencies[0]).toBeInstanceOf(TaskDependency);
+      expect(task.dependencies[0].toJSON()).toEqual({ predecessorId: 'task-0', type: 'SS', lag: 2 });
+      expect(task.dependencies[1].type).toBe('FS');
+    });
+
+    it('should round-trip dependencies through export and import', () => {
+      const predecessor = new Task({ id: 'task-a', projectId: 'p1', title: 'A', startDate: new Date('2024-01-01'), endDate: new Date('2024-01-03') });
+      const successor = new Task({
+        id: 'task-b',
+        projectId: 'p1',
+        title: 'B',
+        startDate: new Date('2024-01-04'),
+        endDate: new Date('2024-01-06'),
+        dependencies: [{ predecessorId: 'task-a', type: 'FF', lag: -1 }]
+      });
+      const project = new Project({ id: 'p1', name: 'Deps', tasks: [predecessor, successor] });
+
+      const imported = ProjectImportService.importProject(ProjectExportService.exportProject(project));
+      const importedSuccessor = imported.tasks.find(t => t.id === 'task-b');
+
+      expect(importedSuccessor.dependencies.map(dep => dep.toJSON())).toEqual([
+        { predecessorId: 'task-a', type: 'FF', lag: -1 }
+      ]);
+    });
+  });
+
+  describe('time tracking round trip', () => {
+    it('should keep the logged hours and the running timer through export and import', () => {
+      const task = new Task({
+        id: 'task-a',
+        projectId: 'p1',
+        title: 'A',
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2024-01-03'),
+        estimatedHours: 16,
+        timeEntries: [
+          { id: 'time-1', memberId: 'member-1', date: new Date('2024-01-01'), hours: 3.5, note: 'Maquetas' },
+          { id: 'time-2', memberId: 'member-1', date: new Date('2024-01-02'), hours: 2, source: 'timer' }
+        ],
+        activeTimer: { memberId: 'member-1', startedAt: new Date('2024-01-03T09:00:00.000Z') }
+      });
+      const project = new Project({ id: 'p1', name: 'Horas', tasks: [task] });
+
+      const imported = ProjectImportService.importProject(ProjectExportService.exportProject(project));
+      const importedTask = imported.tasks[0];
+
+      expect(importedTask.getLoggedHours()).toBe(5.5);
+      expect(importedTask.timeEntries.map(entry => entry.toJSON())).toEqual(task.timeEntries.map(entry => entry.toJSON()));
+      expect(importedTask.activeTimer).toEqual(task.activeTimer);
+    });
+
+    it('should drop time entries without a valid date', () => {
+      const taskData = {
+        ...validProjectData.tasks[0],
+        timeEntries: [{ id: 'time-1', date: '2024-01-02T00:00:00.000Z', hours: 1 }, { id: 'time-2', date: 'not a date', hours: 4 }, null],
+        activeTimer: { memberId: 'member-1', startedAt: 'not a date' }
+      };
+
+      const task = ProjectImportService.createTaskFromData(taskData, validProjectData.id);
+
+      expect(task.timeEntries.map(entry => entry.id)).toEqual(['time-1']);
+      expect(task.activeTimer).toBeNull();
+    });
   });
 
   describe('adjustImportedProjectDates', () => {
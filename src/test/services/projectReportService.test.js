@@ -0,0 +1,115 @@
+/**
+ * Unit tests for ProjectReportService
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ProjectReportService } from '../../services/projectReportService.js';
+import { Project, Task, TeamMember } from '../../models/index.js';
+
+// 2024-01-15 is a Monday
+const day = (d) => new Date(2024, 0, d);
+
+const createProject = () => new Project({
+  id: 'p1',
+  name: 'Web <corporativa>',
+  teamMembers: [
+    new TeamMember({ id: 'm1', name: 'Ana', role: 'Diseño' }),
+    new TeamMember({ id: 'm2', name: 'Luis' })
+  ]
+});
+
+const createTasks = () => [
+  new Task({ id: 't1', projectId: 'p1', title: 'Diseño', startDate: day(15), endDate: day(19), duration: 5, status: 'in_progress', assignedTo: 'm1' }),
+  new Task({ id: 't2', projectId: 'p1', parentTaskId: 't1', title: 'Bocetos', startDate: day(15), endDate: day(16), duration: 2, status: 'completed', progress: 100, assignedTo: 'm1', estimatedHours: 12 }),
+  new Task({
+    id: 't3', projectId: 'p1', parentTaskId: 't1', title: 'Maqueta', startDate: day(17), endDate: day(19), duration: 3, progress: 50,
+    dependencies: [{ predecessorId: 't2', type: 'FS', lag: 0 }]
+  }),
+  new Task({ id: 't4', projectId: 'p1', title: 'Publicación', startDate: day(22), endDate: day(22), duration: 1, priority: 'high' })
+];
+
+const countPages = (html) => (html.match(/<section class="page /g) || []).length;
+
+describe('ProjectReportService', () => {
+  describe('generateReport', () => {
+    it('should render every section on numbered pages with headers and footers', () => {
+      const html = ProjectReportService.generateReport(createProject(), createTasks(), { generatedAt: day(20) });
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('@page { size: A4 landscape; margin: 0; }');
+      expect(countPages(html)).toBe(4);
+      expect(html).toContain('Página 1 de 4');
+      expect(html).toContain('Página 4 de 4');
+      expect(html).toContain('<span>Resumen del proyecto</span>');
+      expect(html).toContain('<span>Asignaciones del equipo</span>');
+      // Offline: no external stylesheets, scripts or images
+      expect(html).not.toMatch(/<(link|script|img)\b/);
+    });
+
+    it('should escape project content', () => {
+      const html = ProjectReportService.generateReport(createProject(), createTasks(), { sections: ['summary'] });
+
+      expect(html).toContain('Web &lt;corporativa&gt;');
+      expect(html).not.toContain('<corporativa>');
+    });
+
+    it('should list tasks in WBS order and summarise team assignments', () => {
+      const html = ProjectReportService.generateReport(createProject(), createTasks(), { sections: ['tasks', 'team'] });
+      const rows = html.match(/<tr[^>]*><td>[\d.]+<\/td>/g);
+
+      expect(rows.map(row => row.match(/<td>([\d.]+)</)[1])).toEqual(['1', '1.1', '1.2', '2']);
+      expect(html).toContain('<tr class="summary-row"><td>1</td>');
+      expect(html).toContain('<td>Ana</td><td>Diseño</td><td>2</td><td>1</td><td>1</td><td>12 h</td>');
+      expect(html).toContain('<td><em>Sin asignar</em></td><td></td><td>2</td>');
+    });
+
+    it('should paginate long task lists and fit the Gantt to the page width', () => {
+      const tasks = Array.from({ length: 60 }, (_, index) => new Task({
+        id: `t${index}`, projectId: 'p1', title: `Tarea ${index}`, startDate: day(1), endDate: new Date(2024, 5, 28)
+      }));
+
+      const landscape = ProjectReportService.generateReport(createProject(), tasks, { sections: ['tasks'] });
+      const portrait = ProjectReportService.generateReport(createProject(), tasks, { sections: ['tasks'], orientation: 'portrait' });
+      // 22 rows per A4 landscape page and 34 per portrait page
+      expect(countPages(landscape)).toBe(3);
+      expect(countPages(portrait)).toBe(2);
+
+      const gantt = ProjectReportService.generateReport(createProject(), tasks, { sections: ['gantt'], zoomLevel: 'days' });
+      const [, width, , viewWidth] = gantt.match(/width="(\d+)" height="(\d+)" viewBox="0 0 (\d+) (\d+)"/).slice(0, 4);
+      // A4 landscape leaves 273mm (about 1032px) for the content
+      expect(Number(width)).toBeLessThanOrEqual(1032);
+      expect(Number(viewWidth)).toBeGreaterThan(Number(width));
+    });
+
+    it('should reject unknown zoom levels and page sizes', () => {
+      expect(() => ProjectReportService.generateReport(createProject(), [], { zoomLevel: 'hours' }))
+        .toThrow('Unsupported zoom level: hours');
+      expect(() => ProjectReportService.generateReport(createProject(), [], { pageSize: 'B5' }))
+        .toThrow('Unsupported page size: B5');
+    });
+  });
+
+  describe('generateGanttSVG', () => {
+    it('should scale the timeline with the zoom level', () => {
+      const tasks = createTasks();
+      const viewWidth = (zoomLevel) => Number(ProjectReportService.generateGanttSVG(tasks, { zoomLevel }).match(/viewBox="0 0 (\d+)/)[1]);
+
+      // 10 days from Sunday 14 to Tuesday 23 at 30px per day, plus the label column
+      expect(viewWidth('days')).toBe(240 + 10 * 30);
+      // Two weeks (Sunday 14 to Saturday 27) at 100px per week
+      expect(viewWidth('weeks')).toBe(240 + 200);
+      expect(viewWidth('months')).toBe(240 + 155);
+    });
+
+    it('should draw bars, progress, dependencies and critical tasks', () => {
+      const svg = ProjectReportService.generateGanttSVG(createTasks(), { criticalTaskIds: ['t4'] });
+
+      expect(svg.startsWith('<?xml')).toBe(true);
+      expect(svg).toContain('<text x="20" y="80" fill="#111827">1.1 Bocetos</text>');
+      // Bocetos: 15-16 January, one day after the timeline start
+      expect(svg).toContain('<rect x="270" y="69" width="60" height="14" rx="3" fill="#10b981"/>');
+      expect(svg).toContain('<polyline points="330,76 330,76 330,100 330,100"');
+      expect(svg).toContain('stroke="#b91c1c" stroke-width="2"');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for ProjectTemplateService
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ProjectTemplateService } from '../../services/projectTemplateService.js';
+import { Project, Task, TeamMember } from '../../models/index.js';
+import { DateCalculationService } from '../../services/dateCalculationService.js';
+
+// 2024-01-15 is a Monday; the default calendar works Monday to Saturday
+const day = (d) => new Date(2024, 0, d);
+const dateKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+const createProject = () => new Project({
+  id: 'p1',
+  name: 'Web corporativa',
+  description: 'Rediseño del sitio',
+  startDate: day(15),
+  teamMembers: [
+    new TeamMember({ id: 'm1', name: 'Ana', role: 'Diseño' }),
+    new TeamMember({ id: 'm2', name: 'Luis', role: 'diseño' }),
+    new TeamMember({ id: 'm3', name: 'Eva' })
+  ],
+  tasks: [
+    new Task({ id: 't1', projectId: 'p1', title: 'Diseño', startDate: day(15), endDate: day(19), duration: 5, assignedTo: 'm1', status: 'in_progress', progress: 40 }),
+    new Task({ id: 't2', projectId: 'p1', parentTaskId: 't1', level: 1, title: 'Bocetos', startDate: day(15), endDate: day(16), duration: 2, assignedTo: 'm2' }),
+    new Task({
+      id: 't3', projectId: 'p1', parentTaskId: 't1', level: 1, title: 'Maqueta', startDate: day(17), endDate: day(19), duration: 3,
+      dependencies: [{ predecessorId: 't2', type: 'FS', lag: 0 }]
+    }),
+    new Task({
+      id: 't4', projectId: 'p1', title: 'Publicación', startDate: day(22), endDate: day(23), duration: 2, assignedTo: 'm3',
+      type: 'with_deliverable',
+      deliverable: { type: 'document', description: 'Acta de entrega', status: 'completed', dueDate: day(25) }
+    })
+  ]
+});
+
+describe('ProjectTemplateService', () => {
+  describe('createTemplate', () => {
+    it('should keep the hierarchy with working-day offsets and roles instead of people', () => {
+      const template = ProjectTemplateService.createTemplate(createProject(), null, { name: ' Sitio web ' });
+
+      expect(template.name).toBe('Sitio web');
+      expect(template.referenceDate).toBe('2024-01-15');
+      expect(template.roles).toEqual([
+        { id: 'role_1', name: 'Diseño' },
+        { id: 'role_2', name: 'Responsable 3' }
+      ]);
+      expect(template.tasks.map(task => [task.id, task.parentTaskId, task.startOffset, task.endOffset, task.roleId])).toEqual([
+        ['task_1', null, 0, 4, 'role_1'],
+        ['task_2', 'task_1', 0, 1, 'role_1'],
+        ['task_3', 'task_1', 2, 4, null],
+        // Sunday 21 is not a working day
+        ['task_4', null, 6, 7, 'role_2']
+      ]);
+      expect(template.tasks[2].dependencies).toEqual([{ predecessorId: 'task_2', type: 'FS', lag: 0 }]);
+      expect(template.tasks[3].deliverable).toEqual({ type: 'document', description: 'Acta de entrega', notes: '', dueOffset: 2 });
+      expect(template.durationDays).toBe(8);
+      // Nothing about people or progress is stored
+      expect(JSON.stringify(template)).not.toMatch(/Ana|Luis|Eva|m1|progress|status/);
+    });
+
+    it('should require a project and a name', () => {
+      expect(() => ProjectTemplateService.createTemplate(null, null, { name: 'x' }))
+        .toThrow('Project is required to create a template');
+      expect(() => ProjectTemplateService.createTemplate(createProject(), null, { name: '  ' }))
+        .toThrow('El nombre de la plantilla es requerido');
+    });
+  });
+
+  describe('instantiateTemplate', () => {
+    const template = ProjectTemplateService.createTemplate(createProject(), null, { name: 'Sitio web' });
+
+    it('should rebuild the plan with new ids, pending tasks and resolved dependencies', () => {
+      const project = ProjectTemplateService.instantiateTemplate(template, { startDate: day(15) });
+      const [design, sketches, mockup, release] = project.tasks;
+
+      expect(project.name).toBe('Sitio web');
+      expect(project.tasks).toHaveLength(4);
+      expect(new Set(project.tasks.map(task => task.id)).size).toBe(4);
+      expect(project.tasks.every(task => task.projectId === project.id)).toBe(true);
+      expect(project.tasks.every(task => task.status === 'pending' && task.progress === 0)).toBe(true);
+      expect(sketches.parentTaskId).toBe(design.id);
+      expect(sketches.level).toBe(1);
+      expect(mockup.dependencies[0].predecessorId).toBe(sketches.id);
+      // Starting on the template reference date keeps the original dates
+      expect(dateKey(design.startDate)).toBe('2024-1-15');
+      expect(dateKey(release.startDate)).toBe('2024-1-22');
+      expect(dateKey(release.endDate)).toBe('2024-1-23');
+      expect(release.deliverable.status).toBe('pending');
+      expect(dateKey(release.deliverable.dueDate)).toBe(dateKey(new Date(release.endDate.getTime() + 2 * 86400000)));
+    });
+
+    it('should shift every task to the new start date like an import does', () => {
+      const original = ProjectTemplateService.instantiateTemplate(template, { startDate: day(15) });
+      const newStart = new Date(2024, 2, 4);
+      const shifted = ProjectTemplateService.instantiateTemplate(template, { startDate: newStart });
+      const shift = DateCalculationService.calculateWorkingDays(day(15), newStart);
+
+      expect(dateKey(shifted.startDate)).toBe('2024-3-4');
+      shifted.tasks.forEach((task, index) => {
+        expect(task.startDate).toEqual(DateCalculationService.addWorkingDays(original.tasks[index].startDate, shift));
+        expect(task.duration).toBe(original.tasks[index].duration);
+      });
+      expect(shifted.tasks[3].startDate > shifted.tasks[2].endDate).toBe(true);
+      expect(shifted.endDate.getTime()).toBe(Math.max(...shifted.tasks.map(task => task.endDate.getTime())));
+    });
+
+    it('should assign the tasks of each role to the chosen member', () => {
+      const member = { id: 'u1', name: 'Marta', email: 'marta@example.com', role: '' };
+      const project = ProjectTemplateService.instantiateTemplate(template, {
+        name: 'Web tienda',
+        startDate: day(15),
+        roleAssignments: { role_1: member }
+      });
+
+      expect(project.name).toBe('Web tienda');
+      expect(project.teamMembers).toHaveLength(1);
+      expect(project.teamMembers[0]).toMatchObject({ id: 'u1', name: 'Marta', role: 'Diseño' });
+      expect(project.tasks.map(task => task.assignedTo)).toEqual(['u1', 'u1', null, null]);
+    });
+
+    it('should reject templates without tasks and invalid start dates', () => {
+      expect(() => ProjectTemplateService.instantiateTemplate({ name: 'x' }, { startDate: day(15) }))
+        .toThrow('Template with tasks is required');
+      expect(() => ProjectTemplateService.instantiateTemplate(template, {}))
+        .toThrow('La fecha de inicio no es válida');
+    });
+  });
+
+  it('should summarize a template for the gallery', () => {
+    const template = ProjectTemplateService.createTemplate(createProject(), null, { name: 'Sitio web' });
+
+    expect(ProjectTemplateService.summarizeTemplate(template)).toEqual({
+      taskCount: 4,
+      deliverableCount: 1,
+      roleCount: 2,
+      durationDays: 8
+    });
+  });
+});
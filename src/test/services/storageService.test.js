@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { StorageService } from '../../services/storageService.js'
+import { Project } from '../../models/index.js'
 import { mockLocalStorage, mockProject, mockTask, mockTeamMember } from '../utils.js'
 
 describe('StorageService', () => {
@@ -382,6 +383,35 @@ describe('StorageService', () => {
     })
   })
 
+  describe('AI generation operations', () => {
+    const generations = (count) => Array.from({ length: count }, (_, index) => ({ id: `generation_${index}`, prompt: `Proyecto ${index}` }))
+
+    it('should keep half of the history when the new generation does not fit', () => {
+      mockStorage.pm_ai_generations = JSON.stringify(generations(4))
+      window.localStorage.setItem.mockImplementationOnce(() => {
+        const error = new Error('Quota exceeded')
+        error.name = 'QuotaExceededError'
+        throw error
+      })
+
+      storageService.saveAIGeneration({ id: 'generation_new', prompt: 'Nuevo' })
+
+      expect(storageService.getAIGenerations().map(generation => generation.id)).toEqual(['generation_new', 'generation_0', 'generation_1'])
+    })
+
+    it('should throw a readable error when the history cannot be saved at all', () => {
+      mockStorage.pm_ai_generations = JSON.stringify(generations(4))
+      window.localStorage.setItem.mockImplementation(() => {
+        const error = new Error('Quota exceeded')
+        error.name = 'QuotaExceededError'
+        throw error
+      })
+
+      expect(() => storageService.saveAIGeneration({ id: 'generation_new', prompt: 'Nuevo' }))
+        .toThrow('Error al guardar la generación')
+    })
+  })
+
   describe('storage health check', () => {
     it('should return healthy status when storage works', () => {
       mockStorage.pm_projects = JSON.stringify([mockProject()])
@@ -406,4 +436,76 @@ describe('StorageService', () => {
       expect(result.lastCheck).toBeDefined()
     })
   })
+
+  describe('storage adapters', () => {
+    const createMemoryAdapter = (values = {}) => {
+      const data = new Map(Object.entries(values))
+      return {
+        name: 'memory',
+        data,
+        open: vi.fn(async function () { return this }),
+        getItem: (key) => data.has(key) ? data.get(key) : null,
+        setItem: (key, value) => data.set(key, value),
+        removeItem: (key) => data.delete(key),
+        flush: vi.fn(async () => {}),
+        close: vi.fn()
+      }
+    }
+
+    it('should keep the same API on another backend', () => {
+      const adapter = createMemoryAdapter()
+      const service = new StorageService(adapter)
+      vi.clearAllMocks()
+
+      service.saveProject(new Project({ id: 'project-1', name: 'Web' }))
+
+      expect(service.backend).toBe('memory')
+      expect(service.getAllProjects()).toHaveLength(1)
+      expect(JSON.parse(adapter.data.get('pm_projects'))).toHaveLength(1)
+      expect(window.localStorage.setItem).not.toHaveBeenCalled()
+    })
+
+    it('should open the new backend and flush the previous one when switching', async () => {
+      const previous = createMemoryAdapter()
+      const service = new StorageService(previous)
+      const next = createMemoryAdapter({ pm_projects: JSON.stringify([new Project({ id: 'project-1', name: 'Web' }).toJSON()]) })
+
+      await service.useAdapter(next)
+
+      expect(previous.flush).toHaveBeenCalled()
+      expect(previous.close).toHaveBeenCalled()
+      expect(next.open).toHaveBeenCalled()
+      expect(service.getAllProjects()).toHaveLength(1)
+      // Defaults are created for the values the new backend does not have
+      expect(JSON.parse(next.data.get('pm_settings')).maxNestingLevel).toBe(100)
+    })
+
+    it('should clear the activity log from localStorage on another backend', async () => {
+      const adapter = { ...createMemoryAdapter(), name: 'indexedDB' }
+      const service = new StorageService(createMemoryAdapter())
+      await service.useAdapter(adapter)
+      adapter.data.set('pm_projects', JSON.stringify([new Project({ id: 'project-1', name: 'Web' }).toJSON()]))
+      mockStorage.pm_activity_log = JSON.stringify([{ id: 'activity_1', entityType: 'project', entityId: 'project-1' }])
+
+      service.clearAllData()
+
+      expect(service.getAllProjects()).toEqual([])
+      expect(mockStorage.pm_activity_log).toBeUndefined()
+      expect(service.checkStorageHealth()).toMatchObject({ backend: 'indexedDB', activityLogSize: 0 })
+    })
+
+    it('should report background write errors in the health check', async () => {
+      const adapter = createMemoryAdapter()
+      const service = new StorageService(createMemoryAdapter())
+      await service.useAdapter(adapter)
+
+      adapter.onError(new Error('QuotaExceededError'))
+
+      expect(service.checkStorageHealth()).toMatchObject({
+        healthy: true,
+        backend: 'memory',
+        lastWriteError: 'QuotaExceededError'
+      })
+    })
+  })
 })
\ No newline at end of file
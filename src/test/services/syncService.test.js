@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { SyncService } from '../../services/syncService.js'
+import { RestSyncAdapter } from '../../services/restSyncAdapter.js'
+import { storageService } from '../../services/storageService.js'
+import { notificationService } from '../../services/notificationService.js'
+import { Project, Task, TeamMember } from '../../models/index.js'
+import { mockLocalStorage } from '../utils.js'
+
+const ENDPOINT = 'https://sync.test/api'
+
+// In-memory implementation of the REST routes described in restSyncAdapter.js
+function createServer() {
+  const server = {
+    projects: new Map(),
+    deletedProjects: new Map(),
+    clock: Date.parse('2024-03-01T00:00:00Z'),
+    online: true,
+    requests: []
+  }
+
+  const now = () => ++server.clock
+  const respond = (body, status = 200) => ({
+    ok: status < 400,
+    status,
+    text: async () => (body === null ? '' : JSON.stringify(body))
+  })
+
+  // Changes made from another browser
+  server.update = (projectId, change) => {
+    const { changedAt, ...project } = server.projects.get(projectId)
+    change(project)
+    server.projects.set(projectId, { ...project, changedAt: now() })
+  }
+
+  server.project = (projectId) => {
+    const { changedAt, ...project } = server.projects.get(projectId)
+    return project
+  }
+
+  server.fetch = async (url, { method, body }) => {
+    if (!server.online) throw new TypeError('Failed to fetch')
+
+    const { pathname, searchParams } = new URL(url)
+    const [, projectId, collection, entityId] = pathname.replace('/api/', '').split('/')
+    const data = body ? JSON.parse(body) : null
+    server.requests.push(`${method} ${pathname}`)
+
+    if (method === 'GET') {
+      const since = searchParams.has('since') ? Date.parse(searchParams.get('since')) : 0
+      const changed = [...server.projects.values()].filter(project => project.changedAt > since)
+      return respond({
+        projects: changed.map(({ changedAt, ...project }) => project),
+        deletedProjectIds: [...server.deletedProjects].filter(([, deletedAt]) => deletedAt > since).map(([id]) => id),
+        serverTime: new Date(server.clock).toISOString()
+      })
+    }
+
+    const existing = server.projects.get(projectId)
+    if (!collection) {
+      if (method === 'DELETE') {
+        server.projects.delete(projectId)
+        server.deletedProjects.set(projectId, now())
+        return respond(null, 204)
+      }
+      const project = method === 'PUT'
+        ? { tasks: [], teamMembers: [], ...(existing && { tasks: existing.tasks, teamMembers: existing.teamMembers }), ...data }
+        : { ...existing, ...data }
+      server.projects.set(projectId, { ...project, changedAt: now() })
+      return respond(project)
+    }
+
+    if (!existing) return respond({ error: 'Not found' }, 404)
+    const field = collection === 'tasks' ? 'tasks' : 'teamMembers'
+    const current = existing[field].find(item => item.id === entityId)
+    const updated = method === 'PUT' ? data : { ...current, ...data }
+    const items = method === 'DELETE'
+      ? existing[field].filter(item => item.id !== entityId)
+      : current ? existing[field].map(item => (item === current ? updated : item)) : [...existing[field], updated]
+    server.projects.set(projectId, { ...existing, [field]: items, changedAt: now() })
+    return respond(null, 204)
+  }
+
+  return server
+}
+
+const localProject = (projectId) => storageService.getItem('pm_projects').find(project => project.id === projectId)
+
+const editLocal = (projectId, change) => {
+  const project = storageService.getProject(projectId)
+  change(project)
+  storageService.saveProject(project)
+}
+
+describe('SyncService', () => {
+  let server
+  let service
+  let toast
+
+  beforeEach(() => {
+    mockLocalStorage()
+    server = createServer()
+    service = new SyncService({
+      createAdapter: (config) => new RestSyncAdapter({ ...config, fetch: server.fetch })
+    })
+
+    toast = { close: vi.fn() }
+    vi.spyOn(notificationService, 'getToast').mockReturnValue(toast)
+    vi.spyOn(notificationService, 'connectionLost').mockReturnValue('toast-offline')
+    vi.spyOn(notificationService, 'connectionRestored').mockReturnValue('toast-online')
+
+    storageService.saveProject(new Project({
+      id: 'p1',
+      name: 'Web',
+      teamMembers: [new TeamMember({ id: 'u1', name: 'Ana' })],
+      tasks: [
+        new Task({ id: 't1', projectId: 'p1', title: 'Diseño', updatedAt: new Date('2024-02-01T10:00:00Z') }),
+        new Task({ id: 't2', projectId: 'p1', title: 'Desarrollo', updatedAt: new Date('2024-02-01T10:00:00Z') })
+      ]
+    }))
+  })
+
+  afterEach(() => {
+    service.stop()
+    vi.restoreAllMocks()
+  })
+
+  it('should upload the existing projects when sync is enabled', async () => {
+    await service.configure({ enabled: true, endpoint: ENDPOINT })
+
+    expect(server.requests.filter(request => !request.startsWith('GET'))).toEqual([
+      'PUT /api/projects/p1',
+      'PUT /api/projects/p1/members/u1',
+      'PUT /api/projects/p1/tasks/t1',
+      'PUT /api/projects/p1/tasks/t2'
+    ])
+    expect(server.project('p1')).toEqual(localProject('p1'))
+    expect(service.getStatus()).toMatchObject({ status: 'idle', pendingCount: 0 })
+  })
+
+  it('should queue changes while offline and send them when the connection returns', async () => {
+    await service.configure({ enabled: true, endpoint: ENDPOINT })
+    server.online = false
+
+    editLocal('p1', project => { project.tasks[0].title = 'Diseño final' })
+    await service.sync()
+    editLocal('p1', project => { project.name = 'Web corporativa' })
+    await service.sync()
+
+    expect(service.getStatus()).toMatchObject({ status: 'offline', pendingCount: 2 })
+    expect(service.getQueue().map(operation => [operation.action, operation.entityId, Object.keys(operation.data)])).toEqual([
+      ['update', 'p1', ['name', 'updatedAt']],
+      ['update', 't1', ['title', 'updatedAt']]
+    ])
+    expect(notificationService.connectionLost).toHaveBeenCalledTimes(1)
+
+    server.online = true
+    window.dispatchEvent(new Event('online'))
+    await service.sync()
+
+    expect(service.getStatus()).toMatchObject({ status: 'idle', pendingCount: 0 })
+    expect(server.project('p1').name).toBe('Web corporativa')
+    expect(server.project('p1').tasks[0].title).toBe('Diseño final')
+    expect(toast.close).toHaveBeenCalledWith('toast-offline')
+    expect(notificationService.connectionRestored).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep changes to different fields made on both sides', async () => {
+    await service.configure({ enabled: true, endpoint: ENDPOINT })
+
+    server.update('p1', project => {
+      project.tasks[0] = { ...project.tasks[0], status: 'completed', updatedAt: '2024-02-03T10:00:00.000Z' }
+    })
+    editLocal('p1', project => {
+      project.tasks[0].title = 'Diseño final'
+      project.tasks[0].updatedAt = new Date('2024-02-02T10:00:00Z')
+    })
+
+    await service.sync()
+
+    expect(localProject('p1').tasks[0]).toMatchObject({ title: 'Diseño final', status: 'completed' })
+    expect(server.project('p1').tasks[0]).toMatchObject({ title: 'Diseño final', status: 'completed' })
+  })
+
+  it('should keep the newest value when both sides changed the same field', async () => {
+    await service.configure({ enabled: true, endpoint: ENDPOINT })
+
+    server.update('p1', project => {
+      project.tasks[0] = { ...project.tasks[0], title: 'Diseño (servidor)', updatedAt: '2024-02-02T10:00:00.000Z' }
+      project.tasks[1] = { ...project.tasks[1], title: 'Desarrollo (servidor)', updatedAt: '2024-02-04T10:00:00.000Z' }
+    })
+    editLocal('p1', project => {
+      project.tasks[0].title = 'Diseño (local)'
+      project.tasks[0].updatedAt = new Date('2024-02-03T10:00:00Z')
+      project.tasks[1].title = 'Desarrollo (local)'
+      project.tasks[1].updatedAt = new Date('2024-02-03T10:00:00Z')
+    })
+
+    await service.sync()
+
+    expect(localProject('p1').tasks.map(task => task.title)).toEqual(['Diseño (local)', 'Desarrollo (servidor)'])
+    expect(server.project('p1').tasks.map(task => task.title)).toEqual(['Diseño (local)', 'Desarrollo (servidor)'])
+    expect(service.getQueue()).toEqual([])
+  })
+
+  it('should add projects created elsewhere and remove the deleted ones', async () => {
+    const remoteChanges = vi.fn()
+    service.onRemoteChanges(remoteChanges)
+    await service.configure({ enabled: true, endpoint: ENDPOINT })
+
+    const remoteProject = new Project({ id: 'p2', name: 'App móvil' }).toJSON()
+    server.projects.set('p2', { ...remoteProject, changedAt: ++server.clock })
+    await service.sync()
+
+    expect(remoteChanges).toHaveBeenLastCalledWith(['p2'])
+    expect(localProject('p2')).toEqual(remoteProject)
+
+    server.projects.delete('p1')
+    server.deletedProjects.set('p1', ++server.clock)
+    await service.sync()
+
+    expect(remoteChanges).toHaveBeenLastCalledWith(['p1'])
+    expect(localProject('p1')).toBeUndefined()
+    expect(service.getQueue()).toEqual([])
+  })
+})
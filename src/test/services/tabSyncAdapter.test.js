@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { TabSyncAdapter } from '../../services/tabSyncAdapter.js'
+
+// Backend of one tab; tabs share the stored values like localStorage does
+class MemoryAdapter {
+  constructor(values) {
+    this.name = 'memory'
+    this.values = values
+  }
+
+  async open() {
+    return this
+  }
+
+  getItem(key) {
+    return this.values.has(key) ? this.values.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.values.set(key, value)
+  }
+
+  removeItem(key) {
+    this.values.delete(key)
+  }
+
+  async flush() {}
+
+  close() {}
+}
+
+// Two tabs whose messages are delivered when the test decides
+function createTabs(initialValues = {}) {
+  const values = new Map(Object.entries(initialValues))
+  const queue = []
+  const tabs = {}
+
+  const createTab = (other) => new TabSyncAdapter(new MemoryAdapter(values), {
+    post: (type, data) => queue.push({ to: other, type, data })
+  })
+
+  tabs.leader = createTab('follower')
+  tabs.follower = createTab('leader')
+  tabs.leader.setLeader(true)
+  tabs.values = values
+
+  tabs.deliver = () => {
+    while (queue.length > 0) {
+      const { to, type, data } = queue.shift()
+      if (type === 'write') tabs[to].applyRemoteWrite(data)
+      if (type === 'written') tabs[to].applyWritten(data)
+    }
+  }
+
+  return tabs
+}
+
+const projects = (...list) => JSON.stringify(list.map(([id, name]) => ({ id, name })))
+
+describe('TabSyncAdapter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should keep a write in memory until the leader stores it', () => {
+    const tabs = createTabs()
+
+    tabs.follower.setItem('pm_settings', '{"theme":"dark"}')
+
+    expect(tabs.follower.getItem('pm_settings')).toBe('{"theme":"dark"}')
+    expect(tabs.values.has('pm_settings')).toBe(false)
+
+    tabs.deliver()
+    vi.advanceTimersByTime(100)
+    tabs.deliver()
+
+    expect(tabs.values.get('pm_settings')).toBe('{"theme":"dark"}')
+    expect(tabs.follower.pending.size).toBe(0)
+    expect(tabs.follower.getItem('pm_settings')).toBe('{"theme":"dark"}')
+  })
+
+  it('should group the leader writes', () => {
+    const tabs = createTabs()
+    const setItem = vi.spyOn(tabs.leader.inner, 'setItem')
+
+    tabs.leader.setItem('pm_settings', '{"theme":"dark"}')
+    tabs.leader.setItem('pm_settings', '{"theme":"light"}')
+    tabs.leader.removeItem('pm_sync_queue')
+
+    expect(setItem).not.toHaveBeenCalled()
+    expect(tabs.leader.getItem('pm_settings')).toBe('{"theme":"light"}')
+
+    vi.advanceTimersByTime(100)
+
+    expect(setItem).toHaveBeenCalledTimes(1)
+    expect(tabs.values.get('pm_settings')).toBe('{"theme":"light"}')
+
+    tabs.deliver()
+    expect(tabs.follower.revisions.get('pm_settings')).toBe(2)
+  })
+
+  it('should only apply the projects changed by a stale write', () => {
+    const tabs = createTabs({ pm_projects: projects(['p1', 'Web'], ['p2', 'App']) })
+
+    // Both tabs change a different project before hearing from each other
+    tabs.leader.setItem('pm_projects', projects(['p1', 'Web corporativa'], ['p2', 'App']))
+    tabs.follower.setItem('pm_projects', projects(['p1', 'Web'], ['p2', 'App móvil'], ['p3', 'API']))
+    tabs.deliver()
+    vi.advanceTimersByTime(100)
+    tabs.deliver()
+
+    const expected = projects(['p1', 'Web corporativa'], ['p2', 'App móvil'], ['p3', 'API'])
+    expect(tabs.values.get('pm_projects')).toBe(expected)
+    expect(tabs.follower.getItem('pm_projects')).toBe(expected)
+  })
+
+  it('should keep the templates added meanwhile by another tab', () => {
+    const tabs = createTabs({ pm_templates: projects(['t1', 'Web']) })
+
+    tabs.leader.setItem('pm_templates', projects(['t1', 'Web'], ['t2', 'App']))
+    tabs.follower.setItem('pm_templates', projects(['t3', 'API']))
+    tabs.deliver()
+    vi.advanceTimersByTime(100)
+    tabs.deliver()
+
+    // The follower removed t1 and added t3; t2 was added by the leader meanwhile
+    expect(tabs.values.get('pm_templates')).toBe(projects(['t2', 'App'], ['t3', 'API']))
+  })
+
+  it('should only apply the settings changed by a stale write', () => {
+    const tabs = createTabs({ pm_settings: '{"theme":"light","maxNestingLevel":100}' })
+
+    tabs.leader.setItem('pm_settings', '{"theme":"dark","maxNestingLevel":100}')
+    tabs.follower.setItem('pm_settings', '{"theme":"light","maxNestingLevel":3}')
+    tabs.deliver()
+    vi.advanceTimersByTime(100)
+
+    expect(JSON.parse(tabs.values.get('pm_settings'))).toEqual({ theme: 'dark', maxNestingLevel: 3 })
+  })
+
+  it('should replace values that cannot be merged and say so', () => {
+    const tabs = createTabs({ pm_data_version: '"1"' })
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    tabs.leader.setItem('pm_data_version', '"2"')
+    tabs.follower.setItem('pm_data_version', '"3"')
+    tabs.deliver()
+    vi.advanceTimersByTime(100)
+
+    expect(tabs.values.get('pm_data_version')).toBe('"3"')
+    expect(warn).toHaveBeenCalledWith('Stale write to pm_data_version from another tab, replacing the newer value')
+  })
+
+  it('should store what it knows when it becomes the leader', () => {
+    const tabs = createTabs()
+
+    tabs.leader.setItem('pm_settings', '{"theme":"dark"}')
+    vi.advanceTimersByTime(100)
+    tabs.deliver()
+    tabs.follower.setItem('pm_user_preferences', '{"calendarView":"week"}')
+
+    // The leader tab closes before the write reaches it
+    const values = new Map()
+    tabs.follower.inner.values = values
+    tabs.follower.setLeader(true)
+    vi.advanceTimersByTime(100)
+
+    expect(values.get('pm_settings')).toBe('{"theme":"dark"}')
+    expect(values.get('pm_user_preferences')).toBe('{"calendarView":"week"}')
+  })
+})
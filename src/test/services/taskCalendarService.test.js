@@ -0,0 +1,123 @@
+/**
+ * Unit tests for TaskCalendarService
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TaskCalendarService } from '../../services/taskCalendarService.js';
+import { iCalendarParser } from '../../utils/iCalendarParser.js';
+import { Task, TeamMember } from '../../models/index.js';
+
+// 2024-01-15 is a Monday
+const day = (d) => new Date(2024, 0, d);
+
+const members = [
+  new TeamMember({ id: 'm1', name: 'Ana', email: 'ana@example.com' }),
+  new TeamMember({ id: 'm2', name: 'Luis' })
+];
+
+const createTasks = () => [
+  new Task({ id: 't1', projectId: 'p1', title: 'Diseño', startDate: day(15), endDate: day(17), duration: 3, status: 'in_progress', progress: 40, priority: 'high', assignedTo: 'm1' }),
+  new Task({
+    id: 't2', projectId: 'p1', parentTaskId: 't1', title: 'Bocetos, versión 1; revisión', description: 'Primera línea\nSegunda',
+    startDate: day(15), endDate: day(15), duration: 1, type: 'with_deliverable',
+    deliverable: { type: 'file', description: 'PDF', dueDate: day(16), status: 'pending' }
+  })
+];
+
+const wrap = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', 'X-WR-CALNAME:Externo', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('TaskCalendarService', () => {
+  describe('exportTasks', () => {
+    it('should write tasks and deliverables as all-day events with stable UIDs', () => {
+      const ics = TaskCalendarService.exportTasks(createTasks(), { calendarName: 'Web', members });
+      const { name, components } = iCalendarParser.parse(ics);
+      const [design, sketches, deliverable] = components;
+
+      expect(name).toBe('Web');
+      expect(components).toHaveLength(3);
+      expect(design).toMatchObject({ type: 'VEVENT', uid: 'task-t1@personal-project-manager', summary: 'Diseño', status: 'CONFIRMED', allDay: true });
+      expect(design.start).toEqual(day(15));
+      // DTEND is exclusive
+      expect(design.end).toEqual(day(18));
+      expect(design.properties).toMatchObject({ PRIORITY: '1', 'X-PPM-STATUS': 'in_progress', 'X-PPM-PROGRESS': '40' });
+      expect(design.attendee).toEqual({ email: 'ana@example.com', name: 'Ana' });
+
+      expect(sketches.summary).toBe('Bocetos, versión 1; revisión');
+      expect(sketches.description).toBe('Primera línea\nSegunda');
+      expect(sketches.properties['RELATED-TO']).toBe('task-t1@personal-project-manager');
+
+      expect(deliverable).toMatchObject({ uid: 'deliverable-t2@personal-project-manager', summary: 'Entrega: Bocetos, versión 1; revisión' });
+      expect(deliverable.start).toEqual(day(16));
+    });
+
+    it('should write to-dos with their status and fold long lines', () => {
+      const tasks = [new Task({ id: 't1', title: 'Á'.repeat(80), startDate: day(15), endDate: day(16), status: 'completed', progress: 100 })];
+      const ics = TaskCalendarService.exportTasks(tasks, { component: 'VTODO' });
+      const [todo] = iCalendarParser.parse(ics).components;
+
+      expect(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+      expect(todo).toMatchObject({ type: 'VTODO', status: 'COMPLETED', summary: 'Á'.repeat(80) });
+      expect(todo.due).toEqual(day(17));
+      expect(todo.properties['PERCENT-COMPLETE']).toBe('100');
+    });
+  });
+
+  describe('importTasks', () => {
+    it('should update the exported tasks instead of duplicating them', () => {
+      const tasks = createTasks();
+      const ics = TaskCalendarService.exportTasks(tasks, { members })
+        .replace('DTSTART;VALUE=DATE:20240115\r\nDTEND;VALUE=DATE:20240118', 'DTSTART;VALUE=DATE:20240116\r\nDTEND;VALUE=DATE:20240120')
+        .replace('DTSTART;VALUE=DATE:20240116\r\nDTEND;VALUE=DATE:20240117\r\nSTATUS:CONFIRMED', 'DTSTART;VALUE=DATE:20240119\r\nDTEND;VALUE=DATE:20240120\r\nSTATUS:CONFIRMED');
+
+      const result = TaskCalendarService.importTasks(ics, { projectId: 'p1', projectTasks: tasks, members });
+      const design = result.updated.find(task => task.id === 't1');
+      const sketches = result.updated.find(task => task.id === 't2');
+
+      expect(result.created).toEqual([]);
+      expect(result.updated).toHaveLength(2);
+      expect(design).toMatchObject({ status: 'in_progress', progress: 40, priority: 'high', assignedTo: 'm1', duration: 4 });
+      expect(design.startDate).toEqual(day(16));
+      expect(design.endDate).toEqual(day(19));
+      expect(sketches.deliverable.dueDate).toEqual(day(19));
+      expect(sketches.parentTaskId).toBe('t1');
+    });
+
+    it('should turn foreign events and to-dos into tasks with stable ids', () => {
+      const ics = wrap(
+        'BEGIN:VEVENT', 'UID:kickoff@example.org', 'SUMMARY:Reunión inicial', 'DTSTART:20240115T090000', 'DTEND:20240115T100000',
+        'PRIORITY:9', 'ATTENDEE;CN=Luis:mailto:luis@example.org', 'END:VEVENT',
+        'BEGIN:VTODO', 'UID:acta@example.org', 'SUMMARY:Acta', 'DUE;VALUE=DATE:20240117', 'STATUS:IN-PROCESS',
+        'RELATED-TO:kickoff@example.org', 'END:VTODO',
+        'BEGIN:VEVENT', 'UID:sin-fecha@example.org', 'SUMMARY:Sin fecha', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:deliverable-zz@personal-project-manager', 'SUMMARY:Entrega: otra', 'DTSTART;VALUE=DATE:20240120', 'END:VEVENT'
+      );
+
+      const first = TaskCalendarService.importTasks(ics, { projectId: 'p1', projectTasks: [], members });
+      const [kickoff, minutes] = first.created;
+
+      expect(first.calendarName).toBe('Externo');
+      expect(first.created).toHaveLength(2);
+      expect(kickoff).toMatchObject({ projectId: 'p1', title: 'Reunión inicial', priority: 'low', assignedTo: 'm2', status: 'pending', duration: 1, parentTaskId: null });
+      expect(kickoff.id).toMatch(/^task_ics_/);
+      expect(kickoff.endDate).toEqual(day(15));
+      expect(minutes).toMatchObject({ parentTaskId: kickoff.id, status: 'in_progress' });
+      expect(minutes.startDate).toEqual(day(17));
+      expect(first.skipped).toEqual([
+        'Sin fecha: no tiene fecha',
+        'Entrega: otra: la entrega no corresponde a ninguna tarea del proyecto'
+      ]);
+
+      // Importing the same feed again updates the tasks it created
+      const projectTasks = first.created.map(task => new Task(task));
+      const second = TaskCalendarService.importTasks(ics, { projectId: 'p1', projectTasks, members });
+
+      expect(second.created).toEqual([]);
+      expect(second.updated.map(task => task.id)).toEqual([kickoff.id, minutes.id]);
+    });
+
+    it('should reject content that is not iCalendar', () => {
+      expect(() => TaskCalendarService.importTasks('Título;Inicio', { projectId: 'p1' }))
+        .toThrow('El archivo no tiene formato iCalendar válido');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { WorkCalendarService } from '../../services/workCalendarService.js';
+import { WorkCalendar, Project } from '../../models/index.js';
+import { createStore } from 'vuex';
+import projectsModule from '../../store/modules/projects.js';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'X-WR-CALNAME:Festivos España',
+  'BEGIN:VEVENT',
+  'UID:new-year',
+  'DTSTART;VALUE=DATE:20240101',
+  'DTEND;VALUE=DATE:20240102',
+  'RRULE:FREQ=YEARLY;COUNT=2',
+  'SUMMARY:Año Nuevo',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:easter',
+  'DTSTART;VALUE=DATE:20240328',
+  'DTEND;VALUE=DATE:20240330',
+  'SUMMARY:Semana Santa',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:broken',
+  'SUMMARY:Sin fecha',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('WorkCalendarService', () => {
+  describe('importHolidaysFromICalendar', () => {
+    it('should read all-day events, multi-day ranges and yearly rules', () => {
+      const result = WorkCalendarService.importHolidaysFromICalendar(ICS, { fromYear: 2024, toYear: 2026 });
+
+      expect(result.calendarName).toBe('Festivos España');
+      expect(result.holidays.map(holiday => holiday.date)).toEqual([
+        '2024-01-01',
+        '2024-03-28',
+        '2024-03-29',
+        '2025-01-01'
+      ]);
+      expect(result.holidays[0].name).toBe('Año Nuevo');
+      expect(result.skipped).toEqual(['Sin fecha']);
+    });
+
+    it('should reject content that is not iCalendar', () => {
+      expect(() => WorkCalendarService.importHolidaysFromICalendar('not a calendar')).toThrow();
+    });
+  });
+
+  describe('mergeHolidays', () => {
+    it('should only add dates the calendar does not have', () => {
+      const calendar = new WorkCalendar({ holidays: [{ date: '2024-01-01', name: 'Año Nuevo' }] });
+
+      const added = WorkCalendarService.mergeHolidays(calendar, [
+        { date: '2024-01-01', name: 'Duplicado' },
+        { date: '2024-01-06', name: 'Reyes' }
+      ]);
+
+      expect(added).toBe(1);
+      expect(calendar.holidays).toEqual([
+        { date: '2024-01-01', name: 'Año Nuevo' },
+        { date: '2024-01-06', name: 'Reyes' }
+      ]);
+    });
+  });
+
+  describe('project calendars', () => {
+    it('should register the calendars of the projects in the store for their tasks', () => {
+      const project = new Project({
+        id: 'calendar-project',
+        name: 'Proyecto',
+        calendar: new WorkCalendar({ workingDays: [1, 2, 3, 4, 5] })
+      });
+      const store = createStore({ modules: { projects: projectsModule } });
+
+      // Creating a project has no global effect
+      expect(WorkCalendarService.getCalendar('calendar-project')).toBeNull();
+
+      store.commit('projects/SET_PROJECTS', [project]);
+      expect(WorkCalendarService.getCalendar('calendar-project')).toBe(project.calendar);
+      expect(WorkCalendarService.getCalendar('unknown')).toBeNull();
+
+      const updated = new Project({ ...project, calendar: new WorkCalendar({ workingDays: [1, 2, 3, 4] }) });
+      store.commit('projects/UPDATE_PROJECT', updated);
+      expect(WorkCalendarService.getCalendar('calendar-project')).toBe(updated.calendar);
+
+      store.commit('projects/DELETE_PROJECT', 'calendar-project');
+      expect(WorkCalendarService.getCalendar('calendar-project')).toBeNull();
+    });
+
+    it('should keep the calendar when a project is serialized', () => {
+      const project = new Project({
+        name: 'Proyecto',
+        calendar: new WorkCalendar({
+          workingDays: [1, 2, 3, 4, 5],
+          holidays: [{ date: '2024-12-25', name: 'Navidad' }],
+          exceptions: [{ date: '2024-12-28', working: true }]
+        })
+      });
+
+      const restored = Project.fromJSON(JSON.parse(JSON.stringify(project.toJSON())));
+
+      expect(restored.calendar).toBeInstanceOf(WorkCalendar);
+      expect(restored.calendar.toJSON()).toEqual(project.calendar.toJSON());
+      expect(restored.calendar.isWorkingDay(new Date(2024, 11, 25))).toBe(false);
+      expect(restored.calendar.isWorkingDay(new Date(2024, 11, 28))).toBe(true);
+    });
+  });
+});
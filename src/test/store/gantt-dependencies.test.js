@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import ganttModule from '../../store/modules/gantt.js'
+import { Task } from '../../models/index.js'
+
+// 2024-01-15 is a Monday; working days are Monday to Saturday
+const day = (d) => new Date(2024, 0, d)
+
+describe('Gantt Store - Dependencies', () => {
+  let tasks
+  let context
+
+  beforeEach(() => {
+    tasks = [
+      new Task({ id: 'a', title: 'A', projectId: 'p1', startDate: day(15), endDate: day(18), duration: 4 }),
+      new Task({
+        id: 'b',
+        title: 'B',
+        projectId: 'p1',
+        startDate: day(18),
+        endDate: day(18),
+        duration: 1,
+        dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }]
+      })
+    ]
+
+    context = {
+      commit: vi.fn(),
+      dispatch: vi.fn(async (type, payload) => (type === 'shiftSuccessors' ? [] : payload)),
+      rootGetters: {
+        'tasks/tasksByProject': () => tasks,
+        'tasks/getTaskById': (id) => tasks.find(task => task.id === id)
+      }
+    }
+  })
+
+  describe('shiftSuccessors action', () => {
+    it('moves successors that overlap their predecessor', async () => {
+      await ganttModule.actions.shiftSuccessors(context, { taskIds: ['a'], projectId: 'p1' })
+
+      expect(context.dispatch).toHaveBeenCalledWith('tasks/updateTask', expect.objectContaining({
+        id: 'b',
+        startDate: day(19),
+        endDate: day(19),
+        duration: 1
+      }), { root: true })
+    })
+  })
+
+  describe('updateTaskDates action', () => {
+    it('shifts successors after moving a task', async () => {
+      await ganttModule.actions.updateTaskDates(context, {
+        taskId: 'a',
+        newStart: day(16),
+        newEnd: day(19),
+        projectId: 'p1'
+      })
+
+      expect(context.dispatch).toHaveBeenCalledWith('shiftSuccessors', { taskIds: ['a'], projectId: 'p1' })
+      expect(context.dispatch).toHaveBeenCalledWith('loadGanttData', 'p1')
+    })
+  })
+
+  describe('addTaskDependency action', () => {
+    it('adds the link to the successor', async () => {
+      tasks.push(new Task({ id: 'c', title: 'C', projectId: 'p1', startDate: day(22), endDate: day(22) }))
+
+      await ganttModule.actions.addTaskDependency(context, {
+        projectId: 'p1',
+        predecessorId: 'b',
+        successorId: 'c',
+        type: 'SS'
+      })
+
+      expect(context.dispatch).toHaveBeenCalledWith('tasks/updateTask', expect.objectContaining({
+        id: 'c',
+        dependencies: [{ predecessorId: 'b', type: 'SS', lag: 0 }]
+      }), { root: true })
+    })
+
+    it('rejects links that close a cycle', async () => {
+      await expect(ganttModule.actions.addTaskDependency(context, {
+        projectId: 'p1',
+        predecessorId: 'b',
+        successorId: 'a'
+      })).rejects.toThrow()
+
+      expect(context.commit).toHaveBeenCalledWith('SET_ERROR', expect.stringContaining('circular'))
+      expect(context.dispatch).not.toHaveBeenCalledWith('tasks/updateTask', expect.anything(), { root: true })
+    })
+  })
+
+  describe('removeTaskDependency action', () => {
+    it('drops the link from the successor', async () => {
+      await ganttModule.actions.removeTaskDependency(context, {
+        projectId: 'p1',
+        predecessorId: 'a',
+        successorId: 'b'
+      })
+
+      expect(context.dispatch).toHaveBeenCalledWith('tasks/updateTask', expect.objectContaining({
+        id: 'b',
+        dependencies: []
+      }), { root: true })
+    })
+  })
+})
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createStore } from 'vuex'
+import projectsModule from '../../store/modules/projects.js'
+import tasksModule from '../../store/modules/tasks.js'
+import historyModule, { HISTORY_LIMIT } from '../../store/modules/history.js'
+import { createHistoryPlugin } from '../../store/plugins/historyPlugin.js'
+import { storageService } from '../../services/storageService.js'
+import { tabSyncService } from '../../services/tabSyncService.js'
+import { Project, Task } from '../../models/index.js'
+
+vi.mock('../../services/storageService.js', () => ({
+  storageService: {
+    getProject: vi.fn(),
+    saveProject: vi.fn(),
+    deleteProject: vi.fn(),
+    saveTask: vi.fn(),
+    deleteTask: vi.fn(),
+    flush: vi.fn(async () => {})
+  }
+}))
+
+vi.mock('../../services/tabSyncService.js', () => ({
+  tabSyncService: {
+    active: false,
+    publish: vi.fn()
+  }
+}))
+
+const day = (d) => new Date(2024, 0, d)
+
+const createTasks = () => [
+  new Task({ id: 'phase', projectId: 'p1', title: 'Fase', startDate: day(15), endDate: day(19) }),
+  new Task({ id: 'design', projectId: 'p1', parentTaskId: 'phase', level: 1, title: 'Diseño', startDate: day(15), endDate: day(16) }),
+  new Task({ id: 'sketch', projectId: 'p1', parentTaskId: 'design', level: 2, title: 'Bocetos', startDate: day(15), endDate: day(15) })
+]
+
+const createTestStore = () => {
+  const store = createStore({
+    modules: {
+      projects: { ...projectsModule, state: () => ({ projects: [], currentProject: null, loading: false, error: null }) },
+      tasks: { ...tasksModule, state: () => ({ ...tasksModule.state, tasks: [], currentTask: null }) },
+      history: { ...historyModule, state: () => ({ past: [], future: [], applying: false, error: null }) }
+    },
+    plugins: [createHistoryPlugin()]
+  })
+
+  // Loading data is not a change
+  store.commit('projects/SET_PROJECTS', [new Project({ id: 'p1', name: 'Web', startDate: day(15) })])
+  store.commit('tasks/SET_TASKS', createTasks())
+  return store
+}
+
+const taskById = (store, id) => store.state.tasks.tasks.find(task => task.id === id)
+
+describe('History store and plugin', () => {
+  let store
+  let storedTasks
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    storedTasks = createTasks()
+    storageService.getProject.mockImplementation(id => id === 'p1'
+      ? new Project({ id: 'p1', name: 'Web', startDate: day(15), tasks: storedTasks.map(task => Task.fromJSON(task.toJSON())) })
+      : null)
+    store = createTestStore()
+  })
+
+  it('should not record loading data', () => {
+    store.commit('tasks/SET_TASKS', [new Task({ id: 'other', projectId: 'p2', title: 'Otra' })])
+
+    expect(store.getters['history/canUndo']).toBe(false)
+  })
+
+  it('should undo and redo a single mutation', async () => {
+    store.commit('tasks/UPDATE_TASK_PROGRESS', { taskId: 'design', progress: 60 })
+
+    expect(store.getters['history/nextUndo']).toMatchObject({ label: 'Cambio en tareas', detail: '"Diseño"' })
+
+    await store.dispatch('history/undo')
+    expect(taskById(store, 'design').progress).toBe(0)
+    expect(taskById(store, 'design')).toBeInstanceOf(Task)
+    expect(store.getters['history/canUndo']).toBe(false)
+    expect(store.getters['history/canRedo']).toBe(true)
+
+    await store.dispatch('history/redo')
+    expect(taskById(store, 'design').progress).toBe(60)
+    // Undo and redo are not recorded as new changes
+    expect(store.state.history.past).toHaveLength(1)
+    expect(store.state.history.future).toHaveLength(0)
+  })
+
+  it('should group the mutations of a compound action into one step', async () => {
+    await store.dispatch('tasks/moveTask', { taskId: 'design', newParentId: null })
+
+    expect(store.state.history.past).toHaveLength(1)
+    const [entry] = store.state.history.past
+    expect(entry.label).toBe('Mover tarea')
+    expect(entry.operations.map(operation => operation.id)).toEqual(['design', 'sketch'])
+
+    await store.dispatch('history/undo')
+    expect(taskById(store, 'design')).toMatchObject({ parentTaskId: 'phase', level: 1 })
+    expect(taskById(store, 'sketch').level).toBe(2)
+  })
+
+  it('should write undone changes through to storage', async () => {
+    await store.dispatch('tasks/createTask', { id: 'review', projectId: 'p1', title: 'Revisión', startDate: day(22), endDate: day(22) })
+    expect(taskById(store, 'review')).toBeDefined()
+
+    await store.dispatch('history/undo')
+
+    expect(taskById(store, 'review')).toBeUndefined()
+    const savedProject = storageService.saveProject.mock.calls.at(-1)[0]
+    expect(savedProject.tasks.map(task => task.id)).toEqual(['phase', 'design', 'sketch'])
+  })
+
+  it('should restore team changes of a project', async () => {
+    store.commit('projects/ADD_TEAM_MEMBER', { projectId: 'p1', member: { id: 'm1', name: 'Ana', role: 'Diseño' } })
+    expect(store.state.projects.projects[0].teamMembers).toHaveLength(1)
+
+    await store.dispatch('history/undo')
+
+    expect(store.state.projects.projects[0].teamMembers).toHaveLength(0)
+    expect(storageService.saveProject).toHaveBeenCalledWith(expect.objectContaining({ id: 'p1', teamMembers: [] }))
+  })
+
+  it('should only serialize the entities a mutation names', () => {
+    const stringify = vi.spyOn(JSON, 'stringify')
+
+    store.commit('tasks/UPDATE_TASK_PROGRESS', { taskId: 'design', progress: 40 })
+
+    const serialized = stringify.mock.calls.map(([value]) => value?.id).filter(Boolean)
+    stringify.mockRestore()
+    expect(serialized).toEqual(['design', 'design'])
+    expect(store.state.history.past.at(-1).operations.map(operation => operation.id)).toEqual(['design'])
+  })
+
+  it('should record the dependencies dropped when a task is deleted', async () => {
+    store.commit('tasks/UPDATE_TASK', new Task({ ...taskById(store, 'sketch'), parentTaskId: null, level: 0, dependencies: [{ predecessorId: 'phase', type: 'finish-to-start' }] }))
+    store.commit('tasks/DELETE_TASK', 'phase')
+
+    const operations = store.state.history.past.at(-1).operations
+    expect(operations.find(operation => operation.id === 'sketch')).toMatchObject({
+      before: { dependencies: [{ predecessorId: 'phase' }] },
+      after: { dependencies: [] }
+    })
+
+    await store.dispatch('history/undo')
+    expect(taskById(store, 'sketch').dependencies).toHaveLength(1)
+  })
+
+  it('should have the other tabs reload the projects an undo or redo restored', async () => {
+    tabSyncService.active = true
+    store.commit('tasks/UPDATE_TASK_PROGRESS', { taskId: 'design', progress: 60 })
+
+    await store.dispatch('history/undo')
+    await store.dispatch('history/redo')
+    tabSyncService.active = false
+
+    expect(storageService.flush).toHaveBeenCalledTimes(2)
+    expect(tabSyncService.publish.mock.calls).toEqual([
+      ['sync:remote-changes', ['p1']],
+      ['sync:remote-changes', ['p1']]
+    ])
+  })
+
+  it('should drop undone steps after a new change and keep a bounded history', async () => {
+    store.commit('tasks/UPDATE_TASK_PROGRESS', { taskId: 'design', progress: 10 })
+    await store.dispatch('history/undo')
+    store.commit('tasks/UPDATE_TASK_PROGRESS', { taskId: 'design', progress: 20 })
+
+    expect(store.getters['history/canRedo']).toBe(false)
+
+    for (let progress = 21; progress < 21 + HISTORY_LIMIT; progress++) {
+      store.commit('tasks/UPDATE_TASK_PROGRESS', { taskId: 'design', progress })
+    }
+    expect(store.state.history.past).toHaveLength(HISTORY_LIMIT)
+  })
+})
@@ -163,8 +163,14 @@ describe('Projects Store - AI Generation and Export', () => {
       expect(result.project).toBeDefined()
       expect(result.taskCount).toBe(1)
       expect(mockAIService.initialize).toHaveBeenCalledWith('sk-test-key')
-      expect(mockAIService.generateProject).toHaveBeenCalledWith('Create a web development project')
+      expect(mockAIService.generateProject).toHaveBeenCalledWith('Create a web development project', {
+        analysisResult: expect.objectContaining({ isHierarchical: false })
+      })
       expect(store.dispatch).toHaveBeenCalledWith('importProject', mockGeneratedProject)
+      expect(store.dispatch).toHaveBeenCalledWith('aiGenerations/recordGeneration', expect.objectContaining({
+        prompt: 'Create a web development project',
+        result: expect.objectContaining({ success: true, project: mockGeneratedProject })
+      }), { root: true })
     })
 
     it('should handle missing prompt', async () => {
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createStore } from 'vuex'
+import tasksModule from '../../store/modules/tasks.js'
+import tabsModule from '../../store/modules/tabs.js'
+import { createPersistencePlugin } from '../../store/plugins/persistencePlugin.js'
+import { createTabSyncPlugin } from '../../store/plugins/tabSyncPlugin.js'
+import { storageService } from '../../services/storageService.js'
+import { tabSyncService } from '../../services/tabSyncService.js'
+
+vi.mock('../../services/storageService.js', () => ({
+  storageService: {
+    saveSettings: vi.fn()
+  }
+}))
+
+vi.mock('../../services/initializationService.js', () => ({
+  initializationService: {
+    initialize: vi.fn(async () => ({ success: true })),
+    getInitializationSummary: vi.fn()
+  }
+}))
+
+vi.mock('../../services/tabSyncService.js', () => {
+  const handlers = new Map()
+  return {
+    tabSyncService: {
+      active: true,
+      publish: vi.fn(),
+      subscribe: vi.fn((type, handler) => handlers.set(type, handler)),
+      // Message received from another tab
+      receive: (type, data) => handlers.get(type)(data)
+    }
+  }
+})
+
+describe('Tab sync and persistence plugins', () => {
+  let store
+
+  beforeEach(async () => {
+    vi.useFakeTimers()
+    vi.clearAllMocks()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    store = createStore({
+      modules: {
+        projects: { namespaced: true, state: () => ({ projects: [], currentProject: null }) },
+        tasks: { ...tasksModule, state: () => ({ ...tasksModule.state, tasks: [], currentTask: null }) },
+        tabs: { ...tabsModule, state: () => ({ shared: true, isLeader: false }) }
+      },
+      plugins: [createPersistencePlugin(), createTabSyncPlugin()]
+    })
+    // Let the initialization finish
+    await vi.runAllTimersAsync()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should share and store the mutations of this tab', () => {
+    store.commit('tasks/SET_MAX_NESTING_LEVEL', 5)
+    vi.advanceTimersByTime(500)
+
+    expect(tabSyncService.publish).toHaveBeenCalledWith('mutation', { type: 'tasks/SET_MAX_NESTING_LEVEL', payload: 5, projectId: null })
+    expect(storageService.saveSettings).toHaveBeenCalledWith({ maxNestingLevel: 5 })
+  })
+
+  it('should apply the mutations of another tab without sharing or storing them again', () => {
+    tabSyncService.receive('mutation', { type: 'tasks/SET_MAX_NESTING_LEVEL', payload: 4, projectId: null })
+    vi.advanceTimersByTime(500)
+
+    expect(store.state.tasks.maxNestingLevel).toBe(4)
+    expect(tabSyncService.publish).not.toHaveBeenCalled()
+    expect(storageService.saveSettings).not.toHaveBeenCalled()
+  })
+
+  it('should keep the pending save of this tab when another tab changes something', () => {
+    store.commit('tasks/SET_MAX_NESTING_LEVEL', 5)
+    tabSyncService.receive('mutation', { type: 'tasks/UPDATE_TASK_PROGRESS', payload: { taskId: 'task-1', progress: 50 }, projectId: null })
+    vi.advanceTimersByTime(500)
+
+    expect(storageService.saveSettings).toHaveBeenCalledWith({ maxNestingLevel: 5 })
+  })
+})
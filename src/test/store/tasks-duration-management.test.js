@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import tasksModule from '../../store/modules/tasks.js'
 import { Task } from '../../models/index.js'
+import { DateCalculationService } from '../../services/dateCalculationService.js'
 
 // Mock dependencies
 vi.mock('../../services/storageService.js', () => ({
@@ -463,25 +464,11 @@ describe('Tasks Store - Duration Management', () => {
 
     describe('calculateTotalProjectDuration getter', () => {
       it('should calculate total project duration', () => {
-        // Mock require to return our mocked service
-        const originalRequire = global.require
-        global.require = vi.fn((path) => {
-          if (path === '../../services/dateCalculationService.js') {
-            return {
-              DateCalculationService: {
-                calculateWorkingDays: vi.fn().mockReturnValue(10)
-              }
-            }
-          }
-          return originalRequire(path)
-        })
+        DateCalculationService.calculateWorkingDays.mockReturnValueOnce(10)
 
         const totalDuration = tasksModule.getters.calculateTotalProjectDuration(store.state)('project-1')
         
         expect(totalDuration).toBe(10)
-        
-        // Restore original require
-        global.require = originalRequire
       })
 
       it('should return 0 for project with no tasks', () => {
@@ -503,26 +490,13 @@ describe('Tasks Store - Duration Management', () => {
       })
 
       it('should handle DateCalculationService errors', () => {
-        // Mock require to throw an error
-        const originalRequire = global.require
-        global.require = vi.fn((path) => {
-          if (path === '../../services/dateCalculationService.js') {
-            return {
-              DateCalculationService: {
-                calculateWorkingDays: vi.fn().mockImplementation(() => {
-                  throw new Error('Service error')
-                })
-              }
-            }
-          }
-          return originalRequire(path)
+        DateCalculationService.calculateWorkingDays.mockImplementationOnce(() => {
+          throw new Error('Service error')
         })
+        vi.spyOn(console, 'error').mockImplementation(() => {})
 
         const totalDuration = tasksModule.getters.calculateTotalProjectDuration(store.state)('project-1')
         expect(totalDuration).toBe(0)
-        
-        // Restore original require
-        global.require = originalRequire
       })
     })
   })
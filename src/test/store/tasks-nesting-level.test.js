@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createStore } from 'vuex'
+import tasksModule from '../../store/modules/tasks.js'
+import { storageService } from '../../services/storageService.js'
+import { LocalStorageAdapter } from '../../services/localStorageAdapter.js'
+import { mockLocalStorage } from '../utils.js'
+
+// Stands in for IndexedDB: the settings no longer live in localStorage
+const createMemoryAdapter = () => {
+  const data = new Map()
+  return {
+    name: 'indexedDB',
+    data,
+    open: vi.fn(async function () { return this }),
+    getItem: (key) => data.has(key) ? data.get(key) : null,
+    setItem: (key, value) => data.set(key, value),
+    removeItem: (key) => data.delete(key),
+    flush: vi.fn(async () => {}),
+    close: vi.fn()
+  }
+}
+
+describe('Tasks Store - Max nesting level', () => {
+  let adapter
+  let store
+
+  beforeEach(async () => {
+    mockLocalStorage()
+    adapter = createMemoryAdapter()
+    await storageService.useAdapter(adapter)
+    store = createStore({
+      modules: {
+        tasks: { ...tasksModule, state: () => ({ ...tasksModule.state, tasks: [], currentTask: null }) }
+      }
+    })
+  })
+
+  afterEach(async () => {
+    await storageService.useAdapter(new LocalStorageAdapter())
+  })
+
+  it('should save the limit with the settings of the active backend', async () => {
+    await store.dispatch('tasks/setMaxNestingLevel', 3)
+
+    expect(store.state.tasks.maxNestingLevel).toBe(3)
+    expect(JSON.parse(adapter.data.get('pm_settings'))).toMatchObject({ maxNestingLevel: 3, theme: 'light' })
+    expect(storageService.getSettings().maxNestingLevel).toBe(3)
+    expect(window.localStorage.setItem).not.toHaveBeenCalledWith('pm_settings', expect.anything())
+  })
+
+  it('should reject a limit out of range without saving it', async () => {
+    await expect(store.dispatch('tasks/setMaxNestingLevel', 0)).rejects.toThrow('Nesting level must be between 1 and 100')
+    expect(storageService.getSettings().maxNestingLevel).toBe(100)
+  })
+})
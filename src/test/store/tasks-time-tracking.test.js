@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import tasksModule from '../../store/modules/tasks.js'
+import { Task, TimeEntry } from '../../models/index.js'
+
+vi.mock('../../services/storageService.js', () => ({
+  storageService: {
+    getTasksForProject: vi.fn(),
+    getAllProjects: vi.fn(),
+    saveTask: vi.fn(),
+    deleteTask: vi.fn()
+  }
+}))
+
+// 2024-01-15 is a Monday
+const day = (d, hours = 9) => new Date(2024, 0, d, hours)
+
+describe('Tasks Store - Time Tracking', () => {
+  let state
+  let context
+
+  beforeEach(() => {
+    state = {
+      tasks: [
+        new Task({ id: 'parent', title: 'Fase', projectId: 'p1', assignedTo: 'm1' }),
+        new Task({
+          id: 'child',
+          title: 'Diseño',
+          projectId: 'p1',
+          parentTaskId: 'parent',
+          assignedTo: 'm1',
+          timeEntries: [
+            { memberId: 'm1', date: day(15), hours: 2 },
+            { memberId: 'm1', date: day(17), hours: 1.5 },
+            { memberId: 'm2', date: day(17), hours: 4 },
+            { memberId: 'm1', date: day(22), hours: 3 }
+          ]
+        }),
+        new Task({
+          id: 'other',
+          title: 'Análisis',
+          projectId: 'p1',
+          assignedTo: 'm1',
+          timeEntries: [{ memberId: 'm1', date: day(21), hours: 1 }]
+        })
+      ]
+    }
+
+    context = {
+      state,
+      commit: vi.fn(),
+      dispatch: vi.fn(async (type, payload) => payload)
+    }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('loggedHoursByTask getter', () => {
+    it('rolls up logged hours from subtasks to their parent', () => {
+      const hoursByTask = tasksModule.getters.loggedHoursByTask(state)('p1')
+
+      expect(hoursByTask.child).toBe(10.5)
+      expect(hoursByTask.parent).toBe(10.5)
+      expect(hoursByTask.other).toBe(1)
+    })
+  })
+
+  describe('timesheet getter', () => {
+    it('groups the entries of a member by task and weekday', () => {
+      const timesheet = tasksModule.getters.timesheet(state)({
+        projectId: 'p1',
+        memberId: 'm1',
+        weekStart: day(17)
+      })
+
+      expect(timesheet.weekStart).toEqual(new Date(2024, 0, 15))
+      expect(timesheet.rows.map(row => row.taskId)).toEqual(['other', 'child'])
+      expect(timesheet.rows[1].hours).toEqual([2, 0, 1.5, 0, 0, 0, 0])
+      expect(timesheet.rows[0].hours[6]).toBe(1)
+      expect(timesheet.dailyTotals).toEqual([2, 0, 1.5, 0, 0, 0, 1])
+      expect(timesheet.total).toBe(4.5)
+    })
+  })
+
+  describe('timer actions', () => {
+    it('stops the running timer of the member before starting another one', async () => {
+      state.tasks[2].activeTimer = { memberId: 'm1', startedAt: day(15, 8) }
+      vi.useFakeTimers()
+      vi.setSystemTime(day(15, 10))
+
+      await tasksModule.actions.startTaskTimer(context, { taskId: 'child' })
+
+      expect(context.dispatch).toHaveBeenCalledWith('stopTaskTimer', { taskId: 'other' })
+      expect(context.dispatch).toHaveBeenCalledWith('updateTask', expect.objectContaining({
+        id: 'child',
+        activeTimer: { memberId: 'm1', startedAt: day(15, 10) }
+      }))
+    })
+
+    it('logs the elapsed time as a timer entry when stopped', async () => {
+      state.tasks[0].activeTimer = { memberId: 'm1', startedAt: day(15, 8) }
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date(2024, 0, 15, 9, 30))
+
+      await tasksModule.actions.stopTaskTimer(context, { taskId: 'parent' })
+
+      const updated = context.dispatch.mock.calls[0][1]
+      expect(updated.activeTimer).toBeNull()
+      expect(updated.timeEntries).toHaveLength(1)
+      expect(updated.timeEntries[0]).toBeInstanceOf(TimeEntry)
+      expect(updated.timeEntries[0]).toMatchObject({ memberId: 'm1', hours: 1.5, source: 'timer' })
+    })
+  })
+
+  describe('addTimeEntry action', () => {
+    it('rejects entries with more than 24 hours', async () => {
+      await expect(tasksModule.actions.addTimeEntry(context, {
+        taskId: 'other',
+        entry: { memberId: 'm1', date: day(16), hours: 25 }
+      })).rejects.toThrow()
+
+      expect(context.dispatch).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -194,4 +194,79 @@ export function mockLocalStorage(data = {}) {
   })
   
   return storage
-}
\ No newline at end of file
+}
+
+// Stand-in for a self-hosted model server (Ollama or OpenAI-compatible)
+// Works as the fetch of LocalLLMService and answers every chat with the next
+// canned reply; a reply can be a string, an object (sent as JSON text) or
+// { status, body } to make the server fail. Streamed chats send the reply in
+// chunks of chunkSize characters and stop when the request signal aborts
+export function createLocalLLMServer({ apiType = 'ollama', models = ['llama3.1:latest'], replies = [], chunkSize = 40 } = {}) {
+  const server = {
+    requests: [],
+    replies: [...replies],
+    offline: false
+  }
+
+  const respond = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+  })
+
+  const streamResponse = (content, signal) => {
+    const pieces = []
+    for (let i = 0; i < content.length; i += chunkSize) pieces.push(content.slice(i, i + chunkSize))
+
+    const lines = apiType === 'ollama'
+      ? [...pieces.map(piece => JSON.stringify({ model: models[0], message: { role: 'assistant', content: piece }, done: false })), JSON.stringify({ model: models[0], done: true })]
+      : [...pieces.map(piece => `data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: piece } }] })}\n`), 'data: [DONE]\n']
+
+    const encoder = new TextEncoder()
+    let streamController
+    const body = new ReadableStream({
+      start(controller) {
+        streamController = controller
+      },
+      pull(controller) {
+        if (lines.length === 0) controller.close()
+        else controller.enqueue(encoder.encode(`${lines.shift()}\n`))
+      }
+    })
+    signal?.addEventListener('abort', () => streamController.error(new DOMException('The operation was aborted', 'AbortError')))
+
+    return { ...respond(200, null), body }
+  }
+
+  const chatResponse = (content) => (apiType === 'ollama'
+    ? { model: models[0], message: { role: 'assistant', content }, done: true }
+    : { object: 'chat.completion', model: models[0], choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] })
+
+  server.fetch = async (url, options = {}) => {
+    const path = new URL(url).pathname
+    const body = options.body ? JSON.parse(options.body) : null
+    server.requests.push({ method: options.method || 'GET', path, headers: options.headers || {}, body })
+
+    if (server.offline) throw new TypeError('Failed to fetch')
+
+    if (apiType === 'ollama' && path.endsWith('/api/tags')) {
+      return respond(200, { models: models.map(name => ({ name })) })
+    }
+    if (apiType === 'openai' && path.endsWith('/models')) {
+      return respond(200, { object: 'list', data: models.map(id => ({ id, object: 'model' })) })
+    }
+
+    const isChat = apiType === 'ollama' ? path.endsWith('/api/chat') : path.endsWith('/chat/completions')
+    if (!isChat) return respond(404, { error: 'not found' })
+
+    const reply = server.replies.shift()
+    if (reply === undefined) return respond(500, { error: 'no canned reply left' })
+    if (reply && reply.status) return respond(reply.status, reply.body ?? { error: 'error' })
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply)
+    if (body.stream) return streamResponse(content, options.signal)
+    return respond(200, chatResponse(content))
+  }
+
+  return server
+}
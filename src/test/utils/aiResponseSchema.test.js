@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the shared AI response schema
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { aiResponseSchema } from '../../utils/aiResponseSchema.js';
+import { supportsStructuredOutput } from '../../config/aiConfig.js';
+
+const project = (overrides = {}) => ({
+  name: 'Intranet',
+  description: 'Portal interno',
+  estimatedDuration: 10,
+  tasks: [{
+    title: 'Desarrollo',
+    description: 'Portal',
+    duration: 10,
+    subtasks: [
+      { title: 'Login', description: 'Acceso', duration: 4 },
+      { title: 'Noticias', description: 'Publicación', duration: 6, type: 'with_deliverable', deliverable: { type: 'file', description: 'Manual' } }
+    ]
+  }],
+  ...overrides
+});
+
+describe('AIResponseSchema', () => {
+  it('should accept a valid project, including the nulls of structured output', () => {
+    expect(aiResponseSchema.validateProject(project())).toEqual({ isValid: true, errors: [], warnings: [] });
+
+    const structured = project({ teamMembers: null });
+    Object.assign(structured.tasks[0], { priority: null, type: null, deliverable: null, dependencies: null, estimatedHours: null });
+    expect(aiResponseSchema.validateProject(structured).isValid).toBe(true);
+  });
+
+  it('should report errors with the path of the value', () => {
+    const data = project();
+    data.tasks[0].subtasks[1].duration = 0;
+    data.tasks[0].subtasks[0].title = '  ';
+    data.tasks.push('Pruebas');
+
+    const result = aiResponseSchema.validateProject(data);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      '$.tasks[0].subtasks[0].title: must not be empty',
+      '$.tasks[0].subtasks[1].duration: must be greater than 0',
+      '$.tasks[1]: must be an object'
+    ]);
+  });
+
+  it('should only warn about recommended fields', () => {
+    const data = project({ estimatedDuration: undefined, teamMembers: [{ role: 'QA' }] });
+    data.tasks[0].priority = 'urgent';
+    data.tasks[0].subtasks[1].deliverable.type = 'video';
+
+    const result = aiResponseSchema.validateProject(data);
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toEqual([
+      '$.estimatedDuration: is required',
+      '$.tasks[0].priority: must be one of low, medium, high (got "urgent")',
+      '$.tasks[0].subtasks[1].deliverable.type: must be one of presentation, file, exposition, other (got "video")',
+      '$.teamMembers[0].name: is required'
+    ]);
+  });
+
+  it('should adapt the schema to each provider', () => {
+    const openai = aiResponseSchema.getStructuredOutput('openai').json_schema.schema;
+    const task = openai.properties.tasks.items;
+    expect(openai.additionalProperties).toBe(false);
+    expect(task.required).toEqual(Object.keys(task.properties));
+    expect(task.properties.deliverable.additionalProperties).toBe(false);
+    expect(task.properties.title).toEqual({ type: 'string' });
+    expect(JSON.stringify(openai)).not.toContain('x-severity');
+
+    const gemini = aiResponseSchema.getStructuredOutput('gemini');
+    expect(gemini.properties.tasks.items.properties.priority).toEqual({ type: 'string', nullable: true, enum: ['low', 'medium', 'high'], format: 'enum' });
+    expect(gemini.properties.tasks.minItems).toBe(1);
+
+    // Subtasks stop at the depth the hierarchy parser accepts
+    let level = gemini.properties.tasks.items;
+    let depth = 0;
+    while (level.properties.subtasks) {
+      level = level.properties.subtasks.items;
+      depth++;
+    }
+    expect(depth).toBe(3);
+  });
+
+  it('should only ask models that support it for structured output', () => {
+    expect(supportsStructuredOutput('openai', 'gpt-3.5-turbo')).toBe(false);
+    expect(supportsStructuredOutput('openai', 'gpt-4o-mini')).toBe(true);
+    expect(supportsStructuredOutput('gemini', 'gemini-pro')).toBe(false);
+    expect(supportsStructuredOutput('gemini', 'gemini-1.5-flash')).toBe(true);
+  });
+
+  it('should parse fenced and cut off responses', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(aiResponseSchema.parseJSON('```json\n{"name": "Intranet"}\n```')).toEqual({ name: 'Intranet' });
+    expect(aiResponseSchema.parseJSON('{"name": "Intranet", "tasks": [{"title": "Login"}')).toEqual({ name: 'Intranet', tasks: [{ title: 'Login' }] });
+    expect(() => aiResponseSchema.parseJSON('Lo siento, no puedo')).toThrow('Failed to parse AI response as JSON');
+  });
+});
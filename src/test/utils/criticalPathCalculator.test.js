@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import { CriticalPathCalculator } from '../../utils/criticalPathCalculator.js'
+
+// 2024-01-15 is a Monday; working days are Monday to Saturday
+const day = (d) => new Date(2024, 0, d)
+
+const task = (id, start, end, extra = {}) => ({
+  id,
+  title: id,
+  startDate: day(start),
+  endDate: day(end),
+  dependencies: [],
+  ...extra
+})
+
+describe('CriticalPathCalculator', () => {
+  const calculator = new CriticalPathCalculator()
+
+  it('returns an empty analysis without tasks', () => {
+    const analysis = calculator.calculate([])
+    expect(analysis.criticalTaskIds).toEqual([])
+    expect(analysis.tasks).toEqual({})
+  })
+
+  it('computes early/late dates and floats for a finish-to-start chain', () => {
+    const analysis = calculator.calculate([
+      task('a', 15, 17),
+      task('b', 15, 16, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] }),
+      task('c', 15, 15)
+    ])
+
+    expect(analysis.tasks.b.earlyStart).toEqual(day(18))
+    expect(analysis.tasks.b.earlyFinish).toEqual(day(19))
+    expect(analysis.tasks.a.totalFloat).toBe(0)
+    expect(analysis.tasks.b.totalFloat).toBe(0)
+    expect(analysis.tasks.c.totalFloat).toBe(4)
+    expect(analysis.tasks.c.freeFloat).toBe(4)
+    expect(analysis.tasks.c.lateStart).toEqual(day(19))
+    expect(analysis.criticalTaskIds).toEqual(['a', 'b'])
+    expect(analysis.projectFinish).toEqual(day(19))
+  })
+
+  it('skips non-working days when applying lags', () => {
+    const analysis = calculator.calculate([
+      task('a', 18, 20),
+      task('b', 18, 18, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 1 }] })
+    ])
+
+    // a finishes Saturday 20, one day of lag is Monday 22, so b starts Tuesday 23
+    expect(analysis.tasks.b.earlyStart).toEqual(day(23))
+  })
+
+  it('supports start-to-start and finish-to-finish links', () => {
+    const analysis = calculator.calculate([
+      task('a', 15, 19),
+      task('b', 15, 16, { dependencies: [{ predecessorId: 'a', type: 'SS', lag: 2 }] }),
+      task('c', 15, 15, { dependencies: [{ predecessorId: 'a', type: 'FF', lag: 0 }] })
+    ])
+
+    expect(analysis.tasks.b.earlyStart).toEqual(day(17))
+    expect(analysis.tasks.c.earlyStart).toEqual(day(19))
+    expect(analysis.tasks.c.totalFloat).toBe(0)
+  })
+
+  it('keeps planned start dates as start-no-earlier-than constraints', () => {
+    const analysis = calculator.calculate([
+      task('a', 15, 15),
+      task('b', 22, 22, { dependencies: [{ predecessorId: 'a' }] })
+    ])
+
+    expect(analysis.tasks.b.earlyStart).toEqual(day(22))
+    expect(analysis.tasks.a.totalFloat).toBe(5)
+    expect(analysis.tasks.a.freeFloat).toBe(5)
+
+    const unconstrained = calculator.calculate([
+      task('a', 15, 15),
+      task('b', 22, 22, { dependencies: [{ predecessorId: 'a' }] })
+    ], { respectScheduledDates: false })
+
+    expect(unconstrained.tasks.b.earlyStart).toEqual(day(16))
+  })
+
+  it('applies links on summary tasks to their leaves and rolls results up', () => {
+    const analysis = calculator.calculate([
+      task('phase', 15, 16),
+      task('p1', 15, 15, { parentTaskId: 'phase' }),
+      task('p2', 15, 16, { parentTaskId: 'phase' }),
+      task('next', 15, 15, { dependencies: [{ predecessorId: 'phase' }] })
+    ])
+
+    expect(analysis.tasks.next.earlyStart).toEqual(day(17))
+    expect(analysis.tasks.p1.totalFloat).toBe(1)
+    expect(analysis.tasks.phase.earlyStart).toEqual(day(15))
+    expect(analysis.tasks.phase.earlyFinish).toEqual(day(16))
+    expect(analysis.tasks.phase.isCritical).toBe(true)
+  })
+
+  it('reports dependency cycles instead of failing', () => {
+    const analysis = calculator.calculate([
+      task('a', 15, 15, { dependencies: [{ predecessorId: 'b' }] }),
+      task('b', 15, 15, { dependencies: [{ predecessorId: 'a' }] }),
+      task('c', 15, 15)
+    ])
+
+    expect(analysis.warnings.some(w => w.includes('circulares'))).toBe(true)
+    expect(analysis.tasks.c).toBeDefined()
+    expect(analysis.tasks.a).toBeUndefined()
+  })
+})
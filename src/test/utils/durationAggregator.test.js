@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { DurationAggregator } from '../../utils/durationAggregator.js';
+
+const createHierarchy = () => ({
+  id: 'parent',
+  title: 'Fase',
+  duration: 3,
+  estimatedHours: 50,
+  subtasks: [
+    { id: 'a', title: 'Reunión', duration: 3, estimatedHours: 2, timeEntries: [{ hours: 1.5 }] },
+    { id: 'b', title: 'Informe', duration: 1, estimatedHours: 6, remainingHours: 1 },
+    { id: 'c', title: 'Sin estimar', duration: 2 }
+  ]
+});
+
+describe('DurationAggregator', () => {
+  describe('effort estimates', () => {
+    it('should aggregate estimates from subtasks while calculating the duration', () => {
+      const aggregator = new DurationAggregator();
+      const task = createHierarchy();
+
+      const duration = aggregator.calculateAggregatedDuration(task);
+
+      // A 2-hour meeting spanning three days still counts as three days of calendar duration
+      expect(duration).toBe(6);
+      expect(task.aggregatedEstimatedHours).toBe(8);
+      expect(task.aggregatedRemainingHours).toBe(1.5);
+      expect(task.subtasks[2].aggregatedEstimatedHours).toBeNull();
+    });
+
+    it('should fall back to the parent estimate when no subtask is estimated', () => {
+      const aggregator = new DurationAggregator();
+      const task = { id: 'parent', duration: 2, estimatedHours: 12, subtasks: [{ id: 'a', duration: 2 }] };
+
+      aggregator.calculateAggregatedDuration(task);
+
+      expect(task.aggregatedEstimatedHours).toBe(12);
+      expect(task.aggregatedRemainingHours).toBe(12);
+    });
+
+    it('should report estimate totals of top-level tasks', () => {
+      const aggregator = new DurationAggregator();
+      const tasks = [
+        createHierarchy(),
+        { id: 'd', title: 'Cierre', duration: 1, estimatedHours: 4, status: 'completed' }
+      ];
+
+      const result = aggregator.updateAggregatedDurations(tasks);
+
+      expect(result.totalEstimatedHours).toBe(12);
+      expect(result.totalRemainingHours).toBe(1.5);
+    });
+  });
+});
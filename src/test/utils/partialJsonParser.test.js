@@ -0,0 +1,54 @@
+/**
+ * Unit tests for PartialJSONParser
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PartialJSONParser } from '../../utils/partialJsonParser.js';
+
+describe('PartialJSONParser', () => {
+  const parser = new PartialJSONParser();
+
+  const response = JSON.stringify({
+    name: 'Intranet',
+    estimatedDuration: 12,
+    tasks: [
+      { title: 'Análisis', duration: 3, subtasks: [{ title: 'Entrevistas', duration: 1 }] },
+      { title: 'Desarrollo "ágil"', duration: 9 }
+    ]
+  });
+
+  it('should parse a complete response like JSON.parse', () => {
+    expect(parser.parse(response)).toEqual(JSON.parse(response));
+    expect(parser.parse('```json\n' + response + '\n```')).toEqual(JSON.parse(response));
+  });
+
+  it('should return nothing before the object starts', () => {
+    expect(parser.parse('')).toBeNull();
+    expect(parser.parse('Aquí tienes el proyecto: ')).toBeNull();
+    expect(parser.parse('{')).toEqual({});
+  });
+
+  it('should only keep complete elements in arrays', () => {
+    const cut = response.indexOf('"Desarrollo') + 5;
+    const partial = parser.parse(response.substring(0, cut));
+
+    expect(partial.name).toBe('Intranet');
+    expect(partial.tasks).toHaveLength(1);
+    expect(partial.tasks[0].subtasks).toEqual([{ title: 'Entrevistas', duration: 1 }]);
+
+    // The first task is not complete while its subtasks are arriving
+    expect(parser.parse(response.substring(0, response.indexOf('Entrevistas'))).tasks).toEqual([]);
+  });
+
+  it('should cut unfinished strings and skip numbers that may still grow', () => {
+    expect(parser.parse('{"name": "Intra')).toEqual({ name: 'Intra' });
+    expect(parser.parse('{"name": "Web \\"nueva\\')).toEqual({ name: 'Web "nueva' });
+    expect(parser.parse('{"name": "Caf\\u00')).toEqual({ name: 'Caf' });
+    expect(parser.parse('{"name": "Web", "estimatedDuration": 1')).toEqual({ name: 'Web' });
+    expect(parser.parse('{"name": "Web", "estimatedDuration": 12,')).toEqual({ name: 'Web', estimatedDuration: 12 });
+  });
+
+  it('should reject text that is not JSON', () => {
+    expect(() => parser.parse('{"name": Intranet}')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import {
+  validateTask,
+  validateDependency,
+  validateTaskDependencies,
+  findDependencyCycle,
+  ValidationError
+} from '../../utils/validation.js'
+import { Task } from '../../models/index.js'
+
+const makeTask = (id, overrides = {}) => new Task({
+  id,
+  projectId: 'project-1',
+  title: `Task ${id}`,
+  startDate: new Date('2024-01-15'),
+  endDate: new Date('2024-01-19'),
+  ...overrides
+})
+
+describe('Task dependency validation', () => {
+  describe('validateDependency', () => {
+    it('accepts all supported dependency types', () => {
+      ['FS', 'SS', 'FF', 'SF'].forEach(type => {
+        expect(validateDependency({ predecessorId: 'a', type, lag: 0 })).toBe(true)
+      })
+    })
+
+    it('rejects unknown types, self links and fractional lags', () => {
+      expect(() => validateDependency({ predecessorId: 'a', type: 'XX' })).toThrow(ValidationError)
+      expect(() => validateDependency({ predecessorId: 'a', type: 'FS' }, 'a')).toThrow('no puede depender de sí misma')
+      expect(() => validateDependency({ predecessorId: 'a', type: 'FS', lag: 1.5 })).toThrow(ValidationError)
+    })
+  })
+
+  describe('validateTask', () => {
+    it('reports malformed dependencies', () => {
+      const task = makeTask('b')
+      task.dependencies = [{ predecessorId: '', type: 'FS', lag: 0 }]
+
+      expect(() => validateTask(task)).toThrow(ValidationError)
+    })
+  })
+
+  describe('findDependencyCycle', () => {
+    it('returns null for an acyclic graph', () => {
+      const tasks = [
+        makeTask('a'),
+        makeTask('b', { dependencies: [{ predecessorId: 'a' }] }),
+        makeTask('c', { dependencies: [{ predecessorId: 'a' }, { predecessorId: 'b' }] })
+      ]
+
+      expect(findDependencyCycle(tasks)).toBeNull()
+    })
+
+    it('returns the task ids forming a cycle', () => {
+      const tasks = [
+        makeTask('a', { dependencies: [{ predecessorId: 'c' }] }),
+        makeTask('b', { dependencies: [{ predecessorId: 'a' }] }),
+        makeTask('c', { dependencies: [{ predecessorId: 'b' }] })
+      ]
+
+      const cycle = findDependencyCycle(tasks)
+      expect(cycle[0]).toBe(cycle[cycle.length - 1])
+      expect(new Set(cycle)).toEqual(new Set(['a', 'b', 'c']))
+    })
+  })
+
+  describe('validateTaskDependencies', () => {
+    it('accepts links to tasks of the same project', () => {
+      const a = makeTask('a')
+      const b = makeTask('b', { dependencies: [{ predecessorId: 'a', type: 'SS', lag: 2 }] })
+
+      expect(validateTaskDependencies(b, [a])).toBe(true)
+    })
+
+    it('rejects predecessors that do not exist or belong to another project', () => {
+      const other = makeTask('x', { projectId: 'project-2' })
+      const b = makeTask('b', { dependencies: [{ predecessorId: 'missing' }, { predecessorId: 'x' }] })
+
+      try {
+        validateTaskDependencies(b, [other])
+        throw new Error('expected validation to fail')
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError)
+        expect(error.errors).toHaveLength(2)
+      }
+    })
+
+    it('rejects links that would close a cycle', () => {
+      const a = makeTask('a', { dependencies: [{ predecessorId: 'b' }] })
+      const b = makeTask('b', { dependencies: [{ predecessorId: 'a' }] })
+
+      expect(() => validateTaskDependencies(b, [a])).toThrow(ValidationError)
+    })
+
+    it('rejects links between a task and its parent', () => {
+      const parent = makeTask('parent')
+      const child = makeTask('child', { parentTaskId: 'parent', dependencies: [{ predecessorId: 'parent' }] })
+
+      expect(() => validateTaskDependencies(child, [parent])).toThrow(ValidationError)
+    })
+  })
+})
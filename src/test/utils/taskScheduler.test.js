@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest'
+import { TaskScheduler } from '../../utils/taskScheduler.js'
+
+// 2024-01-15 is a Monday; working days are Monday to Saturday
+const day = (d) => new Date(2024, 0, d)
+
+const task = (id, start, end, extra = {}) => ({
+  id,
+  title: id,
+  startDate: day(start),
+  endDate: day(end),
+  priority: 'medium',
+  status: 'pending',
+  dependencies: [],
+  ...extra
+})
+
+const changeFor = (preview, id) => preview.changes.find(change => change.taskId === id)
+
+describe('TaskScheduler', () => {
+  const scheduler = new TaskScheduler()
+
+  it('returns an empty preview without tasks', () => {
+    const preview = scheduler.schedule([])
+    expect(preview.changes).toEqual([])
+    expect(preview.warnings).toEqual([])
+  })
+
+  it('moves successors after their predecessors without touching the tasks', () => {
+    const tasks = [
+      task('a', 15, 17),
+      task('b', 15, 16, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] })
+    ]
+
+    const preview = scheduler.schedule(tasks, { projectStart: day(15) })
+
+    expect(changeFor(preview, 'a')).toBeUndefined()
+    expect(changeFor(preview, 'b').newStartDate).toEqual(day(18))
+    expect(changeFor(preview, 'b').newEndDate).toEqual(day(19))
+    expect(changeFor(preview, 'b').duration).toBe(2)
+    expect(tasks[1].startDate).toEqual(day(15))
+  })
+
+  it('skips non-working days', () => {
+    const preview = scheduler.schedule([
+      task('a', 18, 20),
+      task('b', 18, 18, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] })
+    ], { projectStart: day(18) })
+
+    // a finishes Saturday 20, so b starts Monday 22
+    expect(changeFor(preview, 'b').newStartDate).toEqual(day(22))
+  })
+
+  it('does not overbook an assignee and schedules higher priority first', () => {
+    const preview = scheduler.schedule([
+      task('low', 15, 16, { assignedTo: 'ana', priority: 'low' }),
+      task('high', 15, 16, { assignedTo: 'ana', priority: 'high' })
+    ], { projectStart: day(15) })
+
+    expect(changeFor(preview, 'high')).toBeUndefined()
+    expect(changeFor(preview, 'low').newStartDate).toEqual(day(17))
+    expect(changeFor(preview, 'low').shift).toBe(2)
+  })
+
+  it('keeps fixed-date and completed tasks in place and reserves their assignee', () => {
+    const preview = scheduler.schedule([
+      task('fixed', 16, 17, { assignedTo: 'ana', fixedDates: true }),
+      task('done', 15, 15, { status: 'completed' }),
+      task('free', 15, 15, { assignedTo: 'ana', priority: 'high' })
+    ], { projectStart: day(15) })
+
+    expect(changeFor(preview, 'fixed')).toBeUndefined()
+    expect(changeFor(preview, 'done')).toBeUndefined()
+    // Monday 15 is free for ana before the fixed task
+    expect(changeFor(preview, 'free')).toBeUndefined()
+  })
+
+  it('warns when a fixed task breaks a dependency', () => {
+    const preview = scheduler.schedule([
+      task('a', 15, 17),
+      task('b', 16, 16, { fixedDates: true, dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] })
+    ], { projectStart: day(15) })
+
+    expect(changeFor(preview, 'b')).toBeUndefined()
+    expect(preview.warnings.some(warning => warning.includes('"b"'))).toBe(true)
+  })
+
+  it('spans summary tasks over their rescheduled children', () => {
+    const preview = scheduler.schedule([
+      task('parent', 15, 16),
+      task('child-1', 15, 16, { parentTaskId: 'parent', assignedTo: 'ana' }),
+      task('child-2', 15, 16, { parentTaskId: 'parent', assignedTo: 'ana' })
+    ], { projectStart: day(15) })
+
+    expect(changeFor(preview, 'parent').newStartDate).toEqual(day(15))
+    expect(changeFor(preview, 'parent').newEndDate).toEqual(day(18))
+    expect(preview.projectFinish).toEqual(day(18))
+  })
+
+  it('uses a custom working day predicate', () => {
+    const weekdaysOnly = (date) => date.getDay() !== 0 && date.getDay() !== 6
+    const preview = scheduler.schedule([
+      task('a', 18, 19),
+      task('b', 18, 18, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] })
+    ], { projectStart: day(18), isWorkingDay: weekdaysOnly })
+
+    expect(changeFor(preview, 'b').newStartDate).toEqual(day(22))
+  })
+})
+
+describe('TaskScheduler.propagateSuccessors', () => {
+  const scheduler = new TaskScheduler()
+
+  it('pushes direct and transitive successors of a moved task', () => {
+    const result = scheduler.propagateSuccessors([
+      task('a', 15, 18),
+      task('b', 18, 18, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] }),
+      task('c', 19, 19, { dependencies: [{ predecessorId: 'b', type: 'FS', lag: 0 }] })
+    ], ['a'])
+
+    expect(changeFor(result, 'b').newStartDate).toEqual(day(19))
+    expect(changeFor(result, 'c').newStartDate).toEqual(day(20))
+  })
+
+  it('never pulls successors earlier', () => {
+    const result = scheduler.propagateSuccessors([
+      task('a', 15, 15),
+      task('b', 20, 20, { dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] })
+    ], ['a'])
+
+    expect(result.changes).toEqual([])
+  })
+
+  it('reports fixed successors instead of moving them', () => {
+    const result = scheduler.propagateSuccessors([
+      task('a', 15, 18),
+      task('b', 17, 17, { fixedDates: true, dependencies: [{ predecessorId: 'a', type: 'FS', lag: 0 }] })
+    ], ['a'])
+
+    expect(result.changes).toEqual([])
+    expect(result.warnings).toHaveLength(1)
+  })
+
+  it('only follows links of the moved tasks', () => {
+    const result = scheduler.propagateSuccessors([
+      task('a', 15, 15),
+      task('x', 15, 18),
+      task('y', 16, 16, { dependencies: [{ predecessorId: 'x', type: 'FS', lag: 0 }] })
+    ], ['a'])
+
+    expect(result.changes).toEqual([])
+  })
+})
+
+describe('TaskScheduler.level', () => {
+  const scheduler = new TaskScheduler()
+  const members = [{ id: 'ana', name: 'Ana', hoursPerDay: 8, daysOff: [] }]
+  // Long unassigned task that gives the other tasks float
+  const backbone = () => task('z', 15, 24)
+
+  it('delays the lower priority task within its float and its successors', () => {
+    const preview = scheduler.level([
+      backbone(),
+      task('low', 15, 16, { assignedTo: 'ana', priority: 'low' }),
+      task('high', 15, 16, { assignedTo: 'ana', priority: 'high' }),
+      task('next', 17, 17, { dependencies: [{ predecessorId: 'low', type: 'FS', lag: 0 }] })
+    ], { members, projectStart: day(15) })
+
+    expect(preview.type).toBe('leveling')
+    expect(changeFor(preview, 'high')).toBeUndefined()
+    expect(changeFor(preview, 'low')).toMatchObject({ newStartDate: day(17), newEndDate: day(18), shift: 2 })
+    expect(changeFor(preview, 'next')).toMatchObject({ newStartDate: day(19), shift: 2 })
+    expect(preview.overAllocatedDays).toEqual({ before: 2, after: 0 })
+    expect(preview.projectFinish).toEqual(day(24))
+  })
+
+  it('never delays critical tasks or the project finish', () => {
+    const preview = scheduler.level([
+      task('a', 15, 16, { assignedTo: 'ana' }),
+      task('b', 15, 16, { assignedTo: 'ana' })
+    ], { members, projectStart: day(15) })
+
+    expect(preview.changes).toEqual([])
+    expect(preview.overAllocatedDays).toEqual({ before: 2, after: 2 })
+  })
+
+  it('shares the day when estimated hours fit in the capacity', () => {
+    const preview = scheduler.level([
+      backbone(),
+      task('a', 15, 16, { assignedTo: 'ana', estimatedHours: 8 }),
+      task('b', 15, 16, { assignedTo: 'ana', estimatedHours: 8 })
+    ], { members, projectStart: day(15) })
+
+    expect(preview.changes).toEqual([])
+    expect(preview.overAllocatedDays.before).toBe(0)
+  })
+
+  it('moves work away from the days off of the assignee', () => {
+    const away = [{ id: 'ana', name: 'Ana', hoursPerDay: 8, daysOff: [{ date: '2024-01-15' }, { date: '2024-01-16' }] }]
+    const preview = scheduler.level([
+      task('short', 15, 15, { assignedTo: 'ana' }),
+      task('tight', 15, 16, { assignedTo: 'ana' }),
+      task('end', 17, 17, { dependencies: [{ predecessorId: 'tight', type: 'FS', lag: 0 }] })
+    ], { members: away, projectStart: day(15) })
+
+    expect(changeFor(preview, 'short').newStartDate).toEqual(day(17))
+    // Critical work on days off stays where it is
+    expect(changeFor(preview, 'tight')).toBeUndefined()
+    expect(preview.overAllocatedDays).toEqual({ before: 2, after: 2 })
+  })
+
+  it('warns when the float is not enough to remove an over-allocation', () => {
+    const preview = scheduler.level([
+      task('z', 15, 17),
+      task('a', 15, 16, { assignedTo: 'ana', priority: 'high' }),
+      task('b', 15, 16, { assignedTo: 'ana', priority: 'low' })
+    ], { members, projectStart: day(15) })
+
+    // b has a single day of float and needs two
+    expect(changeFor(preview, 'b')).toBeUndefined()
+    expect(preview.warnings).toEqual(['La holgura de "b" no basta para resolver la sobreasignación de Ana'])
+  })
+})
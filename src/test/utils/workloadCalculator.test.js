@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { WorkloadCalculator } from '../../utils/workloadCalculator.js';
+import { TeamMember } from '../../models/index.js';
+
+// 2024-01-15 is a Monday
+const day = (d) => new Date(2024, 0, d);
+const calendar = { workingDays: [1, 2, 3, 4, 5], holidays: [], exceptions: [] };
+
+const createMember = (data = {}) => new TeamMember({ id: 'm1', name: 'Ana', role: 'Desarrollador', ...data });
+
+const createTasks = () => [
+  // 8 estimated hours over two days: 4 h/day
+  { id: 'a', title: 'Diseño', assignedTo: 'm1', startDate: day(15), endDate: day(16), estimatedHours: 8, status: 'pending' },
+  // Unestimated tasks take the full day of the member
+  { id: 'b', title: 'Desarrollo', assignedTo: 'm1', startDate: day(16), endDate: day(17), status: 'in_progress' },
+  // Closed tasks and parents do not add load
+  { id: 'c', title: 'Cerrada', assignedTo: 'm1', startDate: day(16), endDate: day(16), status: 'completed' },
+  { id: 'p', title: 'Fase', assignedTo: 'm1', startDate: day(15), endDate: day(19), status: 'pending' },
+  { id: 'd', title: 'Pruebas', parentTaskId: 'p', assignedTo: 'm2', startDate: day(15), endDate: day(15), status: 'pending' }
+];
+
+describe('WorkloadCalculator', () => {
+  it('should flag days where overlapping tasks exceed the member capacity', () => {
+    const calculator = new WorkloadCalculator();
+
+    const workload = calculator.calculate(createTasks(), [createMember()], {
+      startDate: day(15),
+      endDate: day(19),
+      calendar
+    });
+
+    const [row] = workload.members;
+    expect(workload.days).toHaveLength(5);
+    expect(row.days.map(d => d.load)).toEqual([4, 12, 8, 0, 0]);
+    expect(row.days[1].taskIds).toEqual(['a', 'b']);
+    expect(row.overAllocatedDays).toBe(1);
+    expect(workload.overAllocations).toHaveLength(1);
+    expect(workload.overAllocations[0]).toMatchObject({ memberId: 'm1', load: 12, capacity: 8 });
+    expect(workload.overAllocations[0].date.getDate()).toBe(16);
+  });
+
+  it('should use the member capacity and days off', () => {
+    const calculator = new WorkloadCalculator();
+    const member = createMember({ hoursPerDay: 6, daysOff: [{ date: '2024-01-15', reason: 'Vacaciones' }] });
+
+    const workload = calculator.calculate(createTasks(), [member], {
+      startDate: day(15),
+      endDate: day(21),
+      calendar
+    });
+
+    const [row] = workload.members;
+    expect(row.days.map(d => d.capacity)).toEqual([0, 6, 6, 6, 6, 0, 0]);
+    expect(row.totalCapacity).toBe(24);
+    // Day off with 4 h of work, then 4 h + 6 h on the 16th
+    expect(workload.overAllocations.map(allocation => allocation.date.getDate())).toEqual([15, 16]);
+  });
+
+  it('should check whether an assignment over-allocates a member', () => {
+    const calculator = new WorkloadCalculator();
+    const member = createMember();
+    const tasks = createTasks();
+
+    const free = calculator.checkAssignment(
+      { title: 'Revisión', startDate: day(18), endDate: day(18), estimatedHours: 8 },
+      member,
+      tasks,
+      calendar
+    );
+    const busy = calculator.checkAssignment(
+      { title: 'Revisión', startDate: day(15), endDate: day(15), estimatedHours: 6 },
+      member,
+      tasks,
+      calendar
+    );
+    // Editing a task replaces its stored version instead of counting it twice
+    const edited = calculator.checkAssignment({ ...tasks[0], estimatedHours: 2 }, member, tasks, calendar);
+
+    expect(free).toEqual([]);
+    expect(busy).toHaveLength(1);
+    expect(busy[0]).toMatchObject({ load: 10, capacity: 8 });
+    expect(edited).toHaveLength(1);
+    expect(edited[0].load).toBe(9);
+  });
+
+  it('should group daily workload by week', () => {
+    const calculator = new WorkloadCalculator();
+    const workload = calculator.calculate(createTasks(), [createMember()], {
+      startDate: day(15),
+      endDate: day(28),
+      calendar
+    });
+
+    const weeks = calculator.groupByWeek(workload.members[0]);
+
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0]).toMatchObject({ capacity: 40, load: 24, overAllocated: false, overAllocatedDays: 1 });
+    expect(weeks[0].weekStart.getDate()).toBe(15);
+    expect(weeks[1]).toMatchObject({ capacity: 40, load: 0, overAllocatedDays: 0 });
+  });
+});
@@ -0,0 +1,424 @@
+/**
+ * AIResponseSchema - Shared JSON Schema for AI generated projects
+ * The same schema is sent to the providers that support structured output and
+ * used to validate every response, so all providers report the same errors
+ * with the path of the offending value (e.g. $.tasks[2].subtasks[0].duration).
+ * Also holds the JSON clean-up used for providers without structured output
+ */
+
+import { AI_CONFIG } from '../config/aiConfig.js';
+
+const { validPriorities, validTaskTypes, validDeliverableTypes } = AI_CONFIG.general.validation;
+
+// Same limit as hierarchyResponseParser: main tasks plus 3 levels of subtasks
+export const MAX_SUBTASK_DEPTH = 3;
+
+// Non-standard annotation: violations inside the subschema are warnings, not errors
+const SEVERITY = 'x-severity';
+
+const recommended = schema => ({ ...schema, [SEVERITY]: 'warning' });
+
+/**
+ * Schema of a task; subtasks are expanded up to MAX_SUBTASK_DEPTH because
+ * some providers do not accept recursive references
+ * @param {number} level - Hierarchy level (0 = main task)
+ * @returns {Object} Task schema
+ */
+function createTaskSchema(level = 0) {
+  const properties = {
+    title: { type: 'string', pattern: '\\S' },
+    description: recommended({ type: 'string' }),
+    duration: { type: 'number', exclusiveMinimum: 0, description: 'Working days' },
+    estimatedHours: recommended({ type: ['number', 'null'], exclusiveMinimum: 0, description: 'Effort in person-hours' }),
+    priority: recommended({ type: ['string', 'null'], enum: [...validPriorities, null] }),
+    type: recommended({ type: ['string', 'null'], enum: [...validTaskTypes, null] }),
+    dependencies: recommended({ type: ['array', 'null'], items: { type: 'string' }, description: 'Titles of the tasks this task depends on' }),
+    deliverable: recommended({
+      type: ['object', 'null'],
+      properties: {
+        type: { type: 'string', enum: validDeliverableTypes },
+        description: { type: 'string' }
+      },
+      required: ['type', 'description']
+    })
+  };
+
+  if (level < MAX_SUBTASK_DEPTH) {
+    properties.subtasks = { type: ['array', 'null'], items: createTaskSchema(level + 1) };
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: ['title', 'description', 'duration']
+  };
+}
+
+export const GENERATED_PROJECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: '\\S' },
+    description: recommended({ type: 'string' }),
+    estimatedDuration: recommended({ type: 'number', exclusiveMinimum: 0, description: 'Working days' }),
+    tasks: { type: 'array', minItems: 1, items: createTaskSchema() },
+    teamMembers: recommended({
+      type: ['array', 'null'],
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', pattern: '\\S' },
+          role: { type: 'string' },
+          email: { type: ['string', 'null'] }
+        },
+        required: ['name', 'role']
+      }
+    })
+  },
+  required: ['name', 'description', 'estimatedDuration', 'tasks']
+};
+
+// Keywords each provider rejects in its response schema
+const UNSUPPORTED_KEYWORDS = {
+  openai: ['pattern', 'minLength', 'maxLength', 'minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum', 'minItems', 'maxItems'],
+  gemini: ['pattern', 'minLength', 'maxLength', 'minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum'],
+  ollama: []
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+export class AIResponseSchema {
+  /**
+   * @param {Object} schema - Schema of the generated project
+   */
+  constructor(schema = GENERATED_PROJECT_SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Validate a generated project
+   * @param {Object} projectData - Parsed AI response
+   * @returns {Object} { isValid, errors, warnings } with one "path: message" entry per problem
+   */
+  validateProject(projectData) {
+    return this.validate(this.schema, projectData);
+  }
+
+  /**
+   * Validate a single generated task and its subtasks
+   * @param {Object} task - Task data
+   * @param {string} path - Path reported in the messages
+   * @returns {Object} { isValid, errors, warnings }
+   */
+  validateTask(task, path = '$') {
+    return this.validate(this.schema.properties.tasks.items, task, path);
+  }
+
+  /**
+   * Validate a value against a schema
+   * Supports the keywords used by the shared schemas: type, enum, pattern,
+   * minLength, maxLength, minimum, exclusiveMinimum, properties, required,
+   * items, minItems and maxItems
+   * @param {Object} schema - JSON Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Object} { isValid, errors, warnings }
+   */
+  validate(schema, value, path = '$') {
+    const result = { isValid: true, errors: [], warnings: [] };
+    this.check(schema, value, path, schema[SEVERITY] === 'warning', result);
+    result.isValid = result.errors.length === 0;
+    return result;
+  }
+
+  check(schema, value, path, lenient, result) {
+    const report = message => (lenient ? result.warnings : result.errors).push(`${path}: ${message}`);
+
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.some(type => matchesType(type, value))) {
+      report(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      report(`must be one of ${schema.enum.filter(option => option !== null).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        report(value.trim() === '' ? 'must not be empty' : `must match ${schema.pattern}`);
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        report(`must have at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        report(`must have at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        report(`must be greater than ${schema.exclusiveMinimum}`);
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        report(`must be at least ${schema.minimum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        report(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        report(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this.check(schema.items, item, `${path}[${index}]`, lenient || schema.items[SEVERITY] === 'warning', result);
+        });
+      }
+    }
+
+    if (isPlainObject(value)) {
+      const properties = schema.properties || {};
+
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          const missingLenient = lenient || properties[key]?.[SEVERITY] === 'warning';
+          (missingLenient ? result.warnings : result.errors).push(`${path}.${key}: is required`);
+        }
+      });
+
+      Object.entries(properties).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          this.check(propertySchema, value[key], `${path}.${key}`, lenient || propertySchema[SEVERITY] === 'warning', result);
+        }
+      });
+    }
+  }
+
+  /**
+   * Response format that asks a provider for output matching the schema
+   * @param {string} provider - 'openai', 'gemini' or 'ollama'
+   * @returns {Object} OpenAI response_format, Gemini responseSchema or Ollama format
+   */
+  getStructuredOutput(provider) {
+    if (provider === 'openai') {
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: 'generated_project',
+          strict: true,
+          schema: toProviderSchema(this.schema, provider)
+        }
+      };
+    }
+
+    if (UNSUPPORTED_KEYWORDS[provider]) {
+      return toProviderSchema(this.schema, provider);
+    }
+
+    throw new Error(`Structured output is not supported for provider: ${provider}`);
+  }
+
+  /**
+   * Parse the JSON of an AI response, repairing it when it was cut off
+   * @param {string} response - Raw AI response
+   * @param {string} label - Provider name for the logs
+   * @returns {*} Parsed value
+   */
+  parseJSON(response, label = 'AI') {
+    if (!response || typeof response !== 'string') {
+      throw new Error('Invalid AI response received');
+    }
+
+    const cleanedResponse = this.cleanJSON(response);
+
+    try {
+      return JSON.parse(cleanedResponse);
+    } catch (error) {
+      // Log debugging information
+      console.error(`${label} JSON Parse Error:`, {
+        originalLength: response.length,
+        cleanedLength: cleanedResponse.length,
+        errorMessage: error.message,
+        responsePreview: response.substring(0, 200) + '...',
+        responseEnd: response.substring(Math.max(0, response.length - 200))
+      });
+
+      const fixedJSON = this.repairJSON(cleanedResponse);
+      if (fixedJSON) {
+        console.log('Successfully fixed JSON response');
+        return JSON.parse(fixedJSON);
+      }
+
+      throw new Error(`Failed to parse AI response as JSON: ${error.message}. Response length: ${response.length} characters. Try using a simpler project description.`);
+    }
+  }
+
+  /**
+   * Remove markdown fences and any text around the JSON object
+   * @param {string} response - Raw response
+   * @returns {string} Cleaned response
+   */
+  cleanJSON(response) {
+    let cleaned = response.trim();
+
+    if (cleaned.startsWith('```json')) {
+      cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+    } else if (cleaned.startsWith('```')) {
+      cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    }
+
+    // Find JSON object boundaries
+    const jsonStart = cleaned.indexOf('{');
+    const jsonEnd = cleaned.lastIndexOf('}');
+
+    if (jsonStart !== -1 && jsonEnd !== -1 && jsonStart < jsonEnd) {
+      cleaned = cleaned.substring(jsonStart, jsonEnd + 1);
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * Attempt to fix incomplete JSON
+   * @param {string} jsonString - Potentially incomplete JSON
+   * @returns {string|null} Fixed JSON or null if unfixable
+   */
+  repairJSON(jsonString) {
+    try {
+      let fixed = jsonString.trim();
+
+      // Handle unterminated strings first
+      const quotes = (fixed.match(/"/g) || []).length;
+      if (quotes % 2 !== 0) {
+        // Odd number of quotes means unterminated string
+        const lastQuoteIndex = fixed.lastIndexOf('"');
+        const beforeLastQuote = fixed.substring(0, lastQuoteIndex);
+        const afterLastQuote = fixed.substring(lastQuoteIndex + 1);
+
+        // If even number of quotes before, this is an opening quote that needs closing
+        const quotesBeforeLast = (beforeLastQuote.match(/"/g) || []).length;
+        if (quotesBeforeLast % 2 === 0) {
+          if (afterLastQuote && !afterLastQuote.match(/^\s*[,\]\}]/)) {
+            // Close the string before any structural characters
+            const nextStructuralChar = afterLastQuote.search(/[,\]\}]/);
+            if (nextStructuralChar !== -1) {
+              fixed = fixed.substring(0, lastQuoteIndex + 1) + '"' + afterLastQuote.substring(nextStructuralChar);
+            } else {
+              fixed = fixed.substring(0, lastQuoteIndex + 1) + '"';
+            }
+          }
+        }
+      }
+
+      // Drop trailing commas and close the open objects and arrays, innermost first
+      const closers = [];
+      let inString = false;
+      let repaired = '';
+      for (let index = 0; index < fixed.length; index++) {
+        const character = fixed[index];
+        if (inString) {
+          if (character === '\\') {
+            repaired += character;
+            index++;
+            repaired += fixed[index] ?? '';
+            continue;
+          } else if (character === '"') {
+            inString = false;
+          }
+        } else if (character === '"') {
+          inString = true;
+        } else if (character === ',' && /^\s*([}\]]|$)/.test(fixed.substring(index + 1))) {
+          continue;
+        } else if (character === '{' || character === '[') {
+          closers.push(character === '{' ? '}' : ']');
+        } else if (character === '}' || character === ']') {
+          closers.pop();
+        }
+        repaired += character;
+      }
+      fixed = repaired + closers.reverse().join('');
+
+      // Test if the fixed JSON is valid
+      JSON.parse(fixed);
+      return fixed;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Adapt the shared schema to what a provider accepts
+ * - OpenAI strict mode: every property required (optional ones are nullable) and no extra properties
+ * - Gemini: OpenAPI style, one type plus nullable and no numeric or string limits
+ * @param {Object} schema - Shared schema
+ * @param {string} provider - 'openai', 'gemini' or 'ollama'
+ * @returns {Object} Provider schema
+ */
+function toProviderSchema(schema, provider) {
+  const unsupported = UNSUPPORTED_KEYWORDS[provider];
+  const converted = {};
+
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key.startsWith('x-') || unsupported.includes(key)) return;
+
+    if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [name, toProviderSchema(propertySchema, provider)])
+      );
+    } else if (key === 'items') {
+      converted.items = toProviderSchema(value, provider);
+    } else {
+      converted[key] = Array.isArray(value) ? [...value] : value;
+    }
+  });
+
+  if (provider === 'openai' && converted.properties) {
+    converted.required = Object.keys(converted.properties);
+    converted.additionalProperties = false;
+  }
+
+  if (provider === 'gemini') {
+    const types = [].concat(converted.type || []);
+    if (types.includes('null')) {
+      converted.nullable = true;
+    }
+    converted.type = types.find(type => type !== 'null');
+    if (converted.enum) {
+      converted.enum = converted.enum.filter(option => option !== null);
+      converted.format = 'enum';
+    }
+  }
+
+  return converted;
+}
+
+// Export singleton instance
+export const aiResponseSchema = new AIResponseSchema();
@@ -0,0 +1,434 @@
+/**
+ * CriticalPathCalculator - Critical Path Method (CPM) over task dependencies
+ * Runs a forward and a backward pass in working days and exposes early/late
+ * start/finish and total/free float for every task of a project
+ */
+
+import { DateCalculationService } from '../services/dateCalculationService.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+export class CriticalPathCalculator {
+  constructor() {
+    this.config = {
+      // Treat the planned start date as a "start no earlier than" constraint.
+      // Without it every task without predecessors would start on day one.
+      respectScheduledDates: true,
+
+      // Tasks whose total float is at or below this value are critical
+      criticalFloatThreshold: 0,
+
+      // Safety limit for the working day timeline (about 10 years)
+      maxTimelineDays: 3650
+    };
+  }
+
+  /**
+   * Run the critical path analysis for a set of tasks of the same project
+   * @param {Array} tasks - Project tasks (Task instances or plain objects)
+   * @param {Object} options - Analysis options
+   * @param {Date} options.projectStart - Optional project start used as day zero
+   * @param {boolean} options.respectScheduledDates - Use planned starts as constraints
+   * @returns {Object} Analysis with per task schedule, critical task ids and warnings
+   */
+  calculate(tasks, options = {}) {
+    const config = { ...this.config, ...options };
+    const result = {
+      tasks: {},
+      criticalTaskIds: [],
+      projectStart: null,
+      projectFinish: null,
+      projectDuration: 0,
+      warnings: []
+    };
+
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      return result;
+    }
+
+    const origin = this.resolveOrigin(tasks, config.projectStart);
+    const timeline = this.createTimeline(origin, config);
+    const { nodes, taskMap, childrenMap } = this.buildNetwork(tasks, timeline, result.warnings);
+
+    const { order, cyclicIds } = this.topologicalSort(nodes);
+    if (cyclicIds.length > 0) {
+      const titles = cyclicIds.map(id => (taskMap.get(id) || {}).title || id);
+      result.warnings.push(`Dependencias circulares ignoradas en el cálculo: ${titles.join(', ')}`);
+    }
+
+    this.forwardPass(order, nodes, config);
+
+    const projectFinish = order.reduce((max, id) => Math.max(max, nodes.get(id).earlyFinish), 0);
+
+    this.backwardPass(order, nodes, projectFinish);
+
+    // Publish leaf results
+    order.forEach(id => {
+      const node = nodes.get(id);
+      result.tasks[id] = this.buildTaskSchedule(node, timeline, config);
+    });
+
+    // Roll results up to summary tasks
+    tasks
+      .filter(task => childrenMap.has(task.id))
+      .forEach(task => {
+        const summary = this.rollUpSummary(task.id, childrenMap, nodes, order);
+        if (summary) {
+          result.tasks[task.id] = this.buildTaskSchedule(summary, timeline, config);
+        }
+      });
+
+    result.criticalTaskIds = order
+      .filter(id => result.tasks[id].isCritical)
+      .sort((a, b) => nodes.get(a).earlyStart - nodes.get(b).earlyStart);
+    result.projectStart = timeline.dateAt(0);
+    result.projectFinish = projectFinish > 0 ? timeline.dateAt(projectFinish - 1) : result.projectStart;
+    result.projectDuration = projectFinish;
+
+    return result;
+  }
+
+  /**
+   * Build the activity network of leaf tasks.
+   * Dependencies on or from summary tasks are expanded to their leaf tasks.
+   * @param {Array} tasks - Project tasks
+   * @param {Object} timeline - Working day timeline from createTimeline
+   * @param {Array} warnings - Collector for warnings
+   * @returns {Object} Nodes by id, task map and children map
+   */
+  buildNetwork(tasks, timeline, warnings = []) {
+    const taskMap = new Map(tasks.map(task => [task.id, task]));
+    const childrenMap = this.buildChildrenMap(tasks);
+    const nodes = new Map();
+
+    tasks
+      .filter(task => !childrenMap.has(task.id))
+      .forEach(task => {
+        nodes.set(task.id, {
+          id: task.id,
+          duration: this.getTaskDuration(task),
+          scheduledStart: timeline.indexOf(task.startDate),
+          predecessors: [],
+          successors: []
+        });
+      });
+
+    tasks.forEach(task => {
+      (task.dependencies || []).forEach(dependency => {
+        if (!taskMap.has(dependency.predecessorId)) {
+          warnings.push(`La tarea "${task.title}" depende de una tarea inexistente (${dependency.predecessorId})`);
+          return;
+        }
+
+        const predecessorLeaves = this.getLeafIds(dependency.predecessorId, childrenMap);
+        const successorLeaves = this.getLeafIds(task.id, childrenMap);
+
+        predecessorLeaves.forEach(predecessorId => {
+          successorLeaves.forEach(successorId => {
+            if (predecessorId === successorId) return;
+            const link = {
+              predecessorId,
+              successorId,
+              type: dependency.type || 'FS',
+              lag: Number(dependency.lag) || 0
+            };
+            nodes.get(successorId).predecessors.push(link);
+            nodes.get(predecessorId).successors.push(link);
+          });
+        });
+      });
+    });
+
+    return { nodes, taskMap, childrenMap };
+  }
+
+  /**
+   * Forward pass: earliest start/finish for every node in topological order
+   * @param {Array} order - Node ids in topological order
+   * @param {Map} nodes - Activity nodes
+   * @param {Object} config - Configuration options
+   */
+  forwardPass(order, nodes, config) {
+    order.forEach(id => {
+      const node = nodes.get(id);
+      let earlyStart = config.respectScheduledDates ? Math.max(0, node.scheduledStart) : 0;
+
+      node.predecessors.forEach(link => {
+        const predecessor = nodes.get(link.predecessorId);
+        if (predecessor.earlyStart === undefined) return;
+        earlyStart = Math.max(earlyStart, this.successorStartBound(link, predecessor, node));
+      });
+
+      node.earlyStart = earlyStart;
+      node.earlyFinish = earlyStart + node.duration;
+    });
+  }
+
+  /**
+   * Backward pass: latest start/finish and floats in reverse topological order
+   * @param {Array} order - Node ids in topological order
+   * @param {Map} nodes - Activity nodes
+   * @param {number} projectFinish - Project finish index (exclusive)
+   */
+  backwardPass(order, nodes, projectFinish) {
+    [...order].reverse().forEach(id => {
+      const node = nodes.get(id);
+      let lateFinish = projectFinish;
+      let freeFloat = projectFinish - node.earlyFinish;
+
+      node.successors.forEach(link => {
+        const successor = nodes.get(link.successorId);
+        if (successor.lateStart === undefined) return;
+        lateFinish = Math.min(lateFinish, this.predecessorFinishBound(link, node, successor));
+        freeFloat = Math.min(freeFloat, this.linkSlack(link, node, successor));
+      });
+
+      node.lateFinish = lateFinish;
+      node.lateStart = lateFinish - node.duration;
+      node.totalFloat = node.lateStart - node.earlyStart;
+      node.freeFloat = Math.max(0, Math.min(freeFloat, node.totalFloat));
+    });
+  }
+
+  /**
+   * Earliest start allowed for a successor by a single link
+   */
+  successorStartBound(link, predecessor, successor) {
+    switch (link.type) {
+      case 'SS': return predecessor.earlyStart + link.lag;
+      case 'FF': return predecessor.earlyFinish + link.lag - successor.duration;
+      case 'SF': return predecessor.earlyStart + link.lag - successor.duration;
+      case 'FS':
+      default: return predecessor.earlyFinish + link.lag;
+    }
+  }
+
+  /**
+   * Latest finish allowed for a predecessor by a single link
+   */
+  predecessorFinishBound(link, predecessor, successor) {
+    switch (link.type) {
+      case 'SS': return successor.lateStart - link.lag + predecessor.duration;
+      case 'FF': return successor.lateFinish - link.lag;
+      case 'SF': return successor.lateFinish - link.lag + predecessor.duration;
+      case 'FS':
+      default: return successor.lateStart - link.lag;
+    }
+  }
+
+  /**
+   * Slack of a single link using early dates (basis for free float)
+   */
+  linkSlack(link, predecessor, successor) {
+    switch (link.type) {
+      case 'SS': return successor.earlyStart - (predecessor.earlyStart + link.lag);
+      case 'FF': return successor.earlyFinish - (predecessor.earlyFinish + link.lag);
+      case 'SF': return successor.earlyFinish - (predecessor.earlyStart + link.lag);
+      case 'FS':
+      default: return successor.earlyStart - (predecessor.earlyFinish + link.lag);
+    }
+  }
+
+  /**
+   * Kahn's algorithm; nodes that belong to a cycle are left out of the order
+   * @param {Map} nodes - Activity nodes
+   * @returns {Object} Topological order and ids left out because of cycles
+   */
+  topologicalSort(nodes) {
+    const inDegree = new Map();
+    nodes.forEach((node, id) => inDegree.set(id, node.predecessors.length));
+
+    const queue = [...nodes.keys()].filter(id => inDegree.get(id) === 0);
+    const order = [];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      nodes.get(id).successors.forEach(link => {
+        const remaining = inDegree.get(link.successorId) - 1;
+        inDegree.set(link.successorId, remaining);
+        if (remaining === 0) {
+          queue.push(link.successorId);
+        }
+      });
+    }
+
+    const ordered = new Set(order);
+    const cyclicIds = [...nodes.keys()].filter(id => !ordered.has(id));
+
+    return { order, cyclicIds };
+  }
+
+  /**
+   * Roll leaf results up to a summary task
+   */
+  rollUpSummary(taskId, childrenMap, nodes, order) {
+    const scheduled = new Set(order);
+    const leaves = this.getLeafIds(taskId, childrenMap)
+      .filter(id => scheduled.has(id))
+      .map(id => nodes.get(id));
+
+    if (leaves.length === 0) return null;
+
+    const earlyStart = Math.min(...leaves.map(n => n.earlyStart));
+    const earlyFinish = Math.max(...leaves.map(n => n.earlyFinish));
+    const lateStart = Math.min(...leaves.map(n => n.lateStart));
+    const lateFinish = Math.max(...leaves.map(n => n.lateFinish));
+
+    return {
+      id: taskId,
+      duration: earlyFinish - earlyStart,
+      earlyStart,
+      earlyFinish,
+      lateStart,
+      lateFinish,
+      totalFloat: Math.min(...leaves.map(n => n.totalFloat)),
+      freeFloat: Math.min(...leaves.map(n => n.freeFloat))
+    };
+  }
+
+  /**
+   * Convert an analysed node into the public schedule shape
+   */
+  buildTaskSchedule(node, timeline, config) {
+    return {
+      duration: node.duration,
+      earlyStart: timeline.dateAt(node.earlyStart),
+      earlyFinish: timeline.dateAt(Math.max(node.earlyStart, node.earlyFinish - 1)),
+      lateStart: timeline.dateAt(node.lateStart),
+      lateFinish: timeline.dateAt(Math.max(node.lateStart, node.lateFinish - 1)),
+      totalFloat: node.totalFloat,
+      freeFloat: node.freeFloat,
+      isCritical: node.totalFloat <= config.criticalFloatThreshold
+    };
+  }
+
+  /**
+   * Map of parent id to child tasks
+   */
+  buildChildrenMap(tasks) {
+    const ids = new Set(tasks.map(task => task.id));
+    const childrenMap = new Map();
+
+    tasks.forEach(task => {
+      if (task.parentTaskId && ids.has(task.parentTaskId)) {
+        if (!childrenMap.has(task.parentTaskId)) {
+          childrenMap.set(task.parentTaskId, []);
+        }
+        childrenMap.get(task.parentTaskId).push(task);
+      }
+    });
+
+    return childrenMap;
+  }
+
+  /**
+   * Leaf descendants of a task (the task itself when it has no children)
+   */
+  getLeafIds(taskId, childrenMap, visited = new Set()) {
+    if (visited.has(taskId)) return [];
+    visited.add(taskId);
+
+    const children = childrenMap.get(taskId);
+    if (!children || children.length === 0) {
+      return [taskId];
+    }
+
+    return children.flatMap(child => this.getLeafIds(child.id, childrenMap, visited));
+  }
+
+  /**
+   * Duration of a task in working days (at least one day)
+   */
+  getTaskDuration(task) {
+    if (typeof task.duration === 'number' && task.duration > 0) {
+      return Math.round(task.duration);
+    }
+
+    try {
+      return Math.max(1, DateCalculationService.calculateWorkingDays(new Date(task.startDate), new Date(task.endDate)));
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  /**
+   * Day zero of the analysis: project start or the earliest task start
+   */
+  resolveOrigin(tasks, projectStart) {
+    const starts = tasks
+      .map(task => new Date(task.startDate))
+      .filter(date => !isNaN(date.getTime()));
+
+    if (projectStart) {
+      starts.push(new Date(projectStart));
+    }
+
+    const earliest = starts.length > 0 ? new Date(Math.min(...starts)) : new Date();
+    return new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate());
+  }
+
+  /**
+   * Create a working day timeline starting at the first working day on or after origin.
+   * Index n is the n-th working day; dates that are not working days map to the next one.
+   * @param {Date} origin - First calendar day of the timeline
+   * @param {Object} config - Configuration options
+   * @returns {Object} Timeline with indexOf(date) and dateAt(index)
+   */
+  createTimeline(origin, config = this.config) {
+    const isWorkingDay = config.isWorkingDay || (date => DateCalculationService.isWorkingDay(date));
+    const days = [];
+    const cursor = new Date(origin);
+
+    const extendTo = (index) => {
+      while (days.length <= index && days.length < config.maxTimelineDays) {
+        if (isWorkingDay(cursor)) {
+          days.push(new Date(cursor));
+        }
+        cursor.setDate(cursor.getDate() + 1);
+      }
+    };
+
+    extendTo(0);
+
+    return {
+      origin: days[0],
+
+      indexOf(date) {
+        const target = new Date(date);
+        if (isNaN(target.getTime())) return 0;
+        const day = new Date(target.getFullYear(), target.getMonth(), target.getDate());
+        if (day <= days[0]) return 0;
+
+        // Estimate from calendar distance, then walk to the exact position
+        let index = Math.floor((day - days[0]) / MS_PER_DAY);
+        extendTo(index);
+        index = Math.min(index, days.length - 1);
+        while (index > 0 && days[index] > day) index--;
+        while (index < days.length - 1 && days[index] < day) index++;
+        if (days[index] < day) {
+          extendTo(index + 1);
+          index = Math.min(index + 1, days.length - 1);
+        }
+        return index;
+      },
+
+      dateAt(index) {
+        const safeIndex = Math.max(0, index);
+        extendTo(safeIndex);
+        return new Date(days[Math.min(safeIndex, days.length - 1)]);
+      }
+    };
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig - New configuration options
+   */
+  configure(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+// Export singleton instance
+export const criticalPathCalculator = new CriticalPathCalculator();
@@ -48,6 +48,9 @@ export class DurationAggregator {
     // Reset stats for this calculation
     this.stats.tasksProcessed++;
 
+    // Effort estimates roll up alongside the calendar duration
+    this.aggregateEstimates(task);
+
     // If task has no subtasks, return its own duration
     if (!task.subtasks || !Array.isArray(task.subtasks) || task.subtasks.length === 0) {
       return this.validateDuration(task.duration || config.minDuration);
@@ -67,6 +70,76 @@ export class DurationAggregator {
     return resolvedDuration;
   }
 
+  /**
+   * Roll up estimated and remaining hours from subtasks
+   * Parents use the sum of their subtasks; their own estimate is only a fallback
+   * when no subtask is estimated. Stores aggregatedEstimatedHours and
+   * aggregatedRemainingHours on each task.
+   * @param {Object} task - Task with optional subtasks
+   * @returns {Object} Aggregated { estimatedHours, remainingHours } (null when not estimated)
+   */
+  aggregateEstimates(task) {
+    let estimatedHours = null;
+    let remainingHours = null;
+
+    if (task.subtasks && Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+      task.subtasks.forEach(subtask => {
+        const subtaskEstimates = this.aggregateEstimates(subtask);
+        if (subtaskEstimates.estimatedHours !== null) {
+          estimatedHours = (estimatedHours || 0) + subtaskEstimates.estimatedHours;
+        }
+        if (subtaskEstimates.remainingHours !== null) {
+          remainingHours = (remainingHours || 0) + subtaskEstimates.remainingHours;
+        }
+      });
+    }
+
+    if (estimatedHours === null) {
+      estimatedHours = this.toHours(task.estimatedHours);
+      remainingHours = this.getOwnRemainingHours(task);
+    }
+
+    task.aggregatedEstimatedHours = estimatedHours === null ? null : this.roundHours(estimatedHours);
+    task.aggregatedRemainingHours = remainingHours === null ? null : this.roundHours(remainingHours);
+
+    return {
+      estimatedHours: task.aggregatedEstimatedHours,
+      remainingHours: task.aggregatedRemainingHours
+    };
+  }
+
+  /**
+   * Remaining hours of a single task, without subtasks
+   * @param {Object} task - Task (model instance or plain object)
+   * @returns {number|null} Remaining hours, or null when the task has no estimate
+   */
+  getOwnRemainingHours(task) {
+    if (typeof task.getRemainingHours === 'function') {
+      return task.getRemainingHours();
+    }
+    if (task.status === 'completed' || task.status === 'cancelled') {
+      return 0;
+    }
+
+    const remainingHours = this.toHours(task.remainingHours);
+    if (remainingHours !== null) {
+      return remainingHours;
+    }
+
+    const estimatedHours = this.toHours(task.estimatedHours);
+    if (estimatedHours === null) {
+      return null;
+    }
+    return Math.max(0, this.roundHours(estimatedHours - this.sumTimeEntries(task.timeEntries)));
+  }
+
+  toHours(value) {
+    if (value === null || value === undefined || value === '' || isNaN(Number(value))) {
+      return null;
+    }
+    return Number(value);
+  }
+
   /**
    * Calculate sum of subtask durations recursively
    * @param {Array} subtasks - Array of subtasks
@@ -372,6 +445,8 @@ export class DurationAggregator {
       tasksUpdated: 0,
       conflictsResolved: 0,
       totalDuration: 0,
+      totalEstimatedHours: 0,
+      totalRemainingHours: 0,
       updatedTasks: []
     };
 
@@ -386,6 +461,14 @@ export class DurationAggregator {
     // Update each task recursively
     this.updateTaskDurationsRecursively(tasks, result, config);
 
+    // Top-level tasks already include the estimates of their subtasks
+    result.totalEstimatedHours = this.roundHours(
+      tasks.reduce((sum, task) => sum + (task.aggregatedEstimatedHours || 0), 0)
+    );
+    result.totalRemainingHours = this.roundHours(
+      tasks.reduce((sum, task) => sum + (task.aggregatedRemainingHours || 0), 0)
+    );
+
     // Copy stats to result
     result.statistics = { ...this.stats };
 
@@ -421,6 +504,8 @@ export class DurationAggregator {
           });
         }
       } else {
+        this.aggregateEstimates(task);
+
         // For leaf tasks, aggregated duration equals task duration
         const validatedDuration = this.validateDuration(task.duration);
         if (task.aggregatedDuration !== validatedDuration) {
@@ -434,6 +519,87 @@ export class DurationAggregator {
     });
   }
 
+  /**
+   * Calculate hours logged on a task and all its subtasks
+   * @param {Object} task - Task with timeEntries and optional subtasks
+   * @returns {number} Logged hours including subtasks
+   */
+  calculateLoggedHours(task) {
+    if (!task || typeof task !== 'object') {
+      throw new Error('Valid task object is required');
+    }
+
+    const ownHours = this.sumTimeEntries(task.timeEntries);
+
+    if (!task.subtasks || !Array.isArray(task.subtasks) || task.subtasks.length === 0) {
+      return ownHours;
+    }
+
+    return this.roundHours(
+      task.subtasks.reduce((sum, subtask) => sum + this.calculateLoggedHours(subtask), ownHours)
+    );
+  }
+
+  /**
+   * Update aggregated logged hours for all tasks in hierarchy
+   * Uses the same bottom-up traversal as updateAggregatedDurations
+   * @param {Array} tasks - Tasks to update (with nested subtasks)
+   * @returns {Object} Total hours and rolled up hours by task id
+   */
+  updateLoggedHours(tasks) {
+    const result = {
+      totalHours: 0,
+      hoursByTask: {}
+    };
+
+    this.updateLoggedHoursRecursively(tasks, result);
+
+    result.totalHours = this.roundHours(
+      tasks.reduce((sum, task) => sum + (task.aggregatedLoggedHours || 0), 0)
+    );
+
+    return result;
+  }
+
+  /**
+   * Update logged hours recursively
+   * @param {Array} tasks - Tasks to update
+   * @param {Object} result - Update result accumulator
+   */
+  updateLoggedHoursRecursively(tasks, result) {
+    tasks.forEach(task => {
+      let hours = this.sumTimeEntries(task.timeEntries);
+
+      // First, roll up subtasks
+      if (task.subtasks && task.subtasks.length > 0) {
+        this.updateLoggedHoursRecursively(task.subtasks, result);
+        hours += task.subtasks.reduce((sum, subtask) => sum + subtask.aggregatedLoggedHours, 0);
+      }
+
+      task.aggregatedLoggedHours = this.roundHours(hours);
+      result.hoursByTask[task.id] = task.aggregatedLoggedHours;
+    });
+  }
+
+  /**
+   * Sum the hours of a list of time entries
+   * @param {Array} timeEntries - Time entries ({ hours })
+   * @returns {number} Total hours
+   */
+  sumTimeEntries(timeEntries) {
+    if (!Array.isArray(timeEntries)) {
+      return 0;
+    }
+
+    return this.roundHours(
+      timeEntries.reduce((sum, entry) => sum + (Number(entry.hours) || 0), 0)
+    );
+  }
+
+  roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+  }
+
   /**
    * Get aggregation statistics
    * @returns {Object} Current aggregation statistics
@@ -0,0 +1,178 @@
+/**
+ * ICalendarParser - Minimal RFC 5545 (iCalendar) reader
+ * Extracts VEVENT and VTODO components with their dates, text properties
+ * and recurrence rule from .ics content
+ */
+
+const SUPPORTED_COMPONENTS = ['VEVENT', 'VTODO'];
+
+export class ICalendarParser {
+  /**
+   * Parse iCalendar text
+   * @param {string} text - Content of an .ics file
+   * @returns {Object} Calendar name and the list of events and to-dos
+   */
+  parse(text) {
+    if (typeof text !== 'string' || !text.includes('BEGIN:VCALENDAR')) {
+      throw new Error('El archivo no tiene formato iCalendar válido');
+    }
+
+    const result = {
+      name: null,
+      components: []
+    };
+
+    const stack = [];
+    let current = null;
+
+    this.unfoldLines(text).forEach(line => {
+      const property = this.parseLine(line);
+      if (!property) return;
+
+      if (property.name === 'BEGIN') {
+        stack.push(property.value);
+        if (SUPPORTED_COMPONENTS.includes(property.value) && !current) {
+          current = { type: property.value, properties: {} };
+        }
+        return;
+      }
+
+      if (property.name === 'END') {
+        const closed = stack.pop();
+        if (current && closed === current.type) {
+          result.components.push(this.buildComponent(current));
+          current = null;
+        }
+        return;
+      }
+
+      // Properties of nested components (VALARM...) are ignored
+      if (current && stack[stack.length - 1] === current.type) {
+        current.properties[property.name] = property;
+      } else if (stack.length === 1 && property.name === 'X-WR-CALNAME') {
+        result.name = this.unescapeText(property.value);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Join folded lines (continuations start with a space or a tab)
+   */
+  unfoldLines(text) {
+    return text
+      .replace(/\r\n/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim() !== '');
+  }
+
+  /**
+   * Split a content line into name, parameters and value
+   */
+  parseLine(line) {
+    let inQuotes = false;
+    let separator = -1;
+
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        separator = i;
+        break;
+      }
+    }
+
+    if (separator === -1) return null;
+
+    const [name, ...rawParams] = line.substring(0, separator).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+      const [key, ...value] = param.split('=');
+      params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    });
+
+    return {
+      name: name.toUpperCase(),
+      params,
+      value: line.substring(separator + 1)
+    };
+  }
+
+  buildComponent({ type, properties }) {
+    const text = (name) => properties[name] ? this.unescapeText(properties[name].value) : '';
+    const date = (name) => properties[name] ? this.parseDateValue(properties[name]) : null;
+
+    const start = date('DTSTART');
+    const end = date('DTEND');
+    const due = date('DUE');
+
+    return {
+      type,
+      uid: text('UID') || null,
+      summary: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      status: text('STATUS') || null,
+      categories: text('CATEGORIES') ? text('CATEGORIES').split(',').map(c => c.trim()).filter(Boolean) : [],
+      start: start ? start.date : null,
+      end: end ? end.date : null,
+      due: due ? due.date : null,
+      allDay: start ? start.allDay : (due ? due.allDay : false),
+      attendee: properties.ATTENDEE ? this.parseAttendee(properties.ATTENDEE) : null,
+      rrule: properties.RRULE ? this.parseRecurrenceRule(properties.RRULE.value) : null,
+      properties: Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, property.value]))
+    };
+  }
+
+  /**
+   * Parse DATE (YYYYMMDD) and DATE-TIME (YYYYMMDDTHHMMSS[Z]) values.
+   * Floating and TZID times are read as local time.
+   */
+  parseDateValue(property) {
+    const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+    if (hours === undefined) {
+      return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+    }
+
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+    return {
+      date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts),
+      allDay: property.params.VALUE === 'DATE'
+    };
+  }
+
+  /**
+   * Email (from a mailto: address) and common name of an ATTENDEE
+   */
+  parseAttendee(property) {
+    const email = property.value.trim().replace(/^mailto:/i, '');
+    return {
+      email: email.includes('@') ? email : null,
+      name: property.params.CN ? this.unescapeText(property.params.CN) : null
+    };
+  }
+
+  parseRecurrenceRule(value) {
+    const rule = {};
+    value.split(';').forEach(part => {
+      const [key, ruleValue] = part.split('=');
+      if (key && ruleValue !== undefined) {
+        rule[key.toUpperCase()] = ruleValue;
+      }
+    });
+    return rule;
+  }
+
+  unescapeText(value) {
+    return value
+      .replace(/\\[nN]/g, '\n')
+      .replace(/\\([,;\\])/g, '$1');
+  }
+}
+
+// Export singleton instance
+export const iCalendarParser = new ICalendarParser();
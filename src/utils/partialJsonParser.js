@@ -0,0 +1,163 @@
+/**
+ * PartialJSONParser - Reads the JSON of an AI response while it is still streaming
+ * Returns everything that has arrived so far: unfinished strings are cut where
+ * the text ends, objects keep their complete properties and arrays only hold
+ * elements that are complete, so a task shows up once all its fields are known
+ */
+
+const LITERAL_CHARACTER = /[-+0-9.eEa-z]/;
+
+export class PartialJSONParser {
+  /**
+   * Parse the JSON received so far
+   * @param {string} text - Response text, possibly cut at any point
+   * @returns {*} Value received so far, or null when no JSON object has started
+   * @throws {SyntaxError} When the text is not valid JSON up to where it ends
+   */
+  parse(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    // Markdown fences and any text before the object are skipped
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    this.text = text;
+    this.index = start;
+
+    const { value } = this.parseValue();
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Parse the value at the current position
+   * @returns {Object} { value, done } where done is false when the text ended inside the value
+   */
+  parseValue() {
+    this.skipWhitespace();
+    if (this.atEnd()) return { value: undefined, done: false };
+
+    const character = this.text[this.index];
+    if (character === '{') return this.parseObject();
+    if (character === '[') return this.parseArray();
+    if (character === '"') return this.parseString();
+    return this.parseLiteral();
+  }
+
+  parseObject() {
+    const object = {};
+    this.index++;
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.atEnd()) return { value: object, done: false };
+
+      if (this.text[this.index] === '}') {
+        this.index++;
+        return { value: object, done: true };
+      }
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+      if (this.text[this.index] !== '"') {
+        throw new SyntaxError(`Unexpected character ${this.text[this.index]} at position ${this.index}`);
+      }
+
+      const key = this.parseString();
+      if (!key.done) return { value: object, done: false };
+
+      this.skipWhitespace();
+      if (this.atEnd()) return { value: object, done: false };
+      if (this.text[this.index] !== ':') {
+        throw new SyntaxError(`Expected : at position ${this.index}`);
+      }
+      this.index++;
+
+      const property = this.parseValue();
+      if (property.value !== undefined) {
+        object[key.value] = property.value;
+      }
+      if (!property.done) return { value: object, done: false };
+    }
+  }
+
+  parseArray() {
+    const array = [];
+    this.index++;
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.atEnd()) return { value: array, done: false };
+
+      if (this.text[this.index] === ']') {
+        this.index++;
+        return { value: array, done: true };
+      }
+      if (this.text[this.index] === ',') {
+        this.index++;
+        continue;
+      }
+
+      const element = this.parseValue();
+      if (!element.done) return { value: array, done: false };
+      array.push(element.value);
+    }
+  }
+
+  parseString() {
+    const start = ++this.index;
+    let end = this.text.length;
+
+    while (!this.atEnd()) {
+      const character = this.text[this.index];
+      if (character === '\\') {
+        const length = this.text[this.index + 1] === 'u' ? 6 : 2;
+        // Drop an escape sequence cut in half before decoding
+        if (this.index + length > this.text.length) {
+          end = this.index;
+          break;
+        }
+        this.index += length;
+        continue;
+      }
+      if (character === '"') {
+        const raw = this.text.substring(start, this.index);
+        this.index++;
+        return { value: JSON.parse(`"${raw}"`), done: true };
+      }
+      this.index++;
+    }
+
+    this.index = this.text.length;
+    return { value: JSON.parse(`"${this.text.substring(start, end)}"`), done: false };
+  }
+
+  parseLiteral() {
+    const start = this.index;
+    while (!this.atEnd() && LITERAL_CHARACTER.test(this.text[this.index])) {
+      this.index++;
+    }
+
+    // A number or keyword at the very end may still grow
+    if (this.atEnd()) return { value: undefined, done: false };
+
+    const token = this.text.substring(start, this.index);
+    if (!token) {
+      throw new SyntaxError(`Unexpected character ${this.text[this.index]} at position ${this.index}`);
+    }
+    return { value: JSON.parse(token), done: true };
+  }
+
+  skipWhitespace() {
+    while (!this.atEnd() && /\s/.test(this.text[this.index])) {
+      this.index++;
+    }
+  }
+
+  atEnd() {
+    return this.index >= this.text.length;
+  }
+}
+
+// Export singleton instance
+export const partialJSONParser = new PartialJSONParser();
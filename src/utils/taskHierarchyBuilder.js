@@ -250,6 +250,23 @@ export class TaskHierarchyBuilder {
     return result;
   }
 
+  /**
+   * Assign WBS numbers (1, 1.1, 1.1.2...) following the order of each level
+   * @param {Array} tasks - Hierarchical tasks
+   * @param {string} prefix - WBS number of the parent task
+   * @returns {Array} Tasks with wbs numbers
+   */
+  assignWbsNumbers(tasks, prefix = '') {
+    return tasks.map((task, index) => {
+      const wbs = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+      return {
+        ...task,
+        wbs,
+        subtasks: Array.isArray(task.subtasks) ? this.assignWbsNumbers(task.subtasks, wbs) : []
+      };
+    });
+  }
+
   /**
    * Rebuild hierarchy from flattened tasks using parentTaskId relationships
    * @param {Array} flatTasks - Flattened tasks with parentTaskId
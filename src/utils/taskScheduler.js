@@ -0,0 +1,534 @@
+/**
+ * TaskScheduler - Dependency and resource aware automatic scheduling
+ * Places leaf tasks on the working day timeline honouring dependencies,
+ * fixed dates and assignee capacity, and returns a preview of the changes
+ * instead of modifying the tasks
+ */
+
+import { criticalPathCalculator } from './criticalPathCalculator.js';
+import { workloadCalculator } from './workloadCalculator.js';
+import { DateCalculationService } from '../services/dateCalculationService.js';
+import { TASK_PRIORITIES } from '../models/index.js';
+
+// TASK_PRIORITIES goes from lowest to highest; rank 0 is scheduled first
+const PRIORITY_RANK = Object.fromEntries(
+  TASK_PRIORITIES.map((priority, index) => [priority, TASK_PRIORITIES.length - 1 - index])
+);
+
+export class TaskScheduler {
+  constructor() {
+    this.config = {
+      // Number of tasks a team member can work on the same day
+      maxConcurrentTasksPerMember: 1,
+
+      // Never move a task earlier than its current planned start
+      keepPlannedStarts: false,
+
+      // Completed and cancelled tasks keep their dates like fixed tasks
+      lockClosedTasks: true,
+
+      // Hours over capacity tolerated by resource leveling (rounding noise)
+      levelingTolerance: 0.01
+    };
+  }
+
+  /**
+   * Build a schedule preview for the tasks of a project
+   * @param {Array} tasks - Project tasks (Task instances or plain objects)
+   * @param {Object} options - Scheduling options
+   * @param {Date} options.projectStart - No task is scheduled before this date
+   * @param {Function} options.isWorkingDay - Optional working day predicate
+   * @returns {Object} Preview with the list of changes, warnings and project finish
+   */
+  schedule(tasks, options = {}) {
+    const config = { ...this.config, ...options };
+    const preview = {
+      changes: [],
+      warnings: [],
+      projectStart: null,
+      projectFinish: null,
+      generatedAt: new Date()
+    };
+
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      return preview;
+    }
+
+    const timelineConfig = { ...criticalPathCalculator.config };
+    if (config.isWorkingDay) {
+      timelineConfig.isWorkingDay = config.isWorkingDay;
+    }
+
+    const origin = criticalPathCalculator.resolveOrigin(tasks, config.projectStart);
+    const timeline = criticalPathCalculator.createTimeline(origin, timelineConfig);
+    const { nodes, taskMap, childrenMap } = criticalPathCalculator.buildNetwork(tasks, timeline, preview.warnings);
+    const floor = config.projectStart ? timeline.indexOf(config.projectStart) : 0;
+
+    // Float from the current plan breaks ties between tasks of the same priority
+    const analysis = criticalPathCalculator.calculate(tasks, {
+      projectStart: config.projectStart,
+      isWorkingDay: timelineConfig.isWorkingDay
+    });
+
+    const usage = new Map();
+    const placed = new Map();
+
+    // Fixed tasks keep their dates and occupy their assignee first
+    nodes.forEach((node, id) => {
+      const task = taskMap.get(id);
+      if (this.isFixed(task, config)) {
+        node.earlyStart = node.scheduledStart;
+        node.earlyFinish = node.scheduledStart + node.duration;
+        placed.set(id, node);
+        this.reserve(usage, task.assignedTo, node.earlyStart, node.duration);
+      }
+    });
+
+    const pending = new Set([...nodes.keys()].filter(id => !placed.has(id)));
+
+    while (pending.size > 0) {
+      const eligible = [...pending].filter(id =>
+        nodes.get(id).predecessors.every(link => placed.has(link.predecessorId))
+      );
+
+      if (eligible.length === 0) {
+        const titles = [...pending].map(id => taskMap.get(id).title);
+        preview.warnings.push(`Dependencias circulares: estas tareas no se reprogramaron: ${titles.join(', ')}`);
+        pending.forEach(id => {
+          const node = nodes.get(id);
+          node.earlyStart = node.scheduledStart;
+          node.earlyFinish = node.scheduledStart + node.duration;
+          placed.set(id, node);
+        });
+        break;
+      }
+
+      const id = eligible.sort((a, b) => this.compareTasks(a, b, taskMap, nodes, analysis))[0];
+      const node = nodes.get(id);
+      const task = taskMap.get(id);
+
+      let earliest = Math.max(0, floor);
+      if (config.keepPlannedStarts) {
+        earliest = Math.max(earliest, node.scheduledStart);
+      }
+      node.predecessors.forEach(link => {
+        earliest = Math.max(earliest, criticalPathCalculator.successorStartBound(link, placed.get(link.predecessorId), node));
+      });
+
+      const start = this.findAvailableStart(usage, task.assignedTo, earliest, node.duration, config);
+      node.earlyStart = start;
+      node.earlyFinish = start + node.duration;
+      placed.set(id, node);
+      pending.delete(id);
+      this.reserve(usage, task.assignedTo, start, node.duration);
+    }
+
+    this.checkFixedTasks(nodes, taskMap, config, preview.warnings);
+    this.collectPreviewChanges(preview, tasks, nodes, taskMap, childrenMap, timeline);
+
+    return preview;
+  }
+
+  /**
+   * Build a resource leveling preview: non-critical tasks are delayed within
+   * their total float until no team member is booked over their daily capacity.
+   * Higher priority tasks keep their dates first and the project finish never moves.
+   * @param {Array} tasks - Project tasks (Task instances or plain objects)
+   * @param {Object} options - Leveling options
+   * @param {Array} options.members - Team members (hoursPerDay and daysOff)
+   * @param {Date} options.projectStart - Optional project start used as day zero
+   * @param {Function} options.isWorkingDay - Optional working day predicate
+   * @returns {Object} Preview with the list of changes, warnings and over-allocated days before and after
+   */
+  level(tasks, options = {}) {
+    const config = { ...this.config, ...options };
+    const preview = {
+      type: 'leveling',
+      changes: [],
+      warnings: [],
+      overAllocatedDays: { before: 0, after: 0 },
+      projectStart: null,
+      projectFinish: null,
+      generatedAt: new Date()
+    };
+
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      return preview;
+    }
+
+    const timelineConfig = { ...criticalPathCalculator.config };
+    if (config.isWorkingDay) {
+      timelineConfig.isWorkingDay = config.isWorkingDay;
+    }
+
+    const origin = criticalPathCalculator.resolveOrigin(tasks, config.projectStart);
+    const timeline = criticalPathCalculator.createTimeline(origin, timelineConfig);
+    const { nodes, taskMap, childrenMap } = criticalPathCalculator.buildNetwork(tasks, timeline, preview.warnings);
+    const members = new Map((config.members || []).map(member => [member.id, member]));
+
+    // Float of the current plan bounds how far each task may be delayed
+    const analysis = criticalPathCalculator.calculate(tasks, {
+      projectStart: config.projectStart,
+      isWorkingDay: timelineConfig.isWorkingDay
+    });
+
+    const bookingFor = (id) => {
+      const task = taskMap.get(id);
+      const member = members.get(task.assignedTo);
+      if (!member || (config.lockClosedTasks && this.isClosed(task))) return null;
+      return { member, hours: workloadCalculator.getTaskHoursPerDay(task, member, nodes.get(id).duration) };
+    };
+
+    // Over-allocation of the current plan
+    const currentUsage = new Map();
+    nodes.forEach((node, id) => {
+      const booking = bookingFor(id);
+      if (booking) this.reserveHours(currentUsage, booking.member.id, node.scheduledStart, node.duration, booking.hours);
+    });
+    preview.overAllocatedDays.before = this.countOverAllocatedDays(currentUsage, members, timeline, config);
+
+    const usage = new Map();
+    const placed = new Map();
+
+    // Fixed and critical tasks keep their dates and take their hours first
+    nodes.forEach((node, id) => {
+      const task = taskMap.get(id);
+      const schedule = analysis.tasks[id];
+      if (this.isFixed(task, config) || (schedule && schedule.isCritical)) {
+        node.earlyStart = node.scheduledStart;
+        node.earlyFinish = node.scheduledStart + node.duration;
+        placed.set(id, node);
+        const booking = bookingFor(id);
+        if (booking) this.reserveHours(usage, booking.member.id, node.earlyStart, node.duration, booking.hours);
+      }
+    });
+
+    const pending = new Set([...nodes.keys()].filter(id => !placed.has(id)));
+
+    while (pending.size > 0) {
+      const eligible = [...pending].filter(id =>
+        nodes.get(id).predecessors.every(link => placed.has(link.predecessorId))
+      );
+
+      if (eligible.length === 0) {
+        const titles = [...pending].map(id => taskMap.get(id).title);
+        preview.warnings.push(`Dependencias circulares: estas tareas no se nivelaron: ${titles.join(', ')}`);
+        pending.forEach(id => {
+          const node = nodes.get(id);
+          node.earlyStart = node.scheduledStart;
+          node.earlyFinish = node.scheduledStart + node.duration;
+          placed.set(id, node);
+        });
+        break;
+      }
+
+      const id = eligible.sort((a, b) => this.compareTasks(a, b, taskMap, nodes, analysis))[0];
+      const node = nodes.get(id);
+      const task = taskMap.get(id);
+
+      let earliest = node.scheduledStart;
+      node.predecessors.forEach(link => {
+        earliest = Math.max(earliest, criticalPathCalculator.successorStartBound(link, placed.get(link.predecessorId), node));
+      });
+
+      const schedule = analysis.tasks[id];
+      const latest = schedule ? Math.max(earliest, timeline.indexOf(schedule.lateStart)) : earliest;
+      const booking = bookingFor(id);
+
+      let start = earliest;
+      if (booking) {
+        const fitting = this.findStartWithinFloat(usage, booking, earliest, latest, node.duration, timeline, config);
+        if (fitting === null) {
+          preview.warnings.push(`La holgura de "${task.title}" no basta para resolver la sobreasignación de ${booking.member.name}`);
+        } else {
+          start = fitting;
+        }
+        this.reserveHours(usage, booking.member.id, start, node.duration, booking.hours);
+      }
+
+      node.earlyStart = start;
+      node.earlyFinish = start + node.duration;
+      placed.set(id, node);
+      pending.delete(id);
+    }
+
+    preview.overAllocatedDays.after = this.countOverAllocatedDays(usage, members, timeline, config);
+    this.collectPreviewChanges(preview, tasks, nodes, taskMap, childrenMap, timeline);
+
+    return preview;
+  }
+
+  /**
+   * Push successors of moved tasks forward until every dependency is met again.
+   * Tasks are never pulled earlier and fixed tasks are only reported.
+   * @param {Array} tasks - Project tasks with the moved tasks already on their new dates
+   * @param {Array} movedTaskIds - Ids of the tasks that were moved
+   * @param {Object} options - Scheduling options
+   * @param {Function} options.isWorkingDay - Optional working day predicate
+   * @returns {Object} Leaf task changes and warnings
+   */
+  propagateSuccessors(tasks, movedTaskIds = [], options = {}) {
+    const config = { ...this.config, ...options };
+    const result = { changes: [], warnings: [] };
+
+    if (!Array.isArray(tasks) || tasks.length === 0 || movedTaskIds.length === 0) {
+      return result;
+    }
+
+    const timelineConfig = { ...criticalPathCalculator.config };
+    if (config.isWorkingDay) {
+      timelineConfig.isWorkingDay = config.isWorkingDay;
+    }
+
+    const origin = criticalPathCalculator.resolveOrigin(tasks);
+    const timeline = criticalPathCalculator.createTimeline(origin, timelineConfig);
+    const { nodes, taskMap, childrenMap } = criticalPathCalculator.buildNetwork(tasks, timeline, result.warnings);
+    const { order } = criticalPathCalculator.topologicalSort(nodes);
+
+    nodes.forEach(node => {
+      node.earlyStart = node.scheduledStart;
+      node.earlyFinish = node.scheduledStart + node.duration;
+    });
+
+    const dirty = new Set(movedTaskIds
+      .filter(id => taskMap.has(id))
+      .flatMap(id => criticalPathCalculator.getLeafIds(id, childrenMap)));
+    const shifted = new Set();
+
+    order.forEach(id => {
+      const node = nodes.get(id);
+      if (!node.predecessors.some(link => dirty.has(link.predecessorId))) return;
+
+      const task = taskMap.get(id);
+      const bound = node.predecessors.reduce((max, link) =>
+        Math.max(max, criticalPathCalculator.successorStartBound(link, nodes.get(link.predecessorId), node)), -Infinity);
+
+      if (bound <= node.earlyStart) return;
+
+      if (this.isFixed(task, config)) {
+        result.warnings.push(`La tarea con fechas fijas "${task.title}" no cumple sus dependencias y no se movió`);
+        return;
+      }
+
+      node.earlyStart = bound;
+      node.earlyFinish = bound + node.duration;
+      dirty.add(id);
+      shifted.add(id);
+    });
+
+    shifted.forEach(id => {
+      const node = nodes.get(id);
+      this.collectChange(result.changes, taskMap.get(id), node.earlyStart, node.earlyFinish, timeline);
+    });
+
+    return result;
+  }
+
+  /**
+   * Whether the scheduler must keep the task where it is
+   */
+  isFixed(task, config = this.config) {
+    if (task.fixedDates) return true;
+    return config.lockClosedTasks && this.isClosed(task);
+  }
+
+  isClosed(task) {
+    return task.status === 'completed' || task.status === 'cancelled';
+  }
+
+  /**
+   * Ordering of eligible tasks: priority, then total float, then planned start
+   */
+  compareTasks(a, b, taskMap, nodes, analysis) {
+    const taskA = taskMap.get(a);
+    const taskB = taskMap.get(b);
+
+    const priorityA = PRIORITY_RANK[taskA.priority] ?? PRIORITY_RANK.medium;
+    const priorityB = PRIORITY_RANK[taskB.priority] ?? PRIORITY_RANK.medium;
+    if (priorityA !== priorityB) return priorityA - priorityB;
+
+    const floatA = analysis.tasks[a] ? analysis.tasks[a].totalFloat : Infinity;
+    const floatB = analysis.tasks[b] ? analysis.tasks[b].totalFloat : Infinity;
+    if (floatA !== floatB) return floatA - floatB;
+
+    return nodes.get(a).scheduledStart - nodes.get(b).scheduledStart;
+  }
+
+  /**
+   * First start at or after `earliest` where the assignee has capacity for the whole duration
+   */
+  findAvailableStart(usage, memberId, earliest, duration, config = this.config) {
+    if (!memberId) return earliest;
+
+    const days = usage.get(memberId) || new Map();
+    let start = earliest;
+
+    for (let offset = 0; offset < duration; offset++) {
+      if ((days.get(start + offset) || 0) >= config.maxConcurrentTasksPerMember) {
+        start = start + offset + 1;
+        offset = -1;
+      }
+    }
+
+    return start;
+  }
+
+  /**
+   * Book the assignee for the given working days
+   */
+  reserve(usage, memberId, start, duration) {
+    if (!memberId) return;
+
+    if (!usage.has(memberId)) {
+      usage.set(memberId, new Map());
+    }
+    const days = usage.get(memberId);
+    for (let index = start; index < start + duration; index++) {
+      days.set(index, (days.get(index) || 0) + 1);
+    }
+  }
+
+  /**
+   * First start between `earliest` and `latest` where the assignee has enough hours left
+   * for the whole task, or null when the float is not enough
+   */
+  findStartWithinFloat(usage, booking, earliest, latest, duration, timeline, config = this.config) {
+    const days = usage.get(booking.member.id) || new Map();
+
+    for (let start = earliest; start <= latest; start++) {
+      let fits = true;
+      for (let index = start; index < start + duration && fits; index++) {
+        const capacity = this.getMemberCapacity(booking.member, index, timeline);
+        fits = (days.get(index) || 0) + booking.hours <= capacity + config.levelingTolerance;
+      }
+      if (fits) return start;
+    }
+
+    return null;
+  }
+
+  /**
+   * Book hours of the assignee for the given working days
+   */
+  reserveHours(usage, memberId, start, duration, hours) {
+    if (!usage.has(memberId)) {
+      usage.set(memberId, new Map());
+    }
+    const days = usage.get(memberId);
+    for (let index = start; index < start + duration; index++) {
+      days.set(index, (days.get(index) || 0) + hours);
+    }
+  }
+
+  /**
+   * Hours a member can work on a working day of the timeline (0 on their days off)
+   */
+  getMemberCapacity(member, index, timeline) {
+    const key = DateCalculationService.toDateKey(timeline.dateAt(index));
+    if ((member.daysOff || []).some(dayOff => dayOff.date === key)) {
+      return 0;
+    }
+    return workloadCalculator.getHoursPerDay(member);
+  }
+
+  /**
+   * Number of member working days booked over capacity
+   */
+  countOverAllocatedDays(usage, members, timeline, config = this.config) {
+    let count = 0;
+    usage.forEach((days, memberId) => {
+      const member = members.get(memberId);
+      days.forEach((hours, index) => {
+        if (hours > this.getMemberCapacity(member, index, timeline) + config.levelingTolerance) count++;
+      });
+    });
+    return count;
+  }
+
+  /**
+   * Warn about fixed tasks whose dates break one of their dependencies
+   */
+  checkFixedTasks(nodes, taskMap, config, warnings) {
+    nodes.forEach((node, id) => {
+      const task = taskMap.get(id);
+      if (!this.isFixed(task, config)) return;
+
+      node.predecessors.forEach(link => {
+        const predecessor = nodes.get(link.predecessorId);
+        if (criticalPathCalculator.successorStartBound(link, predecessor, node) > node.earlyStart) {
+          warnings.push(`La tarea con fechas fijas "${task.title}" no cumple su dependencia con "${taskMap.get(link.predecessorId).title}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Fill the preview with leaf and summary changes and the resulting project dates
+   */
+  collectPreviewChanges(preview, tasks, nodes, taskMap, childrenMap, timeline) {
+    // Leaf changes
+    nodes.forEach((node, id) => {
+      this.collectChange(preview.changes, taskMap.get(id), node.earlyStart, node.earlyFinish, timeline);
+    });
+
+    // Summary tasks span their leaves
+    tasks
+      .filter(task => childrenMap.has(task.id))
+      .forEach(task => {
+        const leaves = criticalPathCalculator.getLeafIds(task.id, childrenMap).map(id => nodes.get(id)).filter(Boolean);
+        if (leaves.length === 0) return;
+        const start = Math.min(...leaves.map(node => node.earlyStart));
+        const finish = Math.max(...leaves.map(node => node.earlyFinish));
+        this.collectChange(preview.changes, task, start, finish, timeline);
+      });
+
+    const finishes = [...nodes.values()].map(node => node.earlyFinish);
+    const starts = [...nodes.values()].map(node => node.earlyStart);
+    preview.projectStart = timeline.dateAt(Math.min(...starts));
+    preview.projectFinish = timeline.dateAt(Math.max(0, Math.max(...finishes) - 1));
+  }
+
+  /**
+   * Add a change to the preview when the dates differ from the current ones
+   */
+  collectChange(changes, task, start, finish, timeline) {
+    const newStart = timeline.dateAt(start);
+    const newEnd = timeline.dateAt(Math.max(start, finish - 1));
+    const oldStart = new Date(task.startDate);
+    const oldEnd = new Date(task.endDate);
+
+    if (this.isSameDay(newStart, oldStart) && this.isSameDay(newEnd, oldEnd)) {
+      return;
+    }
+
+    changes.push({
+      taskId: task.id,
+      title: task.title,
+      assignedTo: task.assignedTo || null,
+      oldStartDate: oldStart,
+      oldEndDate: oldEnd,
+      newStartDate: newStart,
+      newEndDate: newEnd,
+      duration: Math.max(1, finish - start),
+      shift: start - timeline.indexOf(oldStart)
+    });
+  }
+
+  isSameDay(a, b) {
+    return !isNaN(a.getTime()) && !isNaN(b.getTime()) &&
+      a.getFullYear() === b.getFullYear() &&
+      a.getMonth() === b.getMonth() &&
+      a.getDate() === b.getDate();
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig - New configuration options
+   */
+  configure(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+}
+
+// Export singleton instance
+export const taskScheduler = new TaskScheduler();
@@ -6,17 +6,25 @@ import {
   TASK_TYPES, 
   TASK_PRIORITIES, 
   DELIVERABLE_TYPES, 
-  DELIVERABLE_STATUSES 
+  DELIVERABLE_STATUSES,
+  DEPENDENCY_TYPES,
+  MAX_DEPENDENCY_LAG,
+  TIME_ENTRY_SOURCES,
+  MAX_TIME_ENTRY_HOURS,
+  MAX_ESTIMATED_HOURS
 } from '../models/index.js';
 
 /**
  * Validation error class
  */
 export class ValidationError extends Error {
-  constructor(message, field = null) {
+  constructor(message, field = null, errors = null) {
     super(message);
     this.name = 'ValidationError';
     this.field = field;
+    if (errors) {
+      this.errors = errors;
+    }
   }
 }
 
@@ -200,6 +208,47 @@ export const validateTask = (task, maxNestingLevel = 100) => {
     }
   }
 
+  if (task.dependencies !== undefined && task.dependencies !== null) {
+    if (!Array.isArray(task.dependencies)) {
+      errors.push(new ValidationError('Las dependencias deben ser una lista', 'dependencies'));
+    } else {
+      task.dependencies.forEach(dependency => {
+        try {
+          validateDependency(dependency, task.id);
+        } catch (error) {
+          errors.push(error);
+        }
+      });
+    }
+  }
+
+  if (task.timeEntries !== undefined && task.timeEntries !== null) {
+    if (!Array.isArray(task.timeEntries)) {
+      errors.push(new ValidationError('Los registros de horas deben ser una lista', 'timeEntries'));
+    } else {
+      task.timeEntries.forEach(entry => {
+        try {
+          validateTimeEntry(entry);
+        } catch (error) {
+          errors.push(error);
+        }
+      });
+    }
+  }
+
+  // Effort estimates are optional
+  [
+    ['estimatedHours', 'Horas estimadas'],
+    ['remainingHours', 'Horas restantes']
+  ].forEach(([field, label]) => {
+    if (task[field] === undefined || task[field] === null || task[field] === '') return;
+    try {
+      validators.range(task[field], 0, MAX_ESTIMATED_HOURS, label);
+    } catch (error) {
+      errors.push(error);
+    }
+  });
+
   if (errors.length > 0) {
     throw new ValidationError('Errores de validación en la tarea', null, errors);
   }
@@ -239,6 +288,26 @@ export const validateTeamMember = (member) => {
     errors.push(error);
   }
 
+  try {
+    validators.range(member.hoursPerDay, 0, MAX_TIME_ENTRY_HOURS, 'Horas por día');
+  } catch (error) {
+    errors.push(error);
+  }
+
+  if (member.daysOff !== undefined && member.daysOff !== null) {
+    if (!Array.isArray(member.daysOff)) {
+      errors.push(new ValidationError('Los días libres deben ser una lista', 'daysOff'));
+    } else {
+      member.daysOff.forEach(dayOff => {
+        try {
+          validators.date(dayOff.date, 'Día libre');
+        } catch (error) {
+          errors.push(error);
+        }
+      });
+    }
+  }
+
   if (errors.length > 0) {
     throw new ValidationError('Errores de validación en el miembro del equipo', null, errors);
   }
@@ -291,6 +360,167 @@ export const validateDeliverable = (deliverable) => {
   return true;
 };
 
+/**
+ * Dependency validation (shape only, without project context)
+ */
+export const validateDependency = (dependency, taskId = null) => {
+  if (!dependency || typeof dependency !== 'object') {
+    throw new ValidationError('La dependencia debe ser un objeto', 'dependencies');
+  }
+
+  validators.required(dependency.predecessorId, 'Tarea predecesora');
+
+  if (taskId && dependency.predecessorId === taskId) {
+    throw new ValidationError('Una tarea no puede depender de sí misma', 'dependencies');
+  }
+
+  validators.inArray(dependency.type, DEPENDENCY_TYPES, 'Tipo de dependencia');
+
+  if (dependency.lag !== undefined && dependency.lag !== null && !Number.isInteger(Number(dependency.lag))) {
+    throw new ValidationError('El desfase de la dependencia debe ser un número entero de días', 'dependencies');
+  }
+
+  validators.range(dependency.lag, -MAX_DEPENDENCY_LAG, MAX_DEPENDENCY_LAG, 'Desfase de la dependencia');
+
+  return true;
+};
+
+/**
+ * Time entry validation
+ */
+export const validateTimeEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') {
+    throw new ValidationError('El registro de horas debe ser un objeto', 'timeEntries');
+  }
+
+  validators.required(entry.date, 'Fecha del registro');
+  validators.date(entry.date, 'Fecha del registro');
+
+  const hours = Number(entry.hours);
+  if (isNaN(hours) || hours <= 0 || hours > MAX_TIME_ENTRY_HOURS) {
+    throw new ValidationError(`Las horas deben ser mayores que 0 y no superar ${MAX_TIME_ENTRY_HOURS}`, 'hours');
+  }
+
+  validators.inArray(entry.source, TIME_ENTRY_SOURCES, 'Origen del registro');
+  validators.maxLength(entry.note, 500, 'Nota del registro');
+
+  return true;
+};
+
+/**
+ * Find a dependency cycle among project tasks
+ * @param {Array} tasks - Tasks with their dependencies
+ * @returns {Array|null} Task IDs forming the cycle, or null if there is none
+ */
+export const findDependencyCycle = (tasks) => {
+  const dependencyMap = new Map(
+    tasks.map(task => [task.id, (task.dependencies || []).map(dep => dep.predecessorId)])
+  );
+  const visited = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  const visit = (taskId) => {
+    visited.add(taskId);
+    onStack.add(taskId);
+    stack.push(taskId);
+
+    for (const predecessorId of dependencyMap.get(taskId) || []) {
+      if (onStack.has(predecessorId)) {
+        return [...stack.slice(stack.indexOf(predecessorId)), predecessorId];
+      }
+      if (!visited.has(predecessorId) && dependencyMap.has(predecessorId)) {
+        const cycle = visit(predecessorId);
+        if (cycle) return cycle;
+      }
+    }
+
+    onStack.delete(taskId);
+    stack.pop();
+    return null;
+  };
+
+  for (const taskId of dependencyMap.keys()) {
+    if (!visited.has(taskId)) {
+      const cycle = visit(taskId);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate task dependencies against the other tasks of its project
+ * Predecessors must exist in the same project, must not be an ancestor or
+ * descendant of the task and the resulting dependency graph must be acyclic
+ */
+export const validateTaskDependencies = (task, projectTasks = []) => {
+  const errors = [];
+  const dependencies = task.dependencies || [];
+
+  if (dependencies.length === 0) {
+    return true;
+  }
+
+  const taskMap = new Map(projectTasks.map(t => [t.id, t]));
+  taskMap.set(task.id, task);
+
+  const isAncestor = (ancestorId, childId) => {
+    const seen = new Set();
+    let current = taskMap.get(childId);
+    while (current && current.parentTaskId && !seen.has(current.parentTaskId)) {
+      if (current.parentTaskId === ancestorId) return true;
+      seen.add(current.parentTaskId);
+      current = taskMap.get(current.parentTaskId);
+    }
+    return false;
+  };
+
+  const seenPredecessors = new Set();
+
+  dependencies.forEach(dependency => {
+    try {
+      validateDependency(dependency, task.id);
+    } catch (error) {
+      errors.push(error);
+      return;
+    }
+
+    const predecessor = taskMap.get(dependency.predecessorId);
+
+    if (!predecessor) {
+      errors.push(new ValidationError(`La tarea predecesora ${dependency.predecessorId} no existe en el proyecto`, 'dependencies'));
+      return;
+    }
+
+    if (task.projectId && predecessor.projectId && predecessor.projectId !== task.projectId) {
+      errors.push(new ValidationError(`La tarea predecesora "${predecessor.title}" pertenece a otro proyecto`, 'dependencies'));
+    }
+
+    if (seenPredecessors.has(dependency.predecessorId)) {
+      errors.push(new ValidationError(`La dependencia con "${predecessor.title}" está duplicada`, 'dependencies'));
+    }
+    seenPredecessors.add(dependency.predecessorId);
+
+    if (isAncestor(dependency.predecessorId, task.id) || isAncestor(task.id, dependency.predecessorId)) {
+      errors.push(new ValidationError(`No se puede crear una dependencia entre "${task.title}" y su tarea padre o subtarea "${predecessor.title}"`, 'dependencies'));
+    }
+  });
+
+  const cycle = findDependencyCycle([...taskMap.values()]);
+  if (cycle) {
+    const titles = cycle.map(id => (taskMap.get(id) || {}).title || id);
+    errors.push(new ValidationError(`Dependencia circular detectada: ${titles.join(' -> ')}`, 'dependencies'));
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Errores de validación en las dependencias', 'dependencies', errors);
+  }
+
+  return true;
+};
+
 /**
  * Batch validation utility
  */
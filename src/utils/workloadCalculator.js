@@ -0,0 +1,279 @@
+/**
+ * WorkloadCalculator - Daily workload of team members derived from task dates and effort
+ * Spreads the estimated hours of each assigned task over its working days and
+ * compares the result with the capacity of the member to detect over-allocation
+ */
+
+import { DateCalculationService } from '../services/dateCalculationService.js';
+import { DEFAULT_HOURS_PER_DAY } from '../models/index.js';
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+export class WorkloadCalculator {
+  constructor() {
+    this.config = {
+      // Hours over capacity tolerated before a day is flagged (rounding noise)
+      tolerance: 0.01,
+
+      // Safety limit for the number of days in a workload range
+      maxRangeDays: 730
+    };
+  }
+
+  /**
+   * Calculate the workload of every member over a date range
+   * @param {Array} tasks - Project tasks (flat list)
+   * @param {Array} members - Team members
+   * @param {Object} options - Calculation options
+   * @param {Date} options.startDate - First day (default: earliest assigned task start)
+   * @param {Date} options.endDate - Last day (default: latest assigned task end)
+   * @param {Object} options.calendar - Work calendar of the project
+   * @returns {Object} Days of the range, one row per member and the list of over-allocations
+   */
+  calculate(tasks, members, options = {}) {
+    const { calendar = null } = options;
+    const workTasks = this.getWorkTasks(tasks);
+
+    const result = {
+      days: [],
+      members: [],
+      overAllocations: []
+    };
+
+    if (!Array.isArray(members) || members.length === 0) {
+      return result;
+    }
+
+    const assignedTasks = workTasks.filter(task => task.assignedTo);
+    const startDate = options.startDate || this.getEarliestStart(assignedTasks);
+    const endDate = options.endDate || this.getLatestEnd(assignedTasks);
+    if (!startDate || !endDate) {
+      return result;
+    }
+
+    result.days = this.getDaysInRange(startDate, endDate);
+    const dayIndex = new Map(result.days.map((day, index) => [DateCalculationService.toDateKey(day), index]));
+
+    members.forEach(member => {
+      const row = {
+        memberId: member.id,
+        name: member.name,
+        hoursPerDay: this.getHoursPerDay(member),
+        days: result.days.map(date => ({
+          date,
+          capacity: this.getCapacity(member, date, calendar),
+          load: 0,
+          taskIds: [],
+          overAllocated: false
+        })),
+        totalLoad: 0,
+        totalCapacity: 0,
+        overAllocatedDays: 0
+      };
+
+      assignedTasks
+        .filter(task => task.assignedTo === member.id)
+        .forEach(task => {
+          this.getDailyLoad(task, member, calendar).forEach(({ key, hours }) => {
+            const index = dayIndex.get(key);
+            if (index === undefined) return;
+            row.days[index].load += hours;
+            row.days[index].taskIds.push(task.id);
+          });
+        });
+
+      row.days.forEach(day => {
+        day.load = this.roundHours(day.load);
+        day.overAllocated = day.load > day.capacity + this.config.tolerance;
+        row.totalLoad += day.load;
+        row.totalCapacity += day.capacity;
+
+        if (day.overAllocated) {
+          row.overAllocatedDays++;
+          result.overAllocations.push({
+            memberId: member.id,
+            name: member.name,
+            date: day.date,
+            load: day.load,
+            capacity: day.capacity,
+            taskIds: [...day.taskIds]
+          });
+        }
+      });
+
+      row.totalLoad = this.roundHours(row.totalLoad);
+      row.totalCapacity = this.roundHours(row.totalCapacity);
+      result.members.push(row);
+    });
+
+    return result;
+  }
+
+  /**
+   * Group the daily workload of a member row by week (Monday to Sunday)
+   * @param {Object} row - Member row returned by calculate
+   * @returns {Array} Weeks with capacity, load and over-allocation flag
+   */
+  groupByWeek(row) {
+    const weeks = new Map();
+
+    row.days.forEach(day => {
+      const monday = new Date(day.date);
+      monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+      const key = DateCalculationService.toDateKey(monday);
+
+      if (!weeks.has(key)) {
+        weeks.set(key, { weekStart: monday, capacity: 0, load: 0, overAllocated: false, overAllocatedDays: 0 });
+      }
+
+      const week = weeks.get(key);
+      week.capacity = this.roundHours(week.capacity + day.capacity);
+      week.load = this.roundHours(week.load + day.load);
+      if (day.overAllocated) {
+        week.overAllocatedDays++;
+      }
+    });
+
+    return Array.from(weeks.values()).map(week => ({
+      ...week,
+      overAllocated: week.load > week.capacity + this.config.tolerance
+    }));
+  }
+
+  /**
+   * Check whether assigning a task to a member over-allocates them
+   * The task replaces its stored version so edits to dates or effort are taken into account
+   * @param {Object} task - Task being created or edited (startDate, endDate, estimatedHours, id)
+   * @param {Object} member - Team member the task is assigned to
+   * @param {Array} tasks - Other tasks of the project
+   * @param {Object} calendar - Work calendar of the project
+   * @returns {Array} Over-allocated days within the task window
+   */
+  checkAssignment(task, member, tasks, calendar = null) {
+    if (!task || !member || !task.startDate || !task.endDate) {
+      return [];
+    }
+
+    const candidate = { ...task, id: task.id || '__candidate__', assignedTo: member.id, parentTaskId: task.parentTaskId || null };
+    const otherTasks = (tasks || []).filter(other => other.id !== candidate.id);
+    const workload = this.calculate([...otherTasks, candidate], [member], {
+      startDate: candidate.startDate,
+      endDate: candidate.endDate,
+      calendar
+    });
+
+    return workload.overAllocations.filter(allocation => allocation.taskIds.includes(candidate.id));
+  }
+
+  /**
+   * Hours a task adds to each of its working days
+   * Estimated tasks spread their effort evenly; unestimated tasks take the full day of the member
+   * @param {Object} task - Assigned task
+   * @param {Object} member - Team member
+   * @param {Object} calendar - Work calendar of the project
+   * @returns {Array} List of { key, hours } per working day
+   */
+  getDailyLoad(task, member, calendar = null) {
+    const workingDays = this.getDaysInRange(task.startDate, task.endDate)
+      .filter(date => DateCalculationService.isWorkingDay(date, calendar));
+
+    if (workingDays.length === 0) {
+      return [];
+    }
+
+    const hoursPerDay = this.getTaskHoursPerDay(task, member, workingDays.length);
+
+    return workingDays.map(date => ({
+      key: DateCalculationService.toDateKey(date),
+      hours: hoursPerDay
+    }));
+  }
+
+  /**
+   * Hours a task takes from its assignee on each of its working days
+   * @param {Object} task - Assigned task
+   * @param {Object} member - Team member
+   * @param {number} workingDays - Number of working days of the task
+   * @returns {number} Hours per working day
+   */
+  getTaskHoursPerDay(task, member, workingDays) {
+    const estimatedHours = Number(task.estimatedHours);
+    const hasEstimate = task.estimatedHours !== null && task.estimatedHours !== undefined && !isNaN(estimatedHours);
+    return hasEstimate ? estimatedHours / Math.max(1, workingDays) : this.getHoursPerDay(member);
+  }
+
+  /**
+   * Hours a member can work on a given day
+   * @param {Object} member - Team member
+   * @param {Date} date - Day
+   * @param {Object} calendar - Work calendar of the project
+   * @returns {number} Available hours (0 on non-working days and days off)
+   */
+  getCapacity(member, date, calendar = null) {
+    if (!DateCalculationService.isWorkingDay(date, calendar)) {
+      return 0;
+    }
+
+    const key = DateCalculationService.toDateKey(date);
+    if ((member.daysOff || []).some(dayOff => dayOff.date === key)) {
+      return 0;
+    }
+
+    return this.getHoursPerDay(member);
+  }
+
+  getHoursPerDay(member) {
+    const hours = Number(member.hoursPerDay);
+    return member.hoursPerDay === null || member.hoursPerDay === undefined || isNaN(hours)
+      ? DEFAULT_HOURS_PER_DAY
+      : hours;
+  }
+
+  /**
+   * Open leaf tasks: parents are summaries and closed tasks no longer take time
+   * @param {Array} tasks - Project tasks
+   * @returns {Array} Tasks that contribute to the workload
+   */
+  getWorkTasks(tasks) {
+    if (!Array.isArray(tasks)) {
+      return [];
+    }
+
+    const parentIds = new Set(tasks.filter(task => task.parentTaskId).map(task => task.parentTaskId));
+    return tasks.filter(task =>
+      !parentIds.has(task.id) &&
+      !CLOSED_STATUSES.includes(task.status) &&
+      task.startDate && task.endDate
+    );
+  }
+
+  getDaysInRange(startDate, endDate) {
+    const days = [];
+    const cursor = DateCalculationService.parseDate(new Date(startDate));
+    const end = DateCalculationService.parseDate(new Date(endDate));
+
+    while (cursor <= end && days.length < this.config.maxRangeDays) {
+      days.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return days;
+  }
+
+  getEarliestStart(tasks) {
+    if (tasks.length === 0) return null;
+    return new Date(Math.min(...tasks.map(task => new Date(task.startDate).getTime())));
+  }
+
+  getLatestEnd(tasks) {
+    if (tasks.length === 0) return null;
+    return new Date(Math.max(...tasks.map(task => new Date(task.endDate).getTime())));
+  }
+
+  roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+  }
+}
+
+// Export singleton instance
+export const workloadCalculator = new WorkloadCalculator();